@@ -0,0 +1,396 @@
+/**
+ * Health Tracker App - Activity Importers
+ * This file contains the importer for activities recorded on watches and bike computers - binary FIT files from Garmin, Wahoo and others, and GPX tracks
+ */
+
+// FIT times count seconds from 1989-12-31T00:00:00Z
+const FIT_EPOCH = Date.UTC(1989, 11, 31);
+
+// Global message numbers and the fields the importer reads from them
+const FIT_MESSAGES = {
+  FILE_ID: 0,
+  SESSION: 18
+};
+const FIT_SESSION_FIELDS = {
+  startTime: 2,
+  sport: 5,
+  totalElapsedTime: 7,
+  totalDistance: 9,
+  totalCalories: 11
+};
+
+// FIT sport values, named the way the workout mapping shows them
+const FIT_SPORTS = {
+  0: 'Workout',
+  1: 'Running',
+  2: 'Cycling',
+  4: 'Fitness Equipment',
+  5: 'Swimming',
+  6: 'Basketball',
+  7: 'Soccer',
+  8: 'Tennis',
+  10: 'Training',
+  11: 'Walking',
+  12: 'Cross Country Skiing',
+  13: 'Alpine Skiing',
+  14: 'Snowboarding',
+  15: 'Rowing',
+  16: 'Mountaineering',
+  17: 'Hiking',
+  19: 'Paddling',
+  21: 'E-Biking',
+  30: 'Inline Skating',
+  31: 'Rock Climbing',
+  33: 'Ice Skating',
+  35: 'Snowshoeing',
+  37: 'Stand Up Paddleboarding',
+  41: 'Kayaking',
+  47: 'Boxing',
+  48: 'Floor Climbing'
+};
+
+// Nibble table of the FIT file checksum (CRC-16)
+const FIT_CRC_TABLE = [
+  0x0000, 0xCC01, 0xD801, 0x1400, 0xF001, 0x3C00, 0x2800, 0xE401,
+  0xA001, 0x6C00, 0x7800, 0xB401, 0x5000, 0x9C01, 0x8801, 0x4400
+];
+
+// GPX activity types (Garmin and Strava write them in a track's <type>) and the sport each one is
+const GPX_SPORTS = {
+  running: 'Running',
+  run: 'Running',
+  trail_running: 'Running',
+  cycling: 'Cycling',
+  biking: 'Cycling',
+  ride: 'Cycling',
+  road_biking: 'Cycling',
+  mountain_biking: 'Cycling',
+  walking: 'Walking',
+  walk: 'Walking',
+  hiking: 'Hiking',
+  hike: 'Hiking',
+  swimming: 'Swimming',
+  swim: 'Swimming',
+  rowing: 'Rowing'
+};
+
+/**
+ * FIT files - a header, then records that each define a message layout or
+ * hold a message in one, then a checksum. Only the session messages are
+ * kept: one per sport the activity recorded.
+ */
+const fitParser = {
+  /**
+   * Compute the FIT checksum of part of a file
+   * @param {Uint8Array} bytes
+   * @param {number} start
+   * @param {number} end
+   * @returns {number}
+   */
+  getChecksum(bytes, start, end) {
+    let crc = 0;
+    for (let index = start; index < end; index++) {
+      const byte = bytes[index];
+      let next = FIT_CRC_TABLE[crc & 0xF];
+      crc = ((crc >> 4) & 0x0FFF) ^ next ^ FIT_CRC_TABLE[byte & 0xF];
+      next = FIT_CRC_TABLE[crc & 0xF];
+      crc = ((crc >> 4) & 0x0FFF) ^ next ^ FIT_CRC_TABLE[(byte >> 4) & 0xF];
+    }
+    return crc;
+  },
+
+  /**
+   * Read a field value
+   * @param {DataView} view
+   * @param {number} offset
+   * @param {number} size - Field size in bytes
+   * @param {number} baseType - FIT base type number
+   * @param {boolean} littleEndian
+   * @returns {number|null} - null for the invalid value, which marks a field that was not recorded
+   */
+  readValue(view, offset, size, baseType, littleEndian) {
+    // Only the number types the session fields use are read: enum/uint8, uint16 and uint32
+    const type = baseType & 0x1F;
+    if (type === 0 || type === 2 || type === 10) {
+      const value = view.getUint8(offset);
+      return value === 0xFF || (type === 10 && value === 0) ? null : value;
+    }
+    if (type === 4 && size >= 2) {
+      const value = view.getUint16(offset, littleEndian);
+      return value === 0xFFFF ? null : value;
+    }
+    if ((type === 6 || type === 12) && size >= 4) {
+      const value = view.getUint32(offset, littleEndian);
+      return value === 0xFFFFFFFF || (type === 12 && value === 0) ? null : value;
+    }
+    return null;
+  },
+
+  /**
+   * Read the sessions of a FIT file
+   * @param {ArrayBuffer} buffer
+   * @returns {Object} - { isActivity, sessions: [{ fields keyed by field number }] }
+   */
+  parse(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    const headerSize = bytes[0];
+    if (bytes.length < 14 || headerSize < 12 || String.fromCharCode(...bytes.slice(8, 12)) !== '.FIT') {
+      throw new Error('Not a FIT file');
+    }
+
+    const end = headerSize + view.getUint32(4, true);
+    if (end + 2 > bytes.length) {
+      throw new Error('The file is cut off');
+    }
+    // A checksum of 0 means the device did not write one
+    const checksum = view.getUint16(end, true);
+    if (checksum !== 0 && checksum !== this.getChecksum(bytes, 0, end)) {
+      throw new Error('The file is damaged (checksum mismatch)');
+    }
+
+    const definitions = {};
+    const sessions = [];
+    let isActivity = false;
+    let offset = headerSize;
+
+    while (offset < end) {
+      const recordHeader = bytes[offset++];
+
+      // A compressed timestamp header starts a data message of local type 0-3
+      const isCompressed = (recordHeader & 0x80) !== 0;
+      const localType = isCompressed ? (recordHeader >> 5) & 0x03 : recordHeader & 0x0F;
+
+      if (!isCompressed && (recordHeader & 0x40)) {
+        const hasDeveloperFields = (recordHeader & 0x20) !== 0;
+        const littleEndian = bytes[offset + 1] === 0;
+        const definition = {
+          littleEndian,
+          globalNumber: view.getUint16(offset + 2, littleEndian),
+          fields: [],
+          size: 0
+        };
+        const fieldCount = bytes[offset + 4];
+        offset += 5;
+
+        for (let index = 0; index < fieldCount; index++) {
+          definition.fields.push({ number: bytes[offset], size: bytes[offset + 1], baseType: bytes[offset + 2] });
+          definition.size += bytes[offset + 1];
+          offset += 3;
+        }
+
+        // Developer fields are skipped - only their size matters
+        if (hasDeveloperFields) {
+          const developerFieldCount = bytes[offset++];
+          for (let index = 0; index < developerFieldCount; index++) {
+            definition.size += bytes[offset + 1];
+            offset += 3;
+          }
+        }
+
+        definitions[localType] = definition;
+        continue;
+      }
+
+      const definition = definitions[localType];
+      if (!definition) {
+        throw new Error('The file is damaged (message without a definition)');
+      }
+
+      if (definition.globalNumber === FIT_MESSAGES.SESSION || definition.globalNumber === FIT_MESSAGES.FILE_ID) {
+        const fields = {};
+        let fieldOffset = offset;
+        definition.fields.forEach(({ number, size, baseType }) => {
+          fields[number] = this.readValue(view, fieldOffset, size, baseType, definition.littleEndian);
+          fieldOffset += size;
+        });
+
+        if (definition.globalNumber === FIT_MESSAGES.SESSION) {
+          sessions.push(fields);
+        } else {
+          // File type 4 is an activity - courses, workouts and settings have no sessions
+          isActivity = fields[0] === 4;
+        }
+      }
+
+      offset += definition.size;
+    }
+
+    return { isActivity, sessions };
+  }
+};
+
+/**
+ * Activity files - each FIT session or GPX track becomes one workout entry
+ * at its start for the workout type its sport maps to, keeping the sport,
+ * duration, distance and calories. Several files can be picked at once, and
+ * an activity in two of them (a FIT file and its GPX) is imported once - the
+ * first file's copy is kept.
+ */
+appImporters.register({
+  id: 'activity',
+  label: 'activity files',
+
+  matches(sources) {
+    return sources.length > 0 && sources.every(source => /\.(fit|gpx)$/i.test(source.name));
+  },
+
+  /**
+   * Read the activities of a FIT file
+   * @param {Object} source - From appImporters.createSource()
+   * @returns {Promise<Array>} - { time, sport, duration, distance, calories }
+   */
+  readFit(source) {
+    return source.file.arrayBuffer().then(buffer => {
+      const { isActivity, sessions } = fitParser.parse(buffer);
+      if (!isActivity || sessions.length === 0) {
+        throw new Error('The file is not a recorded activity');
+      }
+
+      return sessions
+        .filter(session => session[FIT_SESSION_FIELDS.startTime] !== null && session[FIT_SESSION_FIELDS.startTime] !== undefined)
+        .map(session => {
+          const value = field => (session[field] === undefined ? null : session[field]);
+          const sport = value(FIT_SESSION_FIELDS.sport);
+          const elapsed = value(FIT_SESSION_FIELDS.totalElapsedTime);
+          const distance = value(FIT_SESSION_FIELDS.totalDistance);
+
+          return {
+            time: new Date(FIT_EPOCH + session[FIT_SESSION_FIELDS.startTime] * 1000),
+            sport: FIT_SPORTS[sport] || 'Workout',
+            // Elapsed time is in ms and distance in cm
+            duration: elapsed === null ? null : Math.round(elapsed / 1000),
+            distance: distance === null ? null : Math.round(distance / 100),
+            calories: value(FIT_SESSION_FIELDS.totalCalories)
+          };
+        });
+    });
+  },
+
+  /**
+   * Get the distance between two track points
+   * @param {Object} from - { lat, lon } in degrees
+   * @param {Object} to - { lat, lon } in degrees
+   * @returns {number} - Metres
+   */
+  getDistance(from, to) {
+    const radians = degrees => (degrees * Math.PI) / 180;
+    const dLat = radians(to.lat - from.lat);
+    const dLon = radians(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(radians(from.lat)) * Math.cos(radians(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 6371000 * Math.asin(Math.min(1, Math.sqrt(a)));
+  },
+
+  /**
+   * Read the activities of a GPX file - GPX has no calories, and the duration is from the first to the last point
+   * @param {Object} source - From appImporters.createSource()
+   * @returns {Promise<Array>} - { time, sport, duration, distance, calories }
+   */
+  readGpx(source) {
+    return source.text().then(text => {
+      const gpx = new DOMParser().parseFromString(text, 'application/xml');
+      if (gpx.getElementsByTagName('parsererror').length > 0 || gpx.documentElement.localName !== 'gpx') {
+        throw new Error('Not a GPX file');
+      }
+
+      const children = (element, name) => Array.from(element.getElementsByTagNameNS('*', name));
+      const childText = (element, name) => {
+        const child = children(element, name)[0];
+        return child ? child.textContent.trim() : '';
+      };
+
+      return children(gpx, 'trk').map(track => {
+        let distance = 0;
+        let first = null;
+        let last = null;
+
+        // Distance is not counted across the gaps between segments, where the recording was paused
+        children(track, 'trkseg').forEach(segment => {
+          let previous = null;
+          children(segment, 'trkpt').forEach(point => {
+            const position = { lat: parseFloat(point.getAttribute('lat')), lon: parseFloat(point.getAttribute('lon')) };
+            if (isNaN(position.lat) || isNaN(position.lon)) return;
+            if (previous) distance += this.getDistance(previous, position);
+            previous = position;
+
+            const time = new Date(childText(point, 'time'));
+            if (isNaN(time.getTime())) return;
+            if (!first) first = time;
+            last = time;
+          });
+        });
+
+        if (!first) return null;
+
+        const type = childText(track, 'type').toLowerCase().replace(/[\s-]+/g, '_');
+        return {
+          time: first,
+          sport: GPX_SPORTS[type] || 'Workout',
+          duration: Math.round((last - first) / 1000),
+          distance: Math.round(distance),
+          calories: null
+        };
+      }).filter(Boolean);
+    });
+  },
+
+  read(sources) {
+    const rejected = [];
+
+    const reads = sources.map(source => {
+      const read = /\.fit$/i.test(source.name) ? this.readFit(source) : this.readGpx(source);
+      return read
+        .then(activities => {
+          if (activities.length === 0) throw new Error('The file has no recorded activity');
+          return activities;
+        })
+        .catch(error => {
+          rejected.push({ file: source.name, reason: error.message });
+          return [];
+        });
+    });
+
+    return Promise.all(reads).then(results => {
+      const activities = [];
+      const activityKeys = new Set();
+      results.forEach(fileActivities => fileActivities.forEach(activity => {
+        const key = activity.time.getTime();
+        if (activityKeys.has(key)) return;
+        activityKeys.add(key);
+        activities.push(activity);
+      }));
+
+      const report = { rows: activities.length + rejected.length, rejected };
+      if (activities.length === 0) {
+        return appImporters.toImportData({ report });
+      }
+
+      const sports = new Map();
+      activities.forEach(({ sport }) => {
+        const known = sports.get(sport.toLowerCase());
+        sports.set(sport.toLowerCase(), { name: sport, sets: known ? known.sets + 1 : 1 });
+      });
+
+      const sportList = [...sports.values()].sort((a, b) => b.sets - a.sets);
+      return exerciseMapping.edit(sportList, 'activity').then(mapping => {
+        if (!mapping) return null;
+
+        const history = {};
+        activities.forEach(activity => {
+          const type = mapping[activity.sport.toLowerCase()];
+          if (!type) return;
+
+          const date = trackingService.getDayKey(activity.time);
+          if (!history[date]) history[date] = [];
+          history[date].push(Object.assign(
+            { type, count: 1, timestamp: activity.time.toISOString() },
+            workoutRules.getActivity(activity)
+          ));
+        });
+
+        return appImporters.toImportData({ workoutHistory: history, report });
+      });
+    });
+  }
+});
\ No newline at end of file
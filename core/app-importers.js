@@ -0,0 +1,158 @@
+/**
+ * Health Tracker App - App Importers
+ * This file contains the import of files exported by other apps - it recognises the format and hands the data to the import preview
+ */
+
+/**
+ * Importers for other apps' exports.
+ *
+ * An importer is registered with:
+ *   id, label             - for logs and messages
+ *   matches(sources)      - whether the picked files are its format (may return a promise)
+ *   read(sources)         - a promise of import data, built with toImportData()
+ *   streams               - optional, true if it reads the files a chunk at a time, so they can be
+ *                           larger than the import size limit
+ * The first importer that matches reads the files. Its result goes through the
+ * same import preview as this app's own CSV, so nothing is written before the
+ * user has seen it, and merging matches habits by name.
+ */
+const appImporters = {
+  importers: [],
+
+  /**
+   * Add an importer
+   * @param {Object} importer - { id, label, matches, read, streams }
+   */
+  register(importer) {
+    this.importers.push(importer);
+  },
+
+  /**
+   * Wrap a picked file so importers can read it, each way at most once
+   * @param {File} file
+   * @returns {Object} - { file, name, text(), csv() }
+   */
+  createSource(file) {
+    let text = null;
+    let csv = null;
+
+    return {
+      file,
+      name: file.name,
+      text() {
+        if (!text) text = file.text();
+        return text;
+      },
+      csv() {
+        if (!csv) csv = this.text().then(content => csvParser.parse(content));
+        return csv;
+      }
+    };
+  },
+
+  /**
+   * Get a CSV file's header names, lowercased with only letters and digits left
+   * @param {Object} source - From createSource()
+   * @returns {Promise<string[]>} - Empty if the file is not CSV
+   */
+  getHeaders(source) {
+    // Only the start is read, so a large file of another format is not loaded to check it
+    return source.file.slice(0, 64 * 1024).text()
+      .then(text => csvParser.parse(text).headers.map(header => this.normalizeHeader(header)))
+      .catch(() => []);
+  },
+
+  /**
+   * Lowercase a header and drop everything but letters and digits, so "Habit Name" matches "habitname"
+   * @param {string} header
+   * @returns {string}
+   */
+  normalizeHeader(header) {
+    return String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  },
+
+  /**
+   * Find the importer for a set of files
+   * @param {Object[]} sources - From createSource()
+   * @returns {Promise<Object|null>}
+   */
+  findImporter(sources) {
+    return this.importers.reduce((found, importer) => found.then(match => {
+      if (match) return match;
+      return Promise.resolve()
+        .then(() => importer.matches(sources))
+        .catch(() => false)
+        .then(matches => (matches ? importer : null));
+    }), Promise.resolve(null));
+  },
+
+  /**
+   * Build import data in the shape parseCSVData returns, holding only what the other app exported
+   * @param {Object} parts
+   * @param {Array} [parts.habits] - { name, color, history } for each habit
+   * @param {Object} [parts.intakeHistory] - Intake entries keyed by date, keyed by intake type
+   * @param {Object} [parts.workoutHistory] - Workout entries keyed by date
+   * @param {Object} parts.report - { rows, rejected: [{ file, line, reason }] }
+   * @returns {Object}
+   */
+  toImportData({ habits, intakeHistory = {}, workoutHistory, report }) {
+    const importedData = {
+      version: '3.0',
+      exportDate: appClock.now().toISOString(),
+      report
+    };
+
+    if (habits) {
+      importedData.habits = { data: JSON.stringify(habits) };
+    }
+
+    // An empty history is left out - the preview does not list it, and importing it would overwrite this device's
+    const hasEntries = history => !!history && Object.keys(history).length > 0;
+
+    // Without a goal and today's total the import leaves the tracker's settings alone
+    INTAKE_TYPES.filter(type => hasEntries(intakeHistory[type])).forEach(type => {
+      importedData[type] = { history: JSON.stringify(intakeHistory[type]) };
+    });
+
+    // Without state and counts the import leaves the current workout tabs alone
+    if (hasEntries(workoutHistory)) {
+      importedData.workout = { history: JSON.stringify(workoutHistory) };
+    }
+
+    return importedData;
+  },
+
+  /**
+   * Read files exported by another app and show the import preview.
+   * An importer that asks the user something first resolves to null if they cancel.
+   * @param {File[]} files
+   * @returns {Promise<void>}
+   */
+  importFiles(files) {
+    const maxSize = isIOSDevice() ? 2 * 1024 * 1024 : 5 * 1024 * 1024;
+    const sources = files.map(file => this.createSource(file));
+
+    return this.findImporter(sources)
+      .then(importer => {
+        if (!importer) {
+          throw new Error('These files are not an export this app can read.');
+        }
+
+        const tooLarge = !importer.streams && files.find(file => file.size > maxSize);
+        if (tooLarge) {
+          throw new Error(`${tooLarge.name} is too large. Maximum size is ${maxSize / (1024 * 1024)}MB.`);
+        }
+
+        return importer.read(sources);
+      })
+      .then(importedData => {
+        if (!importedData) return;
+        document.getElementById('more-options-panel').classList.remove('active');
+        importPreview.open(importedData);
+      })
+      .catch(error => {
+        utils.showToast(`Error importing data: ${error.message}`, 'error');
+        console.error('App import error:', error);
+      });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,220 @@
+/**
+ * Health Tracker App - JSON Backup
+ * This file contains the lossless JSON backup and restore format used next to the CSV export
+ */
+
+/**
+ * Creates, verifies and restores JSON backups.
+ *
+ * A backup holds the active profile: each of its localStorage keys as the raw
+ * string (goals, theme, notification settings, ...) plus the data store's live
+ * and archived records, so restoring it brings back exactly what was saved.
+ */
+const backupManager = {
+  /**
+   * Get the active profile's localStorage keys to include in a backup.
+   * Data store keys are captured through the data store, and stored backups, the
+   * keys identifying this device's logical clock and its Developer Mode are skipped.
+   * @returns {string[]}
+   */
+  getSettingsKeys() {
+    const skippedKeys = new Set([
+      ...dataStore.getLegacyKeys(),
+      REVISIONS_STORAGE_KEY,
+      STORAGE_KEYS.DEVICE_ID,
+      STORAGE_KEYS.LOGICAL_CLOCK,
+      CLOCK_DEVELOPER_MODE_KEY
+    ]);
+
+    return profileStorage.keys()
+      .filter(key => !skippedKeys.has(key) && !key.startsWith(ARCHIVE_KEY_PREFIX) && !key.startsWith('backup_'))
+      .sort();
+  },
+
+  /**
+   * Copy all app data - settings as raw strings plus live and archived records
+   * @returns {Object} - { settings, dataset, archived }
+   */
+  takeSnapshot() {
+    const settings = {};
+    this.getSettingsKeys().forEach(key => {
+      settings[key] = profileStorage.getItem(key);
+    });
+
+    return { settings, ...dataStore.getSnapshot() };
+  },
+
+  /**
+   * Build a backup of all app data
+   * @returns {Promise<Object>} - Backup object, ready for JSON.stringify
+   */
+  createBackup() {
+    return backupFormat.create(this.takeSnapshot(), SCHEMA_VERSION, appClock.now());
+  },
+
+  /**
+   * Parse and verify a backup file
+   * @param {string} text - File contents
+   * @returns {Promise<Object>} - Verified backup object
+   */
+  parseBackup(text) {
+    return backupFormat.parse(text, SCHEMA_VERSION);
+  },
+
+  /**
+   * Replace all app data with a verified backup
+   * @param {Object} backup - Backup returned by parseBackup
+   * @returns {Promise<boolean>} - Whether the backup was restored
+   */
+  restoreBackup(backup) {
+    return this.restoreSnapshot(backupFormat.cleanHabits(backup.data));
+  },
+
+  /**
+   * Replace all app data with a snapshot from takeSnapshot(). Data and settings
+   * are restored together: if either cannot be saved, both are put back as
+   * they were before.
+   * @param {Object} snapshot - { settings, dataset, archived }
+   * @returns {Promise<boolean>} - Resolves to true, rejects if anything could not be saved
+   */
+  restoreSnapshot(snapshot) {
+    // Settings are checked before anything is written
+    const invalidSetting = Object.entries(snapshot.settings || {}).find(([, value]) => typeof value !== 'string');
+    if (invalidSetting) {
+      return Promise.reject(new Error(`Setting "${invalidSetting[0]}" cannot be restored.`));
+    }
+
+    const previous = this.takeSnapshot();
+
+    return this.writeSnapshot(snapshot).catch(error => {
+      return this.writeSnapshot(previous)
+        .catch(rollbackError => {
+          console.error('Could not put back the data from before the restore:', rollbackError);
+        })
+        .then(() => {
+          throw error;
+        });
+    });
+  },
+
+  /**
+   * Write a snapshot's data and settings over the current ones
+   * @param {Object} snapshot - { settings, dataset, archived }
+   * @returns {Promise<boolean>} - Resolves to true, rejects if anything could not be saved
+   */
+  writeSnapshot(snapshot) {
+    const { settings, dataset, archived } = snapshot;
+
+    return dataStore.restoreSnapshot({ dataset, archived }).then(restored => {
+      if (!restored) {
+        throw new Error('Could not save the backup data.');
+      }
+
+      // Settings are restored as the exact strings that were saved
+      this.getSettingsKeys().forEach(key => profileStorage.removeItem(key));
+      Object.entries(settings || {}).forEach(([key, value]) => {
+        if (!storageManager.safeSetItem(key, value)) {
+          throw new Error(`Could not restore setting "${key}".`);
+        }
+      });
+
+      return true;
+    });
+  },
+
+  /**
+   * Export a JSON backup file
+   */
+  exportBackup() {
+    this.createBackup()
+      .then(backup => {
+        const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+        const fileName = `health-tracker-backup${profileManager.getFileLabel()}-${appClock.now().toISOString().slice(0,10)}.json`;
+
+        shareOrDownloadFile(blob, fileName, 'application/json', 'Health Tracker Backup');
+
+        // Close the panel
+        document.getElementById('more-options-panel').classList.remove('active');
+      })
+      .catch(error => {
+        console.error('Backup export error:', error);
+        utils.showToast(`Error creating backup: ${error.message}`, 'error');
+      });
+  },
+
+  /**
+   * Export a passphrase-encrypted JSON backup file
+   */
+  exportEncryptedBackup() {
+    backupEncryption.askPassphrase({
+      title: 'Encrypt Backup',
+      description: 'Choose a passphrase. You will need it to restore this backup - it cannot be recovered.',
+      confirm: true
+    })
+      .then(passphrase => {
+        if (passphrase === null) return;
+
+        return this.createBackup()
+          .then(backup => backupEncryption.encrypt(JSON.stringify(backup), passphrase, 'application/json'))
+          .then(encrypted => {
+            const blob = new Blob([encrypted], { type: 'application/json' });
+            const fileName = `health-tracker-backup${profileManager.getFileLabel()}-${appClock.now().toISOString().slice(0,10)}.encrypted.json`;
+
+            shareOrDownloadFile(blob, fileName, 'application/json', 'Health Tracker Encrypted Backup');
+
+            // Close the panel
+            document.getElementById('more-options-panel').classList.remove('active');
+          });
+      })
+      .catch(error => {
+        console.error('Encrypted backup export error:', error);
+        utils.showToast(`Error creating encrypted backup: ${error.message}`, 'error');
+      });
+  },
+
+  /**
+   * Ask for confirmation, then restore a verified backup and reload the app
+   * @param {Object} backup - Backup returned by parseBackup
+   * @returns {Promise}
+   */
+  confirmRestore(backup) {
+    const createdAt = new Date(backup.createdAt).toLocaleString();
+    if (!confirm(`Restore the backup from ${createdAt}? This will replace all data in the profile "${profileManager.getActiveProfile().name}".`)) {
+      return Promise.resolve();
+    }
+
+    return this.restoreBackup(backup).then(() => {
+      utils.showToast('Backup restored successfully! Reloading app...', 'success');
+      setTimeout(() => location.reload(), 1500);
+    });
+  },
+
+  /**
+   * Restore a JSON backup (plain or encrypted) chosen in the file input
+   * @param {Event} event - Change event of the file input
+   */
+  importBackup(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    if (!file.name.endsWith('.json') && file.type !== 'application/json') {
+      utils.showToast('Invalid file type. Please choose a .json backup file.', 'error');
+      event.target.value = '';
+      return;
+    }
+
+    file.text()
+      .then(text => backupEncryption.unwrap(text))
+      .then(contents => {
+        if (!contents) return;
+        return this.parseBackup(contents.text).then(backup => this.confirmRestore(backup));
+      })
+      .catch(error => {
+        console.error('Backup import error:', error);
+        utils.showToast(`Error restoring backup: ${error.message}`, 'error');
+      })
+      .then(() => {
+        event.target.value = '';
+      });
+  }
+};
\ No newline at end of file
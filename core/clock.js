@@ -0,0 +1,343 @@
+/**
+ * Health Tracker App - Clock
+ * This file contains the clock every module reads the time from, and the simulated date used to test day changes
+ */
+
+// localStorage key of the Developer Mode option, shared by all profiles on this device
+const CLOCK_DEVELOPER_MODE_KEY = 'developer_mode';
+
+// Session key of the simulated clock's offset from the system time (ms)
+const SIMULATED_CLOCK_KEY = 'simulated_clock_offset';
+
+// How far before the next day start "Skip to Day Start" lands, so the rollover can be watched
+const CLOCK_SKIP_LEAD_TIME = 10 * 1000;
+
+/**
+ * The app's clock - the system time, or a simulated date in developer mode.
+ *
+ * A simulated date is an offset from the system time, so the simulated clock
+ * keeps running: set it to just before midnight, a DST change or New Year and
+ * watch the app cross it. Timers started through appClock.setTimeout are due
+ * at a clock time rather than after a delay, so skipping ahead fires the ones
+ * that were passed - the day rollover and the reminders included - and every
+ * change publishes APP_EVENTS.CLOCK_CHANGED.
+ *
+ * The clock panel and links setting a date, e.g. ?simulate-date=2026-03-29T01:59,
+ * only work once Developer Mode is turned on in the options, so a link alone
+ * cannot change the date the app saves. A simulated date lasts until the tab
+ * is closed. The logical clock stamping records reads the real time instead
+ * (see systemTimestamp), so simulating never moves it ahead.
+ */
+const appClock = {
+  // Milliseconds added to the system time, 0 unless simulating
+  offset: 0,
+
+  // Pending timers by id: { callback, due, handle }
+  timers: new Map(),
+  nextTimerId: 1,
+
+  // Refreshes the time shown in the panel
+  displayInterval: null,
+
+  /**
+   * Pick up a simulated date from the URL or from before a reload in developer mode, and set up the panel
+   */
+  init() {
+    const requestedDate = new URLSearchParams(window.location.search).get('simulate-date');
+
+    if (!this.isDeveloperMode()) {
+      this.clearSimulatedOffset();
+      if (requestedDate) {
+        utils.showToast('Turn on Developer Mode in the options to simulate a date.', 'warning', 5000);
+      }
+      this.initPanel();
+      return;
+    }
+
+    try {
+      this.offset = parseInt(sessionStorage.getItem(SIMULATED_CLOCK_KEY)) || 0;
+    } catch (error) {
+      console.warn('Simulated clock unavailable:', error);
+    }
+
+    if (requestedDate && !this.simulate(requestedDate)) {
+      utils.showToast(`"${requestedDate}" is not a date the clock can be set to.`, 'error');
+    } else if (this.isSimulating()) {
+      utils.showToast(`Simulating ${this.formatTime(this.now())}.`, 'info', 5000);
+    }
+
+    this.initPanel();
+  },
+
+  /**
+   * Get the current time
+   * @returns {Date}
+   */
+  now() {
+    return new Date(this.timestamp());
+  },
+
+  /**
+   * Get the current time in milliseconds since the epoch
+   * @returns {number}
+   */
+  timestamp() {
+    return Date.now() + this.offset;
+  },
+
+  /**
+   * Get the real time in milliseconds since the epoch, also while simulating
+   * @returns {number}
+   */
+  systemTimestamp() {
+    return Date.now();
+  },
+
+  /**
+   * Check whether the clock shows a simulated date
+   * @returns {boolean}
+   */
+  isSimulating() {
+    return this.offset !== 0;
+  },
+
+  /**
+   * Check whether Developer Mode is turned on on this device
+   * @returns {boolean}
+   */
+  isDeveloperMode() {
+    try {
+      return localStorage.getItem(CLOCK_DEVELOPER_MODE_KEY) === 'true';
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Turn Developer Mode on or off - turning it off goes back to the real time
+   * @param {boolean} enabled
+   */
+  setDeveloperMode(enabled) {
+    try {
+      if (enabled) {
+        localStorage.setItem(CLOCK_DEVELOPER_MODE_KEY, 'true');
+      } else {
+        localStorage.removeItem(CLOCK_DEVELOPER_MODE_KEY);
+      }
+    } catch (error) {
+      console.warn('Could not save Developer Mode:', error);
+    }
+
+    if (!this.isDeveloperMode() && this.isSimulating()) {
+      this.useSystemTime();
+    }
+    this.renderDeveloperMode();
+  },
+
+  /**
+   * Forget a simulated date kept for this tab, e.g. after Developer Mode was turned off in another tab
+   */
+  clearSimulatedOffset() {
+    this.offset = 0;
+    try {
+      sessionStorage.removeItem(SIMULATED_CLOCK_KEY);
+    } catch (error) {
+      console.warn('Simulated clock unavailable:', error);
+    }
+  },
+
+  /**
+   * Set the clock to a date, from where it keeps running
+   * @param {Date|string|number} date - Local time, e.g. '2026-12-31T23:59'
+   * @returns {boolean} - Whether the date was valid
+   */
+  simulate(date) {
+    const time = new Date(date).getTime();
+    if (isNaN(time)) return false;
+
+    this.setOffset(time - Date.now());
+    return true;
+  },
+
+  /**
+   * Move the clock forward (or back, with a negative amount)
+   * @param {number} milliseconds
+   */
+  advance(milliseconds) {
+    this.setOffset(this.offset + milliseconds);
+  },
+
+  /**
+   * Go back to the system time
+   */
+  useSystemTime() {
+    this.setOffset(0);
+  },
+
+  /**
+   * Change the offset, fire the timers that are now due and tell the app
+   * @param {number} offset - Milliseconds added to the system time
+   */
+  setOffset(offset) {
+    const change = offset - this.offset;
+    this.offset = offset;
+
+    try {
+      if (offset) {
+        sessionStorage.setItem(SIMULATED_CLOCK_KEY, offset);
+      } else {
+        sessionStorage.removeItem(SIMULATED_CLOCK_KEY);
+      }
+    } catch (error) {
+      console.warn('Could not keep the simulated clock:', error);
+    }
+
+    this.timers.forEach((timer, id) => this.arm(id, timer));
+    this.renderPanel();
+
+    eventBus.emit(APP_EVENTS.CLOCK_CHANGED, { now: this.now(), simulated: this.isSimulating(), change });
+  },
+
+  /**
+   * Call a function once the clock has moved on by a delay
+   * @param {Function} callback
+   * @param {number} delay - Milliseconds
+   * @returns {number} - Timer id for clearTimeout()
+   */
+  setTimeout(callback, delay) {
+    const id = this.nextTimerId++;
+    const timer = { callback, due: this.timestamp() + Math.max(0, delay || 0), handle: null };
+
+    this.timers.set(id, timer);
+    this.arm(id, timer);
+    return id;
+  },
+
+  /**
+   * Cancel a timer from setTimeout()
+   * @param {number} id
+   */
+  clearTimeout(id) {
+    const timer = this.timers.get(id);
+    if (!timer) return;
+
+    clearTimeout(timer.handle);
+    this.timers.delete(id);
+  },
+
+  /**
+   * Start (or restart) the system timer behind a timer, for the time left until it is due
+   * @param {number} id
+   * @param {Object} timer
+   */
+  arm(id, timer) {
+    clearTimeout(timer.handle);
+    timer.handle = setTimeout(() => {
+      this.timers.delete(id);
+      timer.callback();
+    }, Math.max(0, timer.due - this.timestamp()));
+  },
+
+  /**
+   * Format a time for the panel and toasts
+   * @param {Date} date
+   * @returns {string}
+   */
+  formatTime(date) {
+    return date.toLocaleString([], {
+      weekday: 'short',
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      timeZoneName: 'short'
+    });
+  },
+
+  /**
+   * Format a time for a datetime-local input
+   * @param {Date} date
+   * @returns {string} - YYYY-MM-DDTHH:MM
+   */
+  toInputValue(date) {
+    const time = `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+    return `${utils.formatDate(date)}T${time}`;
+  },
+
+  /**
+   * Connect the Developer Mode option and the clock panel
+   */
+  initPanel() {
+    const developerMode = document.getElementById('developer-mode-toggle');
+    if (developerMode) {
+      developerMode.addEventListener('change', () => this.setDeveloperMode(developerMode.checked));
+    }
+    this.renderDeveloperMode();
+
+    const toggle = document.getElementById('clock-toggle');
+    if (!toggle) return;
+
+    toggle.addEventListener('click', () => this.renderPanel());
+
+    const input = document.getElementById('clock-date');
+    const actions = {
+      'clock-set': () => {
+        if (this.simulate(input.value)) return true;
+        utils.showToast('Please pick a date and time.', 'error');
+        return false;
+      },
+      'clock-add-hour': () => this.advance(60 * 60 * 1000),
+      'clock-add-day': () => this.advance(24 * 60 * 60 * 1000),
+      'clock-skip-day-start': () => this.simulate(utils.getNextDayStart().getTime() - CLOCK_SKIP_LEAD_TIME),
+      'clock-system-time': () => this.useSystemTime()
+    };
+
+    Object.entries(actions).forEach(([id, action]) => {
+      const button = document.getElementById(id);
+      if (button) {
+        button.addEventListener('click', () => {
+          if (action() === false) return;
+          utils.showToast(this.isSimulating() ? `Simulating ${this.formatTime(this.now())}.` : 'Using the real time again.', 'info');
+        });
+      }
+    });
+
+    this.renderPanel();
+  },
+
+  /**
+   * Show the Developer Mode option's state, and the clock panel's button while it is on
+   */
+  renderDeveloperMode() {
+    const enabled = this.isDeveloperMode();
+
+    const developerMode = document.getElementById('developer-mode-toggle');
+    if (developerMode) developerMode.checked = enabled;
+
+    const toggle = document.getElementById('clock-toggle');
+    if (toggle) toggle.style.display = enabled ? '' : 'none';
+  },
+
+  /**
+   * Show the current time in the clock panel, and keep it ticking while simulating
+   */
+  renderPanel() {
+    const display = document.getElementById('clock-now');
+    if (!display) return;
+
+    const update = () => {
+      display.textContent = `${this.formatTime(this.now())}${this.isSimulating() ? ' (simulated)' : ''}`;
+    };
+    update();
+
+    const input = document.getElementById('clock-date');
+    if (input) {
+      input.value = this.toInputValue(this.now());
+    }
+
+    clearInterval(this.displayInterval);
+    this.displayInterval = this.isSimulating() ? setInterval(update, 1000) : null;
+  }
+};
\ No newline at end of file
@@ -75,74 +75,23 @@ const iosStorageManager = {
     return currentUsage > maxSize * threshold;
   },
   
-  // iOS-optimized cleanup
-  cleanupOldData: function() {
-    try {
-      const daysToKeep = this.isIOS() ? 30 : 90; // Keep less data on iOS
-      const historyKeys = [
-        'history_water',
-        'history_protein',
-        'workout_history',
-        'habits_data'
-      ];
-      
-      let cleanedUp = false;
-      
-      historyKeys.forEach(key => {
-        try {
-          const historyData = localStorage.getItem(key);
-          if (!historyData) return;
-          
-          const history = JSON.parse(historyData);
-          
-          if (key === 'habits_data' && Array.isArray(history)) {
-            // Cleanup habits data
-            history.forEach(habit => {
-              if (habit.history) {
-                const dates = Object.keys(habit.history).sort();
-                if (dates.length > daysToKeep) {
-                  const datesToRemove = dates.slice(0, dates.length - daysToKeep);
-                  datesToRemove.forEach(date => {
-                    delete habit.history[date];
-                  });
-                  cleanedUp = true;
-                }
-              }
-            });
-            
-            if (cleanedUp) {
-              localStorage.setItem(key, JSON.stringify(history));
-            }
-          } else if (typeof history === 'object' && history !== null) {
-            // Standard history object cleanup
-            const dates = Object.keys(history).sort();
-            
-            if (dates.length > daysToKeep) {
-              const datesToRemove = dates.slice(0, dates.length - daysToKeep);
-              datesToRemove.forEach(date => {
-                delete history[date];
-              });
-              
-              localStorage.setItem(key, JSON.stringify(history));
-              cleanedUp = true;
-            }
-          }
-        } catch (e) {
-          console.error(`Error cleaning up ${key}:`, e);
-        }
-      });
-      
-      return cleanedUp;
-    } catch (e) {
-      console.error('Error in cleanup:', e);
-      return false;
+  // Move history older than daysToKeep into the compressed archive instead of deleting it
+  cleanupOldData: function(daysToKeep) {
+    if (daysToKeep === undefined) {
+      daysToKeep = this.isIOS() ? 30 : 90; // Keep less live data on iOS
     }
+    
+    if (typeof dataStore === 'undefined') {
+      return Promise.resolve(false);
+    }
+    
+    return dataStore.archiveOldDays(daysToKeep);
   },
   
   // Safe set item with iOS-specific error handling
   safeSetItem: function(key, value) {
     try {
-      localStorage.setItem(key, value);
+      profileStorage.setItem(key, value);
       return true;
     } catch (e) {
       console.warn('Storage error:', e);
@@ -152,25 +101,13 @@ const iosStorageManager = {
           e.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
           e.code === 22) {
         
-        // Try cleanup first
-        const cleaned = this.cleanupOldData();
-        
-        if (cleaned) {
-          try {
-            localStorage.setItem(key, value);
-            if (typeof utils !== 'undefined' && utils.showToast) {
-              utils.showToast('Storage cleaned up to make room for new data.', 'info');
-            }
-            return true;
-          } catch (e2) {
-            // Still failed after cleanup
+        // Archive old history - the data store re-saves its keys once space is freed
+        this.cleanupOldData().then(archived => {
+          if (!archived) {
             this.handleStorageFull();
-            return false;
           }
-        } else {
-          this.handleStorageFull();
-          return false;
-        }
+        });
+        return false;
       }
       
       // Other storage errors
@@ -185,9 +122,9 @@ const iosStorageManager = {
   handleStorageFull: function() {
     if (typeof utils !== 'undefined' && utils.showToast) {
       if (this.isIOS()) {
-        utils.showToast('Storage full. Please export your data and clear some history.', 'error', 7000);
+        utils.showToast('Storage full and no older history could be archived. Please export your data.', 'error', 7000);
       } else {
-        utils.showToast('Storage limit reached. Please export and clear some data.', 'error');
+        utils.showToast('Storage limit reached and no older history could be archived. Please export your data.', 'error');
       }
     }
   }
@@ -203,9 +140,25 @@ const STORAGE_KEYS = {
   GOAL_PREFIX: 'goal_',
   INTAKE_PREFIX: 'intake_',
   HISTORY_PREFIX: 'history_',
-  REMINDER: 'global_reminder'
+  REMINDER: 'global_reminder',
+  SCHEMA_VERSION: 'schema_version',
+  ACTION_JOURNAL: 'action_journal',
+  DAY_START_HOUR: 'day_start_hour',
+  DEVICE_ID: 'device_id',
+  LOGICAL_CLOCK: 'logical_clock',
+  EXERCISE_MAPPING: 'exercise_mapping'
 };
 
+// Latest hour the tracking day can be set to start at (noon)
+const MAX_DAY_START_HOUR = 12;
+
+// Version of the stored data shape - bump it and add a step to SCHEMA_MIGRATIONS when the shape changes
+const SCHEMA_VERSION = 3;
+
+// Backup holding the data from before the last import, and the session flag (set to the profile id) that offers to undo it
+const IMPORT_UNDO_BACKUP = 'pre_import';
+const IMPORT_UNDO_SESSION_KEY = 'import_undo_available';
+
 // Theme colors for different sections
 const THEME_COLORS = {
   water: '#2196F3',
@@ -214,6 +167,28 @@ const THEME_COLORS = {
   habits: '#4CAF50'  
 };
 
+// Characters that would be read as markup, and what they are escaped to
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+
+/**
+ * Markup built by utils.html - put into another utils.html template, it stays markup
+ */
+class HTMLMarkup {
+  constructor(markup) {
+    this.markup = markup;
+  }
+  
+  toString() {
+    return this.markup;
+  }
+}
+
 // Enhanced utility functions for iOS
 const utils = {
   /**
@@ -225,7 +200,7 @@ const utils = {
       
       if (isNaN(d.getTime())) {
         console.error('Invalid date provided to formatDate:', date);
-        return this.formatDate(new Date());
+        return this.formatDate(appClock.now());
       }
       
       // Use local date components for consistency across iOS
@@ -236,10 +211,48 @@ const utils = {
       return `${year}-${month}-${day}`;
     } catch (error) {
       console.error('Date formatting error:', error);
-      return this.formatDate(new Date());
+      return this.formatDate(appClock.now());
     }
   },
   
+  /**
+   * Hour the tracking day starts at - with 4, anything logged before 4 AM counts for the day before
+   * @returns {number} - 0 (midnight) to MAX_DAY_START_HOUR
+   */
+  getDayStartHour() {
+    return trackingService.getDayStartHour();
+  },
+  
+  /**
+   * Get the tracking day a moment belongs to
+   * @param {Date|string|number} [moment] - Defaults to now
+   * @returns {Date} - Local midnight of that day
+   */
+  getLogicalDay(moment) {
+    return trackingService.getLogicalDay(moment);
+  },
+  
+  /**
+   * Get the date key (YYYY-MM-DD) entries made at a moment are stored under
+   * @param {Date|string|number} [moment] - Defaults to now
+   * @returns {string}
+   */
+  getDayKey(moment) {
+    return this.formatDate(this.getLogicalDay(moment));
+  },
+  
+  /**
+   * Get the moment the next tracking day starts
+   * @param {Date} [now] - Defaults to now
+   * @returns {Date}
+   */
+  getNextDayStart(now = appClock.now()) {
+    const next = this.getLogicalDay(now);
+    next.setDate(next.getDate() + 1);
+    next.setHours(this.getDayStartHour(), 0, 0, 0);
+    return next;
+  },
+  
   // Enhanced date comparison for iOS
   isSameDay(date1, date2) {
     try {
@@ -301,10 +314,10 @@ const utils = {
       }
       
       console.warn('Unable to parse date:', dateString);
-      return new Date();
+      return appClock.now();
     } catch (error) {
       console.error('Date parsing error:', error);
-      return new Date();
+      return appClock.now();
     }
   },
 
@@ -457,6 +470,33 @@ const utils = {
     } catch (error) {
       return 128; // Default to medium brightness
     }
+  },
+  
+  /**
+   * Escape text so it is shown as text in HTML, inside attributes too
+   * @param {*} value
+   * @returns {string}
+   */
+  escapeHTML(value) {
+    if (value === null || value === undefined) return '';
+    return String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+  },
+  
+  /**
+   * Template tag for markup built from stored or imported data. Every value
+   * put into the template is escaped, except markup from another utils.html
+   * template; arrays are joined. Anything rendered with innerHTML goes through it:
+   *   element.innerHTML = utils.html`<b>${habit.name}</b>`;
+   * @returns {HTMLMarkup}
+   */
+  html(strings, ...values) {
+    const toMarkup = value => {
+      if (value instanceof HTMLMarkup) return value.markup;
+      if (Array.isArray(value)) return value.map(toMarkup).join('');
+      return this.escapeHTML(value);
+    };
+    
+    return new HTMLMarkup(strings.reduce((markup, string, index) => markup + toMarkup(values[index - 1]) + string));
   }
 };
 
@@ -477,6 +517,12 @@ document.addEventListener('DOMContentLoaded', () => {
       return;
     }
     
+    // Use the simulated date if one is set (developer mode) before anything reads the time
+    appClock.init();
+    
+    // Pick the active profile before anything reads its settings
+    profileManager.init();
+    
     // iOS-specific optimizations
     if (isIOSDevice()) {
       // Disable zoom on iOS
@@ -492,22 +538,6 @@ document.addEventListener('DOMContentLoaded', () => {
       document.body.style.overscrollBehavior = 'none';
     }
     
-    // Check storage quota
-    if (storageManager.isNearQuota()) {
-      utils.showToast('Storage space is running low. Consider exporting and clearing old data.', 'warning', 5000);
-      
-      // Auto-cleanup for iOS
-      if (isIOSDevice()) {
-        storageManager.cleanupOldData();
-      }
-    }
-
-    // Initialize trackers
-    window.waterTracker = new Tracker({ type: 'water', unit: 'ml' });
-    window.proteinTracker = new Tracker({ type: 'protein', unit: 'g' });
-    window.workoutTracker = new WorkoutTracker();
-    window.habitsTracker = new HabitsTracker();
-    
     // Set up theme
     initializeTheme();
     
@@ -517,35 +547,176 @@ document.addEventListener('DOMContentLoaded', () => {
     // Set up panels
     initializePanels();
     
-    // Set up tracker actions
-    initializeTrackerActions(waterTracker);
-    initializeTrackerActions(proteinTracker);
-    initializeWorkoutTrackerActions(workoutTracker);
-    
-    // Set up notifications
-    initializeGlobalNotifications();
-    
-    // Set up data management
-    initializeDataManagement();
-    
     // Apply initial theme color
     const isDarkTheme = document.body.classList.contains('dark-theme') || 
                         (!document.body.classList.contains('light-theme') && 
                          window.matchMedia('(prefers-color-scheme: dark)').matches);
     utils.changeThemeColor(isDarkTheme ? '#121212' : THEME_COLORS.water);
     
-    console.log('App initialization complete');
+    // Open the active profile's data store before creating trackers
+    openDataStore()
+      .then(() => {
+        // Initialize trackers
+        createTrackers();
+        
+        // Set up tracker actions
+        initializeTrackerActions(waterTracker);
+        initializeTrackerActions(proteinTracker);
+        initializeWorkoutTrackerActions(workoutTracker);
+        
+        // Start new days on time, also after the device slept
+        dayRollover.init();
+        
+        // Set up the day start setting
+        dayStart.init();
+        
+        // Load the undo/redo journal (the trackers have registered their handlers)
+        actionJournal.init();
+        
+        // Keep other open tabs and windows in step
+        tabSync.init();
+        
+        // Sync with the self-hosted server, if one is set up
+        serverSync.init();
+        
+        // Set up notifications
+        initializeGlobalNotifications();
+        
+        // Set up data management
+        initializeDataManagement();
+        
+        // Set up the profile switcher
+        profileManager.initPanel();
+        
+        // Import a file shared to the app from the OS share sheet
+        sharedFile.init();
+        
+        // Open the tab or log the data a link asks for
+        deepLinks.init();
+        
+        console.log('App initialization complete');
+      })
+      .catch(handleInitializationError);
     
   } catch (error) {
-    console.error('App initialization failed:', error);
-    
-    // Show user-friendly error message
-    setTimeout(() => {
-      utils.showToast('App failed to initialize. Please refresh the page.', 'error', 10000);
-    }, 1000);
+    handleInitializationError(error);
   }
 });
 
+/**
+ * Open the active profile's data store (migrating old localStorage data) and upgrade its schema.
+ * Must finish before the trackers are created.
+ * @returns {Promise<string>} - Backend in use
+ */
+function openDataStore() {
+  return dataStore.init()
+    .then(backend => schemaMigrator.run().then(() => backend))
+    .then(backend => {
+      // Check storage quota - only the localStorage fallback has a small one
+      if (backend === 'localstorage' && storageManager.isNearQuota()) {
+        utils.showToast('Storage space is running low. Older history will be archived.', 'warning', 5000);
+        
+        // Auto-archive for iOS before the trackers read their data
+        if (isIOSDevice()) {
+          return storageManager.cleanupOldData().then(() => backend);
+        }
+      }
+      return backend;
+    })
+    .then(backend => {
+      console.log(`Data store ready (${backend})`);
+      return backend;
+    });
+}
+
+/**
+ * Create the trackers for the active profile
+ */
+function createTrackers() {
+  window.waterTracker = new Tracker({ type: 'water', unit: 'ml' });
+  window.proteinTracker = new Tracker({ type: 'protein', unit: 'g' });
+  window.workoutTracker = new WorkoutTracker();
+  window.habitsTracker = new HabitsTracker();
+}
+
+/**
+ * Get the trackers that have been created
+ * @returns {Array} - Tracker, WorkoutTracker and HabitsTracker instances
+ */
+function getTrackers() {
+  return [window.waterTracker, window.proteinTracker, window.workoutTracker, window.habitsTracker].filter(Boolean);
+}
+
+/**
+ * Remove the trackers' listeners so they can be replaced
+ */
+function destroyTrackers() {
+  getTrackers().forEach(tracker => {
+    if (tracker.destroy) tracker.destroy();
+  });
+}
+
+/**
+ * Switch to another profile without reloading: reopen the data store for it and recreate the trackers
+ * @param {string} profileId - Profile to switch to
+ * @returns {Promise<boolean>} - Whether the switch succeeded
+ */
+function switchProfile(profileId) {
+  const previousProfileId = profileManager.activeId;
+  const profile = profileManager.getProfile(profileId);
+  if (!profile || profileId === previousProfileId) {
+    return Promise.resolve(false);
+  }
+  
+  const openProfile = (id) => {
+    destroyTrackers();
+    dataStore.close();
+    profileManager.setActive(id);
+    
+    return openDataStore().then(() => {
+      createTrackers();
+      [waterTracker, proteinTracker, workoutTracker].forEach(tracker => tracker.refreshHistory());
+      
+      actionJournal.load();
+      applySavedTheme();
+      refreshUndoImport();
+      profileManager.updateHeader();
+      profileManager.renderPanel();
+    });
+  };
+  
+  return openProfile(profileId)
+    .then(() => {
+      eventBus.emit(APP_EVENTS.PROFILE_SWITCHED, { profileId, name: profile.name, previousProfileId });
+      utils.showToast(`Switched to ${profile.name}`, 'success');
+      return true;
+    })
+    .catch(error => {
+      console.error('Profile switch failed:', error);
+      utils.showToast(`Could not open the profile "${profile.name}": ${error.message}`, 'error');
+      
+      // Go back to the profile that was open before
+      return openProfile(previousProfileId).then(() => false, handleInitializationError);
+    });
+}
+
+/**
+ * Report a failed app start to the user
+ * @param {Error} error - Error that stopped initialization
+ */
+function handleInitializationError(error) {
+  console.error('App initialization failed:', error);
+  
+  // Show user-friendly error message
+  const message = error && error.name === 'SchemaDowngradeError'
+    ? error.message
+    : 'App failed to initialize. Please refresh the page.';
+  
+  setTimeout(() => {
+    utils.showToast(message, 'error', 10000);
+  }, 1000);
+}
+
 /**
  * Initialize data import/export functionality
  */
@@ -559,6 +730,190 @@ function initializeDataManagement() {
   if (importFileInput) {
     importFileInput.addEventListener('change', importData);
   }
+  
+  exerciseMapping.init();
+  healthImportDialog.init();
+  
+  const importAppInput = document.getElementById('import-app-file');
+  if (importAppInput) {
+    importAppInput.addEventListener('change', event => {
+      const files = Array.from(event.target.files);
+      event.target.value = '';
+      if (files.length > 0) appImporters.importFiles(files);
+    });
+  }
+  
+  const exportBackupBtn = document.getElementById('export-backup');
+  if (exportBackupBtn) {
+    exportBackupBtn.addEventListener('click', () => backupManager.exportBackup());
+  }
+  
+  const exportEncryptedBtn = document.getElementById('export-encrypted-backup');
+  if (exportEncryptedBtn) {
+    exportEncryptedBtn.addEventListener('click', () => backupManager.exportEncryptedBackup());
+  }
+  
+  const importBackupInput = document.getElementById('import-backup-file');
+  if (importBackupInput) {
+    importBackupInput.addEventListener('change', event => backupManager.importBackup(event));
+  }
+  
+  const importPreviewCancel = document.getElementById('import-preview-cancel');
+  if (importPreviewCancel) {
+    importPreviewCancel.addEventListener('click', () => importPreview.close());
+  }
+  
+  const importPreviewConfirm = document.getElementById('import-preview-confirm');
+  if (importPreviewConfirm) {
+    importPreviewConfirm.addEventListener('click', () => importPreview.confirm());
+  }
+  
+  const undoImportBtn = document.getElementById('undo-import');
+  if (undoImportBtn) {
+    undoImportBtn.addEventListener('click', undoLastImport);
+  }
+  refreshUndoImport();
+  
+  // Refresh the archive list whenever its panel is opened
+  const archiveToggle = document.getElementById('archive-toggle');
+  if (archiveToggle) {
+    archiveToggle.addEventListener('click', renderArchivePanel);
+  }
+}
+
+/**
+ * Offer to undo an import only in the session and profile the import happened in
+ */
+function refreshUndoImport() {
+  const available = sessionStorage.getItem(IMPORT_UNDO_SESSION_KEY) === profileManager.activeId;
+  
+  const undoImportBtn = document.getElementById('undo-import');
+  if (undoImportBtn) {
+    undoImportBtn.style.display = available ? '' : 'none';
+  }
+  
+  if (!available) {
+    // Free the space used by an import from an earlier session
+    dataStore.deleteBackup(IMPORT_UNDO_BACKUP);
+  }
+}
+
+/**
+ * Render the archived history panel with view and restore actions per module
+ */
+function renderArchivePanel() {
+  const archiveList = document.getElementById('archive-list');
+  if (!archiveList) return;
+  
+  archiveList.innerHTML = '';
+  
+  const summaries = dataStore.getArchiveSummaries();
+  if (summaries.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'notification-description';
+    empty.textContent = 'Nothing has been archived.';
+    archiveList.appendChild(empty);
+    return;
+  }
+  
+  const labels = { water: 'Water', protein: 'Protein', workouts: 'Workouts', habits: 'Habits' };
+  
+  summaries.forEach(summary => {
+    const entry = document.createElement('div');
+    entry.className = 'day-entry';
+    
+    const title = document.createElement('p');
+    const titleText = document.createElement('b');
+    titleText.textContent = labels[summary.module] || summary.module;
+    title.appendChild(titleText);
+    
+    const range = document.createElement('p');
+    range.textContent = `${summary.dayCount} days, ${summary.from} to ${summary.to}`;
+    
+    const buttons = document.createElement('div');
+    buttons.className = 'btn-group';
+    
+    const viewBtn = document.createElement('button');
+    viewBtn.className = 'action-btn neutral';
+    viewBtn.textContent = 'View';
+    
+    const restoreBtn = document.createElement('button');
+    restoreBtn.className = 'action-btn neutral';
+    restoreBtn.textContent = 'Restore';
+    
+    const daysList = document.createElement('div');
+    daysList.className = 'archive-days';
+    daysList.style.display = 'none';
+    
+    viewBtn.addEventListener('click', () => {
+      const isHidden = daysList.style.display === 'none';
+      if (isHidden && !daysList.hasChildNodes()) {
+        renderArchivedDays(summary.module, daysList);
+      }
+      daysList.style.display = isHidden ? 'block' : 'none';
+      viewBtn.textContent = isHidden ? 'Hide' : 'View';
+    });
+    
+    restoreBtn.addEventListener('click', () => {
+      const label = labels[summary.module] || summary.module;
+      if (!confirm(`Move ${summary.dayCount} archived days of ${label} history back into the app?`)) return;
+      
+      dataStore.restoreArchive(summary.module).then(restored => {
+        if (restored) {
+          utils.showToast('Archived history restored! Reloading app...', 'success');
+          setTimeout(() => location.reload(), 1500);
+        } else {
+          utils.showToast('Could not restore archived history. Storage may be full.', 'error');
+        }
+      });
+    });
+    
+    buttons.appendChild(viewBtn);
+    buttons.appendChild(restoreBtn);
+    entry.appendChild(title);
+    entry.appendChild(range);
+    entry.appendChild(buttons);
+    entry.appendChild(daysList);
+    archiveList.appendChild(entry);
+  });
+}
+
+/**
+ * Render one line per archived day, newest first
+ * @param {string} module - Archive module
+ * @param {Element} container - Element to fill
+ */
+function renderArchivedDays(module, container) {
+  const days = dataStore.getArchivedDays(module) || {};
+  const lines = {};
+  
+  if (module === 'habits') {
+    Object.values(days).forEach(habit => {
+      Object.entries(habit.history).forEach(([date, status]) => {
+        if (!lines[date]) lines[date] = [];
+        if (status === 'done') lines[date].push(habit.name);
+      });
+    });
+    Object.keys(lines).forEach(date => {
+      lines[date] = lines[date].length > 0 ? `Done: ${lines[date].join(', ')}` : 'Nothing done';
+    });
+  } else if (module === 'workouts') {
+    Object.entries(days).forEach(([date, entries]) => {
+      lines[date] = [...new Set(entries.map(entry => entry.type))].join(', ');
+    });
+  } else {
+    const unit = module === 'water' ? 'ml' : 'g';
+    Object.entries(days).forEach(([date, entries]) => {
+      const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
+      lines[date] = `${total} ${unit}`;
+    });
+  }
+  
+  Object.keys(lines).sort().reverse().forEach(date => {
+    const line = document.createElement('p');
+    line.textContent = `${date}: ${lines[date]}`;
+    container.appendChild(line);
+  });
 }
 
 /**
@@ -568,43 +923,9 @@ function exportData() {
   try {
     const csvString = convertDataToCSV();
     const csvBlob = new Blob([csvString], { type: 'text/csv;charset=utf-8;' });
-    const fileName = `health-tracker-export-${new Date().toISOString().slice(0,10)}.csv`;
-    
-    // iOS-specific download handling
-    if (isIOSDevice() && navigator.share) {
-      // Use Web Share API on iOS if available
-      const file = new File([csvBlob], fileName, { type: 'text/csv' });
-      
-      navigator.share({
-        title: 'Health Tracker Data Export',
-        text: 'Your health tracking data',
-        files: [file]
-      }).then(() => {
-        utils.showToast('Data exported successfully!', 'success');
-      }).catch(error => {
-        console.log('Web Share failed, falling back to download:', error);
-        fallbackDownload();
-      });
-    } else {
-      fallbackDownload();
-    }
+    const fileName = `health-tracker-export${profileManager.getFileLabel()}-${appClock.now().toISOString().slice(0,10)}.csv`;
     
-    function fallbackDownload() {
-      const csvUrl = URL.createObjectURL(csvBlob);
-      const link = document.createElement('a');
-      link.setAttribute('href', csvUrl);
-      link.setAttribute('download', fileName);
-      
-      document.body.appendChild(link);
-      link.click();
-      
-      setTimeout(() => {
-        document.body.removeChild(link);
-        URL.revokeObjectURL(csvUrl);
-      }, 100);
-      
-      utils.showToast('Data exported successfully!', 'success');
-    }
+    shareOrDownloadFile(csvBlob, fileName, 'text/csv', 'Health Tracker Data Export');
     
     // Close the panel
     document.getElementById('more-options-panel').classList.remove('active');
@@ -616,319 +937,331 @@ function exportData() {
 }
 
 /**
- * Import tracking data from CSV file with iOS optimizations
+ * Hand an exported file to the user - Web Share on iOS, a download link elsewhere
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - File type for the share sheet
+ * @param {string} title - Share sheet title
+ */
+function shareOrDownloadFile(blob, fileName, mimeType, title) {
+  // iOS-specific download handling
+  if (isIOSDevice() && navigator.share) {
+    // Use Web Share API on iOS if available
+    const file = new File([blob], fileName, { type: mimeType });
+    
+    navigator.share({
+      title: title,
+      text: 'Your health tracking data',
+      files: [file]
+    }).then(() => {
+      utils.showToast('Data exported successfully!', 'success');
+    }).catch(error => {
+      console.log('Web Share failed, falling back to download:', error);
+      fallbackDownload();
+    });
+  } else {
+    fallbackDownload();
+  }
+  
+  function fallbackDownload() {
+    const fileUrl = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', fileUrl);
+    link.setAttribute('download', fileName);
+    
+    document.body.appendChild(link);
+    link.click();
+    
+    setTimeout(() => {
+      document.body.removeChild(link);
+      URL.revokeObjectURL(fileUrl);
+    }, 100);
+    
+    utils.showToast('Data exported successfully!', 'success');
+  }
+}
+
+/**
+ * Import the file picked in the import file input
  */
 function importData(event) {
   const file = event.target.files[0];
-  if (!file) return;
+  
+  // Clear the input so picking the same file again imports it again
+  event.target.value = '';
+  
+  if (file) importFile(file);
+}
+
+/**
+ * Import tracking data from CSV file with iOS optimizations.
+ * Encrypted files are decrypted first; encrypted JSON backups are restored as backups.
+ * @param {File} file - Picked in the file input, or shared to the app
+ */
+function importFile(file) {
+  // Activity files from watches and bike computers are read by the app importers
+  if (/\.(fit|gpx)$/i.test(file.name)) {
+    appImporters.importFiles([file]);
+    return;
+  }
   
   // iOS file size validation
   const maxSize = isIOSDevice() ? 2 * 1024 * 1024 : 5 * 1024 * 1024; // 2MB for iOS, 5MB others
   if (file.size > maxSize) {
     utils.showToast(`File too large. Maximum size is ${maxSize / (1024 * 1024)}MB.`, 'error');
-    event.target.value = '';
     return;
   }
   
-  if (file.type !== 'text/csv' && !file.name.endsWith('.csv')) {
-    utils.showToast('Invalid file type. Please upload a CSV file.', 'error');
-    event.target.value = '';
+  const isJSONFile = file.type === 'application/json' || file.name.endsWith('.json');
+  if (file.type !== 'text/csv' && !file.name.endsWith('.csv') && !isJSONFile) {
+    utils.showToast('Invalid file type. Please upload a CSV or encrypted backup file.', 'error');
     return;
   }
   
   const reader = new FileReader();
   
   reader.onload = function(e) {
-    try {
-      const csvData = e.target.result;
-      const importedData = parseCSVData(csvData);
-      
-      if (!importedData) {
-        throw new Error('Import file is empty or corrupt.');
-      }
-      
-      // Calculate estimated storage requirements
-      const importSize = JSON.stringify(importedData).length;
-      const maxStorage = isIOSDevice() ? 2 * 1024 * 1024 : 5 * 1024 * 1024;
-      
-      if (importSize > maxStorage * 0.9) {
-        throw new Error('Import file is too large for browser storage. Please try a smaller export file.');
-      }
-      
-      if (confirm('This will replace your current tracking data. Are you sure you want to proceed?')) {
-        const success = performDataImport(importedData);
+    backupEncryption.unwrap(e.target.result)
+      .then(contents => {
+        if (!contents) return;
         
-        if (success) {
-          utils.showToast('Data imported successfully! Reloading app...', 'success');
-          setTimeout(() => location.reload(), 1500);
+        // JSON backups are restored whole rather than previewed
+        if (contents.contentType === 'application/json' || (!contents.contentType && isJSONFile)) {
+          return backupManager.parseBackup(contents.text).then(backup => backupManager.confirmRestore(backup));
         }
-      }
-    } catch (error) {
-      utils.showToast(`Error importing data: ${error.message}`, 'error');
-      console.error('Import error:', error);
-    }
-    
-    event.target.value = '';
+        
+        const importedData = parseCSVData(contents.text);
+        
+        if (!importedData) {
+          throw new Error('Import file is empty or corrupt.');
+        }
+        
+        // Calculate estimated storage requirements (only localStorage has a small quota)
+        const importSize = JSON.stringify(importedData).length;
+        const maxStorage = isIOSDevice() ? 2 * 1024 * 1024 : 5 * 1024 * 1024;
+        
+        if (dataStore.backend !== 'indexeddb' && importSize > maxStorage * 0.9) {
+          throw new Error('Import file is too large for browser storage. Please try a smaller export file.');
+        }
+        
+        // Let the user review the changes and choose how each module is imported
+        document.getElementById('more-options-panel').classList.remove('active');
+        importPreview.open(importedData);
+      })
+      .catch(error => {
+        utils.showToast(`Error importing data: ${error.message}`, 'error');
+        console.error('Import error:', error);
+      });
   };
   
   reader.onerror = function() {
     utils.showToast('Error reading file. Please try again.', 'error');
-    event.target.value = '';
   };
   
   reader.readAsText(file);
 }
 
 /**
- * Perform data import with iOS-optimized storage
+ * Perform data import - small settings go to localStorage, history to the data store.
+ * The import is all-or-nothing: if any step fails, the data from before the import is put back.
+ * @param {Object} importedData - Data returned by parseCSVData
+ * @param {Object} modes - 'overwrite', 'merge' or 'skip' keyed by import module - modules left out are skipped
+ * @returns {Promise<boolean>} - Whether the import succeeded
  */
-function performDataImport(importedData) {
-  try {
-    // Create backup first
-    const backup = {};
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      backup[key] = localStorage.getItem(key);
-    }
-    
-    // Import water data
-    if (importedData.water.goal) {
-      if (!storageManager.safeSetItem(STORAGE_KEYS.GOAL_PREFIX + 'water', importedData.water.goal)) {
-        throw new Error('Failed to import water goal');
-      }
-    }
-    if (importedData.water.intake) {
-      if (!storageManager.safeSetItem(STORAGE_KEYS.INTAKE_PREFIX + 'water', importedData.water.intake)) {
-        throw new Error('Failed to import water intake');
-      }
-    }
-    if (importedData.water.history) {
-      if (!storageManager.safeSetItem(STORAGE_KEYS.HISTORY_PREFIX + 'water', importedData.water.history)) {
-        throw new Error('Failed to import water history');
-      }
-    }
-    
-    // Import protein data
-    if (importedData.protein.goal) {
-      if (!storageManager.safeSetItem(STORAGE_KEYS.GOAL_PREFIX + 'protein', importedData.protein.goal)) {
-        throw new Error('Failed to import protein goal');
-      }
-    }
-    if (importedData.protein.intake) {
-      if (!storageManager.safeSetItem(STORAGE_KEYS.INTAKE_PREFIX + 'protein', importedData.protein.intake)) {
-        throw new Error('Failed to import protein intake');
-      }
-    }
-    if (importedData.protein.history) {
-      if (!storageManager.safeSetItem(STORAGE_KEYS.HISTORY_PREFIX + 'protein', importedData.protein.history)) {
-        throw new Error('Failed to import protein history');
-      }
-    }
+function performDataImport(importedData, modes = {}) {
+  // Only modules the user confirmed in the preview are written - the file holds empty ones for the rest
+  const getMode = module => modes[module] || 'skip';
+  
+  // Each step saves one part of the import and returns (or resolves to) whether it was saved
+  const steps = [];
+  const addStep = (label, run) => steps.push({ label, run });
+  
+  // Save a setting from the file - when merging, values already set on this device are kept
+  const addSettingStep = (label, key, value, merge) => {
+    if (!value || (merge && profileStorage.getItem(key) !== null)) return;
+    addStep(label, () => storageManager.safeSetItem(key, value));
+  };
+  
+  // Import water and protein data
+  INTAKE_TYPES.forEach(type => {
+    const mode = getMode(type);
+    const data = importedData[type];
+    if (mode === 'skip' || !data) return;
     
-    // Import workout data if available
-    if (importedData.workout) {
-      if (importedData.workout.state) {
-        if (!storageManager.safeSetItem('workout_state', importedData.workout.state)) {
-          throw new Error('Failed to import workout state');
-        }
-      }
-      if (importedData.workout.count) {
-        if (!storageManager.safeSetItem('workout_count', importedData.workout.count)) {
-          throw new Error('Failed to import workout count');
-        }
-      }
-      if (importedData.workout.history) {
-        if (!storageManager.safeSetItem('workout_history', importedData.workout.history)) {
-          throw new Error('Failed to import workout history');
-        }
-      }
-    }
+    const merge = mode === 'merge';
+    addSettingStep(`${type} goal`, STORAGE_KEYS.GOAL_PREFIX + type, data.goal, merge);
+    addSettingStep(`${type} intake`, STORAGE_KEYS.INTAKE_PREFIX + type, data.intake, merge);
     
-    // Import habits data if available
-    if (importedData.habits && importedData.habits.data) {
-      if (!storageManager.safeSetItem('habits_data', importedData.habits.data)) {
-        throw new Error('Failed to import habits data');
+    if (data.history) {
+      addStep(`${type} history`, () => {
+        // CSV files don't record a schema version, so what they hold is brought up to date here
+        const history = schemaMigrator.migrateImport({ intake: { [type]: JSON.parse(data.history) } }).intake[type];
+        return dataStore.replaceIntakeHistory(type, merge
+          ? importPreview.mergeEntryHistory(dataStore.getIntakeHistory(type, true), history)
+          : history);
+      });
+      
+      // Other apps' exports have no running total, so today's is counted from the imported history
+      if (!data.intake) {
+        addStep(`${type} intake`, () => storageManager.safeSetItem(
+          STORAGE_KEYS.INTAKE_PREFIX + type,
+          String(intakeRules.getTotal(dataStore.getIntakeHistory(type)[utils.getDayKey()]))
+        ));
       }
     }
+  });
+  
+  // Import workout data if available
+  const workoutMode = getMode('workouts');
+  if (importedData.workout && workoutMode !== 'skip') {
+    const merge = workoutMode === 'merge';
     
-    // Import settings
-    if (importedData.settings && importedData.settings.theme) {
-      storageManager.safeSetItem(STORAGE_KEYS.THEME, importedData.settings.theme);
+    // Tab state and counts belong to this device's current cycle, so merging only fills them in if missing
+    const hasState = dataStore.getWorkoutState() !== null;
+    if ((importedData.workout.state || importedData.workout.count) && !(merge && hasState)) {
+      addStep('workout state', () => {
+        const state = importedData.workout.state ? JSON.parse(importedData.workout.state) : dataStore.getWorkoutState();
+        const count = importedData.workout.count ? JSON.parse(importedData.workout.count) : dataStore.getWorkoutCounts();
+        const { workoutState, workoutCounts } = schemaMigrator.migrateImport({ workoutState: state, workoutCounts: count });
+        return dataStore.saveWorkoutState(workoutState, workoutCounts);
+      });
     }
-    if (importedData.settings && importedData.settings.reminder) {
-      storageManager.safeSetItem(STORAGE_KEYS.REMINDER, importedData.settings.reminder);
+    if (importedData.workout.history) {
+      addStep('workout history', () => {
+        const history = schemaMigrator.migrateImport({ workoutHistory: JSON.parse(importedData.workout.history) }).workoutHistory;
+        return dataStore.replaceWorkoutHistory(merge
+          ? importPreview.mergeEntryHistory(dataStore.getWorkoutHistory(true), history)
+          : history);
+      });
     }
-    
-    return true;
-    
-  } catch (storageError) {
-    console.error('Storage error during import:', storageError);
-    utils.showToast(`Import failed: ${storageError.message}`, 'error');
-    return false;
   }
-}
-
-/**
- * Convert application data to CSV format
- */
-function convertDataToCSV() {
-  const rows = []; 
-  
-  // Add CSV header row
-  const headers = [
-    "data_type", "key", "value", "date", "amount", "timestamp", "type", "count", "name", "color", "completed", "order"
-  ];
-  rows.push(headers.join(","));
-  
-  // Helper function to escape CSV values
-  const escapeCSV = (value) => {
-    if (value === null || value === undefined) return '';
-    const stringValue = String(value);
-    if (stringValue.includes(',') || stringValue.includes('"') || stringValue.includes('\n')) {
-      return `"${stringValue.replace(/"/g, '""')}"`;
-    }
-    return stringValue;
-  };
   
-  // Helper function to add a data row
-  const addRow = (dataType, key, value) => {
-    const row = new Array(headers.length).fill('');
-    row[0] = dataType;
-    row[1] = key;
-    row[2] = value;
-    rows.push(row.map(escapeCSV).join(','));
-  };
-  
-  // Add version info
-  addRow("meta", "version", "3.0");
-  addRow("meta", "exportDate", new Date().toISOString());
-  
-  // Process water data
-  const waterGoal = localStorage.getItem(STORAGE_KEYS.GOAL_PREFIX + 'water');
-  addRow("water", "goal", waterGoal);
-  
-  const waterIntake = localStorage.getItem(STORAGE_KEYS.INTAKE_PREFIX + 'water');
-  addRow("water", "intake", waterIntake);
-  
-  const waterHistory = JSON.parse(localStorage.getItem(STORAGE_KEYS.HISTORY_PREFIX + 'water') || '{}');
-  Object.entries(waterHistory).forEach(([date, entries]) => {
-    entries.forEach((entry, index) => {
-      const row = new Array(headers.length).fill('');
-      row[0] = "water_history";
-      row[1] = `${date}_${index}`;
-      row[3] = date;
-      row[4] = entry.amount;
-      row[5] = entry.timestamp;
-      rows.push(row.map(escapeCSV).join(','));
+  // Import habits data if available
+  const habitsMode = getMode('habits');
+  if (importedData.habits && importedData.habits.data && habitsMode !== 'skip') {
+    addStep('habits data', () => {
+      const habits = schemaMigrator.migrateImport({ habits: JSON.parse(importedData.habits.data) }).habits;
+      return dataStore.replaceHabits(habitsMode === 'merge'
+        ? importPreview.mergeHabits(dataStore.getHabits() || [], habits)
+        : habits);
     });
-  });
+  }
   
-  // Process protein data
-  const proteinGoal = localStorage.getItem(STORAGE_KEYS.GOAL_PREFIX + 'protein');
-  addRow("protein", "goal", proteinGoal);
-  
-  const proteinIntake = localStorage.getItem(STORAGE_KEYS.INTAKE_PREFIX + 'protein');
-  addRow("protein", "intake", proteinIntake);
-  
-  const proteinHistory = JSON.parse(localStorage.getItem(STORAGE_KEYS.HISTORY_PREFIX + 'protein') || '{}');
-  Object.entries(proteinHistory).forEach(([date, entries]) => {
-    entries.forEach((entry, index) => {
-      const row = new Array(headers.length).fill('');
-      row[0] = "protein_history";
-      row[1] = `${date}_${index}`;
-      row[3] = date;
-      row[4] = entry.amount;
-      row[5] = entry.timestamp;
-      rows.push(row.map(escapeCSV).join(','));
-    });
-  });
+  // Import settings
+  const settingsMode = getMode('settings');
+  if (importedData.settings && settingsMode !== 'skip') {
+    addSettingStep('theme', STORAGE_KEYS.THEME, importedData.settings.theme, settingsMode === 'merge');
+    addSettingStep('reminder setting', STORAGE_KEYS.REMINDER, importedData.settings.reminder, settingsMode === 'merge');
+  }
   
-  // Process workout data
-  const workoutState = JSON.parse(localStorage.getItem('workout_state') || '{}');
-  Object.entries(workoutState).forEach(([type, state]) => {
-    const row = new Array(headers.length).fill('');
-    row[0] = "workout_state";
-    row[1] = type;
-    row[6] = type;
-    row[10] = state.completed;
-    row[11] = state.order;
-    rows.push(row.map(escapeCSV).join(','));
-  });
+  const snapshot = backupManager.takeSnapshot();
+  let currentStep = null;
   
-  const workoutCount = JSON.parse(localStorage.getItem('workout_count') || '{}');
-  Object.entries(workoutCount).forEach(([type, count]) => {
-    const row = new Array(headers.length).fill('');
-    row[0] = "workout_count";
-    row[1] = type;
-    row[6] = type;
-    row[7] = count;
-    rows.push(row.map(escapeCSV).join(','));
-  });
+  // Keep the pre-import data so the import can be undone later in this session
+  return dataStore.saveBackup(IMPORT_UNDO_BACKUP, { createdAt: appClock.now().toISOString(), data: snapshot })
+    .then(backedUp => {
+      if (!backedUp) {
+        console.warn('Could not keep pre-import data - undo will not be available for this import');
+      }
+      
+      return steps
+        .reduce((chain, step) => chain.then(() => {
+          currentStep = step.label;
+          return Promise.resolve(step.run()).then(saved => {
+            if (!saved) {
+              throw new Error('Storage may be full.');
+            }
+          });
+        }), Promise.resolve())
+        .then(() => {
+          if (backedUp) {
+            sessionStorage.setItem(IMPORT_UNDO_SESSION_KEY, profileManager.activeId);
+          }
+          
+          // Journal entries refer to data that was just replaced
+          actionJournal.clear();
+          return true;
+        });
+    })
+    .catch(error => rollbackImport(snapshot, currentStep, error));
+}
+
+/**
+ * Put back the data from before a failed import and report which step failed
+ * @param {Object} snapshot - Data from backupManager.takeSnapshot() taken before the import
+ * @param {string|null} failedStep - Label of the step that failed
+ * @param {Error} error - Error that stopped the import
+ * @returns {Promise<boolean>} - Always resolves to false
+ */
+function rollbackImport(snapshot, failedStep, error) {
+  const failure = failedStep ? `Import failed while saving ${failedStep}: ${error.message}` : `Import failed: ${error.message}`;
+  console.error(failure, error);
   
-  const workoutHistory = JSON.parse(localStorage.getItem('workout_history') || '{}');
-  Object.entries(workoutHistory).forEach(([date, entries]) => {
-    entries.forEach((entry, index) => {
-      const row = new Array(headers.length).fill('');
-      row[0] = "workout_history";
-      row[1] = `${date}_${index}`;
-      row[3] = date;
-      row[5] = entry.timestamp;
-      row[6] = entry.type;
-      row[7] = entry.count;
-      rows.push(row.map(escapeCSV).join(','));
+  return backupManager.restoreSnapshot(snapshot)
+    .then(() => {
+      utils.showToast(`${failure} Your previous data was restored.`, 'error', 8000);
+      return false;
+    })
+    .catch(rollbackError => {
+      console.error('Import rollback failed:', rollbackError);
+      utils.showToast(`${failure} Your previous data could not be fully restored.`, 'error', 10000);
+      return false;
     });
-  });
-  
-  // Process habits data
-  const habitsData = JSON.parse(localStorage.getItem('habits_data') || '[]');
-  habitsData.forEach((habit, habitIndex) => {
-    const row = new Array(headers.length).fill('');
-    row[0] = "habit";
-    row[1] = habitIndex.toString();
-    row[8] = habit.name;
-    row[9] = habit.color;
-    rows.push(row.map(escapeCSV).join(','));
-    
-    // Process habit history
-    if (habit.history) {
-      Object.entries(habit.history).forEach(([date, status]) => {
-        const historyRow = new Array(headers.length).fill('');
-        historyRow[0] = "habit_history";
-        historyRow[1] = `${habitIndex}_${date}`;
-        historyRow[2] = status;
-        historyRow[3] = date;
-        rows.push(historyRow.map(escapeCSV).join(','));
-      });
-    }
-  });
-  
-  // Add settings
-  const theme = localStorage.getItem(STORAGE_KEYS.THEME);
-  addRow("settings", "theme", theme);
-  
-  const reminder = localStorage.getItem(STORAGE_KEYS.REMINDER);
-  addRow("settings", "reminder", reminder);
+}
+
+/**
+ * Restore the data from before the last import in this session
+ */
+function undoLastImport() {
+  if (!confirm('Undo the last import? Anything changed since the import will be lost.')) return;
   
-  return rows.join('\n');
+  dataStore.getBackup(IMPORT_UNDO_BACKUP)
+    .then(backup => {
+      if (!backup) {
+        throw new Error('There is no import to undo.');
+      }
+      return backupManager.restoreSnapshot(backup.data);
+    })
+    .then(() => {
+      sessionStorage.removeItem(IMPORT_UNDO_SESSION_KEY);
+      return dataStore.deleteBackup(IMPORT_UNDO_BACKUP);
+    })
+    .then(() => {
+      utils.showToast('Import undone! Reloading app...', 'success');
+      setTimeout(() => location.reload(), 1500);
+    })
+    .catch(error => {
+      console.error('Undo import error:', error);
+      utils.showToast(`Could not undo the import: ${error.message}`, 'error');
+    });
 }
 
 /**
- * Parse CSV data and convert to app format
+ * Convert application data to CSV format
+ */
+function convertDataToCSV() {
+  return csvExport.toCSV(trackingService.collectExport(dataStore));
+}
+
+/**
+ * Parse CSV data and convert to app format.
+ * Rows that cannot be imported are left out and listed in the returned report,
+ * with their line in the file and the reason, for the import preview to show.
+ * @param {string} csvData - CSV text, comma or semicolon separated
+ * @returns {Object} - Import data, with report: { delimiter, rows, rejected: [{ line, reason }] }
  */
 function parseCSVData(csvData) {
-  const rows = csvData.split(/\r?\n/);
-  if (rows.length < 2) throw new Error('Invalid CSV file format');
+  const csv = csvParser.parse(csvData);
   
-  const headers = parseCSVRow(rows[0]);
-  const headerMap = {};
-  headers.forEach((header, index) => {
-    headerMap[header] = index;
-  });
+  const missingColumns = ['data_type', 'key', 'value'].filter(column => !csv.headers.includes(column));
+  if (missingColumns.length > 0) {
+    throw new Error(`Invalid CSV file format - missing column ${missingColumns.join(', ')}`);
+  }
   
   // Initialize data structure
   const importedData = {
     version: "3.0",
-    exportDate: new Date().toISOString(),
+    exportDate: appClock.now().toISOString(),
     water: { goal: null, intake: null, history: {} },
     protein: { goal: null, intake: null, history: {} },
     workout: { state: {}, count: {}, history: {} },
@@ -936,133 +1269,180 @@ function parseCSVData(csvData) {
     settings: { theme: null, reminder: null }
   };
   
-  // Process each data row
-  for (let i = 1; i < rows.length; i++) {
-    if (!rows[i].trim()) continue;
+  const rejected = csv.rejected.slice();
+  // Lines of habit history rows by habit index, rejected later if the habit itself is missing
+  const habitHistoryLines = {};
+  
+  const isCount = value => /^\d+$/.test(value);
+  const keyedValues = {
+    meta: ['version', 'exportDate'],
+    water: ['goal', 'intake'],
+    protein: ['goal', 'intake'],
+    settings: ['theme', 'reminder']
+  };
+  
+  // Each data type reads one row into importedData, or returns why the row cannot be imported
+  const readers = {
+    keyed(field, dataType) {
+      const key = field('key');
+      if (!keyedValues[dataType].includes(key)) return `Unknown ${dataType} key "${key}"`;
+      
+      const target = dataType === 'meta' ? importedData : importedData[dataType];
+      target[key] = field('value') || (dataType === 'meta' ? target[key] : null);
+      return null;
+    },
     
-    const row = parseCSVRow(rows[i]);
-    const dataType = row[headerMap.data_type];
-    const key = row[headerMap.key];
-    const value = row[headerMap.value];
+    intakeHistory(field, dataType) {
+      const type = dataType.replace('_history', '');
+      const date = field('date');
+      const amount = intakeRules.parseAmount(field('amount'));
+      
+      if (!calendar.isDateKey(date)) return `Invalid date "${date}"`;
+      if (amount === null) return `Invalid amount "${field('amount')}"`;
+      
+      if (!importedData[type].history[date]) {
+        importedData[type].history[date] = [];
+      }
+      
+      importedData[type].history[date].push({
+        amount: amount,
+        timestamp: field('timestamp')
+      });
+      return null;
+    },
     
-    switch (dataType) {
-      case 'meta':
-        if (key === 'version') importedData.version = value;
-        if (key === 'exportDate') importedData.exportDate = value;
-        break;
-        
-      case 'water':
-        if (key === 'goal') importedData.water.goal = value;
-        if (key === 'intake') importedData.water.intake = value;
-        break;
-        
-      case 'water_history':
-        const waterDate = row[headerMap.date];
-        const waterAmount = parseInt(row[headerMap.amount]);
-        const waterTimestamp = row[headerMap.timestamp];
-        
-        if (!importedData.water.history[waterDate]) {
-          importedData.water.history[waterDate] = [];
-        }
-        
-        importedData.water.history[waterDate].push({
-          amount: waterAmount,
-          timestamp: waterTimestamp
-        });
-        break;
-        
-      case 'protein':
-        if (key === 'goal') importedData.protein.goal = value;
-        if (key === 'intake') importedData.protein.intake = value;
-        break;
-        
-      case 'protein_history':
-        const proteinDate = row[headerMap.date];
-        const proteinAmount = parseInt(row[headerMap.amount]);
-        const proteinTimestamp = row[headerMap.timestamp];
-        
-        if (!importedData.protein.history[proteinDate]) {
-          importedData.protein.history[proteinDate] = [];
-        }
-        
-        importedData.protein.history[proteinDate].push({
-          amount: proteinAmount,
-          timestamp: proteinTimestamp
-        });
-        break;
-        
-      case 'workout_state':
-        const workoutType = row[headerMap.type];
-        const completed = row[headerMap.completed] === 'true';
-        const order = parseInt(row[headerMap.order]);
-        
-        importedData.workout.state[workoutType] = {
-          completed: completed,
-          order: order
-        };
-        break;
-        
-      case 'workout_count':
-        const countType = row[headerMap.type];
-        const count = parseInt(row[headerMap.count]);
-        importedData.workout.count[countType] = count;
-        break;
-        
-      case 'workout_history':
-        const workoutDate = row[headerMap.date];
-        const entryType = row[headerMap.type];
-        const entryCount = parseInt(row[headerMap.count]);
-        const entryTimestamp = row[headerMap.timestamp];
-        
-        if (!importedData.workout.history[workoutDate]) {
-          importedData.workout.history[workoutDate] = [];
-        }
-        
-        importedData.workout.history[workoutDate].push({
-          type: entryType,
-          count: entryCount,
-          timestamp: entryTimestamp
-        });
-        break;
-        
-      case 'habit':
-        const habitIndex = parseInt(key);
-        const habitName = row[headerMap.name];
-        const habitColor = row[headerMap.color];
-        
-        while (importedData.habits.data.length <= habitIndex) {
-          importedData.habits.data.push({ history: {} });
-        }
-        
-        importedData.habits.data[habitIndex] = {
-          name: habitName,
-          color: habitColor,
-          history: importedData.habits.data[habitIndex].history || {}
-        };
-        break;
-        
-      case 'habit_history':
-        const [habitIdx, historyDate] = key.split('_');
-        const status = value;
-        
-        const idx = parseInt(habitIdx);
-        while (importedData.habits.data.length <= idx) {
-          importedData.habits.data.push({ history: {} });
-        }
-        
-        if (!importedData.habits.data[idx].history) {
-          importedData.habits.data[idx].history = {};
-        }
-        
-        importedData.habits.data[idx].history[historyDate] = status;
-        break;
-        
-      case 'settings':
-        if (key === 'theme') importedData.settings.theme = value;
-        if (key === 'reminder') importedData.settings.reminder = value;
-        break;
+    workout_state(field) {
+      const type = field('type');
+      const order = field('order');
+      
+      if (!type) return 'Missing workout type';
+      if (!isCount(order)) return `Invalid order "${order}"`;
+      
+      importedData.workout.state[type] = {
+        completed: field('completed') === 'true',
+        order: parseInt(order)
+      };
+      return null;
+    },
+    
+    workout_count(field) {
+      const type = field('type');
+      const count = field('count');
+      
+      if (!type) return 'Missing workout type';
+      if (!isCount(count)) return `Invalid count "${count}"`;
+      
+      importedData.workout.count[type] = parseInt(count);
+      return null;
+    },
+    
+    workout_history(field) {
+      const date = field('date');
+      const type = field('type');
+      const count = field('count');
+      
+      if (!calendar.isDateKey(date)) return `Invalid date "${date}"`;
+      if (!type) return 'Missing workout type';
+      if (!isCount(count)) return `Invalid count "${count}"`;
+      
+      // Files exported before activities were recorded have no activity columns
+      const activity = workoutRules.getActivity({ sport: field('sport'), duration: field('duration'), distance: field('distance'), calories: field('calories') });
+      const invalidDetail = ['duration', 'distance', 'calories'].find(name => name in activity && !isCount(activity[name]));
+      if (invalidDetail) return `Invalid ${invalidDetail} "${activity[invalidDetail]}"`;
+      ['duration', 'distance', 'calories'].filter(name => name in activity).forEach(name => {
+        activity[name] = parseInt(activity[name]);
+      });
+      
+      if (!importedData.workout.history[date]) {
+        importedData.workout.history[date] = [];
+      }
+      
+      importedData.workout.history[date].push(Object.assign({
+        type: type,
+        count: parseInt(count),
+        timestamp: field('timestamp')
+      }, activity));
+      return null;
+    },
+    
+    habit(field) {
+      const key = field('key');
+      // Names and colors end up in the page, so markup in them is dropped
+      const name = habitRules.cleanName(field('name'));
+      
+      if (!isCount(key)) return `Invalid habit number "${key}"`;
+      if (!name) return 'Missing habit name';
+      
+      const index = parseInt(key);
+      while (importedData.habits.data.length <= index) {
+        importedData.habits.data.push({ history: {} });
+      }
+      
+      importedData.habits.data[index] = {
+        name: name,
+        color: habitRules.getColor(field('color')),
+        history: importedData.habits.data[index].history
+      };
+      return null;
+    },
+    
+    habit_history(field, dataType, line) {
+      // The key is "<habit number>_<date>"
+      const [habitKey, date] = field('key').split('_');
+      const status = field('value');
+      
+      if (!isCount(habitKey)) return `Invalid habit number "${habitKey}"`;
+      if (!calendar.isDateKey(date)) return `Invalid date "${date}"`;
+      if (!Object.values(HABIT_STATUS).includes(status)) return `Unknown habit status "${status}"`;
+      
+      const index = parseInt(habitKey);
+      while (importedData.habits.data.length <= index) {
+        importedData.habits.data.push({ history: {} });
+      }
+      
+      importedData.habits.data[index].history[date] = status;
+      (habitHistoryLines[index] = habitHistoryLines[index] || []).push(line);
+      return null;
     }
-  }
+  };
+  
+  const readerByType = {
+    meta: readers.keyed,
+    water: readers.keyed,
+    protein: readers.keyed,
+    settings: readers.keyed,
+    water_history: readers.intakeHistory,
+    protein_history: readers.intakeHistory,
+    workout_state: readers.workout_state,
+    workout_count: readers.workout_count,
+    workout_history: readers.workout_history,
+    habit: readers.habit,
+    habit_history: readers.habit_history
+  };
+  
+  csv.rows.forEach(({ line, fields }) => {
+    const field = name => {
+      const index = csv.headers.indexOf(name);
+      return index === -1 ? '' : fields[index];
+    };
+    
+    const dataType = field('data_type');
+    const reader = readerByType[dataType];
+    const reason = reader ? reader(field, dataType, line) : `Unknown data type "${dataType}"`;
+    
+    if (reason) rejected.push({ line, reason });
+  });
+  
+  // History of a habit the file has no row for cannot be imported
+  importedData.habits.data.forEach((habit, index) => {
+    if (habit.name) return;
+    (habitHistoryLines[index] || []).forEach(line => {
+      rejected.push({ line, reason: `No habit ${index} in the file` });
+    });
+  });
+  importedData.habits.data = importedData.habits.data.filter(habit => habit.name);
+  
+  rejected.sort((a, b) => a.line - b.line);
   
   // Convert to format expected by import function
   return {
@@ -1086,47 +1466,13 @@ function parseCSVData(csvData) {
     habits: {
       data: JSON.stringify(importedData.habits.data)
     },
-    settings: importedData.settings
-  };
-}
-
-/**
- * Parse a single CSV row, handling quoted values correctly
- */
-function parseCSVRow(row) {
-  const result = [];
-  let insideQuotes = false;
-  let currentValue = '';
-  let i = 0;
-  
-  while (i < row.length) {
-    const char = row[i];
-    
-    if (char === '"') {
-      if (i + 1 < row.length && row[i + 1] === '"') {
-        currentValue += '"';
-        i += 2;
-        continue;
-      }
-      
-      insideQuotes = !insideQuotes;
-      i++;
-      continue;
+    settings: importedData.settings,
+    report: {
+      delimiter: csv.delimiter,
+      rows: csv.rows.length + csv.rejected.length,
+      rejected: rejected
     }
-    
-    if (char === ',' && !insideQuotes) {
-      result.push(currentValue);
-      currentValue = '';
-      i++;
-      continue;
-    }
-    
-    currentValue += char;
-    i++;
-  }
-  
-  result.push(currentValue);
-  return result;
+  };
 }
 
 /**
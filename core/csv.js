@@ -0,0 +1,190 @@
+/**
+ * Health Tracker App - CSV
+ * This file contains the CSV reader used by the import - quoted fields, line breaks inside them, BOMs and semicolon-separated files
+ */
+
+// Delimiters a file can use - commas, or semicolons as written by Excel in many European locales
+const CSV_DELIMITERS = [',', ';'];
+
+// Byte order mark some editors put at the start of UTF-8 files
+const CSV_BOM = '\uFEFF';
+
+/**
+ * CSV reader following RFC 4180.
+ *
+ * Records are read character by character, so a quoted field can hold
+ * delimiters, quotes ("") and line breaks; a record only ends at a line break
+ * outside quotes. Every record keeps the line it starts on, so a rejected row
+ * can be pointed out in the file. A record that breaks the format is still
+ * read to its end and reported rather than guessed at.
+ */
+const csvParser = {
+  /**
+   * Pick the delimiter of a file from its header row
+   * @param {string} text - CSV text without a BOM
+   * @returns {string} - ',' or ';'
+   */
+  detectDelimiter(text) {
+    const counts = { ',': 0, ';': 0 };
+    let insideQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      if (char === '"') {
+        insideQuotes = !insideQuotes;
+      } else if (!insideQuotes && (char === '\n' || char === '\r')) {
+        break;
+      } else if (!insideQuotes && char in counts) {
+        counts[char]++;
+      }
+    }
+
+    return counts[';'] > counts[','] ? ';' : ',';
+  },
+
+  /**
+   * Read the records of a CSV text one at a time
+   * @param {string} text - CSV text without a BOM
+   * @param {string} delimiter
+   * @param {number} [firstLine=1] - Line number of the text's first line
+   * @yields {Object} - { line, fields, error } - error is a reason, or null for a valid record
+   */
+  *records(text, delimiter, firstLine = 1) {
+    let line = firstLine;
+    let recordLine = line;
+    let fields = [];
+    let field = '';
+    let error = null;
+    // 'start' of a field, 'unquoted', 'quoted' or 'closed' (after a quoted field's closing quote)
+    let state = 'start';
+
+    const fail = reason => {
+      if (!error) error = reason;
+    };
+
+    const endRecord = () => {
+      fields.push(field);
+      const record = { line: recordLine, fields, error };
+      fields = [];
+      field = '';
+      error = null;
+      state = 'start';
+      return record;
+    };
+
+    const isBlank = () => fields.length === 0 && field === '' && state === 'start';
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      const isLineBreak = char === '\n' || char === '\r';
+
+      if (isLineBreak) {
+        // \r\n counts as one line break
+        const lineBreak = char === '\r' && text[i + 1] === '\n' ? '\r\n' : char;
+        i += lineBreak.length - 1;
+        line++;
+
+        if (state === 'quoted') {
+          field += lineBreak;
+          continue;
+        }
+
+        // Blank lines between records are skipped
+        if (!isBlank()) yield endRecord();
+        recordLine = line;
+        continue;
+      }
+
+      if (state === 'quoted') {
+        if (char !== '"') {
+          field += char;
+        } else if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          state = 'closed';
+        }
+        continue;
+      }
+
+      if (char === delimiter) {
+        fields.push(field);
+        field = '';
+        state = 'start';
+        continue;
+      }
+
+      if (state === 'start' && char === '"') {
+        state = 'quoted';
+        continue;
+      }
+
+      if (state === 'closed') {
+        fail(`Unexpected "${char}" after a closing quote in field ${fields.length + 1}`);
+      } else if (char === '"') {
+        fail(`Quote inside an unquoted field (field ${fields.length + 1})`);
+      }
+
+      field += char;
+      state = state === 'closed' ? 'closed' : 'unquoted';
+    }
+
+    if (state === 'quoted') {
+      fail(`Quoted field ${fields.length + 1} is never closed`);
+    }
+    if (!isBlank()) yield endRecord();
+  },
+
+  /**
+   * Read a CSV file into a header and data rows, with a report of the rows that could not be read
+   * @param {string} text - CSV text
+   * @returns {Object} - { delimiter, headers, rows: [{ line, fields }], rejected: [{ line, reason }] }
+   */
+  parse(text) {
+    let body = text.startsWith(CSV_BOM) ? text.slice(CSV_BOM.length) : text;
+    let firstLine = 1;
+    let delimiter = null;
+
+    // Excel's "sep=;" line names the delimiter
+    const hint = body.match(/^sep=(.)\r?\n/);
+    if (hint && CSV_DELIMITERS.includes(hint[1])) {
+      delimiter = hint[1];
+      body = body.slice(hint[0].length);
+      firstLine = 2;
+    }
+
+    if (!delimiter) delimiter = this.detectDelimiter(body);
+
+    const result = { delimiter, headers: null, rows: [], rejected: [] };
+
+    for (const record of this.records(body, delimiter, firstLine)) {
+      if (!result.headers) {
+        if (record.error) {
+          throw new Error(`The header row on line ${record.line} cannot be read: ${record.error}`);
+        }
+        result.headers = record.fields.map(header => header.trim());
+        continue;
+      }
+
+      if (record.error) {
+        result.rejected.push({ line: record.line, reason: record.error });
+      } else if (record.fields.length !== result.headers.length) {
+        result.rejected.push({
+          line: record.line,
+          reason: `Expected ${result.headers.length} fields, found ${record.fields.length}`
+        });
+      } else {
+        result.rows.push({ line: record.line, fields: record.fields });
+      }
+    }
+
+    if (!result.headers) throw new Error('Invalid CSV file format');
+
+    return result;
+  }
+};
+
+// Outside the browser (Node, test runners) the reader can be loaded as a module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { csvParser };
+}
\ No newline at end of file
@@ -0,0 +1,248 @@
+/**
+ * Health Tracker App - Day Start
+ * This file contains the setting for when the tracking day starts, and re-dating saved entries to match it
+ */
+
+/**
+ * Changes the hour the tracking day starts at (read through utils.getDayStartHour).
+ *
+ * A new day start applies to entries logged from then on. Saved entries keep
+ * their dates unless the user asks to re-date them, which moves intake and
+ * workout entries to the day their time now belongs to. Habit days have no
+ * times, so they are never moved.
+ */
+const dayStart = {
+  /**
+   * Register the re-dating undo handler and connect the day start panel
+   */
+  init() {
+    actionJournal.register('history.redate', {
+      undo: ({ moves }) => this.applyMoves(moves, true),
+      redo: ({ moves }) => this.applyMoves(moves, false)
+    });
+
+    const select = document.getElementById('day-start-hour');
+    if (select) {
+      for (let hour = 0; hour <= MAX_DAY_START_HOUR; hour++) {
+        const option = document.createElement('option');
+        option.value = hour;
+        option.textContent = this.formatHour(hour);
+        select.appendChild(option);
+      }
+
+      select.addEventListener('change', () => {
+        const hour = parseInt(select.value);
+        if (this.setHour(hour)) {
+          utils.showToast(`Your day now starts at ${this.formatHour(hour)}.`, 'success');
+        }
+      });
+    }
+
+    // Show the active profile's setting whenever the panel is opened
+    const toggle = document.getElementById('day-start-toggle');
+    if (toggle) {
+      toggle.addEventListener('click', () => this.syncPanel());
+    }
+
+    const redateBtn = document.getElementById('redate-history');
+    if (redateBtn) {
+      redateBtn.addEventListener('click', () => {
+        if (!confirm(`Move water, protein and workout entries to the day they belong to with a day start of ${this.formatHour(utils.getDayStartHour())}?`)) return;
+        this.redateHistory();
+      });
+    }
+
+    this.syncPanel();
+  },
+
+  /**
+   * Name an hour the way the day start select shows it
+   * @param {number} hour - 0 to MAX_DAY_START_HOUR
+   * @returns {string} - e.g. 'Midnight' or '4 AM'
+   */
+  formatHour(hour) {
+    if (hour === 0) return 'Midnight';
+    if (hour === 12) return 'Noon';
+    return `${hour} AM`;
+  },
+
+  /**
+   * Select the saved day start in the panel
+   */
+  syncPanel() {
+    const select = document.getElementById('day-start-hour');
+    if (select) {
+      select.value = utils.getDayStartHour();
+    }
+  },
+
+  /**
+   * Save a new day start and move the trackers to the day that is now current
+   * @param {number} hour - 0 (midnight) to MAX_DAY_START_HOUR
+   * @returns {boolean} - Whether the setting changed
+   */
+  setHour(hour) {
+    if (!(hour >= 0 && hour <= MAX_DAY_START_HOUR) || hour === utils.getDayStartHour()) {
+      return false;
+    }
+
+    const previousDayKey = utils.getDayKey();
+    if (hour > 0) {
+      if (!storageManager.safeSetItem(STORAGE_KEYS.DAY_START_HOUR, hour)) return false;
+    } else {
+      profileStorage.removeItem(STORAGE_KEYS.DAY_START_HOUR);
+    }
+    const dayKey = utils.getDayKey();
+
+    // A later start can make the previous date today again - that is not a new day
+    if (dayKey < previousDayKey) {
+      getTrackers().forEach(tracker => profileStorage.setItem(tracker.lastResetKey, dayKey));
+    }
+
+    // Today is a different date now, so its total comes from that date's entries
+    if (dayKey !== previousDayKey) {
+      getTrackers().filter(tracker => tracker instanceof Tracker).forEach(tracker => tracker.recountTotal());
+    }
+
+    this.refreshTrackers();
+    return true;
+  },
+
+  /**
+   * Move the trackers to the current day after the day start changed, here or in another tab
+   */
+  refreshTrackers() {
+    // Starts the new day if one has begun, and reschedules the next rollover
+    dayRollover.check();
+    getTrackers().forEach(tracker => tracker.refreshDay());
+    this.syncPanel();
+    eventBus.emit(APP_EVENTS.DAY_START_CHANGED, { hour: utils.getDayStartHour() });
+  },
+
+  /**
+   * Get the date an entry belongs on with the current day start
+   * @param {string} date - Date the entry is stored under (YYYY-MM-DD)
+   * @param {string} timestamp - When the entry was logged
+   * @returns {string} - New date, or the same date if the entry stays
+   */
+  getRedatedKey(date, timestamp) {
+    const time = new Date(timestamp);
+    if (!timestamp || isNaN(time.getTime())) return date;
+
+    // Only entries stored on the date they were logged, or the one before, were dated by a
+    // day start - others were entered for another day on purpose, e.g. in an import
+    const dayBefore = new Date(time);
+    dayBefore.setDate(dayBefore.getDate() - 1);
+    if (date !== utils.formatDate(time) && date !== utils.formatDate(dayBefore)) return date;
+
+    return utils.getDayKey(time);
+  },
+
+  /**
+   * Get the live and archived day maps of a module in a snapshot
+   * @param {Object} snapshot - From dataStore.getSnapshot()
+   * @param {string} module - 'water', 'protein' or 'workouts'
+   * @returns {Object[]} - Entries keyed by date
+   */
+  getHistories(snapshot, module) {
+    const live = module === 'workouts' ? snapshot.dataset.workoutHistory : snapshot.dataset.intake[module];
+    return [live, snapshot.archived[module]].filter(Boolean);
+  },
+
+  /**
+   * Find the entries that belong on another day with the current day start
+   * @param {Object} snapshot - From dataStore.getSnapshot()
+   * @returns {Array} - Moves: { module, id, from, to }
+   */
+  findMoves(snapshot) {
+    const moves = [];
+
+    [...INTAKE_TYPES, 'workouts'].forEach(module => {
+      this.getHistories(snapshot, module).forEach(history => {
+        Object.entries(history).forEach(([date, entries]) => {
+          entries.forEach(entry => {
+            const to = this.getRedatedKey(date, entry.timestamp);
+            if (entry.id && to !== date) {
+              moves.push({ module, id: entry.id, from: date, to });
+            }
+          });
+        });
+      });
+    });
+
+    return moves;
+  },
+
+  /**
+   * Move entries between days and save the result
+   * @param {Array} moves - From findMoves()
+   * @param {boolean} reverse - Move them back instead, for undo
+   * @returns {Promise<boolean>} - Whether the data was saved
+   */
+  applyMoves(moves, reverse) {
+    const snapshot = dataStore.getSnapshot();
+    const byTimestamp = (a, b) => String(a.timestamp).localeCompare(String(b.timestamp));
+
+    moves.forEach(move => {
+      const from = reverse ? move.to : move.from;
+      const to = reverse ? move.from : move.to;
+
+      this.getHistories(snapshot, move.module).some(history => {
+        const entries = history[from] || [];
+        const index = entries.findIndex(entry => entry.id === move.id);
+        if (index === -1) return false;
+
+        const [entry] = entries.splice(index, 1);
+        if (entries.length === 0) {
+          delete history[from];
+        }
+
+        // A move is a change, so it wins over the old date when merged with other devices
+        entry.modified = logicalClock.now();
+
+        if (!history[to]) history[to] = [];
+        history[to].push(entry);
+        history[to].sort(byTimestamp);
+        return true;
+      });
+    });
+
+    return dataStore.restoreSnapshot(snapshot).then(saved => {
+      // The data store cache was replaced, so the trackers fetch it again
+      getTrackers().forEach(tracker => tracker.reloadData());
+      getTrackers().filter(tracker => tracker instanceof Tracker).forEach(tracker => tracker.recountTotal());
+      return saved;
+    });
+  },
+
+  /**
+   * Move saved intake and workout entries to the day they belong to with the current day start
+   * @returns {Promise<boolean>} - Whether anything was moved
+   */
+  redateHistory() {
+    const moves = this.findMoves(dataStore.getSnapshot());
+    if (moves.length === 0) {
+      utils.showToast('All entries are already on the right day.', 'info');
+      return Promise.resolve(false);
+    }
+
+    return this.applyMoves(moves, false)
+      .then(saved => {
+        if (!saved) {
+          throw new Error('Could not save the re-dated entries.');
+        }
+
+        // Older journal entries point at the old dates
+        actionJournal.clear();
+        actionJournal.record('history.redate', `Re-date ${moves.length} entries`, { moves });
+
+        utils.showToast(`Moved ${moves.length} ${moves.length === 1 ? 'entry' : 'entries'} to the day they belong to.`, 'success');
+        return true;
+      })
+      .catch(error => {
+        console.error('Error re-dating history:', error);
+        utils.showToast(error.message, 'error');
+        return false;
+      });
+  }
+};
\ No newline at end of file
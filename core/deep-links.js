@@ -0,0 +1,198 @@
+/**
+ * Health Tracker App - Deep Links
+ * This file contains the router for links that open a tab or log data, from app shortcuts, the web+healthtracker protocol, NFC tags and automation apps
+ */
+
+// Scheme registered in the manifest's protocol_handlers, which opens index.html?data=<link>
+const DEEP_LINK_PROTOCOL = 'web+healthtracker:';
+
+// Query parameters the router reads from the app's URL - other parameters belong to other features
+const DEEP_LINK_PARAMS = ['data', 'tab', 'add', 'workout', 'habit'];
+
+// Tabs a link can open (the tab buttons' data-app)
+const DEEP_LINK_TABS = ['water', 'protein', 'workout', 'habits'];
+
+// Most a single link can add - a larger amount is more likely a typo in the link than a drink or a meal
+const DEEP_LINK_MAX_AMOUNTS = {
+  water: 5000,
+  protein: 300
+};
+
+/**
+ * Deep link router.
+ *
+ * Commands are query parameters, and a link can hold several:
+ *   ?tab=water              open a tab
+ *   ?add=water:250          add intake (water in ml, protein in g)
+ *   ?workout=Legs           complete a workout
+ *   ?habit=Meditate:done    mark today's status of a habit (done or fail, done if left out)
+ * The protocol form carries the same commands: web+healthtracker:add=water:250
+ *
+ * Every command is checked before any is run, and a link with one bad command
+ * logs nothing. Links that log data and come from outside the app are confirmed
+ * first. Logging goes through the trackers, so it can be undone like a tap.
+ */
+const deepLinks = {
+  /**
+   * Run the commands of the link the app was opened with
+   */
+  init() {
+    const url = new URL(window.location.href);
+    const protocolLink = url.searchParams.get('data');
+
+    let params = new URLSearchParams([...url.searchParams].filter(([name]) => DEEP_LINK_PARAMS.includes(name)));
+    if ([...params].length === 0) return;
+
+    if (protocolLink !== null) {
+      params = this.parseProtocolLink(protocolLink);
+      if (!params) {
+        utils.showToast('That link is not a Daily Tracker link.', 'error');
+      }
+    }
+
+    // A reload should not log the link again
+    DEEP_LINK_PARAMS.forEach(name => url.searchParams.delete(name));
+    history.replaceState(null, '', url.href);
+
+    if (params) {
+      this.run(params, protocolLink !== null || !this.isFromApp());
+    }
+  },
+
+  /**
+   * Read the commands of a web+healthtracker: link
+   * @param {string} link - e.g. 'web+healthtracker:add=water:250', '//' and '?' after the scheme are allowed
+   * @returns {URLSearchParams|null} - null if the link has another scheme
+   */
+  parseProtocolLink(link) {
+    if (!link.toLowerCase().startsWith(DEEP_LINK_PROTOCOL)) return null;
+    return new URLSearchParams(link.slice(DEEP_LINK_PROTOCOL.length).replace(/^\/*\??/, ''));
+  },
+
+  /**
+   * Check whether the app was opened from one of its own pages
+   * @returns {boolean}
+   */
+  isFromApp() {
+    try {
+      return !!document.referrer && new URL(document.referrer).origin === window.location.origin;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Check a link's commands and turn them into actions
+   * @param {URLSearchParams} params
+   * @returns {Object} - { actions: [{ label, tab, run }], tab, error } - error is set if any command is invalid
+   */
+  parse(params) {
+    const result = { actions: [], tab: null, error: null };
+
+    for (const [name, value] of params) {
+      if (name === 'tab') {
+        if (!DEEP_LINK_TABS.includes(value)) {
+          result.error = `There is no "${value}" tab.`;
+          return result;
+        }
+        result.tab = value;
+        continue;
+      }
+
+      const parser = this.commands[name];
+      if (!parser) {
+        result.error = `Links cannot "${name}".`;
+        return result;
+      }
+
+      const action = parser(value.trim());
+      if (typeof action === 'string') {
+        result.error = action;
+        return result;
+      }
+      result.actions.push(action);
+    }
+
+    return result;
+  },
+
+  // Each command checks its value and returns an action, or why it cannot be run
+  commands: {
+    add(value) {
+      const [type, amountText] = value.split(':');
+      if (!(type in DEEP_LINK_MAX_AMOUNTS)) return `Links can add water or protein, not "${type}".`;
+
+      const tracker = type === 'water' ? window.waterTracker : window.proteinTracker;
+      const amount = intakeRules.parseAmount(amountText);
+      if (amount === null || String(amount) !== amountText) return `"${amountText || ''}" is not an amount of ${type}.`;
+      if (amount > DEEP_LINK_MAX_AMOUNTS[type]) return `A link can add at most ${DEEP_LINK_MAX_AMOUNTS[type]} ${tracker.unit} of ${type}.`;
+
+      return {
+        label: `Add ${amount} ${tracker.unit} of ${type}`,
+        tab: type,
+        run: () => tracker.addIntake(amount)
+      };
+    },
+
+    workout(value) {
+      const tracker = window.workoutTracker;
+      const type = tracker.workoutTypes.find(item => item.toLowerCase() === value.toLowerCase());
+      if (!type) return `There is no "${value}" workout.`;
+
+      return {
+        label: `Complete a ${type} workout`,
+        tab: 'workout',
+        run: () => tracker.toggleWorkout(type)
+      };
+    },
+
+    habit(value) {
+      // The status is optional, and a habit name can hold colons
+      const separator = value.lastIndexOf(':');
+      const statusText = separator === -1 ? '' : value.slice(separator + 1).trim().toLowerCase();
+      const hasStatus = Object.values(HABIT_STATUS).includes(statusText);
+      const name = hasStatus ? value.slice(0, separator).trim() : value;
+      const status = hasStatus ? statusText : HABIT_STATUS.DONE;
+
+      const tracker = window.habitsTracker;
+      const habit = tracker.habits.find(item => (item.name || '').trim().toLowerCase() === name.toLowerCase());
+      if (!habit) return `There is no habit called "${name}".`;
+
+      return {
+        label: `Mark "${habit.name}" ${status === HABIT_STATUS.DONE ? 'done' : 'not done'} today`,
+        tab: 'habits',
+        run: () => tracker.setHabitDay(habit, utils.getDayKey(), status)
+      };
+    }
+  },
+
+  /**
+   * Run a link's commands
+   * @param {URLSearchParams} params
+   * @param {boolean} confirmFirst - Ask before logging anything
+   */
+  run(params, confirmFirst) {
+    const { actions, tab, error } = this.parse(params);
+
+    if (error) {
+      utils.showToast(`Link not run: ${error}`, 'error', 5000);
+      return;
+    }
+
+    const tabToShow = tab || (actions.length > 0 ? actions[actions.length - 1].tab : null);
+    if (tabToShow) {
+      const tabButton = document.querySelector(`.tab-btn[data-app="${tabToShow}"]`);
+      if (tabButton && !tabButton.classList.contains('active')) {
+        tabButton.click();
+      }
+    }
+
+    if (actions.length === 0) return;
+
+    if (confirmFirst && !confirm(`A link wants to log this:\n\n${actions.map(action => `• ${action.label}`).join('\n')}\n\nLog it?`)) {
+      return;
+    }
+
+    actions.forEach(action => action.run());
+  }
+};
\ No newline at end of file
@@ -0,0 +1,850 @@
+/**
+ * Health Tracker App - Domain
+ * This file contains the tracking rules behind the views - intake, goals, the workout rotation, habit days, streaks, scores, the CSV export and the JSON backup format
+ */
+
+// Habit day statuses - a day without a status counts as not done
+const HABIT_STATUS = {
+  DONE: 'done',
+  FAIL: 'fail'
+};
+
+// Colors a habit can be shown in, with the hex code of each
+const HABIT_COLORS = {
+  'default': '#673AB7', // habits-primary
+  'red': '#FF0000',
+  'coral': '#FF5042',
+  'pink': '#FF4A8D',
+  'lightpink': '#FFC8F0',
+  'purple': '#B96CDA',
+  'navy': '#334C77',
+  'skyblue': '#58B5F0',
+  'royalblue': '#5B6EF7',
+  'blue': '#2196F3',
+  'teal': '#40BBD4',
+  'lightblue': '#77D1F3',
+  'lightgreen': '#5DD959',
+  'green': '#4CAF50',
+  'darkgreen': '#159D82',
+  'seagreen': '#4AD6B8',
+  'yellow': '#FFDE0A',
+  'orange': '#FF9F29',
+  'tangerine': '#FF7B29',
+  'darkorange': '#E25C28',
+  'gray': '#A5A5A5'
+};
+
+// Score charts - how many points each period shows, how far apart they are and how many days each score covers
+const SCORE_PERIODS = {
+  weekly: { points: 7, step: { days: 1 }, window: 7 },
+  monthly: { points: 5, step: { days: 7 }, window: 7 },
+  quarterly: { points: 12, step: { days: 7 }, window: 14 },
+  yearly: { points: 12, step: { months: 1 }, window: 30 }
+};
+
+// The workout comparison chart draws a line per type, so it uses fewer points
+const COMPARISON_SCORE_PERIODS = {
+  weekly: { points: 7, step: { days: 1 }, window: 7 },
+  monthly: { points: 4, step: { days: 7 }, window: 7 },
+  quarterly: { points: 6, step: { days: 14 }, window: 14 },
+  yearly: { points: 6, step: { months: 2 }, window: 30 }
+};
+
+// What a workout recorded on a watch or bike computer keeps about the activity - the sport's name,
+// the elapsed time in seconds, the distance in metres and the energy in kcal
+const WORKOUT_ACTIVITY_FIELDS = ['sport', 'duration', 'distance', 'calories'];
+
+// Identifies backup files and the layout of their contents
+const BACKUP_FORMAT = 'health-tracker-backup';
+const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * Date keys (YYYY-MM-DD) in local time
+ */
+const calendar = {
+  /**
+   * Format a date as a date key
+   * @param {Date|string|number} date
+   * @returns {string}
+   */
+  formatDate(date) {
+    const d = new Date(date);
+    const month = String(d.getMonth() + 1).padStart(2, '0');
+    const day = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${month}-${day}`;
+  },
+
+  /**
+   * Check whether a value is a valid date key
+   * @param {string} value
+   * @returns {boolean}
+   */
+  isDateKey(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && this.formatDate(this.parseDateKey(value)) === value;
+  },
+
+  /**
+   * Read a date key as local midnight of that day
+   * @param {string} dateKey - YYYY-MM-DD
+   * @returns {Date}
+   */
+  parseDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  },
+
+  /**
+   * Get the tracking day a moment belongs to
+   * @param {Date|string|number} moment
+   * @param {number} dayStartHour - Hour the tracking day starts at, 0 for midnight
+   * @returns {Date} - Local midnight of that day
+   */
+  getLogicalDay(moment, dayStartHour) {
+    const day = new Date(moment);
+    day.setHours(day.getHours() - dayStartHour);
+    day.setHours(0, 0, 0, 0);
+    return day;
+  },
+
+  /**
+   * Get the date key of the day after another
+   * @param {string} dateKey - YYYY-MM-DD
+   * @returns {string}
+   */
+  getNextDateKey(dateKey) {
+    const date = this.parseDateKey(dateKey);
+    date.setDate(date.getDate() + 1);
+    return this.formatDate(date);
+  }
+};
+
+/**
+ * Streaks and consistency scores, shared by habits and workouts
+ */
+const scoring = {
+  /**
+   * Find the runs of consecutive days in a list of dates
+   * @param {string[]} dateKeys - Days that count (YYYY-MM-DD), in any order
+   * @param {number} [minLength] - Shortest run to include
+   * @returns {Array} - Streaks ({ start, end, length }), longest first
+   */
+  findStreaks(dateKeys, minLength = 1) {
+    const streaks = [];
+    let current = null;
+
+    [...new Set(dateKeys)].sort().forEach(date => {
+      if (current && calendar.getNextDateKey(current.end) === date) {
+        current.end = date;
+        current.length++;
+        return;
+      }
+
+      if (current) streaks.push(current);
+      current = { start: date, end: date, length: 1 };
+    });
+
+    if (current) streaks.push(current);
+
+    return streaks
+      .filter(streak => streak.length >= minLength)
+      .sort((a, b) => b.length - a.length);
+  },
+
+  /**
+   * Score how consistently something was done in the days up to a date.
+   * Recent days and consecutive days count for more, missed days let the score decay.
+   * @param {Date} endDate - Last day of the period
+   * @param {number} days - Number of days to look back
+   * @param {Function} scoreDay - Gets a date key, returns null if the day was missed or the extra points it earns
+   * @returns {number} - Consistency score (0-100)
+   */
+  getConsistencyScore(endDate, days, scoreDay) {
+    let score = 0;
+    const today = new Date(endDate);
+
+    // Define weight factors
+    const recentWeight = 1.5;  // Recent days matter more
+    const streakBonus = 5;     // Bonus points for consecutive days
+    const maxScore = 100;      // Maximum possible score
+    const basePoints = 70;     // Base points for a completed day
+    const decayRate = 0.9;     // How quickly score decays on missed days
+
+    let currentStreak = 0;
+    let maxStreakInPeriod = 0;
+
+    for (let i = 0; i < days; i++) {
+      const date = new Date(today);
+      date.setDate(today.getDate() - i);
+
+      // Weight factor decreases as we go further back in time
+      const dayWeight = (days - i) / days * (i < 7 ? recentWeight : 1);
+      const extraPoints = scoreDay(calendar.formatDate(date));
+
+      if (extraPoints !== null) {
+        score += (basePoints + extraPoints) * dayWeight;
+
+        currentStreak++;
+        maxStreakInPeriod = Math.max(maxStreakInPeriod, currentStreak);
+
+        if (currentStreak > 1) {
+          score += Math.min(streakBonus * currentStreak, 30) * dayWeight;
+        }
+      } else {
+        currentStreak = 0;
+        score *= decayRate;
+      }
+    }
+
+    // Normalize score to 0-100 range
+    let normalizedScore = Math.min(Math.round(score / days), maxScore);
+
+    // Add bonus for max streak achieved in period
+    if (maxStreakInPeriod > 3) {
+      normalizedScore += Math.min(streakBonus * maxStreakInPeriod / 2, 15);
+    }
+
+    return Math.min(Math.max(Math.round(normalizedScore), 0), maxScore);
+  },
+
+  /**
+   * Get the points of a score chart
+   * @param {Date} today - Current tracking day
+   * @param {Object} period - Entry of SCORE_PERIODS or COMPARISON_SCORE_PERIODS
+   * @param {Function} getScore - Gets the last day and the length of a window, returns its score
+   * @returns {Array} - Data points ({ date, value }), oldest first
+   */
+  getScoreSeries(today, period, getScore) {
+    const dataPoints = [];
+
+    for (let i = period.points - 1; i >= 0; i--) {
+      const date = new Date(today);
+      if (period.step.months) {
+        date.setMonth(today.getMonth() - i * period.step.months);
+      } else {
+        date.setDate(today.getDate() - i * period.step.days);
+      }
+
+      dataPoints.push({ date, value: getScore(date, period.window) });
+    }
+
+    return dataPoints;
+  }
+};
+
+/**
+ * Water and protein intake
+ */
+const intakeRules = {
+  /**
+   * Add up the amounts of a day's entries
+   * @param {Object[]} [entries] - Intake entries
+   * @returns {number}
+   */
+  getTotal(entries) {
+    return (entries || []).reduce((sum, entry) => sum + entry.amount, 0);
+  },
+
+  /**
+   * Get how much is left to reach the goal
+   * @param {number} goal - Daily goal, 0 for none
+   * @param {number} total - Amount so far
+   * @returns {number}
+   */
+  getRemaining(goal, total) {
+    return goal > total ? goal - total : 0;
+  },
+
+  /**
+   * Get how far along the goal a total is
+   * @param {number} goal - Daily goal, 0 for none
+   * @param {number} total - Amount so far
+   * @returns {number} - Percentage, not capped at 100
+   */
+  getGoalPercent(goal, total) {
+    return goal > 0 ? (total / goal) * 100 : 0;
+  },
+
+  /**
+   * Read an amount or goal typed by the user
+   * @param {string|number} value
+   * @returns {number|null} - Positive whole number, null if the value isn't one
+   */
+  parseAmount(value) {
+    const amount = parseInt(value);
+    return isNaN(amount) || amount <= 0 ? null : amount;
+  }
+};
+
+/**
+ * The workout rotation - each type is ticked off once, and the tabs start over when all are done
+ */
+const workoutRules = {
+  // Workout types in their default tab order
+  types: ['Chest', 'Back', 'Shoulders', 'Biceps', 'Triceps', 'Abs', 'Legs'],
+
+  /**
+   * Get the rotation at the start of a cycle
+   * @param {string[]} [types] - Workout types in tab order
+   * @returns {Object} - { state, counts }
+   */
+  createRotation(types = this.types) {
+    const state = {};
+    const counts = {};
+    types.forEach((type, order) => {
+      state[type] = { completed: false, order };
+      counts[type] = 0;
+    });
+    return { state, counts };
+  },
+
+  /**
+   * Tick off a workout type
+   * @param {Object} rotation - { state, counts }, left unchanged
+   * @param {string} type - Workout type
+   * @param {string[]} [types] - Workout types in tab order
+   * @returns {Object} - { state, counts, count, cycleComplete } - count is how many times the type
+   * was done this cycle; when the cycle is complete, state and counts are those of the next cycle
+   */
+  complete(rotation, type, types = this.types) {
+    const next = JSON.parse(JSON.stringify(rotation));
+    next.counts[type] = (next.counts[type] || 0) + 1;
+    next.state[type] = Object.assign({ order: types.indexOf(type) }, next.state[type], { completed: true });
+
+    const count = next.counts[type];
+    const cycleComplete = Object.values(next.state).every(state => state.completed);
+    const result = cycleComplete ? this.createRotation(types) : next;
+
+    return { state: result.state, counts: result.counts, count, cycleComplete };
+  },
+
+  /**
+   * Get the order the tabs are shown in - open types first, each group in rotation order
+   * @param {Object} state - Workout state keyed by type
+   * @returns {string[]}
+   */
+  getTabOrder(state) {
+    return Object.entries(state)
+      .sort(([, a], [, b]) => {
+        if (a.completed !== b.completed) {
+          return a.completed ? 1 : -1;
+        }
+        return a.order - b.order;
+      })
+      .map(([type]) => type);
+  },
+
+  /**
+   * Check whether a day counts as a workout day
+   * @param {Object[]} [entries] - Workout entries of the day
+   * @param {string|null} [type] - Only count this workout type
+   * @returns {boolean}
+   */
+  isWorkoutDay(entries, type = null) {
+    return type ? (entries || []).some(entry => entry.type === type) : (entries || []).length > 0;
+  },
+
+  /**
+   * Score how consistently workouts were done. Days with several types earn extra points.
+   * @param {Object} history - Workout entries keyed by date
+   * @param {Date} endDate - Last day of the period
+   * @param {number} days - Number of days to look back
+   * @param {string|null} [type] - Only count this workout type
+   * @returns {number} - Consistency score (0-100)
+   */
+  getConsistencyScore(history, endDate, days, type = null) {
+    return scoring.getConsistencyScore(endDate, days, dateKey => {
+      const entries = history[dateKey] || [];
+      if (!this.isWorkoutDay(entries, type)) return null;
+
+      if (type || entries.length < 2) return 0;
+      const uniqueTypes = new Set(entries.map(entry => entry.type)).size;
+      return Math.min(uniqueTypes * 5, 30);
+    });
+  },
+
+  /**
+   * Find workout streaks - runs of at least two workout days in a row
+   * @param {Object} history - Workout entries keyed by date
+   * @param {string|null} [type] - Only count this workout type
+   * @returns {Array} - Streaks ({ start, end, length }), longest first
+   */
+  getStreaks(history, type = null) {
+    const dates = Object.keys(history).filter(date => this.isWorkoutDay(history[date], type));
+    return scoring.findStreaks(dates, 2);
+  },
+
+  /**
+   * Get the details of a recorded activity
+   * @param {Object} entry - Workout entry
+   * @returns {Object} - The WORKOUT_ACTIVITY_FIELDS the entry has, empty for a workout logged in the app
+   */
+  getActivity(entry) {
+    const activity = {};
+    WORKOUT_ACTIVITY_FIELDS.forEach(field => {
+      if (entry[field] !== undefined && entry[field] !== null && entry[field] !== '') {
+        activity[field] = entry[field];
+      }
+    });
+    return activity;
+  },
+
+  /**
+   * Describe a recorded activity, e.g. "Running - 1 h 5 min, 10.4 km, 720 kcal"
+   * @param {Object} entry - Workout entry
+   * @returns {string|null} - null for a workout logged in the app
+   */
+  describeActivity(entry) {
+    if (!entry.sport) return null;
+
+    const details = [];
+    if (entry.duration > 0) {
+      const minutes = Math.round(entry.duration / 60);
+      details.push(minutes >= 60 ? `${Math.floor(minutes / 60)} h ${minutes % 60} min` : `${minutes} min`);
+    }
+    if (entry.distance > 0) {
+      details.push(entry.distance >= 1000 ? `${(entry.distance / 1000).toFixed(1)} km` : `${Math.round(entry.distance)} m`);
+    }
+    if (entry.calories > 0) {
+      details.push(`${Math.round(entry.calories)} kcal`);
+    }
+
+    return details.length > 0 ? `${entry.sport} - ${details.join(', ')}` : entry.sport;
+  }
+};
+
+/**
+ * Habit days
+ */
+const habitRules = {
+  // Color names, 'default' first
+  colors: Object.keys(HABIT_COLORS),
+
+  /**
+   * Turn a habit name from a file into plain text - anything that looks like an HTML tag is dropped
+   * @param {string} name
+   * @returns {string}
+   */
+  cleanName(name) {
+    return String(name || '').replace(/<\/?[a-zA-Z!][^>]*>?/g, '').trim();
+  },
+
+  /**
+   * Get a habit color, or the default color for one the app does not have
+   * @param {string} color
+   * @returns {string}
+   */
+  getColor(color) {
+    return this.colors.includes(color) ? color : 'default';
+  },
+
+  /**
+   * Get the habit color closest to a color from another app
+   * @param {string} hex - '#RRGGBB' or 'RRGGBB'
+   * @returns {string} - Color name, 'default' if the value is not a hex color
+   */
+  getNearestColor(hex) {
+    const toRGB = value => {
+      const match = /^#?([0-9a-f]{6})$/i.exec(String(value || '').trim());
+      return match ? [0, 2, 4].map(start => parseInt(match[1].substr(start, 2), 16)) : null;
+    };
+
+    const rgb = toRGB(hex);
+    if (!rgb) return 'default';
+
+    const distance = name => toRGB(HABIT_COLORS[name]).reduce((sum, channel, index) => sum + (channel - rgb[index]) ** 2, 0);
+    return this.colors.reduce((nearest, name) => (distance(name) < distance(nearest) ? name : nearest));
+  },
+
+  /**
+   * Pick a color for the n-th habit that comes without one, going round the palette
+   * @param {number} index
+   * @returns {string}
+   */
+  getColorByIndex(index) {
+    const palette = this.colors.filter(color => color !== 'default');
+    return palette[index % palette.length];
+  },
+
+  /**
+   * Get the status a habit day gets when it is tapped
+   * @param {string} [status] - Current status, undefined if the day is unset
+   * @returns {string}
+   */
+  getNextStatus(status) {
+    return (status || HABIT_STATUS.FAIL) === HABIT_STATUS.FAIL ? HABIT_STATUS.DONE : HABIT_STATUS.FAIL;
+  },
+
+  /**
+   * Score how consistently a habit was done
+   * @param {Object} history - Statuses keyed by date
+   * @param {Date} endDate - Last day of the period
+   * @param {number} days - Number of days to look back
+   * @returns {number} - Consistency score (0-100)
+   */
+  getConsistencyScore(history, endDate, days) {
+    return scoring.getConsistencyScore(endDate, days, dateKey => (history[dateKey] === HABIT_STATUS.DONE ? 0 : null));
+  },
+
+  /**
+   * Find the runs of days a habit was done
+   * @param {Object} history - Statuses keyed by date
+   * @returns {Array} - Streaks ({ start, end, length }), longest first
+   */
+  getStreaks(history) {
+    const dates = Object.keys(history).filter(date => history[date] === HABIT_STATUS.DONE);
+    return scoring.findStreaks(dates);
+  }
+};
+
+/**
+ * The CSV export - one row per setting, entry, habit and habit day
+ */
+const csvExport = {
+  headers: ['data_type', 'key', 'value', 'date', 'amount', 'timestamp', 'type', 'count', 'name', 'color', 'completed', 'order'].concat(WORKOUT_ACTIVITY_FIELDS),
+
+  /**
+   * Quote a value if it contains a delimiter (a comma, or a semicolon for spreadsheets that split on them), quote or line break
+   * @param {*} value
+   * @returns {string}
+   */
+  escape(value) {
+    if (value === null || value === undefined) return '';
+    const stringValue = String(value);
+    if (/[,;"\r\n]/.test(stringValue)) {
+      return `"${stringValue.replace(/"/g, '""')}"`;
+    }
+    return stringValue;
+  },
+
+  /**
+   * Build the CSV text of exported data
+   * @param {Object} data - From a tracking service's collectExport()
+   * @returns {string}
+   */
+  toCSV(data) {
+    const rows = [this.headers.join(',')];
+
+    // Fields are named after the headers, empty fields are left out
+    const addRow = fields => {
+      rows.push(this.headers.map(header => this.escape(fields[header])).join(','));
+    };
+
+    addRow({ data_type: 'meta', key: 'version', value: '3.0' });
+    addRow({ data_type: 'meta', key: 'exportDate', value: data.exportDate });
+
+    ['water', 'protein'].forEach(type => {
+      addRow({ data_type: type, key: 'goal', value: data.goals[type] });
+      addRow({ data_type: type, key: 'intake', value: data.totals[type] });
+
+      Object.entries(data.intake[type] || {}).forEach(([date, entries]) => {
+        entries.forEach((entry, index) => {
+          addRow({ data_type: `${type}_history`, key: `${date}_${index}`, date, amount: entry.amount, timestamp: entry.timestamp });
+        });
+      });
+    });
+
+    Object.entries(data.workoutState || {}).forEach(([type, state]) => {
+      addRow({ data_type: 'workout_state', key: type, type, completed: state.completed, order: state.order });
+    });
+
+    Object.entries(data.workoutCounts || {}).forEach(([type, count]) => {
+      addRow({ data_type: 'workout_count', key: type, type, count });
+    });
+
+    Object.entries(data.workoutHistory || {}).forEach(([date, entries]) => {
+      entries.forEach((entry, index) => {
+        addRow(Object.assign({ data_type: 'workout_history', key: `${date}_${index}`, date, timestamp: entry.timestamp, type: entry.type, count: entry.count },
+          workoutRules.getActivity(entry)));
+      });
+    });
+
+    (data.habits || []).forEach((habit, habitIndex) => {
+      addRow({ data_type: 'habit', key: habitIndex.toString(), name: habit.name, color: habit.color });
+
+      Object.entries(habit.history || {}).forEach(([date, status]) => {
+        addRow({ data_type: 'habit_history', key: `${habitIndex}_${date}`, value: status, date });
+      });
+    });
+
+    addRow({ data_type: 'settings', key: 'theme', value: data.settings.theme });
+    addRow({ data_type: 'settings', key: 'reminder', value: data.settings.reminder });
+
+    return rows.join('\n');
+  }
+};
+
+/**
+ * The JSON backup file - the data section wrapped with its format, versions and checksum
+ */
+const backupFormat = {
+  /**
+   * Compute the SHA-256 checksum of backup data
+   * @param {Object} data - Backup data section
+   * @returns {Promise<string>} - 'sha256:' followed by the hex digest
+   */
+  computeChecksum(data) {
+    if (typeof crypto === 'undefined' || !crypto.subtle) {
+      return Promise.reject(new Error('This browser cannot verify backups. Please use a secure (https) connection.'));
+    }
+
+    const bytes = new TextEncoder().encode(JSON.stringify(data));
+
+    return crypto.subtle.digest('SHA-256', bytes).then(hash => {
+      const hex = Array.from(new Uint8Array(hash))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+      return `sha256:${hex}`;
+    });
+  },
+
+  /**
+   * Wrap backup data in a backup file
+   * @param {Object} data - Backup data section
+   * @param {number} schemaVersion - Schema version the data is in
+   * @param {Date} createdAt
+   * @returns {Promise<Object>} - Backup object, ready for JSON.stringify
+   */
+  create(data, schemaVersion, createdAt) {
+    return this.computeChecksum(data).then(checksum => ({
+      format: BACKUP_FORMAT,
+      version: BACKUP_FORMAT_VERSION,
+      schemaVersion,
+      createdAt: createdAt.toISOString(),
+      checksum,
+      data
+    }));
+  },
+
+  /**
+   * Parse and verify a backup file
+   * @param {string} text - File contents
+   * @param {number} schemaVersion - Newest schema version the app can read
+   * @returns {Promise<Object>} - Verified backup object
+   */
+  parse(text, schemaVersion) {
+    let backup;
+
+    try {
+      backup = JSON.parse(text);
+    } catch (error) {
+      return Promise.reject(new Error('This is not a valid backup file.'));
+    }
+
+    if (!backup || backup.format !== BACKUP_FORMAT || !backup.data) {
+      return Promise.reject(new Error('This is not a Health Tracker backup file.'));
+    }
+
+    if (backup.version > BACKUP_FORMAT_VERSION || backup.schemaVersion > schemaVersion) {
+      return Promise.reject(new Error('This backup was made by a newer version of the app. Please update the app first.'));
+    }
+
+    return this.computeChecksum(backup.data).then(checksum => {
+      if (checksum !== backup.checksum) {
+        throw new Error('Backup file is damaged or was modified (checksum mismatch).');
+      }
+      return backup;
+    });
+  },
+
+  /**
+   * Clean a backup's habits the way imported habits are cleaned - a backup file
+   * can be edited, and habit names and colors end up in the page
+   * @param {Object} data - Backup data section
+   * @returns {Object} - Copy with markup-free names and known colors
+   */
+  cleanHabits(data) {
+    const habits = data.dataset && data.dataset.habits;
+    if (!Array.isArray(habits)) return data;
+
+    return Object.assign({}, data, {
+      dataset: Object.assign({}, data.dataset, {
+        habits: habits.map(habit => Object.assign({}, habit, {
+          name: habitRules.cleanName(habit.name) || 'Unnamed habit',
+          color: habitRules.getColor(habit.color)
+        }))
+      })
+    });
+  }
+};
+
+/**
+ * Create the tracking service - the rules above bound to settings storage and a clock.
+ *
+ * The app uses trackingService, which reads the active profile's storage and
+ * appClock. Anything else (a script, a test) can create one over its own
+ * storage and clock; nothing here touches the DOM.
+ * @param {Object} [options]
+ * @param {Object} [options.storage] - getItem/setItem/removeItem, defaults to profileStorage
+ * @param {Function} [options.now] - Returns the current Date, defaults to appClock.now
+ * @param {Object} [options.keys] - Storage key names, defaults to STORAGE_KEYS
+ * @returns {Object}
+ */
+function createTrackingService(options = {}) {
+  // Defaults are looked up on use, as they are defined by scripts loaded later
+  const getStorage = () => options.storage || profileStorage;
+  const getKeys = () => options.keys || STORAGE_KEYS;
+  const readNumber = key => parseInt(getStorage().getItem(key)) || 0;
+
+  return {
+    /**
+     * Get the current time
+     * @returns {Date}
+     */
+    now() {
+      return new Date(options.now ? options.now() : appClock.now());
+    },
+
+    /**
+     * Hour the tracking day starts at
+     * @returns {number} - 0 (midnight) to MAX_DAY_START_HOUR
+     */
+    getDayStartHour() {
+      const hour = parseInt(getStorage().getItem(getKeys().DAY_START_HOUR));
+      const maxHour = typeof MAX_DAY_START_HOUR === 'number' ? MAX_DAY_START_HOUR : 12;
+      return hour >= 0 && hour <= maxHour ? hour : 0;
+    },
+
+    /**
+     * Get the tracking day a moment belongs to
+     * @param {Date|string|number} [moment] - Defaults to now
+     * @returns {Date} - Local midnight of that day
+     */
+    getLogicalDay(moment) {
+      return calendar.getLogicalDay(moment === undefined ? this.now() : moment, this.getDayStartHour());
+    },
+
+    /**
+     * Get the date key entries made at a moment are stored under
+     * @param {Date|string|number} [moment] - Defaults to now
+     * @returns {string}
+     */
+    getDayKey(moment) {
+      return calendar.formatDate(this.getLogicalDay(moment));
+    },
+
+    /**
+     * Get the daily goal of an intake type
+     * @param {string} type - 'water' or 'protein'
+     * @returns {number} - 0 if none is set
+     */
+    getGoal(type) {
+      return readNumber(`${getKeys().GOAL_PREFIX}${type}`);
+    },
+
+    /**
+     * Save the daily goal of an intake type
+     * @param {string} type - 'water' or 'protein'
+     * @param {number} goal - 0 to remove it
+     */
+    setGoal(type, goal) {
+      const key = `${getKeys().GOAL_PREFIX}${type}`;
+      if (goal > 0) {
+        getStorage().setItem(key, goal);
+      } else {
+        getStorage().removeItem(key);
+      }
+    },
+
+    /**
+     * Get today's running total of an intake type
+     * @param {string} type - 'water' or 'protein'
+     * @returns {number}
+     */
+    getTodayTotal(type) {
+      return readNumber(`${getKeys().INTAKE_PREFIX}${type}`);
+    },
+
+    /**
+     * Save today's running total of an intake type
+     * @param {string} type - 'water' or 'protein'
+     * @param {number} total
+     */
+    setTodayTotal(type, total) {
+      getStorage().setItem(`${getKeys().INTAKE_PREFIX}${type}`, total);
+    },
+
+    /**
+     * Create an intake entry logged now
+     * @param {number} amount - Amount taken
+     * @returns {Object} - { date, entry }
+     */
+    createIntakeEntry(amount) {
+      const now = this.now();
+      return { date: this.getDayKey(now), entry: { amount, timestamp: now.toISOString() } };
+    },
+
+    /**
+     * Create a workout entry logged now
+     * @param {string} type - Workout type
+     * @param {number} count - Times the type was done this cycle
+     * @returns {Object} - { date, entry }
+     */
+    createWorkoutEntry(type, count) {
+      const now = this.now();
+      return { date: this.getDayKey(now), entry: { type, count, timestamp: now.toISOString() } };
+    },
+
+    /**
+     * Collect the data the CSV export holds
+     * @param {Object} store - Data store (dataStore or anything with its getters)
+     * @returns {Object} - For csvExport.toCSV()
+     */
+    collectExport(store) {
+      const keys = getKeys();
+      const storage = getStorage();
+
+      return {
+        exportDate: this.now().toISOString(),
+        goals: {
+          water: storage.getItem(`${keys.GOAL_PREFIX}water`),
+          protein: storage.getItem(`${keys.GOAL_PREFIX}protein`)
+        },
+        totals: {
+          water: storage.getItem(`${keys.INTAKE_PREFIX}water`),
+          protein: storage.getItem(`${keys.INTAKE_PREFIX}protein`)
+        },
+        intake: {
+          water: store.getIntakeHistory('water', true),
+          protein: store.getIntakeHistory('protein', true)
+        },
+        workoutState: store.getWorkoutState() || {},
+        workoutCounts: store.getWorkoutCounts() || {},
+        workoutHistory: store.getWorkoutHistory(true),
+        // Habit history includes archived days
+        habits: (store.getHabits() || []).map(habit => ({
+          name: habit.name,
+          color: habit.color,
+          history: store.getHabitHistory(habit)
+        })),
+        settings: {
+          theme: storage.getItem(keys.THEME),
+          reminder: storage.getItem(keys.REMINDER)
+        }
+      };
+    }
+  };
+}
+
+// The app's tracking service - the active profile's storage and the app clock
+const trackingService = createTrackingService();
+
+// Outside the browser (Node, test runners) the rules can be loaded as a module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HABIT_STATUS,
+    HABIT_COLORS,
+    SCORE_PERIODS,
+    WORKOUT_ACTIVITY_FIELDS,
+    COMPARISON_SCORE_PERIODS,
+    BACKUP_FORMAT,
+    BACKUP_FORMAT_VERSION,
+    calendar,
+    scoring,
+    intakeRules,
+    workoutRules,
+    habitRules,
+    csvExport,
+    backupFormat,
+    createTrackingService
+  };
+}
\ No newline at end of file
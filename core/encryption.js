@@ -0,0 +1,285 @@
+/**
+ * Health Tracker App - Backup Encryption
+ * This file contains passphrase encryption for exported backups (AES-GCM with a PBKDF2-derived key, fully offline)
+ */
+
+// Identifies encrypted files and the layout of their envelope
+const ENCRYPTED_FORMAT = 'health-tracker-encrypted';
+const ENCRYPTED_FORMAT_VERSION = 1;
+
+// Key derivation and passphrase settings
+const PBKDF2_ITERATIONS = 600000;
+// Files with fewer iterations are weaker than the app writes, files with more would hang the page deriving the key
+const MAX_PBKDF2_ITERATIONS = PBKDF2_ITERATIONS * 10;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+/**
+ * Encrypts and decrypts exported files.
+ *
+ * PBKDF2 derives 512 bits from the passphrase: the first half is the AES-GCM key
+ * and the hash of the second half is stored in the file. Comparing that hash
+ * tells a wrong passphrase apart from a file that was modified, which AES-GCM
+ * alone reports the same way. The stored hash isn't authenticated itself, so
+ * when it doesn't match the data is still tried: if it opens, the hash was
+ * modified rather than the passphrase being wrong.
+ */
+const backupEncryption = {
+  /**
+   * Check whether file contents are an encrypted envelope
+   * @param {string} text - File contents
+   * @returns {boolean}
+   */
+  isEncrypted(text) {
+    if (!text || text.trim().charAt(0) !== '{') return false;
+
+    try {
+      return JSON.parse(text).format === ENCRYPTED_FORMAT;
+    } catch (error) {
+      return false;
+    }
+  },
+
+  /**
+   * Make sure WebCrypto is available (it requires a secure context)
+   */
+  assertSupported() {
+    if (!window.crypto || !crypto.subtle) {
+      throw new Error('Encryption is not available in this browser. Please use a secure (https) connection.');
+    }
+  },
+
+  /**
+   * Derive the AES-GCM key and passphrase check from a passphrase
+   * @param {string} passphrase - User passphrase
+   * @param {Object} kdf - Key derivation settings from the envelope
+   * @returns {Promise<Object>} - { key, check }
+   */
+  deriveKeys(passphrase, kdf) {
+    const encoder = new TextEncoder();
+
+    return crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveBits'])
+      .then(baseKey => crypto.subtle.deriveBits({
+        name: 'PBKDF2',
+        hash: kdf.hash,
+        salt: dataStore.base64ToBuffer(kdf.salt),
+        iterations: kdf.iterations
+      }, baseKey, 512))
+      .then(bits => Promise.all([
+        crypto.subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+        crypto.subtle.digest('SHA-256', bits.slice(32))
+      ]))
+      .then(([key, checkHash]) => ({ key, check: dataStore.bufferToBase64(checkHash) }));
+  },
+
+  /**
+   * Envelope fields that are authenticated along with the encrypted data
+   * @param {Object} envelope - Encrypted envelope
+   * @returns {Uint8Array}
+   */
+  getAdditionalData(envelope) {
+    const { format, version, contentType, kdf, cipher } = envelope;
+    return new TextEncoder().encode(JSON.stringify({ format, version, contentType, kdf, cipher }));
+  },
+
+  /**
+   * Encrypt text with a passphrase
+   * @param {string} plaintext - Text to encrypt
+   * @param {string} passphrase - User passphrase
+   * @param {string} contentType - Type of the plaintext, e.g. 'application/json'
+   * @returns {Promise<string>} - Encrypted envelope as JSON
+   */
+  encrypt(plaintext, passphrase, contentType) {
+    try {
+      this.assertSupported();
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    const envelope = {
+      format: ENCRYPTED_FORMAT,
+      version: ENCRYPTED_FORMAT_VERSION,
+      contentType,
+      kdf: {
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        iterations: PBKDF2_ITERATIONS,
+        salt: dataStore.bufferToBase64(crypto.getRandomValues(new Uint8Array(16)))
+      },
+      cipher: {
+        name: 'AES-GCM',
+        iv: dataStore.bufferToBase64(crypto.getRandomValues(new Uint8Array(12)))
+      }
+    };
+
+    return this.deriveKeys(passphrase, envelope.kdf)
+      .then(({ key, check }) => {
+        envelope.check = check;
+        return crypto.subtle.encrypt({
+          name: 'AES-GCM',
+          iv: dataStore.base64ToBuffer(envelope.cipher.iv),
+          additionalData: this.getAdditionalData(envelope)
+        }, key, new TextEncoder().encode(plaintext));
+      })
+      .then(encrypted => {
+        envelope.data = dataStore.bufferToBase64(encrypted);
+        return JSON.stringify(envelope);
+      });
+  },
+
+  /**
+   * Decrypt an encrypted envelope
+   * @param {string} text - Encrypted envelope as JSON
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<Object>} - { text, contentType }
+   */
+  decrypt(text, passphrase) {
+    let envelope;
+
+    try {
+      this.assertSupported();
+      envelope = JSON.parse(text);
+    } catch (error) {
+      return Promise.reject(error instanceof SyntaxError ? new Error('The encrypted file is damaged.') : error);
+    }
+
+    if (envelope.version > ENCRYPTED_FORMAT_VERSION) {
+      return Promise.reject(new Error('This file was encrypted by a newer version of the app. Please update the app first.'));
+    }
+
+    const isComplete = envelope.kdf && envelope.kdf.name === 'PBKDF2' && envelope.kdf.hash === 'SHA-256' &&
+                       envelope.kdf.salt && Number.isInteger(envelope.kdf.iterations) &&
+                       envelope.kdf.iterations >= PBKDF2_ITERATIONS && envelope.kdf.iterations <= MAX_PBKDF2_ITERATIONS &&
+                       envelope.cipher && envelope.cipher.name === 'AES-GCM' && envelope.cipher.iv &&
+                       envelope.check && envelope.data;
+    if (!isComplete) {
+      return Promise.reject(new Error('The encrypted file is damaged.'));
+    }
+
+    const modifiedError = () => new Error('The encrypted file was modified or is damaged and cannot be opened.');
+
+    return this.deriveKeys(passphrase, envelope.kdf)
+      .then(({ key, check }) => {
+        const decrypted = crypto.subtle.decrypt({
+          name: 'AES-GCM',
+          iv: dataStore.base64ToBuffer(envelope.cipher.iv),
+          additionalData: this.getAdditionalData(envelope)
+        }, key, dataStore.base64ToBuffer(envelope.data));
+
+        if (check !== envelope.check) {
+          return decrypted.then(() => {
+            throw modifiedError();
+          }, () => {
+            const error = new Error('Wrong passphrase. Please try again.');
+            error.name = 'WrongPassphraseError';
+            throw error;
+          });
+        }
+
+        return decrypted.catch(() => {
+          throw modifiedError();
+        });
+      })
+      .then(decrypted => ({
+        text: new TextDecoder().decode(decrypted),
+        contentType: envelope.contentType
+      }));
+  },
+
+  /**
+   * Decrypt file contents if they are encrypted, asking for the passphrase until it is right
+   * @param {string} text - File contents
+   * @returns {Promise<Object|null>} - { text, contentType } (contentType is null for plain files), or null if cancelled
+   */
+  unwrap(text) {
+    if (!this.isEncrypted(text)) {
+      return Promise.resolve({ text, contentType: null });
+    }
+
+    const attempt = (errorMessage) => {
+      return this.askPassphrase({
+        title: 'Encrypted File',
+        description: 'Enter the passphrase this file was encrypted with.',
+        error: errorMessage
+      }).then(passphrase => {
+        if (passphrase === null) return null;
+
+        return this.decrypt(text, passphrase).catch(error => {
+          if (error.name === 'WrongPassphraseError') {
+            return attempt(error.message);
+          }
+          throw error;
+        });
+      });
+    };
+
+    return attempt('');
+  },
+
+  /**
+   * Ask the user for a passphrase
+   * @param {Object} options - { title, description, error, confirm } - confirm asks for it twice
+   * @returns {Promise<string|null>} - Passphrase, or null if cancelled
+   */
+  askPassphrase(options) {
+    const modal = document.getElementById('passphrase-modal');
+    const input = document.getElementById('passphrase-input');
+    const confirmInput = document.getElementById('passphrase-confirm-input');
+    const errorText = document.getElementById('passphrase-error');
+    const submitBtn = document.getElementById('passphrase-submit');
+    const cancelBtn = document.getElementById('passphrase-cancel');
+
+    if (!modal) {
+      return Promise.resolve(null);
+    }
+
+    document.getElementById('passphrase-title').textContent = options.title;
+    document.getElementById('passphrase-description').textContent = options.description || '';
+    errorText.textContent = options.error || '';
+    input.value = '';
+    confirmInput.value = '';
+    confirmInput.style.display = options.confirm ? '' : 'none';
+
+    modal.style.display = 'flex';
+    setTimeout(() => input.focus(), 100);
+
+    return new Promise(resolve => {
+      const finish = (passphrase) => {
+        submitBtn.removeEventListener('click', onSubmit);
+        cancelBtn.removeEventListener('click', onCancel);
+        input.removeEventListener('keydown', onKeydown);
+        confirmInput.removeEventListener('keydown', onKeydown);
+        input.value = '';
+        confirmInput.value = '';
+        modal.style.display = 'none';
+        resolve(passphrase);
+      };
+
+      const onSubmit = () => {
+        if (options.confirm && input.value.length < MIN_PASSPHRASE_LENGTH) {
+          errorText.textContent = `Use at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+          return;
+        }
+        if (options.confirm && input.value !== confirmInput.value) {
+          errorText.textContent = 'Passphrases do not match.';
+          return;
+        }
+        if (!input.value) {
+          errorText.textContent = 'Please enter the passphrase.';
+          return;
+        }
+        finish(input.value);
+      };
+
+      const onCancel = () => finish(null);
+
+      const onKeydown = (event) => {
+        if (event.key === 'Enter') onSubmit();
+      };
+
+      submitBtn.addEventListener('click', onSubmit);
+      cancelBtn.addEventListener('click', onCancel);
+      input.addEventListener('keydown', onKeydown);
+      confirmInput.addEventListener('keydown', onKeydown);
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,120 @@
+/**
+ * Health Tracker App - Event Bus
+ * This file contains the publish/subscribe layer that tells other modules when data changes
+ */
+
+// Events published on the bus, with the detail each one carries
+const APP_EVENTS = {
+  // { type, date, entry, total, goal } - an intake entry was added (also on redo)
+  INTAKE_ADDED: 'intake:added',
+  // { type, date, entry, total, goal } - an intake entry was removed by undo
+  INTAKE_REMOVED: 'intake:removed',
+  // { type, goal, previous } - a water/protein goal changed (0 means no goal)
+  GOAL_CHANGED: 'goal:changed',
+  // { type, date, entry, count } - a workout was completed (also on redo)
+  WORKOUT_LOGGED: 'workout:logged',
+  // { type, date, entry } - a completed workout was removed by undo
+  WORKOUT_REMOVED: 'workout:removed',
+  // { habitId, name, date, status, previous } - a habit day was marked, unmarked or changed
+  HABIT_TOGGLED: 'habit:toggled',
+  // { reason, name } - a habit was added, edited, reordered, deleted or restored
+  HABITS_CHANGED: 'habits:changed',
+  // { module, date, previousDate, missedDates } - a new day started for a tracker (missedDates: days in between the app never started)
+  DAY_ROLLED_OVER: 'day:rolled-over',
+  // { hour } - the hour the tracking day starts at changed, here or in another tab
+  DAY_START_CHANGED: 'day:start-changed',
+  // { now, simulated, change } - the simulated date was set, moved or turned off (developer mode); change is how far the clock moved in ms
+  CLOCK_CHANGED: 'clock:changed',
+  // { profileId, name, previousProfileId } - another profile was opened and the trackers recreated
+  PROFILE_SWITCHED: 'profile:switched',
+  // { modules } - the data store saved changes to these modules
+  DATA_SAVED: 'data:saved',
+  // { module } - a save was refused because another tab changed the module first
+  DATA_CONFLICT: 'data:conflict',
+  // { modules } - changes made in another tab were loaded and the trackers refreshed
+  DATA_SYNCED: 'data:synced'
+};
+
+/**
+ * Lets modules react to data changes without reaching into each other.
+ *
+ * Only names from APP_EVENTS are accepted, so a typo fails loudly instead of
+ * silently never firing. Listeners run synchronously in the order they were
+ * added; one that throws is logged and does not stop the others.
+ */
+const eventBus = {
+  listeners: {},
+
+  /**
+   * Check that an event name is one of APP_EVENTS
+   * @param {string} name - Event name
+   * @returns {boolean}
+   */
+  isKnownEvent(name) {
+    return Object.values(APP_EVENTS).includes(name);
+  },
+
+  /**
+   * Listen for an event
+   * @param {string} name - Event name from APP_EVENTS
+   * @param {Function} listener - Called with the event detail
+   * @returns {Function} - Call to stop listening
+   */
+  on(name, listener) {
+    if (!this.isKnownEvent(name)) {
+      throw new Error(`Unknown event "${name}"`);
+    }
+
+    if (!this.listeners[name]) {
+      this.listeners[name] = [];
+    }
+    this.listeners[name].push(listener);
+
+    return () => this.off(name, listener);
+  },
+
+  /**
+   * Listen for the next occurrence of an event only
+   * @param {string} name - Event name from APP_EVENTS
+   * @param {Function} listener - Called with the event detail
+   * @returns {Function} - Call to stop listening
+   */
+  once(name, listener) {
+    const unsubscribe = this.on(name, (detail) => {
+      unsubscribe();
+      listener(detail);
+    });
+    return unsubscribe;
+  },
+
+  /**
+   * Stop listening for an event
+   * @param {string} name - Event name
+   * @param {Function} listener - Listener passed to on()
+   */
+  off(name, listener) {
+    if (!this.listeners[name]) return;
+    this.listeners[name] = this.listeners[name].filter(item => item !== listener);
+  },
+
+  /**
+   * Publish an event to its listeners
+   * @param {string} name - Event name from APP_EVENTS
+   * @param {Object} detail - Event detail (see APP_EVENTS)
+   */
+  emit(name, detail) {
+    if (!this.isKnownEvent(name)) {
+      console.error(`Cannot emit unknown event "${name}"`);
+      return;
+    }
+
+    // Copy first so listeners can unsubscribe while being called
+    (this.listeners[name] || []).slice().forEach(listener => {
+      try {
+        listener(detail);
+      } catch (error) {
+        console.error(`Error in "${name}" listener:`, error);
+      }
+    });
+  }
+};
\ No newline at end of file
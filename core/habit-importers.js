@@ -0,0 +1,259 @@
+/**
+ * Health Tracker App - Habit Importers
+ * This file contains the importers for habit history exported by other habit apps - Loop Habit Tracker and plain date, habit, status tables
+ */
+
+// Loop Habit Tracker's checkmark values - a day checked by hand, and one left unchecked. Days implied
+// by the habit's frequency (1), skipped (3) and without an entry (-1) are left unset.
+const LOOP_CHECKMARKS = {
+  done: ['2', 'YES_MANUAL'],
+  fail: ['0', 'NO']
+};
+
+// Header names (see appImporters.normalizeHeader) a habit table can use for each column
+const HABIT_TABLE_COLUMNS = {
+  date: ['date', 'day', 'calendardate'],
+  habit: ['habit', 'habitname', 'name', 'task'],
+  status: ['status', 'value', 'done', 'completed', 'result', 'checked'],
+  color: ['color', 'colour']
+};
+
+// Status values of a habit table, lowercase - any other value is reported
+const HABIT_TABLE_STATUSES = {
+  done: ['done', 'yes', 'y', 'true', '1', 'x', '✓', '✔', 'completed', 'complete', 'success'],
+  fail: ['fail', 'failed', 'no', 'n', 'false', '0', 'missed', 'not done'],
+  // Rows that leave the day unset
+  none: ['', 'skip', 'skipped', 'unknown', '-1']
+};
+
+/**
+ * Helpers shared by the habit importers
+ */
+const habitImport = {
+  /**
+   * Start a list of imported habits, one per name (ignoring case)
+   * @returns {Object} - { get(name), toArray() }
+   */
+  createHabitList() {
+    const habits = new Map();
+
+    return {
+      /**
+       * Get the habit with a name, adding it the first time
+       * @param {string} name - Clean name
+       * @returns {Object} - { name, color, history }
+       */
+      get(name) {
+        const key = name.toLowerCase();
+        if (!habits.has(key)) {
+          habits.set(key, { name, color: null, history: {} });
+        }
+        return habits.get(key);
+      },
+
+      /**
+       * Get the habits in the order they were added, giving a color to those without one
+       * @returns {Array}
+       */
+      toArray() {
+        let uncolored = 0;
+        return [...habits.values()].map(habit => Object.assign({}, habit, {
+          color: habit.color || habitRules.getColorByIndex(uncolored++)
+        }));
+      }
+    };
+  },
+
+  /**
+   * Set a habit's status for a day - a day marked done more than once stays done
+   * @param {Object} habit - From a habit list
+   * @param {string} dateKey
+   * @param {string} status - HABIT_STATUS value
+   */
+  setDay(habit, dateKey, status) {
+    if (habit.history[dateKey] !== HABIT_STATUS.DONE) {
+      habit.history[dateKey] = status;
+    }
+  },
+
+  /**
+   * Read a date from another app - YYYY-MM-DD or YYYY/MM/DD, optionally followed by a time
+   * @param {string} value
+   * @returns {string|null} - Date key
+   */
+  parseDate(value) {
+    const match = /^(\d{4})[-/](\d{2})[-/](\d{2})(?:$|[T ])/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const dateKey = `${match[1]}-${match[2]}-${match[3]}`;
+    return calendar.isDateKey(dateKey) ? dateKey : null;
+  },
+
+  /**
+   * Read a color from another app - a habit color name or a hex color
+   * @param {string} value
+   * @returns {string|null} - Habit color, null if none is given
+   */
+  parseColor(value) {
+    const color = String(value || '').trim().toLowerCase();
+    if (!color) return null;
+    return habitRules.colors.includes(color) ? color : habitRules.getNearestColor(color);
+  },
+
+  /**
+   * Label a CSV's rejected rows with the file they are in
+   * @param {Object} source - From appImporters.createSource()
+   * @param {Object} csv - From csvParser.parse()
+   * @returns {Array} - { file, line, reason }
+   */
+  getRejectedRows(source, csv) {
+    return csv.rejected.map(row => Object.assign({ file: source.name }, row));
+  }
+};
+
+/**
+ * Loop Habit Tracker - the Checkmarks.csv of its export (a Date column and a
+ * column per habit), with Habits.csv for the habits' colors and order if it is
+ * picked too. The habit folders in the export hold the same days again.
+ */
+appImporters.register({
+  id: 'loop',
+  label: 'Loop Habit Tracker',
+
+  findCheckmarks(sources) {
+    return sources.find(source => /(^|\/)checkmarks\.csv$/i.test(source.name));
+  },
+
+  matches(sources) {
+    const checkmarks = this.findCheckmarks(sources);
+    if (!checkmarks) return false;
+    return appImporters.getHeaders(checkmarks).then(headers => headers[0] === 'date' && headers.length > 1);
+  },
+
+  read(sources) {
+    const checkmarksSource = this.findCheckmarks(sources);
+    const habitsSource = sources.find(source => /(^|\/)habits\.csv$/i.test(source.name));
+
+    return Promise.all([checkmarksSource.csv(), habitsSource ? habitsSource.csv() : null]).then(([checkmarks, habitsCSV]) => {
+      const habits = habitImport.createHabitList();
+      const numerical = new Set();
+      const rejected = habitImport.getRejectedRows(checkmarksSource, checkmarks);
+      let rows = checkmarks.rows.length + checkmarks.rejected.length;
+
+      // Habits.csv lists the habits in the app's order, with their color and type (1 for numerical habits)
+      if (habitsCSV) {
+        const headers = habitsCSV.headers.map(header => appImporters.normalizeHeader(header));
+        const column = name => headers.indexOf(name);
+
+        rejected.push(...habitImport.getRejectedRows(habitsSource, habitsCSV));
+        rows += habitsCSV.rows.length + habitsCSV.rejected.length;
+
+        habitsCSV.rows.forEach(({ line, fields }) => {
+          const name = habitRules.cleanName(fields[column('name')]);
+          if (!name) {
+            rejected.push({ file: habitsSource.name, line, reason: 'Missing habit name' });
+            return;
+          }
+
+          const habit = habits.get(name);
+          habit.color = habitImport.parseColor(fields[column('color')]);
+          if (fields[column('type')] === '1') numerical.add(habit);
+        });
+      }
+
+      const columns = checkmarks.headers.slice(1).map(header => {
+        const name = habitRules.cleanName(header);
+        return name ? habits.get(name) : null;
+      });
+
+      checkmarks.rows.forEach(({ line, fields }) => {
+        const dateKey = habitImport.parseDate(fields[0]);
+        if (!dateKey) {
+          rejected.push({ file: checkmarksSource.name, line, reason: `Invalid date "${fields[0]}"` });
+          return;
+        }
+
+        columns.forEach((habit, index) => {
+          const value = fields[index + 1].trim();
+          if (!habit || !value) return;
+
+          // Numerical habits record an amount, and any amount counts as done
+          if (numerical.has(habit)) {
+            const amount = parseFloat(value);
+            if (amount > 0) habitImport.setDay(habit, dateKey, HABIT_STATUS.DONE);
+            if (amount === 0) habitImport.setDay(habit, dateKey, HABIT_STATUS.FAIL);
+          } else if (LOOP_CHECKMARKS.done.includes(value)) {
+            habitImport.setDay(habit, dateKey, HABIT_STATUS.DONE);
+          } else if (LOOP_CHECKMARKS.fail.includes(value)) {
+            habitImport.setDay(habit, dateKey, HABIT_STATUS.FAIL);
+          }
+        });
+      });
+
+      rejected.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+      return appImporters.toImportData({ habits: habits.toArray(), report: { rows, rejected } });
+    });
+  }
+});
+
+/**
+ * Habit tables - one row per habit and day, with date, habit and status
+ * columns (and optionally a color), as many habit apps and spreadsheets export
+ */
+appImporters.register({
+  id: 'habit-table',
+  label: 'habit table',
+
+  getColumns(headers) {
+    const columns = {};
+    Object.entries(HABIT_TABLE_COLUMNS).forEach(([column, names]) => {
+      columns[column] = headers.findIndex(header => names.includes(header));
+    });
+    return columns;
+  },
+
+  matches(sources) {
+    if (sources.length !== 1) return false;
+    return appImporters.getHeaders(sources[0]).then(headers => {
+      const columns = this.getColumns(headers);
+      return columns.date !== -1 && columns.habit !== -1 && columns.status !== -1;
+    });
+  },
+
+  read(sources) {
+    const source = sources[0];
+
+    return source.csv().then(csv => {
+      const columns = this.getColumns(csv.headers.map(header => appImporters.normalizeHeader(header)));
+      const habits = habitImport.createHabitList();
+      const rejected = habitImport.getRejectedRows(source, csv);
+      const reject = (line, reason) => rejected.push({ file: source.name, line, reason });
+
+      csv.rows.forEach(({ line, fields }) => {
+        const dateKey = habitImport.parseDate(fields[columns.date]);
+        const name = habitRules.cleanName(fields[columns.habit]);
+        const statusText = fields[columns.status].trim().toLowerCase();
+
+        if (!dateKey) return reject(line, `Invalid date "${fields[columns.date]}"`);
+        if (!name) return reject(line, 'Missing habit name');
+
+        const status = Object.keys(HABIT_TABLE_STATUSES).find(key => HABIT_TABLE_STATUSES[key].includes(statusText));
+        if (!status) return reject(line, `Unknown status "${fields[columns.status]}"`);
+
+        const habit = habits.get(name);
+        if (columns.color !== -1 && !habit.color) {
+          habit.color = habitImport.parseColor(fields[columns.color]);
+        }
+        if (status !== 'none') {
+          habitImport.setDay(habit, dateKey, status === 'done' ? HABIT_STATUS.DONE : HABIT_STATUS.FAIL);
+        }
+      });
+
+      rejected.sort((a, b) => a.line - b.line);
+      return appImporters.toImportData({
+        habits: habits.toArray(),
+        report: { rows: csv.rows.length + csv.rejected.length, rejected }
+      });
+    });
+  }
+});
\ No newline at end of file
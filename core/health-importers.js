@@ -0,0 +1,380 @@
+/**
+ * Health Tracker App - Health Importers
+ * This file contains the importer for the export.xml of an Apple Health export, read in chunks so exports of hundreds of MB fit in memory
+ */
+
+// Apple Health record types the importer reads, and the intake type each one is
+const HEALTH_RECORD_TYPES = {
+  HKQuantityTypeIdentifierDietaryWater: 'water',
+  HKQuantityTypeIdentifierDietaryProtein: 'protein'
+};
+
+// How many ml or g one of each Apple Health unit is
+const HEALTH_UNITS = {
+  water: {
+    mL: 1,
+    cL: 10,
+    dL: 100,
+    L: 1000,
+    fl_oz_us: 29.5735,
+    fl_oz_imp: 28.4131,
+    cup_us: 236.588,
+    cup_imp: 284.131,
+    pt_us: 473.176,
+    pt_imp: 568.261
+  },
+  protein: {
+    mcg: 0.000001,
+    mg: 0.001,
+    g: 1,
+    kg: 1000,
+    oz: 28.3495,
+    lb: 453.592
+  }
+};
+
+// Prefix of a workout's workoutActivityType, e.g. HKWorkoutActivityTypeCoreTraining
+const HEALTH_WORKOUT_PREFIX = 'HKWorkoutActivityType';
+
+// How much of export.xml is read at a time
+const HEALTH_CHUNK_SIZE = 4 * 1024 * 1024;
+
+/**
+ * The dialog that asks which days of an Apple Health export to import, and
+ * shows how far reading the export has got
+ */
+const healthImportDialog = {
+  // Resolves the question that is open
+  pending: null,
+  // Set when the user cancels while the export is read
+  cancelled: false,
+
+  /**
+   * Ask for the days to import
+   * @returns {Promise<Object|null>} - { from, to } date keys (null for an open end), null if cancelled
+   */
+  ask() {
+    const modal = document.getElementById('health-import-modal');
+    if (!modal) return Promise.resolve(null);
+
+    this.cancelled = false;
+    this.setReading(false);
+    modal.style.display = 'flex';
+
+    return new Promise(resolve => {
+      this.pending = resolve;
+    });
+  },
+
+  /**
+   * Switch between asking for the days and reading the export
+   * @param {boolean} reading
+   */
+  setReading(reading) {
+    ['health-import-from', 'health-import-to', 'health-import-confirm'].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) element.disabled = reading;
+    });
+
+    const progress = document.getElementById('health-import-progress');
+    if (progress) {
+      progress.textContent = '';
+      progress.style.display = reading ? 'block' : 'none';
+    }
+  },
+
+  /**
+   * Show how much of the export has been read
+   * @param {number} fraction - 0 to 1
+   */
+  showProgress(fraction) {
+    const progress = document.getElementById('health-import-progress');
+    if (progress) progress.textContent = `Reading the export... ${Math.floor(fraction * 100)}%`;
+  },
+
+  /**
+   * Answer the question - the modal stays open while the export is read
+   * @param {boolean} confirmed
+   */
+  close(confirmed) {
+    const resolve = this.pending;
+
+    if (confirmed) {
+      const from = document.getElementById('health-import-from').value || null;
+      const to = document.getElementById('health-import-to').value || null;
+      if (from && to && from > to) {
+        utils.showToast('The first day is after the last day.', 'error');
+        return;
+      }
+
+      this.pending = null;
+      this.setReading(true);
+      if (resolve) resolve({ from, to });
+      return;
+    }
+
+    this.pending = null;
+    this.cancelled = true;
+    this.finish();
+    if (resolve) resolve(null);
+  },
+
+  /**
+   * Hide the modal once the export is read
+   */
+  finish() {
+    const modal = document.getElementById('health-import-modal');
+    if (modal) modal.style.display = 'none';
+  },
+
+  /**
+   * Connect the modal's buttons
+   */
+  init() {
+    const cancelButton = document.getElementById('health-import-cancel');
+    if (cancelButton) cancelButton.addEventListener('click', () => this.close(false));
+
+    const confirmButton = document.getElementById('health-import-confirm');
+    if (confirmButton) confirmButton.addEventListener('click', () => this.close(true));
+  }
+};
+
+/**
+ * Apple Health - the export.xml inside the export archive the Health app
+ * shares. Water and protein records become intake entries at their start time
+ * (converted to ml and g) and workouts become workout entries for the types
+ * their activity maps to. The same record synced from several apps is imported
+ * once, and records already on this device are matched by the import preview's
+ * merge.
+ */
+appImporters.register({
+  id: 'apple-health',
+  label: 'Apple Health export',
+  streams: true,
+
+  matches(sources) {
+    if (sources.length !== 1 || !/\.xml$/i.test(sources[0].name)) return false;
+    return sources[0].file.slice(0, 64 * 1024).text().then(text => /<!DOCTYPE HealthData|<HealthData[\s>]/.test(text));
+  },
+
+  /**
+   * Read a time as the export writes it - "2024-01-05 18:32:10 +0100"
+   * @param {string} value
+   * @returns {Date|null}
+   */
+  parseTime(value) {
+    const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/.exec(value || '');
+    if (!match || !calendar.isDateKey(match[1])) return null;
+
+    const date = new Date(`${match[1]}T${match[2]}${match[3]}:${match[4]}`);
+    return isNaN(date.getTime()) ? null : date;
+  },
+
+  /**
+   * Read an element's attributes
+   * @param {string} text - Everything between the element name and its closing >
+   * @returns {Object}
+   */
+  parseAttributes(text) {
+    const attributes = {};
+    const pattern = /([\w:]+)="([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      attributes[match[1]] = match[2];
+    }
+    return attributes;
+  },
+
+  /**
+   * Turn an activity type into the name shown when mapping it, e.g. HKWorkoutActivityTypeCoreTraining into "Core Training"
+   * @param {string} activityType
+   * @returns {string}
+   */
+  getActivityName(activityType) {
+    return activityType.replace(HEALTH_WORKOUT_PREFIX, '').replace(/([a-z])([A-Z])/g, '$1 $2') || 'Other';
+  },
+
+  /**
+   * Count the line breaks in part of a text
+   * @param {string} text
+   * @param {number} start
+   * @param {number} end
+   * @returns {number}
+   */
+  countLines(text, start, end) {
+    let count = 0;
+    for (let index = text.indexOf('\n', start); index !== -1 && index < end; index = text.indexOf('\n', index + 1)) {
+      count++;
+    }
+    return count;
+  },
+
+  /**
+   * Read the Record and Workout elements of an export a chunk at a time
+   * @param {File} file
+   * @param {Function} onElement - Called with (name, attributes, line) for each element
+   * @returns {Promise<boolean>} - false if the user cancelled
+   */
+  scan(file, onElement) {
+    const decoder = new TextDecoder('utf-8');
+    const pattern = /<(Record|Workout)\s([^>]*)>/g;
+    let buffer = '';
+    let line = 1;
+
+    const readChunk = offset => {
+      if (healthImportDialog.cancelled) return false;
+      healthImportDialog.showProgress(offset / (file.size || 1));
+      if (offset >= file.size) return true;
+
+      return file.slice(offset, offset + HEALTH_CHUNK_SIZE).arrayBuffer().then(chunk => {
+        const isLast = offset + HEALTH_CHUNK_SIZE >= file.size;
+        buffer += decoder.decode(chunk, { stream: !isLast });
+
+        // Only complete elements are read - the rest waits for the next chunk
+        const end = isLast ? buffer.length : buffer.lastIndexOf('>') + 1;
+        const text = buffer.slice(0, end);
+        buffer = buffer.slice(end);
+
+        let counted = 0;
+        let match;
+        pattern.lastIndex = 0;
+        while ((match = pattern.exec(text))) {
+          // Only the records the importer reads are parsed - most of an export is heart rate and steps
+          if (match[1] === 'Record' && !match[2].includes('Dietary')) continue;
+
+          line += this.countLines(text, counted, match.index);
+          counted = match.index;
+          onElement(match[1], this.parseAttributes(match[2]), line);
+        }
+        line += this.countLines(text, counted, text.length);
+
+        return readChunk(offset + HEALTH_CHUNK_SIZE);
+      });
+    };
+
+    return Promise.resolve().then(() => readChunk(0));
+  },
+
+  read(sources) {
+    const source = sources[0];
+    const intake = { water: new Map(), protein: new Map() };
+    const workouts = [];
+    const workoutKeys = new Set();
+    const activities = new Map();
+    const rejected = [];
+    let rows = 0;
+    let range = null;
+
+    const reject = (line, reason) => rejected.push({ file: source.name, line, reason });
+    const isInRange = dateKey => (!range.from || dateKey >= range.from) && (!range.to || dateKey <= range.to);
+
+    const readRecord = (attributes, line) => {
+      const type = HEALTH_RECORD_TYPES[attributes.type];
+      if (!type) return;
+      rows++;
+
+      const time = this.parseTime(attributes.startDate);
+      const factor = HEALTH_UNITS[type][attributes.unit];
+      const value = parseFloat(attributes.value);
+
+      if (!time) return reject(line, `Invalid date "${attributes.startDate}"`);
+      if (!factor) return reject(line, `Unknown ${type} unit "${attributes.unit}"`);
+      if (!(value > 0)) return reject(line, `Invalid ${type} amount "${attributes.value}"`);
+
+      const date = trackingService.getDayKey(time);
+      if (!isInRange(date)) return;
+
+      // Records at the same time add up to one entry - a meal logged food by food -
+      // unless another app synced the same amount, which is the same record again
+      const timestamp = time.toISOString();
+      const amount = value * factor;
+      const entry = intake[type].get(timestamp);
+      if (!entry) {
+        intake[type].set(timestamp, { date, amount, records: [{ amount, source: attributes.sourceName }] });
+      } else if (!entry.records.some(record => record.amount === amount && record.source !== attributes.sourceName)) {
+        entry.amount += amount;
+        entry.records.push({ amount, source: attributes.sourceName });
+      }
+    };
+
+    const readWorkout = (attributes, line) => {
+      rows++;
+
+      const time = this.parseTime(attributes.startDate);
+      if (!time) return reject(line, `Invalid date "${attributes.startDate}"`);
+
+      const date = trackingService.getDayKey(time);
+      if (!isInRange(date)) return;
+
+      // The same workout recorded by the watch and a gym app is imported once
+      const name = this.getActivityName(attributes.workoutActivityType || '');
+      const key = `${time.getTime()}|${name.toLowerCase()}`;
+      if (workoutKeys.has(key)) return;
+      workoutKeys.add(key);
+
+      workouts.push({ date, time, activity: name.toLowerCase() });
+      const known = activities.get(name.toLowerCase());
+      activities.set(name.toLowerCase(), { name, sets: known ? known.sets + 1 : 1 });
+    };
+
+    return healthImportDialog.ask()
+      .then(chosenRange => {
+        if (!chosenRange) return false;
+        range = chosenRange;
+
+        return this.scan(source.file, (name, attributes, line) => {
+          if (name === 'Record') readRecord(attributes, line);
+          else readWorkout(attributes, line);
+        });
+      })
+      .then(completed => {
+        healthImportDialog.finish();
+        if (!completed) return null;
+
+        if (intake.water.size === 0 && intake.protein.size === 0 && workouts.length === 0 && rejected.length === 0) {
+          throw new Error('The export has no water, protein or workouts on those days.');
+        }
+
+        const activityList = [...activities.values()].sort((a, b) => b.sets - a.sets);
+        const mapping = activityList.length > 0 ? exerciseMapping.edit(activityList, 'workout') : {};
+
+        return Promise.resolve(mapping).then(chosenMapping => {
+          if (!chosenMapping) return null;
+
+          const intakeHistory = {};
+          Object.entries(intake).forEach(([type, entries]) => {
+            if (entries.size === 0) return;
+
+            const history = {};
+            entries.forEach(({ date, amount }, timestamp) => {
+              // Whole ml and g, like entries logged in the app
+              const rounded = Math.round(amount);
+              if (rounded < 1) return;
+              if (!history[date]) history[date] = [];
+              history[date].push({ amount: rounded, timestamp });
+            });
+            Object.values(history).forEach(dayEntries => dayEntries.sort((a, b) => a.timestamp.localeCompare(b.timestamp)));
+            intakeHistory[type] = history;
+          });
+
+          const workoutHistory = {};
+          workouts.forEach(({ date, time, activity }) => {
+            const type = chosenMapping[activity];
+            if (!type) return;
+            if (!workoutHistory[date]) workoutHistory[date] = [];
+            workoutHistory[date].push({ type, count: 1, timestamp: time.toISOString() });
+          });
+
+          return appImporters.toImportData({
+            intakeHistory,
+            workoutHistory,
+            report: { rows, rejected }
+          });
+        });
+      })
+      .catch(error => {
+        healthImportDialog.finish();
+        throw error;
+      });
+  }
+});
\ No newline at end of file
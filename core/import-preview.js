@@ -0,0 +1,489 @@
+/**
+ * Health Tracker App - Import Preview
+ * This file compares imported CSV data with the data on this device and lets the user choose how each module is imported
+ */
+
+// Modules shown in the import preview, in display order
+const IMPORT_MODULES = [
+  { key: 'water', label: 'Water', unit: 'ml' },
+  { key: 'protein', label: 'Protein', unit: 'g' },
+  { key: 'workouts', label: 'Workouts' },
+  { key: 'habits', label: 'Habits' },
+  { key: 'settings', label: 'Settings' }
+];
+
+// How each day status is described in the preview
+const IMPORT_DAY_LABELS = {
+  added: 'new',
+  changed: 'changed',
+  conflict: 'conflict'
+};
+
+/**
+ * Import preview and merge helpers.
+ *
+ * Merging keeps everything on this device and adds what the file has on top:
+ * intake and workout entries are matched by timestamp (the device's copy wins a
+ * conflict) and habit days are combined, with a day marked done on either side
+ * staying done.
+ */
+const importPreview = {
+  importedData: null,
+
+  /**
+   * Get the imported history for a module
+   * @param {Object} importedData - Data returned by parseCSVData
+   * @param {string} module - Import module key
+   * @returns {Object|Array} - History keyed by date, or the habits array
+   */
+  getImportedData(importedData, module) {
+    const parse = (value, fallback) => (value ? JSON.parse(value) : fallback);
+
+    if (module === 'workouts') {
+      return parse(importedData.workout && importedData.workout.history, {});
+    }
+    if (module === 'habits') {
+      return parse(importedData.habits && importedData.habits.data, []);
+    }
+    return parse(importedData[module] && importedData[module].history, {});
+  },
+
+  /**
+   * Get this device's history for a module, including archived days
+   * @param {string} module - 'water', 'protein' or 'workouts'
+   * @returns {Object} - History keyed by date
+   */
+  getLocalHistory(module) {
+    return module === 'workouts' ? dataStore.getWorkoutHistory(true) : dataStore.getIntakeHistory(module, true);
+  },
+
+  /**
+   * Key used to match entries logged on different devices - an imported workout
+   * logs each of its types at the workout's start, so the type is part of the key
+   * @param {Object} entry - Intake or workout entry
+   * @returns {string}
+   */
+  getEntryKey(entry) {
+    if (!entry.timestamp) return JSON.stringify(entry);
+    return entry.type ? `${entry.timestamp}|${entry.type}` : entry.timestamp;
+  },
+
+  /**
+   * Check whether two entries with the same timestamp hold the same values
+   * @param {Object} localEntry - Entry on this device
+   * @param {Object} importedEntry - Entry from the file
+   * @returns {boolean}
+   */
+  isSameEntry(localEntry, importedEntry) {
+    return Object.keys(importedEntry).every(key => key === 'id' || localEntry[key] === importedEntry[key]);
+  },
+
+  /**
+   * Compare entry histories day by day
+   * @param {Object} local - History on this device
+   * @param {Object} imported - History from the file
+   * @returns {Object} - { days: { date: { status, detail } }, localOnly }
+   */
+  diffEntryHistory(local, imported) {
+    const days = {};
+
+    Object.entries(imported).forEach(([date, importedEntries]) => {
+      const localEntries = local[date] || [];
+      if (localEntries.length === 0) {
+        days[date] = { status: 'added', detail: `${importedEntries.length} entries` };
+        return;
+      }
+
+      const localByKey = new Map(localEntries.map(entry => [this.getEntryKey(entry), entry]));
+      let newEntries = 0;
+      let conflicts = 0;
+
+      importedEntries.forEach(entry => {
+        const localEntry = localByKey.get(this.getEntryKey(entry));
+        if (!localEntry) {
+          newEntries++;
+        } else if (!this.isSameEntry(localEntry, entry)) {
+          conflicts++;
+        }
+      });
+
+      if (conflicts > 0) {
+        days[date] = { status: 'conflict', detail: `${conflicts} entries differ from this device` };
+      } else if (newEntries > 0) {
+        days[date] = { status: 'changed', detail: `${newEntries} entries not on this device` };
+      }
+    });
+
+    const localOnly = Object.keys(local).filter(date => !(date in imported) && local[date].length > 0).length;
+
+    return { days, localOnly };
+  },
+
+  /**
+   * Find the habit on this device that an imported habit belongs to
+   * @param {Array} habits - Habits on this device
+   * @param {string} name - Imported habit name
+   * @returns {Object|undefined}
+   */
+  findLocalHabit(habits, name) {
+    const normalized = (name || '').trim().toLowerCase();
+    return habits.find(habit => (habit.name || '').trim().toLowerCase() === normalized);
+  },
+
+  /**
+   * Compare habits and their days
+   * @param {Array} localHabits - Habits on this device
+   * @param {Array} importedHabits - Habits from the file
+   * @returns {Object} - { days: { date: { status, detail } }, localOnly }
+   */
+  diffHabits(localHabits, importedHabits) {
+    const changes = {};
+    const localDates = new Set();
+    const importedDates = new Set();
+
+    localHabits.forEach(habit => {
+      Object.keys(dataStore.getHabitHistory(habit)).forEach(date => localDates.add(date));
+    });
+
+    importedHabits.forEach(importedHabit => {
+      const localHabit = this.findLocalHabit(localHabits, importedHabit.name);
+      const localHistory = localHabit ? dataStore.getHabitHistory(localHabit) : {};
+
+      Object.entries(importedHabit.history || {}).forEach(([date, status]) => {
+        importedDates.add(date);
+        if (localHistory[date] === status) return;
+
+        if (!changes[date]) changes[date] = { added: [], conflict: [] };
+        changes[date][date in localHistory ? 'conflict' : 'added'].push(importedHabit.name);
+      });
+    });
+
+    const days = {};
+    Object.entries(changes).forEach(([date, change]) => {
+      const details = [];
+      if (change.added.length > 0) details.push(`new: ${change.added.join(', ')}`);
+      if (change.conflict.length > 0) details.push(`differs: ${change.conflict.join(', ')}`);
+
+      let status = 'added';
+      if (change.conflict.length > 0) {
+        status = 'conflict';
+      } else if (localDates.has(date)) {
+        status = 'changed';
+      }
+
+      days[date] = { status, detail: details.join('; ') };
+    });
+
+    const localOnly = [...localDates].filter(date => !importedDates.has(date)).length;
+
+    return { days, localOnly };
+  },
+
+  /**
+   * Compare imported settings with this device's settings
+   * @param {Object} importedData - Data returned by parseCSVData
+   * @returns {Array} - { label, imported, local } for each setting in the file
+   */
+  diffSettings(importedData) {
+    const settings = importedData.settings || {};
+    const items = [
+      { label: 'Theme', key: STORAGE_KEYS.THEME, imported: settings.theme },
+      { label: 'Reminder', key: STORAGE_KEYS.REMINDER, imported: settings.reminder }
+    ];
+
+    return items
+      .filter(item => item.imported)
+      .map(item => ({ label: item.label, imported: item.imported, local: profileStorage.getItem(item.key) }));
+  },
+
+  /**
+   * Build the preview of what importing each module would change
+   * @param {Object} importedData - Data returned by parseCSVData
+   * @returns {Array} - One entry per module that has data in the file
+   */
+  buildPreview(importedData) {
+    const preview = [];
+
+    IMPORT_MODULES.forEach(({ key, label, unit }) => {
+      const item = { module: key, label, days: {}, localOnly: 0, notes: [] };
+
+      if (key === 'settings') {
+        this.diffSettings(importedData).forEach(setting => {
+          const localText = setting.local === null ? 'not set' : setting.local;
+          item.notes.push(`${setting.label}: ${setting.imported} (this device: ${localText})`);
+        });
+        if (item.notes.length > 0) preview.push(item);
+        return;
+      }
+
+      if (key === 'habits') {
+        const importedHabits = this.getImportedData(importedData, key);
+        if (importedHabits.length === 0) return;
+
+        const localHabits = dataStore.getHabits() || [];
+        Object.assign(item, this.diffHabits(localHabits, importedHabits));
+
+        const newHabits = importedHabits.filter(habit => !this.findLocalHabit(localHabits, habit.name));
+        if (newHabits.length > 0) {
+          item.notes.push(`New habits: ${newHabits.map(habit => habit.name).join(', ')}`);
+        }
+      } else {
+        const importedHistory = this.getImportedData(importedData, key);
+        Object.assign(item, this.diffEntryHistory(this.getLocalHistory(key), importedHistory));
+
+        const goal = importedData[key] && importedData[key].goal;
+        if (goal) {
+          const localGoal = profileStorage.getItem(STORAGE_KEYS.GOAL_PREFIX + key);
+          item.notes.push(`Goal: ${goal} ${unit} (this device: ${localGoal ? `${localGoal} ${unit}` : 'not set'})`);
+        }
+
+        if (Object.keys(importedHistory).length === 0 && item.notes.length === 0) return;
+      }
+
+      preview.push(item);
+    });
+
+    return preview;
+  },
+
+  /**
+   * Merge imported entries into this device's history, matching entries by timestamp
+   * @param {Object} local - History on this device
+   * @param {Object} imported - History from the file
+   * @returns {Object} - New merged history keyed by date
+   */
+  mergeEntryHistory(local, imported) {
+    const merged = {};
+    Object.entries(local).forEach(([date, entries]) => {
+      merged[date] = entries.slice();
+    });
+
+    Object.entries(imported).forEach(([date, entries]) => {
+      const existing = merged[date] || [];
+      const keys = new Set(existing.map(entry => this.getEntryKey(entry)));
+      const newEntries = entries.filter(entry => !keys.has(this.getEntryKey(entry)));
+
+      if (newEntries.length > 0) {
+        merged[date] = existing
+          .concat(newEntries)
+          .sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+      }
+    });
+
+    return merged;
+  },
+
+  /**
+   * Merge imported habits into this device's habits, combining their days
+   * @param {Array} localHabits - Habits on this device
+   * @param {Array} importedHabits - Habits from the file
+   * @returns {Array} - New habits array with full history
+   */
+  mergeHabits(localHabits, importedHabits) {
+    const merged = localHabits.map(habit => ({
+      id: habit.id,
+      name: habit.name,
+      color: habit.color,
+      history: Object.assign({}, dataStore.getHabitHistory(habit))
+    }));
+
+    importedHabits.forEach(importedHabit => {
+      const habit = this.findLocalHabit(merged, importedHabit.name);
+      if (!habit) {
+        merged.push({
+          name: importedHabit.name,
+          color: importedHabit.color || 'default',
+          history: Object.assign({}, importedHabit.history)
+        });
+        return;
+      }
+
+      Object.entries(importedHabit.history || {}).forEach(([date, status]) => {
+        habit.history[date] = habit.history[date] === 'done' || status === 'done' ? 'done' : status;
+      });
+    });
+
+    return merged;
+  },
+
+  /**
+   * Show the import preview for parsed CSV data
+   * @param {Object} importedData - Data returned by parseCSVData
+   */
+  open(importedData) {
+    const modal = document.getElementById('import-preview-modal');
+    const list = document.getElementById('import-preview-list');
+    if (!modal || !list) return;
+
+    const preview = this.buildPreview(importedData);
+    const rejected = importedData.report ? importedData.report.rejected : [];
+    if (preview.length === 0 && rejected.length === 0) {
+      utils.showToast('The import file does not contain any data.', 'warning');
+      return;
+    }
+
+    this.importedData = importedData;
+    this.render(preview, list);
+    if (rejected.length > 0) {
+      list.insertBefore(this.renderRejectedRows(importedData.report), list.firstChild);
+    }
+    modal.style.display = 'flex';
+  },
+
+  /**
+   * Hide the import preview
+   */
+  close() {
+    const modal = document.getElementById('import-preview-modal');
+    if (modal) modal.style.display = 'none';
+    this.importedData = null;
+  },
+
+  /**
+   * Render one card per module with its changes and an import mode selector
+   * @param {Array} preview - Result of buildPreview
+   * @param {Element} list - Element to fill
+   */
+  render(preview, list) {
+    list.innerHTML = '';
+
+    preview.forEach(item => {
+      const entry = document.createElement('div');
+      entry.className = 'day-entry';
+
+      const title = document.createElement('p');
+      const titleText = document.createElement('b');
+      titleText.textContent = item.label;
+      title.appendChild(titleText);
+      entry.appendChild(title);
+
+      const statuses = Object.values(item.days).map(day => day.status);
+      const count = status => statuses.filter(value => value === status).length;
+
+      if (item.module !== 'settings') {
+        const summary = document.createElement('p');
+        summary.textContent = `${count('added')} new days, ${count('changed')} changed, ${count('conflict')} conflicts`;
+        if (item.localOnly > 0) {
+          summary.textContent += `, ${item.localOnly} days only on this device`;
+        }
+        entry.appendChild(summary);
+      }
+
+      item.notes.forEach(note => {
+        const line = document.createElement('p');
+        line.textContent = note;
+        entry.appendChild(line);
+      });
+
+      const select = document.createElement('select');
+      select.className = 'modal-input import-mode';
+      select.dataset.module = item.module;
+      [['merge', 'Merge with this device'], ['overwrite', 'Overwrite this device'], ['skip', 'Skip']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        select.appendChild(option);
+      });
+      entry.appendChild(select);
+
+      const dates = Object.keys(item.days).sort().reverse();
+      if (dates.length > 0) {
+        const daysList = document.createElement('div');
+        daysList.className = 'import-days';
+        daysList.style.display = 'none';
+
+        const viewBtn = document.createElement('button');
+        viewBtn.className = 'action-btn neutral';
+        viewBtn.textContent = 'View Days';
+        viewBtn.addEventListener('click', () => {
+          const isHidden = daysList.style.display === 'none';
+          if (isHidden && !daysList.hasChildNodes()) {
+            dates.forEach(date => {
+              const day = item.days[date];
+              const line = document.createElement('p');
+              line.className = `import-day ${day.status}`;
+              line.textContent = `${date}: ${IMPORT_DAY_LABELS[day.status]} - ${day.detail}`;
+              daysList.appendChild(line);
+            });
+          }
+          daysList.style.display = isHidden ? 'block' : 'none';
+          viewBtn.textContent = isHidden ? 'Hide Days' : 'View Days';
+        });
+
+        entry.appendChild(viewBtn);
+        entry.appendChild(daysList);
+      }
+
+      list.appendChild(entry);
+    });
+  },
+
+  /**
+   * Render the rows of the file that will not be imported, with their line numbers
+   * @param {Object} report - parseCSVData's report
+   * @returns {Element}
+   */
+  renderRejectedRows(report) {
+    const entry = document.createElement('div');
+    entry.className = 'day-entry';
+
+    const title = document.createElement('p');
+    const titleText = document.createElement('b');
+    titleText.textContent = 'Rejected Rows';
+    title.appendChild(titleText);
+    entry.appendChild(title);
+
+    const summary = document.createElement('p');
+    summary.textContent = `${report.rejected.length} of ${report.rows} rows cannot be imported and will be skipped`;
+    entry.appendChild(summary);
+
+    const rowsList = document.createElement('div');
+    rowsList.className = 'import-days';
+    report.rejected.forEach(row => {
+      const line = document.createElement('p');
+      line.className = 'import-day conflict';
+      // Files that are not text, like FIT activities, are rejected whole and have no line
+      const where = row.line ? `${row.file ? `${row.file}, line` : 'Line'} ${row.line}` : row.file;
+      line.textContent = `${where}: ${row.reason}`;
+      rowsList.appendChild(line);
+    });
+    entry.appendChild(rowsList);
+
+    return entry;
+  },
+
+  /**
+   * Read the chosen mode for each module
+   * @returns {Object} - Mode ('merge', 'overwrite' or 'skip') keyed by module
+   */
+  getSelectedModes() {
+    const modes = {};
+    document.querySelectorAll('#import-preview-list .import-mode').forEach(select => {
+      modes[select.dataset.module] = select.value;
+    });
+    return modes;
+  },
+
+  /**
+   * Import the previewed data with the chosen modes
+   */
+  confirm() {
+    const importedData = this.importedData;
+    const modes = this.getSelectedModes();
+    if (!importedData) return;
+
+    if (Object.values(modes).every(mode => mode === 'skip')) {
+      utils.showToast('All modules are set to skip - nothing to import.', 'warning');
+      return;
+    }
+
+    this.close();
+
+    performDataImport(importedData, modes).then(success => {
+      if (success) {
+        utils.showToast('Data imported successfully! Reloading app...', 'success');
+        setTimeout(() => location.reload(), 1500);
+      }
+    });
+  }
+};
\ No newline at end of file
@@ -0,0 +1,214 @@
+/**
+ * Health Tracker App - Action Journal
+ * This file contains the undo/redo journal for data-changing actions
+ */
+
+// Number of actions kept for undo
+const JOURNAL_LIMIT = 50;
+
+/**
+ * Records data-changing actions so they can be undone and redone, even after a reload.
+ *
+ * Each entry only holds plain data (type, label, payload). The code that owns the
+ * data registers an { undo, redo } handler per entry type, so entries saved
+ * before a reload are replayed by the handlers registered after it.
+ */
+const actionJournal = {
+  entries: [],
+  position: 0,
+  handlers: {},
+  busy: false,
+
+  /**
+   * Load the saved journal and connect the undo/redo buttons and shortcuts
+   */
+  init() {
+    this.load();
+
+    const undoBtn = document.getElementById('undo-action');
+    if (undoBtn) {
+      undoBtn.addEventListener('click', () => this.undo());
+    }
+
+    const redoBtn = document.getElementById('redo-action');
+    if (redoBtn) {
+      redoBtn.addEventListener('click', () => this.redo());
+    }
+
+    // Ctrl/Cmd+Z to undo, Ctrl/Cmd+Shift+Z or Ctrl+Y to redo - but not while typing
+    document.addEventListener('keydown', (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      if (event.target.matches && event.target.matches('input, textarea, select')) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        this.undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        this.redo();
+      }
+    });
+  },
+
+  /**
+   * Load the active profile's saved journal
+   */
+  load() {
+    let saved = null;
+    try {
+      saved = JSON.parse(profileStorage.getItem(STORAGE_KEYS.ACTION_JOURNAL));
+    } catch (error) {
+      console.error('Error loading action journal:', error);
+    }
+
+    this.entries = [];
+    this.position = 0;
+
+    if (saved && Array.isArray(saved.entries)) {
+      this.entries = saved.entries;
+      this.position = Math.min(saved.position, saved.entries.length);
+    }
+
+    this.updateButtons();
+  },
+
+  /**
+   * Register how an entry type is undone and redone
+   * @param {string} type - Entry type, e.g. 'water.addIntake'
+   * @param {Object} handler - { undo(payload), redo(payload) }, each returning a boolean or Promise<boolean>
+   */
+  register(type, handler) {
+    this.handlers[type] = handler;
+  },
+
+  /**
+   * Record an action that was just performed. Anything that could be redone is dropped.
+   * @param {string} type - Registered entry type
+   * @param {string} label - Short description shown to the user
+   * @param {Object} payload - Plain data the handler needs
+   */
+  record(type, label, payload) {
+    this.entries = this.entries.slice(0, this.position);
+    this.entries.push({ type, label, payload, timestamp: appClock.now().toISOString() });
+
+    if (this.entries.length > JOURNAL_LIMIT) {
+      this.entries = this.entries.slice(this.entries.length - JOURNAL_LIMIT);
+    }
+
+    this.position = this.entries.length;
+    this.save();
+  },
+
+  /**
+   * Forget all entries - used when data is replaced wholesale
+   */
+  clear() {
+    this.entries = [];
+    this.position = 0;
+    this.save();
+  },
+
+  /**
+   * Undo the most recent action
+   * @returns {Promise<boolean>}
+   */
+  undo() {
+    if (this.position === 0) {
+      utils.showToast('Nothing to undo.', 'info');
+      return Promise.resolve(false);
+    }
+
+    return this.apply(this.entries[this.position - 1], 'undo').then(applied => {
+      if (applied) {
+        this.position--;
+        this.save();
+      }
+      return applied;
+    });
+  },
+
+  /**
+   * Redo the most recently undone action
+   * @returns {Promise<boolean>}
+   */
+  redo() {
+    if (this.position === this.entries.length) {
+      utils.showToast('Nothing to redo.', 'info');
+      return Promise.resolve(false);
+    }
+
+    return this.apply(this.entries[this.position], 'redo').then(applied => {
+      if (applied) {
+        this.position++;
+        this.save();
+      }
+      return applied;
+    });
+  },
+
+  /**
+   * Run an entry's undo or redo handler
+   * @param {Object} entry - Journal entry
+   * @param {string} direction - 'undo' or 'redo'
+   * @returns {Promise<boolean>} - Whether the handler succeeded
+   */
+  apply(entry, direction) {
+    const handler = this.handlers[entry.type];
+    if (!handler || this.busy) {
+      if (!handler) console.error(`No journal handler for "${entry.type}"`);
+      return Promise.resolve(false);
+    }
+
+    this.busy = true;
+
+    return Promise.resolve()
+      .then(() => handler[direction](entry.payload))
+      .then(applied => {
+        if (applied === false) {
+          throw new Error('Could not save the change.');
+        }
+
+        const verb = direction === 'undo' ? 'Undone' : 'Redone';
+        utils.showToast(`${verb}: ${entry.label}`, 'info');
+        return true;
+      })
+      .catch(error => {
+        console.error(`Journal ${direction} failed:`, error);
+        utils.showToast(`Could not ${direction} "${entry.label}": ${error.message}`, 'error');
+        return false;
+      })
+      .then(applied => {
+        this.busy = false;
+        return applied;
+      });
+  },
+
+  /**
+   * Save the journal and refresh the buttons
+   */
+  save() {
+    storageManager.safeSetItem(STORAGE_KEYS.ACTION_JOURNAL, JSON.stringify({
+      entries: this.entries,
+      position: this.position
+    }));
+    this.updateButtons();
+  },
+
+  /**
+   * Enable the undo/redo buttons only when there is something to do
+   */
+  updateButtons() {
+    const undoBtn = document.getElementById('undo-action');
+    if (undoBtn) {
+      undoBtn.disabled = this.position === 0;
+      undoBtn.title = this.position > 0 ? `Undo: ${this.entries[this.position - 1].label}` : 'Nothing to undo';
+    }
+
+    const redoBtn = document.getElementById('redo-action');
+    if (redoBtn) {
+      redoBtn.disabled = this.position === this.entries.length;
+      redoBtn.title = this.position < this.entries.length ? `Redo: ${this.entries[this.position].label}` : 'Nothing to redo';
+    }
+  }
+};
\ No newline at end of file
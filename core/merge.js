@@ -0,0 +1,447 @@
+/**
+ * Health Tracker App - Dataset Merge
+ * This file contains the logical clock that stamps saved records and the merge that combines two datasets
+ */
+
+// Stamp of records saved before records carried one - older than every real stamp
+const INITIAL_STAMP = '000000000-0000';
+
+/**
+ * Hybrid logical clock stamping every added, changed or deleted record.
+ *
+ * A stamp is the time in milliseconds, a counter for stamps issued in the
+ * same millisecond and this device's id, e.g. 'm3k2x9a1c-0000-<device id>'.
+ * Both numbers have a fixed width, so comparing stamps as strings orders
+ * them. The clock never runs behind a stamp it has seen, so a change made
+ * after pulling data from a device whose clock is ahead still wins.
+ */
+const logicalClock = {
+  // Time and counter of the latest stamp issued or seen
+  time: 0,
+  counter: 0,
+
+  /**
+   * Get the id this device adds to its stamps
+   * @returns {string}
+   */
+  getDeviceId() {
+    let deviceId = profileStorage.getItem(STORAGE_KEYS.DEVICE_ID);
+    if (!deviceId) {
+      deviceId = dataStore.createId();
+      storageManager.safeSetItem(STORAGE_KEYS.DEVICE_ID, deviceId);
+    }
+    return deviceId;
+  },
+
+  /**
+   * Issue a stamp later than every stamp issued or seen so far
+   * @returns {string}
+   */
+  now() {
+    this.load();
+
+    // A simulated date (see appClock) must never move stamps ahead of the real time
+    const time = appClock.systemTimestamp();
+    if (time > this.time) {
+      this.time = time;
+      this.counter = 0;
+    } else {
+      this.counter++;
+    }
+
+    return `${this.format(this.time, this.counter)}-${this.getDeviceId()}`;
+  },
+
+  /**
+   * Move the clock past a stamp from another device
+   * @param {string} stamp - Stamp from now() on any device
+   */
+  observe(stamp) {
+    const parsed = this.parse(stamp);
+    if (!parsed) return;
+
+    this.load();
+    if (parsed.time > this.time || (parsed.time === this.time && parsed.counter > this.counter)) {
+      this.time = parsed.time;
+      this.counter = parsed.counter;
+
+      // Kept so stamps issued after a reload are still later
+      if (this.time > appClock.systemTimestamp()) {
+        storageManager.safeSetItem(STORAGE_KEYS.LOGICAL_CLOCK, this.format(this.time, this.counter));
+      }
+    }
+  },
+
+  /**
+   * Pick up a clock that was ahead of this device's time when the app last ran
+   */
+  load() {
+    const saved = this.parse(profileStorage.getItem(STORAGE_KEYS.LOGICAL_CLOCK));
+    if (saved && (saved.time > this.time || (saved.time === this.time && saved.counter > this.counter))) {
+      this.time = saved.time;
+      this.counter = saved.counter;
+    }
+  },
+
+  /**
+   * Format the time and counter of a stamp
+   * @param {number} time - Milliseconds since the epoch
+   * @param {number} counter - Stamps issued in the same millisecond before this one
+   * @returns {string}
+   */
+  format(time, counter) {
+    return `${time.toString(36).padStart(9, '0')}-${counter.toString(36).padStart(4, '0')}`;
+  },
+
+  /**
+   * Read the time and counter of a stamp
+   * @param {string} stamp - Stamp or formatted clock
+   * @returns {Object|null} - { time, counter }, null if it is not a stamp
+   */
+  parse(stamp) {
+    const match = typeof stamp === 'string' ? stamp.match(/^([0-9a-z]{9})-([0-9a-z]{4})/) : null;
+    return match ? { time: parseInt(match[1], 36), counter: parseInt(match[2], 36) } : null;
+  }
+};
+
+/**
+ * Combines two datasets into one, e.g. this device's data and a sync payload.
+ *
+ * Datasets are in the dataStore cache shape, including archived days, plus a
+ * tombstones map ({ id: { module, modified } }) of deleted records. Intake
+ * and workout entries are matched by id, habits by id and habit days by habit
+ * id and date. Of two versions of a record the one with the later stamp is
+ * kept, and a tombstone removes every version stamped no later than itself.
+ * Ties are broken by comparing the records' JSON, so merge(a, b) and
+ * merge(b, a) give the same result, as does merging a result again.
+ *
+ * A deleted habit takes the days saved before the delete with it. It stays
+ * if it or one of its days was changed after it was deleted elsewhere, and
+ * its tombstone is kept so days from before the delete never come back.
+ */
+const datasetMerge = {
+  /**
+   * Merge two datasets
+   * @param {Object} a - Dataset
+   * @param {Object} b - Dataset
+   * @returns {Object} - New merged dataset
+   */
+  merge(a, b) {
+    const tombstones = this.mergeTombstones(a.tombstones, b.tombstones);
+
+    const intake = {};
+    const types = new Set([...Object.keys(a.intake || {}), ...Object.keys(b.intake || {})]);
+    [...types].sort().forEach(type => {
+      intake[type] = this.mergeEntries(type, [(a.intake || {})[type], (b.intake || {})[type]], tombstones);
+    });
+
+    const workout = this.pickWorkoutState(a, b);
+
+    return {
+      intake,
+      workoutHistory: this.mergeEntries('workouts', [a.workoutHistory, b.workoutHistory], tombstones),
+      workoutState: workout.workoutState,
+      workoutCounts: workout.workoutCounts,
+      workoutStateModified: workout.workoutStateModified,
+      habits: this.mergeHabits([a.habits, b.habits], tombstones),
+      tombstones
+    };
+  },
+
+  /**
+   * Get the stamp of a record, or INITIAL_STAMP for records saved before stamps
+   * @param {string} [stamp]
+   * @returns {string}
+   */
+  getStamp(stamp) {
+    return stamp || INITIAL_STAMP;
+  },
+
+  /**
+   * Serialize a value with sorted object keys, so equal values give equal text
+   * @param {*} value
+   * @returns {string}
+   */
+  toCanonicalJson(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.toCanonicalJson(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const fields = Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.toCanonicalJson(value[key])}`);
+      return `{${fields.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  },
+
+  /**
+   * Order two versions of a record - by stamp, then by content
+   * @param {string} stampA - Stamp of the first version
+   * @param {*} valueA - First version
+   * @param {string} stampB - Stamp of the second version
+   * @param {*} valueB - Second version
+   * @returns {number} - Positive if the first version wins
+   */
+  compare(stampA, valueA, stampB, valueB) {
+    const a = this.getStamp(stampA);
+    const b = this.getStamp(stampB);
+    if (a !== b) return a > b ? 1 : -1;
+
+    const jsonA = this.toCanonicalJson(valueA);
+    const jsonB = this.toCanonicalJson(valueB);
+    if (jsonA === jsonB) return 0;
+    return jsonA > jsonB ? 1 : -1;
+  },
+
+  /**
+   * Combine two tombstone maps, keeping the later delete of each record.
+   * Habit tombstones also keep the latest version of the deleted habit (see mergeHabits()).
+   * @param {Object} [a] - Tombstones keyed by record id
+   * @param {Object} [b] - Tombstones keyed by record id
+   * @returns {Object} - New tombstone map
+   */
+  mergeTombstones(a, b) {
+    const latest = {};
+    const habits = {};
+
+    [a, b].forEach(tombstones => {
+      Object.entries(tombstones || {}).forEach(([id, { module, modified, habit }]) => {
+        const tombstone = { module, modified: this.getStamp(modified) };
+        const current = latest[id];
+        if (!current || this.compare(tombstone.modified, tombstone, current.modified, current) > 0) {
+          latest[id] = tombstone;
+        }
+
+        if (habit && (!habits[id] || this.compare(habit.modified, habit, habits[id].modified, habits[id]) > 0)) {
+          habits[id] = habit;
+        }
+      });
+    });
+
+    const merged = {};
+    Object.keys(latest).sort().forEach(id => {
+      merged[id] = habits[id] ? Object.assign({}, latest[id], { habit: habits[id] }) : latest[id];
+    });
+    return merged;
+  },
+
+  /**
+   * Check whether a record was deleted after its version was saved.
+   * A record that outlived its tombstone drops the tombstone from the result.
+   * @param {Object} tombstones - Merged tombstones, updated in place
+   * @param {string} id - Record id
+   * @param {string} stamp - Stamp of the record's winning version
+   * @returns {boolean}
+   */
+  isDeleted(tombstones, id, stamp) {
+    const tombstone = tombstones[id];
+    if (!tombstone) return false;
+
+    if (tombstone.modified >= this.getStamp(stamp)) return true;
+    delete tombstones[id];
+    return false;
+  },
+
+  /**
+   * Get the id of an entry. Entries from files without ids get one from their contents,
+   * so the same file read on two devices gives the same ids.
+   * @param {string} module - 'water', 'protein' or 'workouts'
+   * @param {string} date - Date the entry is stored under (YYYY-MM-DD)
+   * @param {Object} entry - Intake or workout entry
+   * @returns {string}
+   */
+  getEntryId(module, date, entry) {
+    return entry.id || `${module}:${date}:${this.toCanonicalJson(entry)}`;
+  },
+
+  /**
+   * Merge the entry histories of one module
+   * @param {string} module - 'water', 'protein' or 'workouts'
+   * @param {Object[]} histories - Entries keyed by date, from each dataset
+   * @param {Object} tombstones - Merged tombstones
+   * @returns {Object} - New history keyed by date
+   */
+  mergeEntries(module, histories, tombstones) {
+    const versions = {};
+
+    histories.forEach(history => {
+      Object.entries(history || {}).forEach(([date, entries]) => {
+        entries.forEach(entry => {
+          const id = this.getEntryId(module, date, entry);
+          const version = { date, entry: Object.assign({}, entry, { id }) };
+          const current = versions[id];
+
+          if (!current || this.compare(entry.modified, version, current.entry.modified, current) > 0) {
+            versions[id] = version;
+          }
+        });
+      });
+    });
+
+    const merged = {};
+    Object.keys(versions).sort().forEach(id => {
+      const { date, entry } = versions[id];
+      if (this.isDeleted(tombstones, id, entry.modified)) return;
+
+      if (!merged[date]) merged[date] = [];
+      merged[date].push(entry);
+    });
+
+    const sorted = {};
+    Object.keys(merged).sort().forEach(date => {
+      sorted[date] = merged[date].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)) || (a.id < b.id ? -1 : 1));
+    });
+    return sorted;
+  },
+
+  /**
+   * Merge the habits of both datasets and each of their days.
+   *
+   * Habit tombstones are kept even when the habit stays, and hold the latest
+   * version of the habit, so nothing a later merge could bring back is lost
+   * while the habit is deleted.
+   * @param {Array[]} habitLists - Habits from each dataset, null where habits were never saved
+   * @param {Object} tombstones - Merged tombstones, updated in place
+   * @returns {Array|null} - New habits array, null if neither dataset has habits
+   */
+  mergeHabits(habitLists, tombstones) {
+    if (habitLists.every(habits => !Array.isArray(habits))) {
+      return null;
+    }
+
+    const versions = {};
+    const days = {};
+
+    // Habits keep the position they had in their dataset, so merged results sort the same
+    const addVersion = (id, habit, index) => {
+      const order = typeof habit.order === 'number' ? habit.order : index;
+      const version = { id, name: habit.name, color: habit.color, order, modified: this.getStamp(habit.modified) };
+      const current = versions[id];
+
+      if (!current || this.compare(version.modified, version, current.modified, current) > 0) {
+        versions[id] = version;
+      }
+      if (!days[id]) days[id] = {};
+    };
+
+    Object.entries(tombstones).forEach(([id, tombstone]) => {
+      if (tombstone.habit) addVersion(id, tombstone.habit, 0);
+    });
+
+    habitLists.filter(Array.isArray).forEach(habits => {
+      habits.forEach((habit, index) => {
+        const id = habit.id || `habit:${String(habit.name).toLowerCase()}`;
+        addVersion(id, habit, index);
+
+        const historyModified = habit.historyModified || {};
+        Object.entries(habit.history || {}).forEach(([date, status]) => {
+          const day = { status, modified: this.getStamp(historyModified[date]) };
+          const currentDay = days[id][date];
+
+          if (!currentDay || this.compare(day.modified, day, currentDay.modified, currentDay) > 0) {
+            days[id][date] = day;
+          }
+        });
+      });
+    });
+
+    // Days of deleted habits are checked too, so their tombstones end up the same in any order
+    const habits = Object.values(versions)
+      .sort((a, b) => a.order - b.order || (a.id < b.id ? -1 : 1))
+      .map(version => {
+        const habit = {
+          id: version.id,
+          name: version.name,
+          color: version.color,
+          order: version.order,
+          modified: version.modified,
+          history: {},
+          historyModified: {}
+        };
+
+        const deleted = tombstones[version.id];
+        Object.keys(days[version.id]).sort().forEach(date => {
+          const day = days[version.id][date];
+          if (this.isDeleted(tombstones, `${version.id}/${date}`, day.modified)) return;
+          if (deleted && day.modified <= deleted.modified) return;
+
+          habit.history[date] = day.status;
+          habit.historyModified[date] = day.modified;
+        });
+
+        if (deleted) {
+          deleted.habit = { name: version.name, color: version.color, order: version.order, modified: version.modified };
+        }
+        return habit;
+      });
+
+    // Deleting a habit covers the deletes of its days from before
+    Object.keys(tombstones).forEach(id => {
+      const separator = id.lastIndexOf('/');
+      const deleted = separator === -1 ? null : tombstones[id.slice(0, separator)];
+      if (deleted && tombstones[id].module === 'habits' && tombstones[id].modified <= deleted.modified) {
+        delete tombstones[id];
+      }
+    });
+
+    return habits.filter(habit => {
+      const deleted = tombstones[habit.id];
+      return !deleted || habit.modified > deleted.modified || Object.keys(habit.history).length > 0;
+    });
+  },
+
+  /**
+   * Pick the workout tab state and counts, which are saved together as one record.
+   * Like other records, the later stamp wins and the content breaks a tie. A dataset
+   * that never saved them, e.g. one holding other modules only, leaves the other's.
+   * The result carries the winner's stamp, so merging three datasets gives the same
+   * state whichever two are merged first.
+   * @param {Object} a - Dataset
+   * @param {Object} b - Dataset
+   * @returns {Object} - { workoutState, workoutCounts, workoutStateModified }
+   */
+  pickWorkoutState(a, b) {
+    const [stateA, stateB] = [a, b].map(dataset => ({
+      workoutState: dataset.workoutState || null,
+      workoutCounts: dataset.workoutCounts || null,
+      workoutStateModified: dataset.workoutStateModified || null
+    }));
+
+    const isEmpty = state => !state.workoutState && !state.workoutCounts && !state.workoutStateModified;
+    if (isEmpty(stateA)) return stateB;
+    if (isEmpty(stateB)) return stateA;
+
+    const valueOf = state => ({ workoutState: state.workoutState, workoutCounts: state.workoutCounts });
+    return this.compare(stateA.workoutStateModified, valueOf(stateA), stateB.workoutStateModified, valueOf(stateB)) >= 0 ? stateA : stateB;
+  },
+
+  /**
+   * Find the latest stamp in a dataset, to move the clock past it
+   * @param {Object} dataset - Dataset
+   * @returns {string}
+   */
+  getLatestStamp(dataset) {
+    let latest = INITIAL_STAMP;
+    const see = stamp => {
+      if (stamp && stamp > latest) latest = stamp;
+    };
+
+    [...Object.values(dataset.intake || {}), dataset.workoutHistory || {}].forEach(history => {
+      Object.values(history).forEach(entries => entries.forEach(entry => see(entry.modified)));
+    });
+    (dataset.habits || []).forEach(habit => {
+      see(habit.modified);
+      Object.values(habit.historyModified || {}).forEach(see);
+    });
+    see(dataset.workoutStateModified);
+    Object.values(dataset.tombstones || {}).forEach(tombstone => see(tombstone.modified));
+
+    return latest;
+  }
+};
+
+// Outside the browser (Node, test runners) the merge can be loaded as a module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { INITIAL_STAMP, datasetMerge };
+}
\ No newline at end of file
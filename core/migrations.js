@@ -0,0 +1,221 @@
+/**
+ * Health Tracker App - Schema Migrations
+ * This file contains the ordered data migration steps and the runner that applies them on startup
+ */
+
+/**
+ * Ordered migration steps. Each step upgrades the dataset from (version - 1) to version.
+ * Steps receive a copy of the data in the dataStore cache shape and must return it.
+ * Never edit a released step - add a new one and bump SCHEMA_VERSION instead.
+ */
+const SCHEMA_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Normalize dates to YYYY-MM-DD, add missing workout types and clean habit statuses',
+    migrate(dataset) {
+      // Older versions stored some dates in US format (M/D/YYYY)
+      const normalizeDateKey = (dateKey) => {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(dateKey)) return dateKey;
+
+        const usMatch = dateKey.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        const date = usMatch
+          ? new Date(parseInt(usMatch[3]), parseInt(usMatch[1]) - 1, parseInt(usMatch[2]))
+          : new Date(dateKey);
+
+        return isNaN(date.getTime()) ? dateKey : utils.formatDate(date);
+      };
+
+      // Re-key a history object, merging entries that land on the same date
+      const normalizeHistory = (history, merge) => {
+        const normalized = {};
+        Object.entries(history || {}).forEach(([dateKey, value]) => {
+          const newKey = normalizeDateKey(dateKey);
+          normalized[newKey] = newKey in normalized ? merge(normalized[newKey], value) : value;
+        });
+        return normalized;
+      };
+
+      const concatEntries = (a, b) => a.concat(b);
+
+      Object.keys(dataset.intake || {}).forEach(type => {
+        dataset.intake[type] = normalizeHistory(dataset.intake[type], concatEntries);
+      });
+
+      dataset.workoutHistory = normalizeHistory(dataset.workoutHistory, concatEntries);
+
+      // "Shoulders" was added after the first release
+      const workoutTypes = ['Chest', 'Back', 'Shoulders', 'Biceps', 'Triceps', 'Abs', 'Legs'];
+      if (dataset.workoutState) {
+        workoutTypes.forEach((type, index) => {
+          if (!dataset.workoutState[type]) {
+            dataset.workoutState[type] = { completed: false, order: index };
+          }
+        });
+      }
+      if (dataset.workoutCounts) {
+        workoutTypes.forEach(type => {
+          if (typeof dataset.workoutCounts[type] !== 'number') {
+            dataset.workoutCounts[type] = 0;
+          }
+        });
+      }
+
+      // Habit history only ever holds 'done' or 'fail'
+      if (Array.isArray(dataset.habits)) {
+        dataset.habits.forEach(habit => {
+          const history = normalizeHistory(habit.history, (a, b) => (a === 'done' || b === 'done' ? 'done' : 'fail'));
+
+          habit.history = {};
+          Object.entries(history).forEach(([dateKey, status]) => {
+            if (status === 'done' || status === 'fail') {
+              habit.history[dateKey] = status;
+            }
+          });
+        });
+      }
+
+      return dataset;
+    }
+  },
+  {
+    version: 3,
+    description: 'Give every entry and habit an id and a modification stamp, and start the tombstones',
+    migrate(dataset) {
+      // Nobody knows when older records last changed, so any later change wins over them
+      const stampEntries = (history) => {
+        Object.values(history || {}).forEach(entries => {
+          entries.forEach(entry => {
+            if (!entry.id) entry.id = dataStore.createId();
+            if (!entry.modified) entry.modified = INITIAL_STAMP;
+          });
+        });
+      };
+
+      Object.values(dataset.intake || {}).forEach(stampEntries);
+      stampEntries(dataset.workoutHistory);
+
+      if (Array.isArray(dataset.habits)) {
+        dataset.habits.forEach(habit => {
+          if (!habit.id) habit.id = dataStore.createId();
+          if (!habit.modified) habit.modified = INITIAL_STAMP;
+          habit.historyModified = habit.historyModified || {};
+          Object.keys(habit.history || {}).forEach(date => {
+            if (!habit.historyModified[date]) habit.historyModified[date] = INITIAL_STAMP;
+          });
+        });
+      }
+
+      dataset.tombstones = dataset.tombstones || {};
+      return dataset;
+    }
+  }
+];
+
+/**
+ * Runs schema migrations against the data store
+ */
+const schemaMigrator = {
+  /**
+   * Get the schema version this device's data was saved with
+   * @returns {number} - Stored version, 1 for data saved before versioning, 0 for a fresh install
+   */
+  getStoredVersion() {
+    const storedVersion = parseInt(profileStorage.getItem(STORAGE_KEYS.SCHEMA_VERSION));
+    if (!isNaN(storedVersion)) {
+      return storedVersion;
+    }
+
+    const dataset = dataStore.cache;
+    const hasData = Object.values(dataset.intake).some(history => Object.keys(history).length > 0) ||
+                    Object.keys(dataset.workoutHistory).length > 0 ||
+                    dataset.workoutState !== null ||
+                    dataset.habits !== null;
+
+    return hasData ? 1 : 0;
+  },
+
+  /**
+   * Record the schema version the data is now in
+   * @param {number} version - Schema version
+   */
+  setStoredVersion(version) {
+    storageManager.safeSetItem(STORAGE_KEYS.SCHEMA_VERSION, String(version));
+  },
+
+  /**
+   * Bring imported data up to SCHEMA_VERSION before it is saved, so the data
+   * already on this device doesn't have to be migrated again
+   * @param {Object} data - Part of a dataset, e.g. { habits } - the modules it doesn't have are left out
+   * @param {number} [fromVersion] - Schema version of the data, 1 for files that don't record one
+   * @returns {Object} - The migrated modules
+   */
+  migrateImport(data, fromVersion = 1) {
+    return SCHEMA_MIGRATIONS
+      .filter(step => step.version > fromVersion && step.version <= SCHEMA_VERSION)
+      .sort((a, b) => a.version - b.version)
+      .reduce((dataset, step) => step.migrate(dataset), JSON.parse(JSON.stringify(data)));
+  },
+
+  /**
+   * Bring stored data up to SCHEMA_VERSION. Must run before the trackers are created.
+   * @returns {Promise<number>} - Version the data was migrated from
+   */
+  run() {
+    const fromVersion = this.getStoredVersion();
+
+    if (fromVersion > SCHEMA_VERSION) {
+      const error = new Error('Your data was saved by a newer version of this app. Please update the app to continue.');
+      error.name = 'SchemaDowngradeError';
+      return Promise.reject(error);
+    }
+
+    // Fresh install - nothing to migrate
+    if (fromVersion === 0) {
+      this.setStoredVersion(SCHEMA_VERSION);
+      return Promise.resolve(fromVersion);
+    }
+
+    if (fromVersion === SCHEMA_VERSION) {
+      return Promise.resolve(fromVersion);
+    }
+
+    const steps = SCHEMA_MIGRATIONS
+      .filter(step => step.version > fromVersion && step.version <= SCHEMA_VERSION)
+      .sort((a, b) => a.version - b.version);
+
+    const backup = {
+      schemaVersion: fromVersion,
+      createdAt: appClock.now().toISOString(),
+      data: dataStore.getDataset()
+    };
+
+    console.log(`Migrating data from schema v${fromVersion} to v${SCHEMA_VERSION}...`);
+
+    return dataStore.saveBackup(`schema_v${fromVersion}`, backup)
+      .then(backedUp => {
+        if (!backedUp) {
+          throw new Error('Could not back up data before upgrading it.');
+        }
+
+        let dataset = dataStore.getDataset();
+        steps.forEach(step => {
+          console.log(`Schema v${step.version}: ${step.description}`);
+          dataset = step.migrate(dataset);
+        });
+
+        return dataStore.replaceDataset(dataset);
+      })
+      .then(saved => {
+        if (!saved) {
+          // Put back the pre-migration data so the next start can try again
+          return dataStore.replaceDataset(backup.data).then(() => {
+            throw new Error('Could not save upgraded data. Your data was restored from a backup.');
+          });
+        }
+
+        this.setStoredVersion(SCHEMA_VERSION);
+        console.log('Schema migration complete');
+        return fromVersion;
+      });
+  }
+};
@@ -20,6 +20,12 @@ let supplementsEveningTimer = null;
 let waterAlertTimer = null;
 let proteinAlertTimer = null;
 
+// Today's intake and goals, kept current from the event bus
+const intakeStatus = {
+  water: { total: 0, goal: 0 },
+  protein: { total: 0, goal: 0 }
+};
+
 /**
  * Initialize global notifications
  */
@@ -32,6 +38,9 @@ function initializeGlobalNotifications() {
     });
   }
   
+  // Keep track of intake through data change events
+  initializeIntakeStatus();
+  
   // Set up notification toggle switches
   initializeNotificationToggles();
   
@@ -39,6 +48,51 @@ function initializeGlobalNotifications() {
   scheduleAllNotifications();
 }
 
+/**
+ * Load today's saved intake and goals, then follow changes on the event bus
+ */
+function initializeIntakeStatus() {
+  loadIntakeStatus();
+  
+  const updateIntake = ({ type, total, goal }) => {
+    if (!intakeStatus[type]) return;
+    intakeStatus[type].total = total;
+    intakeStatus[type].goal = goal;
+  };
+  
+  eventBus.on(APP_EVENTS.INTAKE_ADDED, updateIntake);
+  eventBus.on(APP_EVENTS.INTAKE_REMOVED, updateIntake);
+  
+  eventBus.on(APP_EVENTS.GOAL_CHANGED, ({ type, goal }) => {
+    if (intakeStatus[type]) intakeStatus[type].goal = goal;
+  });
+  
+  eventBus.on(APP_EVENTS.DAY_ROLLED_OVER, ({ module }) => {
+    if (intakeStatus[module]) intakeStatus[module].total = 0;
+  });
+  
+  // Another tab's changes were loaded or the day moved - read the totals again
+  eventBus.on(APP_EVENTS.DATA_SYNCED, loadIntakeStatus);
+  eventBus.on(APP_EVENTS.DAY_START_CHANGED, loadIntakeStatus);
+  
+  eventBus.on(APP_EVENTS.PROFILE_SWITCHED, reloadNotificationSettings);
+  
+  // Reminders passed by a simulated date fire by themselves - one moved back has to be scheduled again
+  eventBus.on(APP_EVENTS.CLOCK_CHANGED, ({ change }) => {
+    if (change < 0) scheduleAllNotifications();
+  });
+}
+
+/**
+ * Read today's saved intake and goals of the active profile
+ */
+function loadIntakeStatus() {
+  Object.keys(intakeStatus).forEach(type => {
+    intakeStatus[type].total = parseInt(profileStorage.getItem(`${STORAGE_KEYS.INTAKE_PREFIX}${type}`)) || 0;
+    intakeStatus[type].goal = parseInt(profileStorage.getItem(`${STORAGE_KEYS.GOAL_PREFIX}${type}`)) || 0;
+  });
+}
+
 /**
  * Initialize notification toggle switches
  */
@@ -72,11 +126,8 @@ function initializeNotificationToggles() {
   // Supplements reminder toggle
   const supplementsToggle = document.getElementById('supplements-reminder-toggle');
   if (supplementsToggle) {
-    const isEnabled = localStorage.getItem(NOTIFICATION_STORAGE_KEYS.SUPPLEMENTS_REMINDER) === 'true';
-    supplementsToggle.checked = isEnabled;
-    
     supplementsToggle.addEventListener('change', (e) => {
-      localStorage.setItem(NOTIFICATION_STORAGE_KEYS.SUPPLEMENTS_REMINDER, e.target.checked);
+      profileStorage.setItem(NOTIFICATION_STORAGE_KEYS.SUPPLEMENTS_REMINDER, e.target.checked);
       if (e.target.checked) {
         scheduleSupplementsReminders();
         utils.showToast('Supplements reminders enabled', 'success');
@@ -90,11 +141,8 @@ function initializeNotificationToggles() {
   // Water alert toggle
   const waterToggle = document.getElementById('water-reminder-toggle');
   if (waterToggle) {
-    const isEnabled = localStorage.getItem(NOTIFICATION_STORAGE_KEYS.WATER_ALERT) === 'true';
-    waterToggle.checked = isEnabled;
-    
     waterToggle.addEventListener('change', (e) => {
-      localStorage.setItem(NOTIFICATION_STORAGE_KEYS.WATER_ALERT, e.target.checked);
+      profileStorage.setItem(NOTIFICATION_STORAGE_KEYS.WATER_ALERT, e.target.checked);
       if (e.target.checked) {
         scheduleWaterAlert();
         utils.showToast('Water intake alert enabled', 'success');
@@ -108,11 +156,8 @@ function initializeNotificationToggles() {
   // Protein alert toggle
   const proteinToggle = document.getElementById('protein-reminder-toggle');
   if (proteinToggle) {
-    const isEnabled = localStorage.getItem(NOTIFICATION_STORAGE_KEYS.PROTEIN_ALERT) === 'true';
-    proteinToggle.checked = isEnabled;
-    
     proteinToggle.addEventListener('change', (e) => {
-      localStorage.setItem(NOTIFICATION_STORAGE_KEYS.PROTEIN_ALERT, e.target.checked);
+      profileStorage.setItem(NOTIFICATION_STORAGE_KEYS.PROTEIN_ALERT, e.target.checked);
       if (e.target.checked) {
         scheduleProteinAlert();
         utils.showToast('Protein intake alert enabled', 'success');
@@ -142,18 +187,56 @@ function initializeNotificationToggles() {
       // Close the water settings panel
       document.getElementById('water-settings-section').classList.remove('active');
     });
-    
-    // Set the input value if a reminder is already set
-    const savedInterval = localStorage.getItem(NOTIFICATION_STORAGE_KEYS.WATER_INTERVAL);
-    if (savedInterval) {
-      const waterReminderTimeInput = document.getElementById('water-reminder-time');
-      if (waterReminderTimeInput) {
-        waterReminderTimeInput.value = savedInterval;
-      }
+  }
+  
+  // Show the saved preferences
+  syncNotificationToggles();
+}
+
+/**
+ * Set the toggles and reminder interval to the active profile's saved preferences
+ */
+function syncNotificationToggles() {
+  const toggles = {
+    'supplements-reminder-toggle': NOTIFICATION_STORAGE_KEYS.SUPPLEMENTS_REMINDER,
+    'water-reminder-toggle': NOTIFICATION_STORAGE_KEYS.WATER_ALERT,
+    'protein-reminder-toggle': NOTIFICATION_STORAGE_KEYS.PROTEIN_ALERT
+  };
+  
+  Object.entries(toggles).forEach(([toggleId, key]) => {
+    const toggle = document.getElementById(toggleId);
+    if (toggle) {
+      toggle.checked = profileStorage.getItem(key) === 'true';
     }
+  });
+  
+  // Set the input value if a reminder is already set
+  const waterReminderTimeInput = document.getElementById('water-reminder-time');
+  if (waterReminderTimeInput) {
+    waterReminderTimeInput.value = profileStorage.getItem(NOTIFICATION_STORAGE_KEYS.WATER_INTERVAL) || '';
   }
 }
 
+/**
+ * Replace the scheduled reminders with the active profile's saved settings,
+ * after switching profiles or when another tab changed them
+ */
+function reloadNotificationSettings() {
+  clearSupplementsReminders();
+  clearWaterAlert();
+  clearProteinAlert();
+  
+  // Stop the timer but keep the saved interval
+  if (globalReminderInterval) {
+    clearInterval(globalReminderInterval);
+    globalReminderInterval = null;
+  }
+  
+  loadIntakeStatus();
+  syncNotificationToggles();
+  scheduleAllNotifications();
+}
+
 /**
  * Schedule all notifications based on saved preferences
  */
@@ -164,82 +247,89 @@ function scheduleAllNotifications() {
   }
   
   // Schedule supplements reminders if enabled
-  if (localStorage.getItem(NOTIFICATION_STORAGE_KEYS.SUPPLEMENTS_REMINDER) === 'true') {
+  if (profileStorage.getItem(NOTIFICATION_STORAGE_KEYS.SUPPLEMENTS_REMINDER) === 'true') {
     scheduleSupplementsReminders();
   }
   
   // Schedule water alert if enabled
-  if (localStorage.getItem(NOTIFICATION_STORAGE_KEYS.WATER_ALERT) === 'true') {
+  if (profileStorage.getItem(NOTIFICATION_STORAGE_KEYS.WATER_ALERT) === 'true') {
     scheduleWaterAlert();
   }
   
   // Schedule protein alert if enabled
-  if (localStorage.getItem(NOTIFICATION_STORAGE_KEYS.PROTEIN_ALERT) === 'true') {
+  if (profileStorage.getItem(NOTIFICATION_STORAGE_KEYS.PROTEIN_ALERT) === 'true') {
     scheduleProteinAlert();
   }
   
   // Schedule water interval reminder if enabled
-  const interval = localStorage.getItem(NOTIFICATION_STORAGE_KEYS.WATER_INTERVAL);
+  const interval = profileStorage.getItem(NOTIFICATION_STORAGE_KEYS.WATER_INTERVAL);
   if (interval) {
     startWaterIntervalReminder(parseInt(interval));
   }
 }
 
+/**
+ * Call a function every day at an hour of the app clock
+ * @param {number} hour - Hour of the day (0-23)
+ * @param {Function} callback - Called at that hour
+ * @returns {Object} - Timer for stopDailyTimer()
+ */
+function startDailyTimer(hour, callback) {
+  const timer = { id: null };
+  
+  const schedule = () => {
+    const now = appClock.now();
+    const next = new Date(now);
+    next.setHours(hour, 0, 0, 0);
+    
+    // If the time has passed for today, wait for tomorrow's - setDate keeps the hour across DST changes
+    if (next <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+    
+    timer.id = appClock.setTimeout(() => {
+      callback();
+      schedule();
+    }, next - now);
+  };
+  
+  schedule();
+  return timer;
+}
+
+/**
+ * Stop a timer from startDailyTimer()
+ * @param {Object} [timer]
+ */
+function stopDailyTimer(timer) {
+  if (timer) {
+    appClock.clearTimeout(timer.id);
+  }
+}
+
 /**
  * Schedule supplements reminders (9am and 10pm)
  */
 function scheduleSupplementsReminders() {
   clearSupplementsReminders();
   
-  const now = new Date();
-  const morningTime = new Date(now);
-  morningTime.setHours(9, 0, 0, 0);
-  
-  const eveningTime = new Date(now);
-  eveningTime.setHours(22, 0, 0, 0);
-  
-  // If times have passed for today, schedule for tomorrow
-  if (now > morningTime) {
-    morningTime.setDate(morningTime.getDate() + 1);
-  }
-  
-  if (now > eveningTime) {
-    eveningTime.setDate(eveningTime.getDate() + 1);
-  }
-  
-  // Schedule morning reminder
-  const morningDelay = morningTime - now;
-  supplementsMorningTimer = setTimeout(() => {
+  supplementsMorningTimer = startDailyTimer(9, () => {
     sendNotification('Supplements Reminder', 'Time to take your morning supplements');
-    // Reschedule for next day
-    const nextDay = new Date();
-    nextDay.setDate(nextDay.getDate() + 1);
-    nextDay.setHours(9, 0, 0, 0);
-    const nextDelay = nextDay - new Date();
-    supplementsMorningTimer = setTimeout(() => scheduleSupplementsReminders(), nextDelay);
-  }, morningDelay);
-  
-  // Schedule evening reminder
-  const eveningDelay = eveningTime - now;
-  supplementsEveningTimer = setTimeout(() => {
+  });
+  
+  supplementsEveningTimer = startDailyTimer(22, () => {
     sendNotification('Supplements Reminder', 'Time to take your evening supplements');
-    // No need to reschedule here as the morning reminder will reschedule both
-  }, eveningDelay);
+  });
 }
 
 /**
  * Clear supplements reminders
  */
 function clearSupplementsReminders() {
-  if (supplementsMorningTimer) {
-    clearTimeout(supplementsMorningTimer);
-    supplementsMorningTimer = null;
-  }
-  
-  if (supplementsEveningTimer) {
-    clearTimeout(supplementsEveningTimer);
-    supplementsEveningTimer = null;
-  }
+  stopDailyTimer(supplementsMorningTimer);
+  stopDailyTimer(supplementsEveningTimer);
+  supplementsMorningTimer = null;
+  supplementsEveningTimer = null;
 }
 
 /**
@@ -247,42 +337,20 @@ function clearSupplementsReminders() {
  */
 function scheduleWaterAlert() {
   clearWaterAlert();
-  
-  const now = new Date();
-  const alertTime = new Date(now);
-  alertTime.setHours(20, 0, 0, 0);
-  
-  // If time has passed for today, schedule for tomorrow
-  if (now > alertTime) {
-    alertTime.setDate(alertTime.getDate() + 1);
-  }
-  
-  // Schedule alert
-  const delay = alertTime - now;
-  waterAlertTimer = setTimeout(() => {
-    checkWaterIntakeAndNotify();
-    // Reschedule for next day
-    const nextDay = new Date();
-    nextDay.setDate(nextDay.getDate() + 1);
-    nextDay.setHours(20, 0, 0, 0);
-    const nextDelay = nextDay - new Date();
-    waterAlertTimer = setTimeout(() => scheduleWaterAlert(), nextDelay);
-  }, delay);
+  waterAlertTimer = startDailyTimer(20, checkWaterIntakeAndNotify);
 }
 
 /**
  * Check water intake level and send notification if needed
  */
 function checkWaterIntakeAndNotify() {
-  // Get water tracker instance
-  const waterTracker = window.waterTracker;
-  if (!waterTracker) return;
+  const { total, goal } = intakeStatus.water;
   
   // Check if goal is met
-  const goalMet = waterTracker.totalIntake >= waterTracker.goal;
+  const goalMet = total >= goal;
   
-  if (!goalMet && waterTracker.goal > 0) {
-    const remaining = waterTracker.goal - waterTracker.totalIntake;
+  if (!goalMet && goal > 0) {
+    const remaining = goal - total;
     sendNotification(
       'Water Intake Alert',
       `You're ${remaining}ml short of your daily water goal. Time to hydrate!`
@@ -294,10 +362,8 @@ function checkWaterIntakeAndNotify() {
  * Clear water alert
  */
 function clearWaterAlert() {
-  if (waterAlertTimer) {
-    clearTimeout(waterAlertTimer);
-    waterAlertTimer = null;
-  }
+  stopDailyTimer(waterAlertTimer);
+  waterAlertTimer = null;
 }
 
 /**
@@ -305,42 +371,20 @@ function clearWaterAlert() {
  */
 function scheduleProteinAlert() {
   clearProteinAlert();
-  
-  const now = new Date();
-  const alertTime = new Date(now);
-  alertTime.setHours(20, 0, 0, 0);
-  
-  // If time has passed for today, schedule for tomorrow
-  if (now > alertTime) {
-    alertTime.setDate(alertTime.getDate() + 1);
-  }
-  
-  // Schedule alert
-  const delay = alertTime - now;
-  proteinAlertTimer = setTimeout(() => {
-    checkProteinIntakeAndNotify();
-    // Reschedule for next day
-    const nextDay = new Date();
-    nextDay.setDate(nextDay.getDate() + 1);
-    nextDay.setHours(20, 0, 0, 0);
-    const nextDelay = nextDay - new Date();
-    proteinAlertTimer = setTimeout(() => scheduleProteinAlert(), nextDelay);
-  }, delay);
+  proteinAlertTimer = startDailyTimer(20, checkProteinIntakeAndNotify);
 }
 
 /**
  * Check protein intake level and send notification if needed
  */
 function checkProteinIntakeAndNotify() {
-  // Get protein tracker instance
-  const proteinTracker = window.proteinTracker;
-  if (!proteinTracker) return;
+  const { total, goal } = intakeStatus.protein;
   
   // Check if goal is met
-  const goalMet = proteinTracker.totalIntake >= proteinTracker.goal;
+  const goalMet = total >= goal;
   
-  if (!goalMet && proteinTracker.goal > 0) {
-    const remaining = proteinTracker.goal - proteinTracker.totalIntake;
+  if (!goalMet && goal > 0) {
+    const remaining = goal - total;
     sendNotification(
       'Protein Intake Alert',
       `You're ${remaining}g short of your daily protein goal. Time to fuel up!`
@@ -352,10 +396,8 @@ function checkProteinIntakeAndNotify() {
  * Clear protein alert
  */
 function clearProteinAlert() {
-  if (proteinAlertTimer) {
-    clearTimeout(proteinAlertTimer);
-    proteinAlertTimer = null;
-  }
+  stopDailyTimer(proteinAlertTimer);
+  proteinAlertTimer = null;
 }
 
 /**
@@ -371,7 +413,7 @@ function startWaterIntervalReminder(minutes) {
   if (!minutes || minutes <= 0) return;
   
   // Store the setting
-  localStorage.setItem(NOTIFICATION_STORAGE_KEYS.WATER_INTERVAL, minutes);
+  profileStorage.setItem(NOTIFICATION_STORAGE_KEYS.WATER_INTERVAL, minutes);
   
   // Set new interval
   const milliseconds = minutes * 60 * 1000;
@@ -389,7 +431,7 @@ function clearWaterIntervalReminder() {
     globalReminderInterval = null;
   }
   
-  localStorage.removeItem(NOTIFICATION_STORAGE_KEYS.WATER_INTERVAL);
+  profileStorage.removeItem(NOTIFICATION_STORAGE_KEYS.WATER_INTERVAL);
 }
 
 /**
@@ -0,0 +1,395 @@
+/**
+ * Health Tracker App - Profiles
+ * This file contains named user profiles, each with its own namespaced storage
+ */
+
+// Profile every existing install starts with - its keys keep their original names
+const DEFAULT_PROFILE_ID = 'default';
+
+// localStorage keys of other profiles are stored as `profile:<id>:<key>`
+const PROFILE_KEY_PREFIX = 'profile:';
+
+// localStorage keys shared by all profiles
+const PROFILE_STORAGE_KEYS = {
+  LIST: 'profile:list',
+  ACTIVE: 'profile:active'
+};
+
+const MAX_PROFILE_NAME_LENGTH = 30;
+
+/**
+ * localStorage for the active profile.
+ *
+ * Has the same getItem/setItem/removeItem/key/length interface as localStorage,
+ * so app code reads and writes its usual key names and only sees the keys of
+ * the profile that is currently active.
+ */
+const profileStorage = {
+  /**
+   * Get the real localStorage key for an app key
+   * @param {string} key - App key
+   * @returns {string}
+   */
+  toStorageKey(key) {
+    return `${profileManager.getKeyPrefix()}${key}`;
+  },
+
+  // Same as the localStorage methods, for the active profile's keys
+  getItem(key) {
+    return localStorage.getItem(this.toStorageKey(key));
+  },
+
+  setItem(key, value) {
+    localStorage.setItem(this.toStorageKey(key), value);
+  },
+
+  removeItem(key) {
+    localStorage.removeItem(this.toStorageKey(key));
+  },
+
+  /**
+   * Get the app keys stored for a profile
+   * @param {string} [profileId] - Profile id, the active profile if omitted
+   * @returns {string[]}
+   */
+  keys(profileId) {
+    const prefix = profileManager.getKeyPrefix(profileId);
+    const keys = [];
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (prefix) {
+        if (key.startsWith(prefix)) keys.push(key.slice(prefix.length));
+      } else if (!key.startsWith(PROFILE_KEY_PREFIX)) {
+        keys.push(key);
+      }
+    }
+
+    return keys;
+  },
+
+  key(index) {
+    const keys = this.keys();
+    return index < keys.length ? keys[index] : null;
+  },
+
+  get length() {
+    return this.keys().length;
+  }
+};
+
+/**
+ * Keeps the list of profiles and which one is active, and renders the profiles panel.
+ * Switching itself is done by switchProfile() in core-scripts.js, which reopens
+ * the data store and recreates the trackers.
+ */
+const profileManager = {
+  profiles: [],
+  activeId: DEFAULT_PROFILE_ID,
+
+  /**
+   * Load the profile list and the active profile. Must run before anything reads app storage.
+   */
+  init() {
+    this.profiles = this.readList();
+
+    const activeId = localStorage.getItem(PROFILE_STORAGE_KEYS.ACTIVE);
+    this.activeId = this.getProfile(activeId) ? activeId : DEFAULT_PROFILE_ID;
+  },
+
+  /**
+   * Read the saved profile list
+   * @returns {Array} - Profiles, just the default profile if none were saved
+   */
+  readList() {
+    let saved = null;
+    try {
+      saved = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEYS.LIST));
+    } catch (error) {
+      console.error('Error loading profiles:', error);
+    }
+
+    return Array.isArray(saved) && saved.length > 0
+      ? saved
+      : [{ id: DEFAULT_PROFILE_ID, name: 'Default' }];
+  },
+
+  /**
+   * Load the profile list again after another tab changed it
+   */
+  reloadList() {
+    this.profiles = this.readList();
+
+    // Another tab deleted the profile open in this one
+    if (!this.getActiveProfile()) {
+      utils.showToast('This profile was deleted in another window.', 'warning');
+      switchProfile(DEFAULT_PROFILE_ID);
+      return;
+    }
+
+    this.renderPanel();
+    this.updateHeader();
+  },
+
+  /**
+   * Find a profile by id
+   * @param {string} profileId - Profile id
+   * @returns {Object|undefined} - { id, name }
+   */
+  getProfile(profileId) {
+    return this.profiles.find(profile => profile.id === profileId);
+  },
+
+  /**
+   * Get the active profile
+   * @returns {Object} - { id, name }
+   */
+  getActiveProfile() {
+    return this.getProfile(this.activeId);
+  },
+
+  /**
+   * Get the localStorage key prefix of a profile
+   * @param {string} [profileId] - Profile id, the active profile if omitted
+   * @returns {string} - Empty for the default profile
+   */
+  getKeyPrefix(profileId = this.activeId) {
+    return profileId === DEFAULT_PROFILE_ID ? '' : `${PROFILE_KEY_PREFIX}${profileId}:`;
+  },
+
+  /**
+   * Part of exported file names that tells profiles apart - empty while there is only one
+   * @returns {string} - e.g. '-alex'
+   */
+  getFileLabel() {
+    if (this.profiles.length < 2) return '';
+
+    const slug = this.getActiveProfile().name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return slug ? `-${slug}` : '';
+  },
+
+  /**
+   * Save the profile list
+   * @returns {boolean} - Whether it was saved
+   */
+  save() {
+    try {
+      localStorage.setItem(PROFILE_STORAGE_KEYS.LIST, JSON.stringify(this.profiles));
+      return true;
+    } catch (error) {
+      console.error('Error saving profiles:', error);
+      utils.showToast('Could not save profiles. Storage may be full.', 'error');
+      return false;
+    }
+  },
+
+  /**
+   * Remember which profile is active
+   * @param {string} profileId - Profile id
+   */
+  setActive(profileId) {
+    this.activeId = profileId;
+    try {
+      localStorage.setItem(PROFILE_STORAGE_KEYS.ACTIVE, profileId);
+    } catch (error) {
+      console.error('Error saving active profile:', error);
+    }
+  },
+
+  /**
+   * Check a profile name
+   * @param {string} name - Trimmed name
+   * @param {string} [exceptId] - Profile being renamed
+   * @returns {string} - Error message, empty if the name is fine
+   */
+  validateName(name, exceptId) {
+    if (!name) {
+      return 'Please enter a profile name.';
+    }
+    if (name.length > MAX_PROFILE_NAME_LENGTH) {
+      return `Profile names can be at most ${MAX_PROFILE_NAME_LENGTH} characters.`;
+    }
+
+    const taken = this.profiles.some(profile => profile.id !== exceptId && profile.name.toLowerCase() === name.toLowerCase());
+    return taken ? `There is already a profile called "${name}".` : '';
+  },
+
+  /**
+   * Add a profile
+   * @param {string} name - Profile name
+   * @returns {Object|null} - New profile, or null if the name was rejected
+   */
+  createProfile(name) {
+    const trimmed = (name || '').trim();
+    const error = this.validateName(trimmed);
+    if (error) {
+      utils.showToast(error, 'error');
+      return null;
+    }
+
+    const profile = { id: dataStore.createId(), name: trimmed };
+    this.profiles.push(profile);
+
+    if (!this.save()) {
+      this.profiles.pop();
+      return null;
+    }
+    return profile;
+  },
+
+  /**
+   * Rename a profile
+   * @param {string} profileId - Profile id
+   * @param {string} name - New name
+   * @returns {boolean} - Whether it was renamed
+   */
+  renameProfile(profileId, name) {
+    const profile = this.getProfile(profileId);
+    const trimmed = (name || '').trim();
+    const error = this.validateName(trimmed, profileId);
+    if (!profile || error) {
+      if (error) utils.showToast(error, 'error');
+      return false;
+    }
+
+    const previousName = profile.name;
+    profile.name = trimmed;
+
+    if (!this.save()) {
+      profile.name = previousName;
+      return false;
+    }
+    return true;
+  },
+
+  /**
+   * Delete a profile and all of its data. The default and the active profile cannot be deleted.
+   * @param {string} profileId - Profile id
+   * @returns {Promise<boolean>} - Whether it was deleted
+   */
+  deleteProfile(profileId) {
+    if (profileId === DEFAULT_PROFILE_ID || profileId === this.activeId || !this.getProfile(profileId)) {
+      return Promise.resolve(false);
+    }
+
+    const prefix = this.getKeyPrefix(profileId);
+    profileStorage.keys(profileId).forEach(key => localStorage.removeItem(`${prefix}${key}`));
+
+    this.profiles = this.profiles.filter(profile => profile.id !== profileId);
+    this.save();
+
+    return Promise.all([dataStore.deleteDatabase(profileId), serverSync.forgetProfile(profileId)])
+      .then(results => results.every(Boolean));
+  },
+
+  /**
+   * Fill the profiles panel
+   */
+  renderPanel() {
+    const list = document.getElementById('profile-list');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    this.profiles.forEach(profile => {
+      const isActive = profile.id === this.activeId;
+
+      const entry = document.createElement('div');
+      entry.className = 'day-entry';
+
+      const title = document.createElement('p');
+      const name = document.createElement('b');
+      name.textContent = profile.name;
+      title.appendChild(name);
+      if (isActive) {
+        title.appendChild(document.createTextNode(' (current)'));
+      }
+
+      const buttons = document.createElement('div');
+      buttons.className = 'btn-group';
+
+      if (!isActive) {
+        const switchBtn = document.createElement('button');
+        switchBtn.className = 'action-btn neutral';
+        switchBtn.textContent = 'Switch';
+        switchBtn.addEventListener('click', () => switchProfile(profile.id));
+        buttons.appendChild(switchBtn);
+      }
+
+      const renameBtn = document.createElement('button');
+      renameBtn.className = 'action-btn neutral';
+      renameBtn.textContent = 'Rename';
+      renameBtn.addEventListener('click', () => {
+        const newName = prompt('New profile name:', profile.name);
+        if (newName !== null && this.renameProfile(profile.id, newName)) {
+          this.renderPanel();
+          this.updateHeader();
+        }
+      });
+      buttons.appendChild(renameBtn);
+
+      if (!isActive && profile.id !== DEFAULT_PROFILE_ID) {
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'action-btn neutral';
+        deleteBtn.textContent = 'Delete';
+        deleteBtn.addEventListener('click', () => {
+          if (!confirm(`Delete the profile "${profile.name}" and all of its data? This cannot be undone.`)) return;
+
+          this.deleteProfile(profile.id).then(deleted => {
+            utils.showToast(deleted ? `Profile "${profile.name}" deleted.` : 'Could not delete all of the profile data.',
+              deleted ? 'warning' : 'error');
+            this.renderPanel();
+          });
+        });
+        buttons.appendChild(deleteBtn);
+      }
+
+      entry.appendChild(title);
+      entry.appendChild(buttons);
+      list.appendChild(entry);
+    });
+  },
+
+  /**
+   * Show the active profile on the header button
+   */
+  updateHeader() {
+    const toggle = document.getElementById('profile-toggle');
+    if (toggle) {
+      const label = `Profile: ${this.getActiveProfile().name}`;
+      toggle.title = label;
+      toggle.setAttribute('aria-label', label);
+    }
+  },
+
+  /**
+   * Connect the profiles panel
+   */
+  initPanel() {
+    const toggle = document.getElementById('profile-toggle');
+    if (toggle) {
+      toggle.addEventListener('click', () => this.renderPanel());
+    }
+
+    const nameInput = document.getElementById('new-profile-name');
+    const addBtn = document.getElementById('add-profile');
+
+    const addProfile = () => {
+      const profile = this.createProfile(nameInput.value);
+      if (profile) {
+        nameInput.value = '';
+        this.renderPanel();
+        utils.showToast(`Profile "${profile.name}" added.`, 'success');
+      }
+    };
+
+    if (addBtn && nameInput) {
+      addBtn.addEventListener('click', addProfile);
+      nameInput.addEventListener('keypress', (event) => {
+        if (event.key === 'Enter') addProfile();
+      });
+    }
+
+    this.updateHeader();
+  }
+};
\ No newline at end of file
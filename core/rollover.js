@@ -0,0 +1,111 @@
+/**
+ * Health Tracker App - Day Rollover
+ * This file contains the scheduler that moves every tracker to the next day when it starts
+ */
+
+// Longest wait between checks - timers that were paused while the device slept fire late
+const ROLLOVER_CHECK_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Starts the new day for every tracker once the current one is over.
+ *
+ * A single timer waits for the next day start (see utils.getNextDayStart).
+ * Phones pause or drop timers while asleep or in the background, so the day
+ * is also checked whenever the app is shown again.
+ *
+ * Each tracker remembers the last day it started under its lastResetKey. A
+ * tracker is only told about a new day when that key is behind, so it rolls
+ * over exactly once per day - also when several checks run at the same time,
+ * or when the app was closed for days in between.
+ */
+const dayRollover = {
+  timeout: null,
+
+  /**
+   * Schedule the next rollover and check the day whenever the app comes back
+   */
+  init() {
+    const check = () => this.check();
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') check();
+    });
+    window.addEventListener('focus', check);
+    window.addEventListener('pageshow', check);
+
+    // Page Lifecycle API - a frozen page was resumed
+    document.addEventListener('resume', check);
+
+    // The simulated date moved (developer mode)
+    eventBus.on(APP_EVENTS.CLOCK_CHANGED, check);
+
+    this.check();
+  },
+
+  /**
+   * Roll over every tracker whose day is over and schedule the next check
+   */
+  check() {
+    const date = utils.getDayKey();
+    getTrackers().forEach(tracker => this.rollOver(tracker, date));
+    this.schedule();
+  },
+
+  /**
+   * Wait for the next day start, or at most ROLLOVER_CHECK_INTERVAL
+   */
+  schedule() {
+    appClock.clearTimeout(this.timeout);
+
+    const msUntilNextDay = utils.getNextDayStart() - appClock.now();
+    this.timeout = appClock.setTimeout(() => this.check(), Math.min(msUntilNextDay, ROLLOVER_CHECK_INTERVAL));
+  },
+
+  /**
+   * Start the current day for a tracker if it has not started it yet
+   * @param {Object} tracker - Tracker, WorkoutTracker or HabitsTracker
+   * @param {string} [date] - Current day (YYYY-MM-DD)
+   * @returns {boolean} - Whether the tracker rolled over
+   */
+  rollOver(tracker, date = utils.getDayKey()) {
+    const previousDate = profileStorage.getItem(tracker.lastResetKey);
+    if (previousDate === date) return false;
+
+    // Saved first, so a tracker that throws is not rolled over again on every check
+    profileStorage.setItem(tracker.lastResetKey, date);
+
+    const missedDates = previousDate ? this.getMissedDates(previousDate, date) : [];
+    try {
+      tracker.startDay(date, previousDate, missedDates);
+    } catch (error) {
+      console.error(`Error starting the new day in ${tracker.constructor.name}:`, error);
+    }
+
+    // The very first run is not a rollover
+    if (previousDate) {
+      const module = tracker.lastResetKey.slice(STORAGE_KEYS.LAST_RESET_PREFIX.length);
+      eventBus.emit(APP_EVENTS.DAY_ROLLED_OVER, { module, date, previousDate, missedDates });
+    }
+    return true;
+  },
+
+  /**
+   * Get the days between two days that the app never started, e.g. while it was closed
+   * @param {string} previousDate - Last day started (YYYY-MM-DD)
+   * @param {string} date - Day starting now (YYYY-MM-DD)
+   * @returns {string[]} - Days in between, oldest first
+   */
+  getMissedDates(previousDate, date) {
+    const [year, month, day] = previousDate.split('-').map(Number);
+    const current = new Date(year, month - 1, day + 1);
+    const missedDates = [];
+
+    if (isNaN(current.getTime())) return missedDates;
+
+    for (let key = utils.formatDate(current); key < date; key = utils.formatDate(current)) {
+      missedDates.push(key);
+      current.setDate(current.getDate() + 1);
+    }
+    return missedDates;
+  }
+};
\ No newline at end of file
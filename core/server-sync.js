@@ -0,0 +1,943 @@
+/**
+ * Health Tracker App - Server Sync
+ * This file contains the optional sync with a self-hosted server, shared by the page and the service worker
+ */
+
+// Background sync tag the service worker sends the outbox on
+const SERVER_SYNC_TAG = 'health-data-sync';
+
+// IndexedDB database for the server settings and unsent changes - the service worker cannot read localStorage
+const SERVER_SYNC_DB_NAME = 'daily-tracker-server-sync';
+const SERVER_SYNC_DB_VERSION = 1;
+
+// Object stores of the server sync database
+const SERVER_SYNC_STORES = {
+  // One record per profile: server, credentials, pull cursor and last result
+  SETTINGS: 'settings',
+  // Unsent changes - one record per profile and module, holding the module's latest data
+  OUTBOX: 'outbox'
+};
+
+// Kinds of server the endpoint can be (see serverSyncClient)
+const SERVER_SYNC_PROTOCOLS = {
+  REST: 'rest',
+  WEBDAV: 'webdav'
+};
+
+// Give up on a server request after this long
+const SERVER_SYNC_TIMEOUT = 15000;
+
+// Wait for more changes before sending them, where the service worker cannot do it
+const SERVER_SYNC_PUSH_DELAY = 2000;
+
+// Give up sending a WebDAV file that changed again every time it was merged
+const SERVER_SYNC_MAX_MERGES = 3;
+
+/**
+ * Server settings and the outbox of unsent changes, in their own IndexedDB
+ * database so the service worker can send changes while no tab is open.
+ */
+const serverSyncStore = {
+  // Database being opened or open, shared by all callers
+  opening: null,
+
+  /**
+   * Open (and create) the database
+   * @returns {Promise<IDBDatabase>}
+   */
+  open() {
+    if (!this.opening) {
+      this.opening = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not supported'));
+          return;
+        }
+
+        const request = indexedDB.open(SERVER_SYNC_DB_NAME, SERVER_SYNC_DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          db.createObjectStore(SERVER_SYNC_STORES.SETTINGS, { keyPath: 'profileId' });
+
+          const outbox = db.createObjectStore(SERVER_SYNC_STORES.OUTBOX, { keyPath: 'key' });
+          outbox.createIndex('profileId', 'profileId');
+        };
+
+        request.onsuccess = () => {
+          const db = request.result;
+          db.onversionchange = () => {
+            db.close();
+            this.opening = null;
+          };
+          resolve(db);
+        };
+
+        request.onerror = () => reject(request.error);
+      });
+
+      // Let the next call try again
+      this.opening.catch(() => {
+        this.opening = null;
+      });
+    }
+    return this.opening;
+  },
+
+  /**
+   * Run a transaction and resolve once it has committed
+   * @param {string[]} storeNames - Stores to include in the transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives the transaction and queues requests on it
+   * @returns {Promise<*>} - Whatever work() set as the result
+   */
+  run(storeNames, mode, work) {
+    return this.open().then(db => new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      const result = { value: undefined };
+
+      try {
+        work(transaction, result);
+      } catch (error) {
+        transaction.abort();
+        reject(error);
+        return;
+      }
+
+      transaction.oncomplete = () => resolve(result.value);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    }));
+  },
+
+  /**
+   * Get a profile's server settings
+   * @param {string} profileId - Profile id
+   * @returns {Promise<Object|null>} - Settings, or null if the profile is not connected
+   */
+  getSettings(profileId) {
+    return this.run([SERVER_SYNC_STORES.SETTINGS], 'readonly', (transaction, result) => {
+      const request = transaction.objectStore(SERVER_SYNC_STORES.SETTINGS).get(profileId);
+      request.onsuccess = () => {
+        result.value = request.result || null;
+      };
+    });
+  },
+
+  /**
+   * Get the server settings of every connected profile
+   * @returns {Promise<Object[]>}
+   */
+  getAllSettings() {
+    return this.run([SERVER_SYNC_STORES.SETTINGS], 'readonly', (transaction, result) => {
+      const request = transaction.objectStore(SERVER_SYNC_STORES.SETTINGS).getAll();
+      request.onsuccess = () => {
+        result.value = request.result;
+      };
+    });
+  },
+
+  /**
+   * Change some of a profile's settings, keeping the rest - the page and the service worker both write them
+   * @param {string} profileId - Profile id
+   * @param {Object|Function} changes - Fields to set, or a function returning them from the saved settings
+   * @returns {Promise<Object|null>} - Updated settings, or null if the profile is not connected
+   */
+  updateSettings(profileId, changes) {
+    return this.run([SERVER_SYNC_STORES.SETTINGS], 'readwrite', (transaction, result) => {
+      const store = transaction.objectStore(SERVER_SYNC_STORES.SETTINGS);
+      const request = store.get(profileId);
+      request.onsuccess = () => {
+        if (!request.result) {
+          result.value = null;
+          return;
+        }
+        result.value = Object.assign(request.result, typeof changes === 'function' ? changes(request.result) : changes);
+        store.put(result.value);
+      };
+    });
+  },
+
+  /**
+   * Save a profile's settings, replacing what was saved before
+   * @param {Object} settings - Settings with profileId
+   * @returns {Promise}
+   */
+  saveSettings(settings) {
+    return this.run([SERVER_SYNC_STORES.SETTINGS], 'readwrite', transaction => {
+      transaction.objectStore(SERVER_SYNC_STORES.SETTINGS).put(settings);
+    });
+  },
+
+  /**
+   * Forget a profile's server and its unsent changes
+   * @param {string} profileId - Profile id
+   * @returns {Promise}
+   */
+  deleteSettings(profileId) {
+    return this.run([SERVER_SYNC_STORES.SETTINGS, SERVER_SYNC_STORES.OUTBOX], 'readwrite', transaction => {
+      transaction.objectStore(SERVER_SYNC_STORES.SETTINGS).delete(profileId);
+
+      const request = transaction.objectStore(SERVER_SYNC_STORES.OUTBOX).index('profileId').getAllKeys(profileId);
+      request.onsuccess = () => {
+        request.result.forEach(key => transaction.objectStore(SERVER_SYNC_STORES.OUTBOX).delete(key));
+      };
+    });
+  },
+
+  /**
+   * Put a change in the outbox, replacing an unsent earlier change of the same module
+   * @param {Object} change - { profileId, module, changeId, changedAt, data }
+   * @returns {Promise}
+   */
+  queueChange(change) {
+    return this.run([SERVER_SYNC_STORES.OUTBOX], 'readwrite', transaction => {
+      transaction.objectStore(SERVER_SYNC_STORES.OUTBOX).put(Object.assign({ key: `${change.profileId}:${change.module}` }, change));
+    });
+  },
+
+  /**
+   * Get a profile's unsent changes
+   * @param {string} profileId - Profile id
+   * @returns {Promise<Object[]>}
+   */
+  getOutbox(profileId) {
+    return this.run([SERVER_SYNC_STORES.OUTBOX], 'readonly', (transaction, result) => {
+      const request = transaction.objectStore(SERVER_SYNC_STORES.OUTBOX).index('profileId').getAll(profileId);
+      request.onsuccess = () => {
+        result.value = request.result;
+      };
+    });
+  },
+
+  /**
+   * Remove sent changes from the outbox. A change replaced by a newer one while
+   * it was being sent stays, so the newer one is sent next time.
+   * @param {Object[]} changes - Changes from getOutbox()
+   * @returns {Promise}
+   */
+  removeSent(changes) {
+    return this.run([SERVER_SYNC_STORES.OUTBOX], 'readwrite', transaction => {
+      const store = transaction.objectStore(SERVER_SYNC_STORES.OUTBOX);
+      changes.forEach(change => {
+        const request = store.get(change.key);
+        request.onsuccess = () => {
+          if (request.result && request.result.changeId === change.changeId) {
+            store.delete(change.key);
+          }
+        };
+      });
+    });
+  }
+};
+
+/**
+ * Talks to the self-hosted server. Two kinds are supported:
+ *
+ * REST/JSON
+ *   POST <url>/changes  { deviceId, changes: [{ module, changedAt, data }] }
+ *   GET  <url>/changes?since=<cursor>
+ *        -> { cursor, changes: [{ module, changedAt, deviceId, data }] }
+ *   The GET returns the changes stored after the cursor, in the order the server
+ *   received them. An empty cursor asks for all of them.
+ *
+ * WebDAV
+ *   Each module is one file, <url>/<module>.json, holding
+ *   { module, changedAt, deviceId, data }. Changes are sent with PUT and fetched
+ *   with GET; the cursor keeps each file's ETag so unchanged files are skipped.
+ *   A PUT only replaces the file as it was last read (If-Match); when another
+ *   device wrote it since, it is fetched, merged with the change and written
+ *   again, and the merged file is applied on this device by the next pull.
+ *
+ * A username sends the credentials as HTTP Basic auth; without one the
+ * password is sent as a Bearer token.
+ */
+const serverSyncClient = {
+  /**
+   * Send a request to the server
+   * @param {Object} settings - Profile settings
+   * @param {string} path - Path below the endpoint URL
+   * @param {Object} [options] - fetch() options
+   * @returns {Promise<Response>} - Response with an OK or 304 status
+   */
+  request(settings, path, options = {}) {
+    const url = `${settings.url.replace(/\/+$/, '')}/${path}`;
+    const headers = Object.assign({}, options.headers);
+
+    if (settings.username) {
+      headers.Authorization = `Basic ${this.encodeBase64(`${settings.username}:${settings.password || ''}`)}`;
+    } else if (settings.password) {
+      headers.Authorization = `Bearer ${settings.password}`;
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SERVER_SYNC_TIMEOUT);
+
+    // no-store keeps sync requests out of the HTTP cache and the service worker's caches
+    return fetch(url, Object.assign({}, options, { headers, cache: 'no-store', signal: controller.signal }))
+      .then(response => {
+        clearTimeout(timeoutId);
+        if (!response.ok && response.status !== 304) {
+          const error = new Error(`The server answered ${response.status} ${response.statusText}`.trim());
+          error.status = response.status;
+          throw error;
+        }
+        return response;
+      }, error => {
+        clearTimeout(timeoutId);
+        throw new Error(error.name === 'AbortError' ? 'The server did not answer in time.' : 'Could not reach the server.');
+      });
+  },
+
+  /**
+   * Encode text as base64, including characters outside Latin-1
+   * @param {string} text - Text to encode
+   * @returns {string}
+   */
+  encodeBase64(text) {
+    const bytes = new TextEncoder().encode(text);
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  },
+
+  /**
+   * Read the ETags of the WebDAV files from a pull cursor
+   * @param {string} [cursor] - Cursor from the settings
+   * @returns {Object} - ETags keyed by module
+   */
+  readEtags(cursor) {
+    try {
+      return JSON.parse(cursor || '{}');
+    } catch (error) {
+      console.warn('Ignoring unreadable sync cursor:', error);
+      return {};
+    }
+  },
+
+  /**
+   * Send changes to the server
+   * @param {Object} settings - Profile settings
+   * @param {Object[]} changes - Changes from the outbox
+   * @returns {Promise<Object>} - ETags of the WebDAV files that now hold exactly what was sent, keyed by module
+   */
+  push(settings, changes) {
+    const toMessage = change => ({ module: change.module, changedAt: change.changedAt, data: change.data });
+
+    if (settings.protocol === SERVER_SYNC_PROTOCOLS.WEBDAV) {
+      const etags = this.readEtags(settings.cursor);
+      const written = {};
+
+      return changes.reduce((previous, change) => previous.then(() => {
+        const message = Object.assign(toMessage(change), { deviceId: settings.deviceId });
+        return this.putModuleFile(settings, message, etags[change.module]).then(etag => {
+          if (etag) written[change.module] = etag;
+        });
+      }), Promise.resolve()).then(() => written);
+    }
+
+    return this.request(settings, 'changes', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ deviceId: settings.deviceId, changes: changes.map(toMessage) })
+    }).then(() => ({}));
+  },
+
+  /**
+   * Write a module's file on a WebDAV server without overwriting what other devices wrote since it was read.
+   * If the file changed meanwhile, it is fetched, merged with the message (see datasetMerge) and written again.
+   * @param {Object} settings - Profile settings
+   * @param {Object} message - { module, changedAt, deviceId, data }
+   * @param {string} [etag] - ETag of the file when it was last read, undefined if it never was
+   * @param {number} [merges] - Times the message was merged with the server's file so far
+   * @returns {Promise<string>} - ETag of the written file, empty if it holds more than the message or the server sent none
+   */
+  putModuleFile(settings, message, etag, merges = 0) {
+    // Only a strong ETag can be matched - without one the file is fetched and merged first
+    if (etag !== undefined && !/^"/.test(etag)) {
+      return this.mergeModuleFile(settings, message, merges + 1);
+    }
+
+    return this.request(settings, `${message.module}.json`, {
+      method: 'PUT',
+      headers: Object.assign({ 'Content-Type': 'application/json' }, etag ? { 'If-Match': etag } : { 'If-None-Match': '*' }),
+      body: JSON.stringify(message)
+    })
+      .then(response => (merges === 0 && response.headers.get('ETag')) || '', error => {
+        // Another device wrote the file since it was read
+        if (error.status === 412) return this.mergeModuleFile(settings, message, merges + 1);
+        throw error;
+      });
+  },
+
+  /**
+   * Fetch a module's file from a WebDAV server and write it back merged with a message
+   * @param {Object} settings - Profile settings
+   * @param {Object} message - { module, changedAt, deviceId, data }
+   * @param {number} merges - Times the message was merged with the server's file, including this one
+   * @returns {Promise<string>} - Always empty, the file holds more than the message
+   */
+  mergeModuleFile(settings, message, merges) {
+    if (merges > SERVER_SYNC_MAX_MERGES) {
+      return Promise.reject(new Error('The data on the server kept changing. Please sync again.'));
+    }
+
+    return this.request(settings, `${message.module}.json`)
+      .then(response => response.json().then(file => ({ file, etag: response.headers.get('ETag') || '' })), error => {
+        // Deleted since it was read
+        if (error.status === 404) return { file: null, etag: undefined };
+        throw error;
+      })
+      .then(({ file, etag }) => {
+        const merged = file && file.data ? Object.assign({}, message, { data: datasetMerge.merge(file.data, message.data) }) : message;
+
+        // A server without strong ETags cannot tell whether the file changed again, so it is written as it is
+        if (etag !== undefined && !/^"/.test(etag)) {
+          return this.request(settings, `${message.module}.json`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(merged)
+          }).then(() => '');
+        }
+        return this.putModuleFile(settings, merged, etag, merges);
+      });
+  },
+
+  /**
+   * Fetch the changes made since the last pull
+   * @param {Object} settings - Profile settings, with the cursor of the last pull
+   * @param {string[]} modules - Modules to fetch (WebDAV only - REST returns every module)
+   * @returns {Promise<Object>} - { cursor, changes }
+   */
+  pull(settings, modules) {
+    if (settings.protocol === SERVER_SYNC_PROTOCOLS.WEBDAV) {
+      const etags = this.readEtags(settings.cursor);
+      const changes = [];
+      return modules.reduce((previous, module) => previous.then(() => {
+        const headers = etags[module] ? { 'If-None-Match': etags[module] } : {};
+        return this.request(settings, `${module}.json`, { headers })
+          .then(response => {
+            if (response.status === 304) return;
+
+            etags[module] = response.headers.get('ETag') || response.headers.get('Last-Modified') || '';
+            return response.json().then(change => {
+              changes.push(Object.assign({}, change, { module }));
+            });
+          })
+          .catch(error => {
+            // Nothing has been sent for this module yet
+            if (error.status === 404) return;
+            throw error;
+          });
+      }), Promise.resolve()).then(() => ({ cursor: JSON.stringify(etags), changes }));
+    }
+
+    return this.request(settings, `changes?since=${encodeURIComponent(settings.cursor || '')}`)
+      .then(response => response.json())
+      .then(result => ({
+        cursor: result.cursor === undefined ? settings.cursor : String(result.cursor),
+        changes: Array.isArray(result.changes) ? result.changes : []
+      }));
+  },
+
+  /**
+   * Send a profile's outbox and note the result in its settings
+   * @param {string} profileId - Profile id
+   * @returns {Promise<number>} - Number of changes sent
+   */
+  pushOutbox(profileId) {
+    return Promise.all([serverSyncStore.getSettings(profileId), serverSyncStore.getOutbox(profileId)])
+      .then(([settings, changes]) => {
+        if (!settings || changes.length === 0) return 0;
+
+        return this.push(settings, changes)
+          .then(etags => serverSyncStore.removeSent(changes).then(() => etags))
+          .then(etags => serverSyncStore.updateSettings(profileId, current => {
+            const sent = { lastPushAt: appClock.now().toISOString(), lastError: '' };
+
+            // Files holding just what this device sent need not be fetched again
+            if (Object.keys(etags).length > 0) {
+              sent.cursor = JSON.stringify(Object.assign(this.readEtags(current.cursor), etags));
+            }
+            return sent;
+          }))
+          .then(() => changes.length, error => {
+            return serverSyncStore.updateSettings(profileId, { lastError: error.message })
+              .then(() => {
+                throw error;
+              });
+          });
+      });
+  },
+
+  /**
+   * Send the outbox of every connected profile, e.g. from the service worker's background sync
+   * @returns {Promise<number>} - Number of changes sent, rejected if any profile failed so the sync is retried
+   */
+  pushAll() {
+    return serverSyncStore.getAllSettings().then(allSettings => {
+      let failure = null;
+
+      return allSettings.reduce((previous, settings) => previous.then(total => {
+        return this.pushOutbox(settings.profileId)
+          .then(count => total + count, error => {
+            failure = error;
+            return total;
+          });
+      }), Promise.resolve(0)).then(total => {
+        if (failure) throw failure;
+        return total;
+      });
+    });
+  }
+};
+
+/**
+ * Connects the active profile to a self-hosted server (page only).
+ *
+ * Every saved change of a module puts the module's full data in the outbox.
+ * The service worker sends the outbox with background sync as soon as the
+ * device is online; browsers without background sync send it from the page.
+ * Pulls fetch what other devices sent since the cursor of the last pull.
+ *
+ * Whole modules are exchanged, with their tombstones. Pulled modules are
+ * merged record by record with this device's data (see datasetMerge), so no
+ * device's changes or deletes are lost whichever sends first. When the merged
+ * data holds more than what was pulled, it is sent back.
+ */
+const serverSync = {
+  // Active profile's settings, null while it is not connected
+  settings: null,
+
+  // Modules being merged with pulled data, which must not be queued while it is saved
+  applyingModules: new Set(),
+
+  // Sync in progress, shared by calls made meanwhile
+  syncing: null,
+
+  pushTimeout: null,
+
+  /**
+   * Queue saved changes, sync when the device comes online and connect the panel
+   */
+  init() {
+    eventBus.on(APP_EVENTS.DATA_SAVED, ({ modules }) => this.queue(modules));
+    eventBus.on(APP_EVENTS.PROFILE_SWITCHED, () => this.load());
+
+    window.addEventListener('online', () => this.sync({ quiet: true }));
+
+    // The service worker sent the outbox in the background
+    if ('serviceWorker' in navigator) {
+      navigator.serviceWorker.addEventListener('message', event => {
+        if (event.data && event.data.action === 'serverSyncPushed') {
+          this.renderStatus();
+        }
+      });
+    }
+
+    this.initPanel();
+    this.load();
+  },
+
+  /**
+   * Load the active profile's settings and catch up with the server
+   * @returns {Promise}
+   */
+  load() {
+    const profileId = profileManager.activeId;
+
+    return serverSyncStore.getSettings(profileId)
+      .catch(error => {
+        console.warn('Server sync unavailable:', error);
+        return null;
+      })
+      .then(settings => {
+        // Another profile was opened meanwhile
+        if (profileId !== profileManager.activeId) return;
+
+        this.settings = settings;
+        this.fillPanel();
+        this.renderStatus();
+
+        if (settings && navigator.onLine !== false) {
+          return this.sync({ quiet: true });
+        }
+      });
+  },
+
+  /**
+   * Get a module's data as it is sent to the server
+   * @param {string} module - 'water', 'protein', 'workouts' or 'habits'
+   * @returns {Object} - The module's part of a full dataset, with its tombstones
+   */
+  getModuleData(module) {
+    return dataStore.getFullDataset([module]);
+  },
+
+  /**
+   * Check whether two copies of a module's data hold the same records
+   * @param {Object} a - Module data
+   * @param {Object} b - Module data
+   * @returns {boolean}
+   */
+  isSameData(a, b) {
+    // Merging a dataset with itself puts it in a canonical order
+    const normalize = data => datasetMerge.toCanonicalJson(datasetMerge.merge(data, data));
+    return normalize(a) === normalize(b);
+  },
+
+  /**
+   * Put the data of changed modules in the outbox and ask for it to be sent
+   * @param {string[]} modules - Changed modules
+   * @returns {Promise}
+   */
+  queue(modules) {
+    if (!this.settings) return Promise.resolve();
+
+    const profileId = this.settings.profileId;
+    const changedAt = appClock.now().toISOString();
+    const queued = modules.filter(module => ARCHIVE_MODULES.includes(module) && !this.applyingModules.has(module));
+    if (queued.length === 0) return Promise.resolve();
+
+    return Promise.all(queued.map(module => serverSyncStore.queueChange({
+      profileId,
+      module,
+      changeId: dataStore.createId(),
+      changedAt,
+      data: this.getModuleData(module)
+    })))
+      .then(() => {
+        this.requestPush();
+        this.renderStatus();
+      })
+      .catch(error => {
+        console.error('Error queueing changes for the server:', error);
+      });
+  },
+
+  /**
+   * Have the outbox sent - by the service worker's background sync where the browser has it
+   */
+  requestPush() {
+    const schedulePush = () => {
+      clearTimeout(this.pushTimeout);
+      if (navigator.onLine === false) return; // Sent by the online listener
+
+      this.pushTimeout = setTimeout(() => this.push(), SERVER_SYNC_PUSH_DELAY);
+    };
+
+    if (!('serviceWorker' in navigator) || typeof SyncManager === 'undefined') {
+      schedulePush();
+      return;
+    }
+
+    navigator.serviceWorker.getRegistration()
+      .then(registration => {
+        if (!registration || !registration.active || !registration.sync) {
+          schedulePush();
+          return;
+        }
+        return registration.sync.register(SERVER_SYNC_TAG);
+      })
+      .catch(error => {
+        console.warn('Background sync unavailable, sending from the page:', error);
+        schedulePush();
+      });
+  },
+
+  /**
+   * Send the active profile's outbox from the page
+   * @returns {Promise<number>} - Number of changes sent
+   */
+  push() {
+    if (!this.settings) return Promise.resolve(0);
+
+    return serverSyncClient.pushOutbox(this.settings.profileId)
+      .catch(error => {
+        console.warn('Could not send changes to the server:', error);
+        return 0;
+      })
+      .then(count => {
+        this.renderStatus();
+        return count;
+      });
+  },
+
+  /**
+   * Apply the changes other devices sent since the last pull
+   * @returns {Promise<string[]>} - Modules that changed
+   */
+  pull() {
+    const settings = this.settings;
+
+    return serverSyncClient.pull(settings, ARCHIVE_MODULES)
+      .then(result => {
+        // Each device sends its whole module, so only its latest change of a module matters.
+        // A WebDAV file this device wrote can hold another device's changes it was merged with, so it is applied too.
+        const isOwnChange = change => change.deviceId === settings.deviceId && settings.protocol !== SERVER_SYNC_PROTOCOLS.WEBDAV;
+        const latest = {};
+        result.changes
+          .filter(change => !isOwnChange(change) && ARCHIVE_MODULES.includes(change.module) && change.data)
+          .forEach(change => {
+            latest[`${change.deviceId}:${change.module}`] = change;
+          });
+
+        const pulled = {};
+        Object.values(latest).forEach(change => {
+          pulled[change.module] = pulled[change.module] ? datasetMerge.merge(pulled[change.module], change.data) : change.data;
+        });
+        const modules = Object.keys(pulled);
+
+        let merging = Promise.resolve();
+        if (modules.length > 0) {
+          // Saving the merge rewrites every module
+          ARCHIVE_MODULES.forEach(module => this.applyingModules.add(module));
+
+          const dataset = Object.values(pulled).reduce((merged, data) => datasetMerge.merge(merged, data));
+          merging = dataStore.mergeDataset(dataset)
+            .then(saved => {
+              this.applyingModules.clear();
+              if (!saved) {
+                throw new Error('Could not save the data from the server.');
+              }
+
+              // This device had records the server's copy is missing
+              const ahead = modules.filter(module => !this.isSameData(this.getModuleData(module), pulled[module]));
+              return this.queue(ahead);
+            }, error => {
+              this.applyingModules.clear();
+              throw error;
+            });
+        }
+
+        return merging
+          .then(() => serverSyncStore.updateSettings(settings.profileId, { cursor: result.cursor }))
+          .then(() => {
+            if (modules.length > 0) {
+              tabSync.refreshTrackers();
+              getTrackers().filter(tracker => tracker instanceof Tracker).forEach(tracker => tracker.recountTotal());
+              eventBus.emit(APP_EVENTS.DATA_SYNCED, { modules });
+            }
+            return modules;
+          });
+      });
+  },
+
+  /**
+   * Pull from and push to the server
+   * @param {Object} [options] - { quiet } - only report failures in the panel
+   * @returns {Promise<boolean>} - Whether the sync succeeded
+   */
+  sync({ quiet = false } = {}) {
+    if (!this.settings) return Promise.resolve(false);
+    if (this.syncing) return this.syncing;
+
+    const profileId = this.settings.profileId;
+
+    this.syncing = this.pull()
+      .then(() => serverSyncClient.pushOutbox(profileId))
+      .then(() => serverSyncStore.updateSettings(profileId, { lastSyncAt: appClock.now().toISOString(), lastError: '' }))
+      .then(settings => {
+        if (settings && profileId === profileManager.activeId) this.settings = settings;
+        if (!quiet) utils.showToast('Synced with the server.', 'success');
+        return true;
+      })
+      .catch(error => {
+        console.error('Server sync failed:', error);
+        if (!quiet) utils.showToast(`Sync failed: ${error.message}`, 'error', 5000);
+        return serverSyncStore.updateSettings(profileId, { lastError: error.message }).then(() => false, () => false);
+      })
+      .then(synced => {
+        this.syncing = null;
+        this.renderStatus();
+        return synced;
+      });
+
+    return this.syncing;
+  },
+
+  /**
+   * Check an endpoint URL - HTTPS, or HTTP for a server on this machine
+   * @param {string} value - URL entered in the panel
+   * @returns {string} - Error message, empty if the URL is fine
+   */
+  validateUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      return 'Please enter the full server URL, e.g. https://example.com/tracker';
+    }
+
+    const isLocal = ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+      return 'The server URL must start with https:// (http:// is only allowed for localhost).';
+    }
+    return '';
+  },
+
+  /**
+   * Connect the active profile to a server and send all of its data
+   * @param {Object} values - { protocol, url, username, password }
+   * @returns {Promise<boolean>} - Whether the first sync succeeded
+   */
+  connect(values) {
+    const error = this.validateUrl(values.url);
+    if (error) {
+      utils.showToast(error, 'error');
+      return Promise.resolve(false);
+    }
+
+    const previous = this.settings;
+    const sameServer = previous && previous.url === values.url && previous.protocol === values.protocol;
+
+    const settings = {
+      profileId: profileManager.activeId,
+      protocol: values.protocol,
+      url: values.url,
+      username: values.username,
+      password: values.password,
+      deviceId: previous ? previous.deviceId : dataStore.createId(),
+      cursor: sameServer ? previous.cursor : '',
+      lastSyncAt: sameServer ? previous.lastSyncAt : '',
+      lastPushAt: sameServer ? previous.lastPushAt : '',
+      lastError: ''
+    };
+
+    return serverSyncStore.saveSettings(settings)
+      .then(() => {
+        this.settings = settings;
+
+        // A new server gets everything, merged with what it already has
+        return sameServer ? null : this.queue(ARCHIVE_MODULES);
+      })
+      .then(() => this.sync())
+      .catch(saveError => {
+        console.error('Error saving server settings:', saveError);
+        utils.showToast('Could not save the server settings.', 'error');
+        return false;
+      });
+  },
+
+  /**
+   * Stop syncing the active profile and drop its unsent changes
+   * @returns {Promise}
+   */
+  disconnect() {
+    return this.forgetProfile(profileManager.activeId).then(() => {
+      this.settings = null;
+      this.fillPanel();
+      this.renderStatus();
+      utils.showToast('Disconnected from the server. Your data stays on this device.', 'warning');
+    });
+  },
+
+  /**
+   * Remove a profile's server settings, e.g. when the profile is deleted
+   * @param {string} profileId - Profile id
+   * @returns {Promise<boolean>} - Whether they were removed
+   */
+  forgetProfile(profileId) {
+    return serverSyncStore.deleteSettings(profileId)
+      .then(() => true, error => {
+        console.error('Error removing server settings:', error);
+        return false;
+      });
+  },
+
+  /**
+   * Connect the server sync panel
+   */
+  initPanel() {
+    const saveBtn = document.getElementById('server-sync-save');
+    if (saveBtn) {
+      saveBtn.addEventListener('click', () => {
+        this.connect({
+          protocol: document.getElementById('server-sync-protocol').value,
+          url: document.getElementById('server-sync-url').value.trim(),
+          username: document.getElementById('server-sync-username').value.trim(),
+          password: document.getElementById('server-sync-password').value
+        });
+      });
+    }
+
+    const syncBtn = document.getElementById('server-sync-now');
+    if (syncBtn) {
+      syncBtn.addEventListener('click', () => {
+        if (!this.settings) {
+          utils.showToast('Connect to a server first.', 'info');
+          return;
+        }
+        this.sync();
+      });
+    }
+
+    const disconnectBtn = document.getElementById('server-sync-disconnect');
+    if (disconnectBtn) {
+      disconnectBtn.addEventListener('click', () => {
+        if (!this.settings || !confirm('Stop syncing this profile with the server? Changes not sent yet are dropped.')) return;
+        this.disconnect();
+      });
+    }
+
+    // Show the latest status whenever the panel is opened
+    const toggle = document.getElementById('server-sync-toggle');
+    if (toggle) {
+      toggle.addEventListener('click', () => this.renderStatus());
+    }
+  },
+
+  /**
+   * Show the active profile's settings in the panel
+   */
+  fillPanel() {
+    const settings = this.settings || {};
+    const fields = {
+      'server-sync-protocol': settings.protocol || SERVER_SYNC_PROTOCOLS.REST,
+      'server-sync-url': settings.url || '',
+      'server-sync-username': settings.username || '',
+      'server-sync-password': settings.password || ''
+    };
+
+    Object.entries(fields).forEach(([id, value]) => {
+      const field = document.getElementById(id);
+      if (field) field.value = value;
+    });
+  },
+
+  /**
+   * Show whether the profile is connected, when it last synced and what is waiting to be sent
+   * @returns {Promise}
+   */
+  renderStatus() {
+    const status = document.getElementById('server-sync-status');
+    if (!status) return Promise.resolve();
+
+    if (!this.settings) {
+      status.textContent = 'Not connected. Your data stays on this device.';
+      return Promise.resolve();
+    }
+
+    const profileId = this.settings.profileId;
+    return Promise.all([serverSyncStore.getSettings(profileId), serverSyncStore.getOutbox(profileId)])
+      .then(([settings, outbox]) => {
+        if (!settings || profileId !== profileManager.activeId) return;
+
+        const lines = [`Connected to ${new URL(settings.url).host}.`];
+        const lastSync = [settings.lastSyncAt, settings.lastPushAt].filter(Boolean).sort().pop();
+        lines.push(lastSync ? `Last synced ${new Date(lastSync).toLocaleString()}.` : 'Not synced yet.');
+        if (outbox.length > 0) {
+          lines.push(`${outbox.length} ${outbox.length === 1 ? 'module has' : 'modules have'} changes waiting to be sent.`);
+        }
+        if (settings.lastError) {
+          lines.push(`Last attempt failed: ${settings.lastError}`);
+        }
+
+        status.textContent = lines.join(' ');
+      })
+      .catch(error => {
+        console.error('Error reading the server sync status:', error);
+      });
+  }
+};
\ No newline at end of file
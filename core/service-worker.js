@@ -3,8 +3,15 @@
  * Version 3.0 - Optimized for iOS Safari
  */
 
+// Server settings, outbox and client, shared with the page - the client notes send times with
+// the app clock and merges WebDAV files that changed meanwhile
+importScripts('./core/clock.js', './core/merge.js', './core/server-sync.js');
+
+// Files shared to the app, handed over to the page
+importScripts('./core/share-target.js');
+
 // Cache names with version for iOS compatibility
-const CACHE_NAME = "daily-tracker-v3-ios";
+const CACHE_NAME = "daily-tracker-v4-ios";
 const RUNTIME_CACHE = "daily-tracker-runtime-v3";
 const FONTS_CACHE = "daily-tracker-fonts-v3";
 
@@ -14,6 +21,29 @@ const CORE_FILES = [
   './index.html',
   './core/core-styles.css',
   './core/core-scripts.js',
+  './core/clock.js',
+  './core/domain.js',
+  './core/events.js',
+  './core/profiles.js',
+  './core/storage.js',
+  './core/merge.js',
+  './core/migrations.js',
+  './core/backup.js',
+  './core/encryption.js',
+  './core/journal.js',
+  './core/sync.js',
+  './core/day-start.js',
+  './core/rollover.js',
+  './core/server-sync.js',
+  './core/share-target.js',
+  './core/deep-links.js',
+  './core/csv.js',
+  './core/app-importers.js',
+  './core/habit-importers.js',
+  './core/workout-importers.js',
+  './core/health-importers.js',
+  './core/activity-importers.js',
+  './core/import-preview.js',
   './core/notification.js',
   './core/ui.js',
   './trackers/trackers-scripts.js',
@@ -102,7 +132,8 @@ self.addEventListener('activate', (event) => {
           cacheNames.map(cacheName => {
             if (cacheName !== CACHE_NAME && 
                 cacheName !== RUNTIME_CACHE && 
-                cacheName !== FONTS_CACHE) {
+                cacheName !== FONTS_CACHE &&
+                cacheName !== SHARE_TARGET_CACHE) {
               console.log('[SW] Deleting old cache:', cacheName);
               return caches.delete(cacheName);
             }
@@ -124,11 +155,22 @@ self.addEventListener('fetch', (event) => {
   const { request } = event;
   const url = new URL(request.url);
   
+  // Files shared from the OS share sheet (the manifest's share_target)
+  if (sharedFile.isShareRequest(request)) {
+    event.respondWith(sharedFile.receive(request));
+    return;
+  }
+  
   // Skip non-GET requests
   if (request.method !== 'GET') {
     return;
   }
   
+  // Skip requests that must not be answered from a cache, e.g. server sync
+  if (request.cache === 'no-store') {
+    return;
+  }
+  
   // Handle different types of requests
   if (url.origin !== self.location.origin) {
     // External resource handling
@@ -374,14 +416,19 @@ self.addEventListener('notificationclick', (event) => {
   }
 });
 
-// Background sync (for future use)
+// Background sync - send changes queued for the self-hosted server once online
 self.addEventListener('sync', (event) => {
   console.log('[SW] Background sync:', event.tag);
   
-  if (event.tag === 'health-data-sync') {
+  if (event.tag === SERVER_SYNC_TAG) {
     event.waitUntil(
-      // Future: sync health data when back online
-      Promise.resolve()
+      // A rejection makes the browser retry later
+      serverSyncClient.pushAll().then(count => {
+        console.log(`[SW] Sent ${count} changes to the server`);
+        return self.clients.matchAll({ type: 'window' }).then(clientList => {
+          clientList.forEach(client => client.postMessage({ action: 'serverSyncPushed', count }));
+        });
+      })
     );
   }
 });
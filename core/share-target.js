@@ -0,0 +1,106 @@
+/**
+ * Health Tracker App - Share Target
+ * This file contains the hand-over of files shared to the installed app from the OS share sheet, shared by the page and the service worker
+ */
+
+// Path the manifest's share_target posts shared files to
+const SHARE_TARGET_PATH = '/share-handler';
+
+// Cache the service worker keeps a shared file in until the page imports it
+const SHARE_TARGET_CACHE = 'daily-tracker-share';
+const SHARED_FILE_KEY = './shared-file';
+
+// Query parameter the app is opened with when a file is waiting
+const SHARED_FILE_PARAM = 'shared-file';
+
+/**
+ * A file shared to the app.
+ *
+ * The service worker answers the share_target POST itself: it keeps the file
+ * in a cache and sends the window to the app, which takes the file out and
+ * runs the usual import on it - a CSV export goes to the import preview and a
+ * backup to the restore prompt, both asking before anything is written.
+ */
+const sharedFile = {
+  /**
+   * Check whether a request is a share from the OS share sheet
+   * @param {Request} request
+   * @returns {boolean}
+   */
+  isShareRequest(request) {
+    return request.method === 'POST' && new URL(request.url).pathname.endsWith(SHARE_TARGET_PATH);
+  },
+
+  /**
+   * Keep the shared file and open the app (service worker)
+   * @param {Request} request - The share_target POST
+   * @returns {Promise<Response>} - Redirect to the app
+   */
+  async receive(request) {
+    const appUrl = new URL('./index.html', self.location);
+
+    try {
+      const formData = await request.formData();
+      const file = formData.get('file');
+
+      if (file && typeof file !== 'string') {
+        const cache = await caches.open(SHARE_TARGET_CACHE);
+        await cache.put(SHARED_FILE_KEY, new Response(file, {
+          headers: {
+            'Content-Type': file.type || 'application/octet-stream',
+            'X-File-Name': encodeURIComponent(file.name || 'shared-file')
+          }
+        }));
+        appUrl.searchParams.set(SHARED_FILE_PARAM, '1');
+      }
+    } catch (error) {
+      console.warn('[SW] Could not keep the shared file:', error);
+    }
+
+    // 303 so the app is loaded with GET
+    return Response.redirect(appUrl.href, 303);
+  },
+
+  /**
+   * Take the waiting shared file out of the cache (page)
+   * @returns {Promise<File|null>}
+   */
+  async take() {
+    if (typeof caches === 'undefined') return null;
+
+    const cache = await caches.open(SHARE_TARGET_CACHE);
+    const response = await cache.match(SHARED_FILE_KEY);
+    if (!response) return null;
+
+    await cache.delete(SHARED_FILE_KEY);
+
+    const blob = await response.blob();
+    const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared-file');
+    return new File([blob], name, { type: blob.type });
+  },
+
+  /**
+   * Import a file shared to the app, if it was opened with one
+   */
+  init() {
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has(SHARED_FILE_PARAM)) return;
+
+    // A reload should not import the file again
+    url.searchParams.delete(SHARED_FILE_PARAM);
+    history.replaceState(null, '', url.href);
+
+    this.take()
+      .then(file => {
+        if (!file) {
+          utils.showToast('The shared file could not be found. Please share it again.', 'error');
+          return;
+        }
+        importFile(file);
+      })
+      .catch(error => {
+        utils.showToast(`Error opening the shared file: ${error.message}`, 'error');
+        console.error('Shared file error:', error);
+      });
+  }
+};
\ No newline at end of file
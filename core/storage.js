@@ -0,0 +1,2255 @@
+/**
+ * Health Tracker App - Data Store
+ * This file contains the IndexedDB storage layer for intake, workout and habit data
+ */
+
+// IndexedDB database settings - profiles other than the default get their own database
+const DB_NAME = 'daily-tracker';
+const DB_VERSION = 3;
+
+// Object stores - one record per intake entry, workout entry, habit day and deleted record
+const DB_STORES = {
+  INTAKE: 'intake_entries',
+  WORKOUTS: 'workout_entries',
+  HABITS: 'habits',
+  HABIT_DAYS: 'habit_days',
+  META: 'meta',
+  ARCHIVE: 'archive',
+  TOMBSTONES: 'tombstones'
+};
+
+// localStorage keys that used to hold whole JSON blobs
+const LEGACY_DATA_KEYS = {
+  WORKOUT_STATE: 'workout_state',
+  WORKOUT_COUNT: 'workout_count',
+  // Stamp of the last save of the workout state and counts - never used before IndexedDB
+  WORKOUT_STATE_MODIFIED: 'workout_state_modified',
+  WORKOUT_HISTORY: 'workout_history',
+  HABITS: 'habits_data',
+  // Deleted records on the fallback backend - never used before IndexedDB
+  TOMBSTONES: 'data_tombstones'
+};
+
+// Intake tracker types stored in the intake store
+const INTAKE_TYPES = ['water', 'protein'];
+
+// Modules whose old days can be moved to the archive - one archive record each.
+// They are also what tabs tell each other about when data changes.
+const ARCHIVE_MODULES = [...INTAKE_TYPES, 'workouts', 'habits'];
+
+// localStorage prefix for archive records on the fallback backend
+const ARCHIVE_KEY_PREFIX = 'archive_';
+
+// Meta record prefix for each module's revision - a new id on every write
+const REVISION_KEY_PREFIX = 'revision_';
+
+// localStorage key holding the revisions on the fallback backend
+const REVISIONS_STORAGE_KEY = 'data_revisions';
+
+// How a write relates to writes from other tabs (see persist())
+const WRITE_KINDS = {
+  // Adds, changes or deletes single records, which is safe even with an outdated cache
+  RECORD: 'record',
+  // Rewrites a module from the cache - refused if another tab changed the module first
+  SAVE: 'save',
+  // Deliberately replaces a whole module, e.g. an import or reset
+  REPLACE: 'replace'
+};
+
+/**
+ * Data store backed by IndexedDB, with a localStorage fallback for browsers
+ * where IndexedDB cannot be opened (e.g. some private browsing modes).
+ *
+ * Everything is loaded into an in-memory cache on startup so the trackers can
+ * read synchronously. Getters return the live cached objects; write methods
+ * update the cache immediately and resolve to true/false once persisted.
+ *
+ * Every entry and habit has an id and every entry, habit and habit day a
+ * logicalClock stamp of its last change (habit days in habit.historyModified).
+ * Deletes leave a tombstone, so datasets from several devices can be merged
+ * with datasetMerge (see mergeDataset()).
+ */
+const dataStore = {
+  db: null,
+  backend: null,
+
+  // In-memory copy of all records, in the shape the trackers use
+  cache: {
+    intake: { water: {}, protein: {} },
+    workoutHistory: {},
+    workoutState: null,
+    workoutCounts: null,
+    workoutStateModified: null,
+    habits: null,
+    tombstones: {}
+  },
+
+  // Name, color, order and day statuses of each persisted habit, to find what a save changed
+  savedHabits: {},
+
+  // Decompressed archived days per module, kept apart from the live cache
+  archived: {},
+
+  // Day count and date range per archived module
+  archiveInfo: {},
+
+  // In-flight archive run, shared by concurrent quota errors
+  archiving: null,
+
+  // Revision of each module when this tab last loaded or saved it
+  revisions: {},
+
+  // Writes started so far, so reload() can tell if one happened while it was reading
+  writeCount: 0,
+
+  /**
+   * Open the database, migrate legacy localStorage data and load the cache
+   * @returns {Promise<string>} - Backend in use ('indexeddb' or 'localstorage')
+   */
+  init() {
+    return this.openDatabase()
+      .then(db => {
+        this.db = db;
+        this.backend = 'indexeddb';
+        this.requestPersistence();
+
+        return this.migrateFromLocalStorage()
+          .then(() => this.loadCache());
+      }, error => {
+        console.warn('IndexedDB unavailable, using localStorage:', error);
+        this.db = null;
+        this.backend = 'localstorage';
+        this.loadCacheFromLocalStorage();
+      })
+      .then(() => this.loadArchives())
+      .then(() => this.backend);
+  },
+
+  /**
+   * Open (and create or upgrade) the IndexedDB database
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDatabase() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not supported'));
+        return;
+      }
+
+      let request;
+      try {
+        request = indexedDB.open(this.getDatabaseName(), DB_VERSION);
+      } catch (error) {
+        reject(error);
+        return;
+      }
+
+      request.onupgradeneeded = (event) => {
+        this.upgradeDatabase(request.result, event.oldVersion);
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+
+        // Another tab is upgrading the database - let it proceed
+        db.onversionchange = () => {
+          db.close();
+          utils.showToast('The app was updated in another tab. Please reload.', 'warning', 7000);
+        };
+
+        resolve(db);
+      };
+
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => {
+        console.warn('Database upgrade blocked by another open tab');
+      };
+    });
+  },
+
+  /**
+   * Get the name of a profile's database
+   * @param {string} [profileId] - Profile id, the active profile if omitted
+   * @returns {string}
+   */
+  getDatabaseName(profileId = profileManager.activeId) {
+    return profileId === DEFAULT_PROFILE_ID ? DB_NAME : `${DB_NAME}-${profileId}`;
+  },
+
+  /**
+   * Close the database and empty the cache, e.g. before switching profiles
+   */
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+
+    this.db = null;
+    this.backend = null;
+    this.cache = {
+      intake: { water: {}, protein: {} },
+      workoutHistory: {},
+      workoutState: null,
+      workoutCounts: null,
+      workoutStateModified: null,
+      habits: null,
+      tombstones: {}
+    };
+    this.savedHabits = {};
+    this.archived = {};
+    this.archiveInfo = {};
+    this.revisions = {};
+  },
+
+  /**
+   * Delete a profile's database
+   * @param {string} profileId - Profile id, must not be the active profile
+   * @returns {Promise<boolean>} - Whether it was deleted
+   */
+  deleteDatabase(profileId) {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+      const request = indexedDB.deleteDatabase(this.getDatabaseName(profileId));
+      request.onsuccess = () => resolve(true);
+      request.onerror = () => {
+        console.error('Error deleting database:', request.error);
+        resolve(false);
+      };
+      request.onblocked = () => {
+        console.warn('Database deletion blocked by another open tab');
+      };
+    });
+  },
+
+  /**
+   * Create object stores for a new or outdated database
+   * @param {IDBDatabase} db - Database being upgraded
+   * @param {number} oldVersion - Version before the upgrade
+   */
+  upgradeDatabase(db, oldVersion) {
+    if (oldVersion < 1) {
+      const intakeStore = db.createObjectStore(DB_STORES.INTAKE, { keyPath: 'id' });
+      intakeStore.createIndex('type', 'type');
+
+      const workoutStore = db.createObjectStore(DB_STORES.WORKOUTS, { keyPath: 'id' });
+      workoutStore.createIndex('date', 'date');
+
+      db.createObjectStore(DB_STORES.HABITS, { keyPath: 'id' });
+
+      const habitDaysStore = db.createObjectStore(DB_STORES.HABIT_DAYS, { keyPath: ['habitId', 'date'] });
+      habitDaysStore.createIndex('habitId', 'habitId');
+
+      db.createObjectStore(DB_STORES.META, { keyPath: 'key' });
+    }
+
+    if (oldVersion < 2) {
+      db.createObjectStore(DB_STORES.ARCHIVE, { keyPath: 'id' });
+    }
+
+    if (oldVersion < 3) {
+      db.createObjectStore(DB_STORES.TOMBSTONES, { keyPath: 'id' });
+    }
+  },
+
+  /**
+   * Ask the browser not to evict our data under storage pressure
+   */
+  requestPersistence() {
+    if (navigator.storage && navigator.storage.persist) {
+      navigator.storage.persist().catch(error => {
+        console.warn('Persistent storage request failed:', error);
+      });
+    }
+  },
+
+  /**
+   * Generate a unique record id
+   * @returns {string}
+   */
+  createId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  },
+
+  /**
+   * Run a transaction and resolve once it has committed
+   * @param {string[]} storeNames - Stores to include in the transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives the transaction and queues requests on it
+   * @returns {Promise<*>} - Whatever work() returned
+   */
+  runTransaction(storeNames, mode, work) {
+    return new Promise((resolve, reject) => {
+      let result;
+      let transaction;
+
+      try {
+        transaction = this.db.transaction(storeNames, mode);
+        result = work(transaction);
+      } catch (error) {
+        if (transaction) transaction.abort();
+        reject(error);
+        return;
+      }
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  },
+
+  /**
+   * Read every record from the given stores
+   * @param {string[]} storeNames - Stores to read
+   * @returns {Promise<Object>} - Arrays of records keyed by store name
+   */
+  readAllRecords(storeNames) {
+    const records = {};
+
+    return this.runTransaction(storeNames, 'readonly', transaction => {
+      storeNames.forEach(storeName => {
+        const request = transaction.objectStore(storeName).getAll();
+        request.onsuccess = () => {
+          records[storeName] = request.result;
+        };
+      });
+    }).then(() => records);
+  },
+
+  /**
+   * Parse a JSON blob from localStorage
+   * @param {string} key - localStorage key
+   * @param {*} fallback - Value to return if missing or corrupt
+   */
+  readLegacyKey(key, fallback) {
+    try {
+      const value = profileStorage.getItem(key);
+      return value ? JSON.parse(value) : fallback;
+    } catch (error) {
+      console.error(`Error reading ${key}:`, error);
+      return fallback;
+    }
+  },
+
+  /**
+   * Get every legacy JSON key, including the intake history keys
+   * @returns {string[]}
+   */
+  getLegacyKeys() {
+    return [
+      ...INTAKE_TYPES.map(type => `${STORAGE_KEYS.HISTORY_PREFIX}${type}`),
+      ...Object.values(LEGACY_DATA_KEYS)
+    ];
+  },
+
+  /**
+   * Move history_*, workout_* and habits_data out of localStorage on first launch
+   * @returns {Promise}
+   */
+  migrateFromLocalStorage() {
+    const legacyKeys = this.getLegacyKeys().filter(key => profileStorage.getItem(key) !== null);
+    if (legacyKeys.length === 0) {
+      return Promise.resolve();
+    }
+
+    return this.runTransaction([DB_STORES.META], 'readonly', transaction => {
+      return transaction.objectStore(DB_STORES.META).get('migrated_from_local_storage');
+    })
+      .then(request => {
+        // Already copied - a previous launch stopped before removing the keys
+        if (request.result) return;
+
+        console.log('Migrating localStorage data to IndexedDB...');
+
+        const intakeHistory = {};
+        INTAKE_TYPES.forEach(type => {
+          intakeHistory[type] = this.readLegacyKey(`${STORAGE_KEYS.HISTORY_PREFIX}${type}`, {});
+        });
+
+        return this.writeDataset({
+          intake: intakeHistory,
+          workoutHistory: this.readLegacyKey(LEGACY_DATA_KEYS.WORKOUT_HISTORY, {}),
+          workoutState: this.readLegacyKey(LEGACY_DATA_KEYS.WORKOUT_STATE, null),
+          workoutCounts: this.readLegacyKey(LEGACY_DATA_KEYS.WORKOUT_COUNT, null),
+          workoutStateModified: this.readLegacyKey(LEGACY_DATA_KEYS.WORKOUT_STATE_MODIFIED, null),
+          habits: this.readLegacyKey(LEGACY_DATA_KEYS.HABITS, null),
+          tombstones: this.readLegacyKey(LEGACY_DATA_KEYS.TOMBSTONES, {})
+        }, {
+          key: 'migrated_from_local_storage',
+          value: appClock.now().toISOString()
+        });
+      })
+      .then(() => {
+        // Data is safely committed, free up localStorage
+        legacyKeys.forEach(key => profileStorage.removeItem(key));
+        console.log('Migration to IndexedDB complete');
+      });
+  },
+
+  /**
+   * Replace all records with the given data in a single transaction
+   * @param {Object} dataset - Data in the cache shape
+   * @param {Object} extraMeta - Optional extra meta record to write
+   * @returns {Promise}
+   */
+  writeDataset(dataset, extraMeta) {
+    const storeNames = Object.values(DB_STORES);
+
+    return this.runTransaction(storeNames, 'readwrite', transaction => {
+      // Metadata and archived days are kept
+      storeNames.forEach(storeName => {
+        if (storeName !== DB_STORES.META && storeName !== DB_STORES.ARCHIVE) {
+          transaction.objectStore(storeName).clear();
+        }
+      });
+
+      const intakeStore = transaction.objectStore(DB_STORES.INTAKE);
+      INTAKE_TYPES.forEach(type => {
+        Object.entries(dataset.intake[type] || {}).forEach(([date, entries]) => {
+          entries.forEach(entry => {
+            intakeStore.put(this.toIntakeRecord(type, date, entry));
+          });
+        });
+      });
+
+      const workoutStore = transaction.objectStore(DB_STORES.WORKOUTS);
+      Object.entries(dataset.workoutHistory || {}).forEach(([date, entries]) => {
+        entries.forEach(entry => {
+          workoutStore.put(this.toWorkoutRecord(date, entry));
+        });
+      });
+
+      const metaStore = transaction.objectStore(DB_STORES.META);
+      if (dataset.workoutState) {
+        metaStore.put({ key: LEGACY_DATA_KEYS.WORKOUT_STATE, value: dataset.workoutState });
+      } else {
+        metaStore.delete(LEGACY_DATA_KEYS.WORKOUT_STATE);
+      }
+      if (dataset.workoutCounts) {
+        metaStore.put({ key: LEGACY_DATA_KEYS.WORKOUT_COUNT, value: dataset.workoutCounts });
+      } else {
+        metaStore.delete(LEGACY_DATA_KEYS.WORKOUT_COUNT);
+      }
+      if (dataset.workoutStateModified) {
+        metaStore.put({ key: LEGACY_DATA_KEYS.WORKOUT_STATE_MODIFIED, value: dataset.workoutStateModified });
+      } else {
+        metaStore.delete(LEGACY_DATA_KEYS.WORKOUT_STATE_MODIFIED);
+      }
+      if (extraMeta) {
+        metaStore.put(extraMeta);
+      }
+      ARCHIVE_MODULES.forEach(module => {
+        metaStore.put({ key: `${REVISION_KEY_PREFIX}${module}`, value: this.createId() });
+      });
+
+      if (Array.isArray(dataset.habits)) {
+        const habitsStore = transaction.objectStore(DB_STORES.HABITS);
+        const habitDaysStore = transaction.objectStore(DB_STORES.HABIT_DAYS);
+
+        dataset.habits.forEach((habit, index) => {
+          if (!habit.id) habit.id = this.createId();
+          habitsStore.put(this.toHabitRecord(habit, index));
+
+          Object.keys(habit.history || {}).forEach(date => {
+            habitDaysStore.put(this.toHabitDayRecord(habit, date));
+          });
+        });
+
+        metaStore.put({ key: 'habits_saved', value: true });
+      }
+
+      this.putTombstones(transaction, Object.entries(dataset.tombstones || {}).map(([id, tombstone]) => ({
+        id,
+        module: tombstone.module,
+        modified: tombstone.modified
+      })));
+    });
+  },
+
+  /**
+   * Build an intake record
+   */
+  toIntakeRecord(type, date, entry) {
+    if (!entry.id) entry.id = this.createId();
+    if (!entry.modified) entry.modified = logicalClock.now();
+    return { id: entry.id, type, date, amount: entry.amount, timestamp: entry.timestamp, modified: entry.modified };
+  },
+
+  /**
+   * Build a workout record
+   */
+  toWorkoutRecord(date, entry) {
+    if (!entry.id) entry.id = this.createId();
+    if (!entry.modified) entry.modified = logicalClock.now();
+    return Object.assign(
+      { id: entry.id, date, type: entry.type, count: entry.count, timestamp: entry.timestamp, modified: entry.modified },
+      workoutRules.getActivity(entry)
+    );
+  },
+
+  /**
+   * Build a habit record (history is stored separately as habit days)
+   */
+  toHabitRecord(habit, order) {
+    if (!habit.modified) habit.modified = logicalClock.now();
+    return { id: habit.id, name: habit.name, color: habit.color, order, modified: habit.modified };
+  },
+
+  /**
+   * Build a habit day record
+   */
+  toHabitDayRecord(habit, date) {
+    if (!habit.historyModified) habit.historyModified = {};
+    if (!habit.historyModified[date]) habit.historyModified[date] = logicalClock.now();
+    return { habitId: habit.id, date, status: habit.history[date], modified: habit.historyModified[date] };
+  },
+
+  /**
+   * Give entries without an id or stamp one before a history is saved
+   * @param {Object} history - Entries keyed by date
+   */
+  stampEntries(history) {
+    Object.values(history).forEach(entries => {
+      entries.forEach(entry => {
+        if (!entry.id) entry.id = this.createId();
+        if (!entry.modified) entry.modified = logicalClock.now();
+      });
+    });
+  },
+
+  /**
+   * Record deleted records so the delete reaches other devices when datasets are merged
+   * @param {string} module - Data module
+   * @param {string[]} ids - Entry ids, habit ids, or habitId/date for habit days
+   * @returns {Object[]} - Tombstone records to save with the delete
+   */
+  addTombstones(module, ids) {
+    return ids.filter(Boolean).map(id => {
+      const tombstone = { id, module, modified: logicalClock.now() };
+      this.cache.tombstones[id] = { module, modified: tombstone.modified };
+      return tombstone;
+    });
+  },
+
+  /**
+   * Save tombstone records (IndexedDB only)
+   * @param {IDBTransaction} transaction - Open transaction including the tombstones store
+   * @param {Object[]} tombstones - From addTombstones()
+   */
+  putTombstones(transaction, tombstones) {
+    const store = transaction.objectStore(DB_STORES.TOMBSTONES);
+    tombstones.forEach(tombstone => store.put(tombstone));
+  },
+
+  /**
+   * Load every record from IndexedDB into the cache
+   * @returns {Promise}
+   */
+  loadCache() {
+    const storeNames = Object.values(DB_STORES).filter(storeName => storeName !== DB_STORES.ARCHIVE);
+
+    return this.readAllRecords(storeNames).then(records => {
+      const byTimestamp = (a, b) => String(a.timestamp).localeCompare(String(b.timestamp));
+
+      const intake = {};
+      INTAKE_TYPES.forEach(type => {
+        intake[type] = {};
+      });
+      records[DB_STORES.INTAKE].forEach(record => {
+        if (!intake[record.type]) intake[record.type] = {};
+        const history = intake[record.type];
+        if (!history[record.date]) history[record.date] = [];
+        history[record.date].push({ id: record.id, amount: record.amount, timestamp: record.timestamp, modified: record.modified });
+      });
+      Object.values(intake).forEach(history => {
+        Object.values(history).forEach(entries => entries.sort(byTimestamp));
+      });
+
+      const workoutHistory = {};
+      records[DB_STORES.WORKOUTS].forEach(record => {
+        if (!workoutHistory[record.date]) workoutHistory[record.date] = [];
+        workoutHistory[record.date].push(Object.assign({
+          id: record.id,
+          type: record.type,
+          count: record.count,
+          timestamp: record.timestamp,
+          modified: record.modified
+        }, workoutRules.getActivity(record)));
+      });
+      Object.values(workoutHistory).forEach(entries => entries.sort(byTimestamp));
+
+      const meta = {};
+      records[DB_STORES.META].forEach(record => {
+        meta[record.key] = record.value;
+      });
+
+      let habits = null;
+      if (records[DB_STORES.HABITS].length > 0 || meta.habits_saved) {
+        const habitsById = {};
+        habits = records[DB_STORES.HABITS]
+          .sort((a, b) => a.order - b.order)
+          .map(record => {
+            const habit = {
+              id: record.id,
+              name: record.name,
+              color: record.color,
+              modified: record.modified,
+              history: {},
+              historyModified: {}
+            };
+            habitsById[habit.id] = habit;
+            return habit;
+          });
+
+        records[DB_STORES.HABIT_DAYS].forEach(record => {
+          const habit = habitsById[record.habitId];
+          if (habit) {
+            habit.history[record.date] = record.status;
+            if (record.modified) habit.historyModified[record.date] = record.modified;
+          }
+        });
+      }
+
+      const tombstones = {};
+      records[DB_STORES.TOMBSTONES].forEach(record => {
+        tombstones[record.id] = { module: record.module, modified: record.modified };
+      });
+
+      this.cache = {
+        intake,
+        workoutHistory,
+        workoutState: meta[LEGACY_DATA_KEYS.WORKOUT_STATE] || null,
+        workoutCounts: meta[LEGACY_DATA_KEYS.WORKOUT_COUNT] || null,
+        workoutStateModified: meta[LEGACY_DATA_KEYS.WORKOUT_STATE_MODIFIED] || null,
+        habits,
+        tombstones
+      };
+      this.rememberHabits();
+
+      this.revisions = {};
+      ARCHIVE_MODULES.forEach(module => {
+        this.revisions[module] = meta[`${REVISION_KEY_PREFIX}${module}`] || null;
+      });
+    });
+  },
+
+  /**
+   * Load the cache from legacy localStorage keys (fallback backend)
+   */
+  loadCacheFromLocalStorage() {
+    const intake = {};
+    INTAKE_TYPES.forEach(type => {
+      intake[type] = this.readLegacyKey(`${STORAGE_KEYS.HISTORY_PREFIX}${type}`, {});
+    });
+
+    const habits = this.readLegacyKey(LEGACY_DATA_KEYS.HABITS, null);
+    if (Array.isArray(habits)) {
+      habits.forEach(habit => {
+        if (!habit.id) habit.id = this.createId();
+        if (!habit.history) habit.history = {};
+        if (!habit.historyModified) habit.historyModified = {};
+      });
+    }
+
+    this.cache = {
+      intake,
+      workoutHistory: this.readLegacyKey(LEGACY_DATA_KEYS.WORKOUT_HISTORY, {}),
+      workoutState: this.readLegacyKey(LEGACY_DATA_KEYS.WORKOUT_STATE, null),
+      workoutCounts: this.readLegacyKey(LEGACY_DATA_KEYS.WORKOUT_COUNT, null),
+      workoutStateModified: this.readLegacyKey(LEGACY_DATA_KEYS.WORKOUT_STATE_MODIFIED, null),
+      habits: Array.isArray(habits) ? habits : null,
+      tombstones: this.readLegacyKey(LEGACY_DATA_KEYS.TOMBSTONES, {})
+    };
+    this.rememberHabits();
+    this.revisions = this.readLegacyKey(REVISIONS_STORAGE_KEY, {});
+  },
+
+  /**
+   * Load the cache and archives again, e.g. after another tab saved changes.
+   * Getters return new objects afterwards, so anything holding the old ones must fetch them again.
+   * @returns {Promise}
+   */
+  reload() {
+    const writeCount = this.writeCount;
+    const loaded = this.backend === 'indexeddb'
+      ? this.loadCache()
+      : Promise.resolve(this.loadCacheFromLocalStorage());
+
+    return loaded
+      .then(() => this.loadArchives())
+      .then(() => {
+        // A write made while reading may be missing from what was read
+        if (this.writeCount !== writeCount) {
+          return this.reload();
+        }
+      });
+  },
+
+  /**
+   * Check whether a saved revision is the one this tab last loaded or saved
+   * @param {string} module - Data module
+   * @param {string} [revision] - Saved revision
+   * @returns {boolean}
+   */
+  isCurrentRevision(module, revision) {
+    return (revision || null) === (this.revisions[module] || null);
+  },
+
+  /**
+   * Check on the fallback backend whether another tab changed a module since this tab loaded it
+   * @param {string} module - Data module
+   * @returns {boolean}
+   */
+  isStale(module) {
+    return !this.isCurrentRevision(module, this.readLegacyKey(REVISIONS_STORAGE_KEY, {})[module]);
+  },
+
+  /**
+   * Find modules another tab changed since this tab loaded or saved them
+   * @returns {Promise<string[]>}
+   */
+  getStaleModules() {
+    if (this.backend !== 'indexeddb') {
+      return Promise.resolve(this.backend ? ARCHIVE_MODULES.filter(module => this.isStale(module)) : []);
+    }
+
+    return this.runTransaction([DB_STORES.META], 'readonly', transaction => {
+      const stale = [];
+      const store = transaction.objectStore(DB_STORES.META);
+
+      ARCHIVE_MODULES.forEach(module => {
+        const request = store.get(`${REVISION_KEY_PREFIX}${module}`);
+        request.onsuccess = () => {
+          if (!this.isCurrentRevision(module, request.result && request.result.value)) {
+            stale.push(module);
+          }
+        };
+      });
+
+      return stale;
+    });
+  },
+
+  /**
+   * Give modules new revisions after their keys were rewritten from the cache (fallback backend)
+   * @param {string[]} modules - Data modules
+   */
+  saveLocalRevisions(modules) {
+    const revisions = this.readLegacyKey(REVISIONS_STORAGE_KEY, {});
+    modules.forEach(module => {
+      revisions[module] = this.createId();
+      this.revisions[module] = revisions[module];
+    });
+    storageManager.safeSetItem(REVISIONS_STORAGE_KEY, JSON.stringify(revisions));
+  },
+
+  /**
+   * Persist a change using the active backend.
+   *
+   * Every write gives its module a new revision, so other tabs can tell their
+   * copy is out of date. A SAVE is refused when the module was changed by another
+   * tab since this one loaded it, as it would overwrite that change with older
+   * data. On the fallback backend every write rewrites the whole module, so all
+   * but REPLACE writes are checked.
+   * @param {string|string[]} legacyKeys - localStorage key(s) to rewrite on the fallback backend
+   * @param {string[]} storeNames - Stores touched by the IndexedDB write
+   * @param {Function} work - Queues the IndexedDB requests
+   * @param {string} kind - One of WRITE_KINDS
+   * @param {boolean} isRetry - Set when retrying after archiving old history
+   * @returns {Promise<boolean>} - Whether the write succeeded
+   */
+  persist(legacyKeys, storeNames, work, kind, isRetry) {
+    const keys = [].concat(legacyKeys);
+    const module = this.getModuleForLegacyKey(keys[0]);
+    this.writeCount++;
+
+    if (this.backend !== 'indexeddb') {
+      if (kind !== WRITE_KINDS.REPLACE && this.isStale(module)) {
+        return Promise.resolve(this.reportConflict(module));
+      }
+
+      const saved = keys.map(key => this.writeLegacyKey(key)).every(Boolean);
+      if (saved) {
+        this.saveLocalRevisions([module]);
+        eventBus.emit(APP_EVENTS.DATA_SAVED, { modules: [module] });
+      }
+      return Promise.resolve(saved);
+    }
+
+    const revisionKey = `${REVISION_KEY_PREFIX}${module}`;
+    const revision = this.createId();
+    const knownRevision = this.revisions[module];
+    let conflict = false;
+    let workError = null;
+
+    const allStoreNames = storeNames.includes(DB_STORES.META) ? storeNames : [...storeNames, DB_STORES.META];
+
+    return this.runTransaction(allStoreNames, 'readwrite', transaction => {
+      const metaStore = transaction.objectStore(DB_STORES.META);
+      const request = metaStore.get(revisionKey);
+
+      // The change is only queued once the revision has been checked
+      request.onsuccess = () => {
+        const wasCurrent = this.isCurrentRevision(module, request.result && request.result.value);
+        if (!wasCurrent && kind === WRITE_KINDS.SAVE) {
+          conflict = true;
+          transaction.abort();
+          return;
+        }
+
+        try {
+          work(transaction);
+          metaStore.put({ key: revisionKey, value: revision });
+        } catch (error) {
+          workError = error;
+          transaction.abort();
+          return;
+        }
+
+        // Set now so writes queued behind this one check against it.
+        // A record written into an outdated cache leaves it outdated until reloaded.
+        if (wasCurrent || kind === WRITE_KINDS.REPLACE) {
+          this.revisions[module] = revision;
+        }
+      };
+    })
+      .then(() => {
+        eventBus.emit(APP_EVENTS.DATA_SAVED, { modules: [module] });
+        return true;
+      })
+      .catch(error => {
+        if (this.revisions[module] === revision) {
+          this.revisions[module] = knownRevision;
+        }
+        if (conflict) {
+          return this.reportConflict(module);
+        }
+
+        // Out of space - archive old history once and try again
+        if (error && error.name === 'QuotaExceededError' && !isRetry) {
+          return storageManager.cleanupOldData().then(archived => {
+            return archived ? this.persist(legacyKeys, storeNames, work, kind, true) : this.reportSaveError(error);
+          });
+        }
+
+        return this.reportSaveError(workError || error);
+      });
+  },
+
+  /**
+   * Announce a write that was refused because another tab changed the module first
+   * @param {string} module - Data module
+   * @returns {boolean} - Always false
+   */
+  reportConflict(module) {
+    console.warn(`Not saving ${module}: it was changed in another tab`);
+    eventBus.emit(APP_EVENTS.DATA_CONFLICT, { module });
+    return false;
+  },
+
+  /**
+   * Tell the user a write failed
+   * @param {Error} error - Write error
+   * @returns {boolean} - Always false
+   */
+  reportSaveError(error) {
+    console.error('Error saving data:', error);
+    utils.showToast('Error saving data. Please try again.', 'error');
+    return false;
+  },
+
+  /**
+   * Rewrite a whole legacy JSON key from the cache (fallback backend)
+   * @param {string} key - localStorage key
+   * @returns {boolean} - Whether the write succeeded
+   */
+  writeLegacyKey(key) {
+    let value;
+
+    switch (key) {
+      case LEGACY_DATA_KEYS.WORKOUT_HISTORY:
+        value = this.cache.workoutHistory;
+        break;
+      case LEGACY_DATA_KEYS.WORKOUT_STATE:
+        value = this.cache.workoutState;
+        break;
+      case LEGACY_DATA_KEYS.WORKOUT_COUNT:
+        value = this.cache.workoutCounts;
+        break;
+      case LEGACY_DATA_KEYS.WORKOUT_STATE_MODIFIED:
+        value = this.cache.workoutStateModified;
+        break;
+      case LEGACY_DATA_KEYS.HABITS:
+        value = this.cache.habits;
+        break;
+      case LEGACY_DATA_KEYS.TOMBSTONES:
+        value = this.cache.tombstones;
+        break;
+      default:
+        value = this.cache.intake[key.slice(STORAGE_KEYS.HISTORY_PREFIX.length)];
+    }
+
+    if (value === null || value === undefined) {
+      profileStorage.removeItem(key);
+      return true;
+    }
+
+    return storageManager.safeSetItem(key, JSON.stringify(value));
+  },
+
+  /**
+   * Get a deep copy of all data, e.g. for backups and schema migrations
+   * @returns {Object} - Data in the cache shape
+   */
+  getDataset() {
+    return JSON.parse(JSON.stringify(this.cache));
+  },
+
+  /**
+   * Replace all data and reload the cache
+   * @param {Object} dataset - Data in the cache shape
+   * @returns {Promise<boolean>} - Whether the data was saved
+   */
+  replaceDataset(dataset) {
+    if (this.backend !== 'indexeddb') {
+      this.cache = {
+        intake: dataset.intake || {},
+        workoutHistory: dataset.workoutHistory || {},
+        workoutState: dataset.workoutState || null,
+        workoutCounts: dataset.workoutCounts || null,
+        workoutStateModified: dataset.workoutStateModified || null,
+        habits: Array.isArray(dataset.habits) ? dataset.habits : null,
+        tombstones: dataset.tombstones || {}
+      };
+      this.rememberHabits();
+
+      const saved = this.getLegacyKeys().map(key => this.writeLegacyKey(key));
+      this.saveLocalRevisions(ARCHIVE_MODULES);
+      eventBus.emit(APP_EVENTS.DATA_SAVED, { modules: ARCHIVE_MODULES });
+      return Promise.resolve(saved.every(Boolean));
+    }
+
+    return this.writeDataset(dataset)
+      .then(() => this.loadCache())
+      .then(() => {
+        eventBus.emit(APP_EVENTS.DATA_SAVED, { modules: ARCHIVE_MODULES });
+        return true;
+      })
+      .catch(error => {
+        console.error('Error replacing data:', error);
+        return false;
+      });
+  },
+
+  /**
+   * Get a copy of all live and archived data
+   * @returns {Object} - { dataset, archived }
+   */
+  getSnapshot() {
+    // Fixed module order keeps snapshots of the same data identical
+    const archived = {};
+    ARCHIVE_MODULES.filter(module => this.archived[module]).forEach(module => {
+      archived[module] = JSON.parse(JSON.stringify(this.archived[module]));
+    });
+
+    return {
+      dataset: this.getDataset(),
+      archived
+    };
+  },
+
+  /**
+   * Replace all live and archived data with a snapshot from getSnapshot()
+   * @param {Object} snapshot - { dataset, archived }
+   * @returns {Promise<boolean>} - Whether everything was saved
+   */
+  restoreSnapshot(snapshot) {
+    return this.replaceDataset(snapshot.dataset).then(saved => {
+      return saved ? this.replaceArchives(snapshot.archived || {}) : false;
+    });
+  },
+
+  /**
+   * Get a copy of the data of some modules with their archived days and tombstones,
+   * in the shape datasetMerge combines
+   * @param {string[]} [modules] - Data modules, all if omitted
+   * @returns {Object} - Data in the cache shape
+   */
+  getFullDataset(modules = ARCHIVE_MODULES) {
+    const dataset = {
+      intake: {},
+      workoutHistory: {},
+      workoutState: null,
+      workoutCounts: null,
+      workoutStateModified: null,
+      habits: null,
+      tombstones: {}
+    };
+
+    INTAKE_TYPES.filter(type => modules.includes(type)).forEach(type => {
+      dataset.intake[type] = this.getIntakeHistory(type, true);
+    });
+
+    if (modules.includes('workouts')) {
+      dataset.workoutHistory = this.getWorkoutHistory(true);
+      dataset.workoutState = this.cache.workoutState;
+      dataset.workoutCounts = this.cache.workoutCounts;
+      dataset.workoutStateModified = this.cache.workoutStateModified;
+    }
+
+    if (modules.includes('habits') && this.cache.habits) {
+      const archivedHabits = this.archived.habits || {};
+      dataset.habits = this.cache.habits.map((habit, order) => ({
+        id: habit.id,
+        name: habit.name,
+        color: habit.color,
+        order,
+        modified: habit.modified,
+        history: this.getHabitHistory(habit),
+        historyModified: Object.assign({}, (archivedHabits[habit.id] || {}).historyModified, habit.historyModified)
+      }));
+    }
+
+    Object.entries(this.cache.tombstones).forEach(([id, tombstone]) => {
+      if (modules.includes(tombstone.module)) dataset.tombstones[id] = tombstone;
+    });
+
+    return JSON.parse(JSON.stringify(dataset));
+  },
+
+  /**
+   * Merge another device's data into this device's live and archived data.
+   * Days that are archived here stay archived.
+   * @param {Object} dataset - Data in the cache shape, e.g. from getFullDataset() on another device
+   * @returns {Promise<boolean>} - Whether the merged data was saved
+   */
+  mergeDataset(dataset) {
+    // Changes made from now on must win over everything that was merged
+    logicalClock.observe(datasetMerge.getLatestStamp(dataset));
+
+    const merged = datasetMerge.merge(this.getFullDataset(), dataset);
+    return this.restoreSnapshot(this.splitArchived(merged));
+  },
+
+  /**
+   * Split a full dataset into live and archived days, archiving the days up to
+   * the last date each module's archive holds now
+   * @param {Object} dataset - From getFullDataset() or datasetMerge.merge()
+   * @returns {Object} - Snapshot: { dataset, archived }
+   */
+  splitArchived(dataset) {
+    const archived = {};
+
+    const split = (module, history) => {
+      const info = this.archiveInfo[module];
+      if (!info || !info.to) return;
+
+      archived[module] = {};
+      Object.keys(history).forEach(date => {
+        if (date <= info.to) {
+          archived[module][date] = history[date];
+          delete history[date];
+        }
+      });
+    };
+
+    INTAKE_TYPES.forEach(type => split(type, dataset.intake[type] || {}));
+    split('workouts', dataset.workoutHistory);
+
+    const habitsInfo = this.archiveInfo.habits;
+    if (habitsInfo && habitsInfo.to && dataset.habits) {
+      archived.habits = {};
+      dataset.habits.forEach(habit => {
+        const history = {};
+        const historyModified = {};
+        Object.keys(habit.history).forEach(date => {
+          if (date > habitsInfo.to) return;
+
+          history[date] = habit.history[date];
+          historyModified[date] = habit.historyModified[date];
+          delete habit.history[date];
+          delete habit.historyModified[date];
+        });
+
+        if (Object.keys(history).length > 0) {
+          archived.habits[habit.id] = { name: habit.name, color: habit.color, history, historyModified };
+        }
+      });
+    }
+
+    return { dataset, archived };
+  },
+
+  /**
+   * Replace every archive record
+   * @param {Object} archived - Archived days per module
+   * @returns {Promise<boolean>} - Whether the archives were saved
+   */
+  replaceArchives(archived) {
+    const modules = ARCHIVE_MODULES.filter(module => archived[module]);
+
+    return Promise.all(modules.map(module => this.encodeArchive(module, archived[module])))
+      .then(records => {
+        if (this.backend === 'indexeddb') {
+          return this.runTransaction([DB_STORES.ARCHIVE], 'readwrite', transaction => {
+            const store = transaction.objectStore(DB_STORES.ARCHIVE);
+            store.clear();
+            records.forEach(record => store.put(record));
+          }).then(() => true);
+        }
+
+        ARCHIVE_MODULES.forEach(module => profileStorage.removeItem(`${ARCHIVE_KEY_PREFIX}${module}`));
+        return records.every(record => storageManager.safeSetItem(`${ARCHIVE_KEY_PREFIX}${record.id}`, JSON.stringify(record)));
+      })
+      .then(saved => this.loadArchives().then(() => {
+        eventBus.emit(APP_EVENTS.DATA_SAVED, { modules: ARCHIVE_MODULES });
+        return saved;
+      }))
+      .catch(error => {
+        console.error('Error replacing archives:', error);
+        return false;
+      });
+  },
+
+  /**
+   * Store a named backup of the data
+   * @param {string} name - Backup name
+   * @param {Object} value - Backup contents
+   * @returns {Promise<boolean>} - Whether the backup was saved
+   */
+  saveBackup(name, value) {
+    const key = `backup_${name}`;
+
+    if (this.backend !== 'indexeddb') {
+      return Promise.resolve(storageManager.safeSetItem(key, JSON.stringify(value)));
+    }
+
+    return this.runTransaction([DB_STORES.META], 'readwrite', transaction => {
+      transaction.objectStore(DB_STORES.META).put({ key, value });
+    })
+      .then(() => true)
+      .catch(error => {
+        console.error('Error saving backup:', error);
+        return false;
+      });
+  },
+
+  /**
+   * Read a named backup
+   * @param {string} name - Backup name
+   * @returns {Promise<Object|null>}
+   */
+  getBackup(name) {
+    const key = `backup_${name}`;
+
+    if (this.backend !== 'indexeddb') {
+      return Promise.resolve(this.readLegacyKey(key, null));
+    }
+
+    return this.runTransaction([DB_STORES.META], 'readonly', transaction => {
+      return transaction.objectStore(DB_STORES.META).get(key);
+    }).then(request => (request.result ? request.result.value : null));
+  },
+
+  /**
+   * Delete a named backup
+   * @param {string} name - Backup name
+   * @returns {Promise<boolean>}
+   */
+  deleteBackup(name) {
+    const key = `backup_${name}`;
+
+    if (this.backend !== 'indexeddb') {
+      profileStorage.removeItem(key);
+      return Promise.resolve(true);
+    }
+
+    return this.runTransaction([DB_STORES.META], 'readwrite', transaction => {
+      transaction.objectStore(DB_STORES.META).delete(key);
+    })
+      .then(() => true)
+      .catch(error => {
+        console.error('Error deleting backup:', error);
+        return false;
+      });
+  },
+
+  /**
+   * Get intake history for a tracker type
+   * @param {string} type - 'water' or 'protein'
+   * @param {boolean} includeArchived - Return a read-only copy that also contains archived days
+   * @returns {Object} - Live history object keyed by date
+   */
+  getIntakeHistory(type, includeArchived) {
+    if (!this.cache.intake[type]) {
+      this.cache.intake[type] = {};
+    }
+    return includeArchived ? this.mergeArchivedEntries(this.archived[type], this.cache.intake[type]) : this.cache.intake[type];
+  },
+
+  /**
+   * Add an intake entry
+   * @param {string} type - 'water' or 'protein'
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {Object} entry - Entry with amount and timestamp
+   * @returns {Promise<boolean>}
+   */
+  addIntakeEntry(type, date, entry) {
+    const history = this.getIntakeHistory(type);
+    if (!history[date]) {
+      history[date] = [];
+    }
+
+    entry.modified = logicalClock.now();
+    const record = this.toIntakeRecord(type, date, entry);
+    history[date].push(entry);
+
+    return this.persist(`${STORAGE_KEYS.HISTORY_PREFIX}${type}`, [DB_STORES.INTAKE], transaction => {
+      transaction.objectStore(DB_STORES.INTAKE).put(record);
+    }, WRITE_KINDS.RECORD);
+  },
+
+  /**
+   * Remove one intake entry
+   * @param {string} type - 'water' or 'protein'
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {string} id - Entry id
+   * @returns {Promise<boolean>} - Also true if the entry was already gone
+   */
+  removeIntakeEntry(type, date, id) {
+    const history = this.getIntakeHistory(type);
+    if (!this.removeEntryFromDay(history, date, id)) {
+      return Promise.resolve(true);
+    }
+
+    const tombstones = this.addTombstones(type, [id]);
+    const legacyKeys = [`${STORAGE_KEYS.HISTORY_PREFIX}${type}`, LEGACY_DATA_KEYS.TOMBSTONES];
+    return this.persist(legacyKeys, [DB_STORES.INTAKE, DB_STORES.TOMBSTONES], transaction => {
+      transaction.objectStore(DB_STORES.INTAKE).delete(id);
+      this.putTombstones(transaction, tombstones);
+    }, WRITE_KINDS.RECORD);
+  },
+
+  /**
+   * Remove an entry from a day in a cached history, dropping the day once it is empty
+   * @param {Object} history - History object keyed by date
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {string} id - Entry id
+   * @returns {boolean} - Whether the entry was found
+   */
+  removeEntryFromDay(history, date, id) {
+    const entries = history[date] || [];
+    const index = entries.findIndex(entry => entry.id === id);
+    if (index === -1) return false;
+
+    entries.splice(index, 1);
+    if (entries.length === 0) {
+      delete history[date];
+    }
+    return true;
+  },
+
+  /**
+   * Replace the whole intake history for a tracker type, dropping its archived days
+   * @param {string} type - 'water' or 'protein'
+   * @param {Object} history - History object keyed by date
+   * @returns {Promise<boolean>}
+   */
+  replaceIntakeHistory(type, history) {
+    const previous = this.getIntakeHistory(type);
+    const oldIds = this.getEntryIds(this.getIntakeHistory(type, true));
+    this.stampEntries(history);
+    const tombstones = this.addTombstones(type, this.getRemovedIds(oldIds, history));
+
+    // Keep the same object so trackers holding a reference stay in sync
+    Object.keys(previous).forEach(date => delete previous[date]);
+    Object.assign(previous, history);
+
+    if (this.backend !== 'indexeddb') {
+      this.dropArchive(type);
+    }
+
+    const legacyKeys = [`${STORAGE_KEYS.HISTORY_PREFIX}${type}`, LEGACY_DATA_KEYS.TOMBSTONES];
+    return this.persist(legacyKeys, [DB_STORES.INTAKE, DB_STORES.ARCHIVE, DB_STORES.TOMBSTONES], transaction => {
+      this.dropArchive(type, transaction);
+      this.putTombstones(transaction, tombstones);
+
+      const store = transaction.objectStore(DB_STORES.INTAKE);
+      oldIds.forEach(id => store.delete(id));
+
+      Object.entries(previous).forEach(([date, entries]) => {
+        entries.forEach(entry => store.put(this.toIntakeRecord(type, date, entry)));
+      });
+    }, WRITE_KINDS.REPLACE);
+  },
+
+  /**
+   * Get the ids of the entries in a history
+   * @param {Object} history - Entries keyed by date
+   * @returns {string[]}
+   */
+  getEntryIds(history) {
+    const ids = [];
+    Object.values(history).forEach(entries => {
+      entries.forEach(entry => {
+        if (entry.id) ids.push(entry.id);
+      });
+    });
+    return ids;
+  },
+
+  /**
+   * Find the entries a replaced history no longer has
+   * @param {string[]} oldIds - Ids of the entries before
+   * @param {Object} history - New history keyed by date
+   * @returns {string[]}
+   */
+  getRemovedIds(oldIds, history) {
+    const newIds = new Set(this.getEntryIds(history));
+    return oldIds.filter(id => !newIds.has(id));
+  },
+
+  /**
+   * Get workout history
+   * @param {boolean} includeArchived - Return a read-only copy that also contains archived days
+   * @returns {Object} - Live history object keyed by date
+   */
+  getWorkoutHistory(includeArchived) {
+    return includeArchived ? this.mergeArchivedEntries(this.archived.workouts, this.cache.workoutHistory) : this.cache.workoutHistory;
+  },
+
+  /**
+   * Add a workout entry
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {Object} entry - Entry with type, count and timestamp
+   * @returns {Promise<boolean>}
+   */
+  addWorkoutEntry(date, entry) {
+    const history = this.cache.workoutHistory;
+    if (!history[date]) {
+      history[date] = [];
+    }
+
+    entry.modified = logicalClock.now();
+    const record = this.toWorkoutRecord(date, entry);
+    history[date].push(entry);
+
+    return this.persist(LEGACY_DATA_KEYS.WORKOUT_HISTORY, [DB_STORES.WORKOUTS], transaction => {
+      transaction.objectStore(DB_STORES.WORKOUTS).put(record);
+    }, WRITE_KINDS.RECORD);
+  },
+
+  /**
+   * Remove one workout entry
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {string} id - Entry id
+   * @returns {Promise<boolean>} - Also true if the entry was already gone
+   */
+  removeWorkoutEntry(date, id) {
+    if (!this.removeEntryFromDay(this.cache.workoutHistory, date, id)) {
+      return Promise.resolve(true);
+    }
+
+    const tombstones = this.addTombstones('workouts', [id]);
+    const legacyKeys = [LEGACY_DATA_KEYS.WORKOUT_HISTORY, LEGACY_DATA_KEYS.TOMBSTONES];
+    return this.persist(legacyKeys, [DB_STORES.WORKOUTS, DB_STORES.TOMBSTONES], transaction => {
+      transaction.objectStore(DB_STORES.WORKOUTS).delete(id);
+      this.putTombstones(transaction, tombstones);
+    }, WRITE_KINDS.RECORD);
+  },
+
+  /**
+   * Delete all workout entries for a day
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @returns {Promise<boolean>}
+   */
+  deleteWorkoutDay(date) {
+    const entries = this.cache.workoutHistory[date] || [];
+    delete this.cache.workoutHistory[date];
+
+    const tombstones = this.addTombstones('workouts', entries.map(entry => entry.id));
+    const legacyKeys = [LEGACY_DATA_KEYS.WORKOUT_HISTORY, LEGACY_DATA_KEYS.TOMBSTONES];
+    return this.persist(legacyKeys, [DB_STORES.WORKOUTS, DB_STORES.TOMBSTONES], transaction => {
+      const store = transaction.objectStore(DB_STORES.WORKOUTS);
+      entries.forEach(entry => {
+        if (entry.id) store.delete(entry.id);
+      });
+      this.putTombstones(transaction, tombstones);
+    }, WRITE_KINDS.RECORD);
+  },
+
+  /**
+   * Replace the whole workout history, dropping its archived days
+   * @param {Object} history - History object keyed by date
+   * @returns {Promise<boolean>}
+   */
+  replaceWorkoutHistory(history) {
+    const previous = this.cache.workoutHistory;
+    this.stampEntries(history);
+    const tombstones = this.addTombstones('workouts', this.getRemovedIds(this.getEntryIds(this.getWorkoutHistory(true)), history));
+
+    Object.keys(previous).forEach(date => delete previous[date]);
+    Object.assign(previous, history);
+
+    if (this.backend !== 'indexeddb') {
+      this.dropArchive('workouts');
+    }
+
+    const legacyKeys = [LEGACY_DATA_KEYS.WORKOUT_HISTORY, LEGACY_DATA_KEYS.TOMBSTONES];
+    return this.persist(legacyKeys, [DB_STORES.WORKOUTS, DB_STORES.ARCHIVE, DB_STORES.TOMBSTONES], transaction => {
+      this.dropArchive('workouts', transaction);
+      this.putTombstones(transaction, tombstones);
+
+      const store = transaction.objectStore(DB_STORES.WORKOUTS);
+      store.clear();
+
+      Object.entries(previous).forEach(([date, entries]) => {
+        entries.forEach(entry => store.put(this.toWorkoutRecord(date, entry)));
+      });
+    }, WRITE_KINDS.REPLACE);
+  },
+
+  /**
+   * Get saved workout tab state
+   * @returns {Object|null}
+   */
+  getWorkoutState() {
+    return this.cache.workoutState;
+  },
+
+  /**
+   * Get saved workout counts
+   * @returns {Object|null}
+   */
+  getWorkoutCounts() {
+    return this.cache.workoutCounts;
+  },
+
+  /**
+   * Save workout tab state and counts, stamped so a merge keeps the latest save
+   * @param {Object} state - Completion state and order per workout type
+   * @param {Object} counts - Times each workout type was logged
+   * @returns {Promise<boolean>}
+   */
+  saveWorkoutState(state, counts) {
+    const modified = logicalClock.now();
+    this.cache.workoutState = state;
+    this.cache.workoutCounts = counts;
+    this.cache.workoutStateModified = modified;
+
+    const legacyKeys = [LEGACY_DATA_KEYS.WORKOUT_STATE, LEGACY_DATA_KEYS.WORKOUT_COUNT, LEGACY_DATA_KEYS.WORKOUT_STATE_MODIFIED];
+    return this.persist(legacyKeys, [DB_STORES.META], transaction => {
+      const store = transaction.objectStore(DB_STORES.META);
+      store.put({ key: LEGACY_DATA_KEYS.WORKOUT_STATE, value: state });
+      store.put({ key: LEGACY_DATA_KEYS.WORKOUT_COUNT, value: counts });
+      store.put({ key: LEGACY_DATA_KEYS.WORKOUT_STATE_MODIFIED, value: modified });
+    }, WRITE_KINDS.SAVE);
+  },
+
+  /**
+   * Delete all workout entries, state and counts
+   * @returns {Promise<boolean>}
+   */
+  clearWorkoutData() {
+    this.cache.workoutState = null;
+    this.cache.workoutCounts = null;
+
+    return this.replaceWorkoutHistory({}).then(historyCleared => {
+      return this.saveWorkoutState(null, null).then(stateCleared => historyCleared && stateCleared);
+    });
+  },
+
+  /**
+   * Get saved habits
+   * @returns {Array|null} - Live habits array, or null if habits were never saved
+   */
+  getHabits() {
+    return this.cache.habits;
+  },
+
+  /**
+   * Get a habit's history including archived days
+   * @param {Object} habit - Habit object
+   * @returns {Object} - Read-only status map keyed by date
+   */
+  getHabitHistory(habit) {
+    const archivedHabit = this.archived.habits && habit.id ? this.archived.habits[habit.id] : null;
+    if (!archivedHabit) {
+      return habit.history || {};
+    }
+    return Object.assign({}, archivedHabit.history, habit.history);
+  },
+
+  /**
+   * Save habit names, colors and order, and delete removed habits
+   * @param {Array} habits - Habits in display order
+   * @returns {Promise<boolean>}
+   */
+  saveHabits(habits) {
+    habits.forEach(habit => {
+      if (!habit.id) habit.id = this.createId();
+      if (!habit.history) habit.history = {};
+      if (!habit.historyModified) habit.historyModified = {};
+    });
+    this.cache.habits = habits;
+
+    const currentIds = new Set(habits.map(habit => habit.id));
+    const removedIds = Object.keys(this.savedHabits).filter(id => !currentIds.has(id));
+    const newHabits = habits.filter(habit => !this.savedHabits[habit.id]);
+    const { changedDays, clearedDays } = this.stampHabits(habits);
+    const tombstones = [
+      ...this.addTombstones('habits', removedIds),
+      ...this.addTombstones('habits', clearedDays.map(([habitId, date]) => `${habitId}/${date}`))
+    ];
+    this.rememberHabits();
+
+    const storeNames = [DB_STORES.HABITS, DB_STORES.HABIT_DAYS, DB_STORES.META, DB_STORES.TOMBSTONES];
+    return this.persist([LEGACY_DATA_KEYS.HABITS, LEGACY_DATA_KEYS.TOMBSTONES], storeNames, transaction => {
+      const habitsStore = transaction.objectStore(DB_STORES.HABITS);
+      const habitDaysStore = transaction.objectStore(DB_STORES.HABIT_DAYS);
+
+      habits.forEach((habit, index) => {
+        habitsStore.put(this.toHabitRecord(habit, index));
+      });
+
+      // Habits added through an import already carry history
+      newHabits.forEach(habit => {
+        Object.keys(habit.history).forEach(date => {
+          habitDaysStore.put(this.toHabitDayRecord(habit, date));
+        });
+      });
+      changedDays.forEach(([habit, date]) => habitDaysStore.put(this.toHabitDayRecord(habit, date)));
+      clearedDays.forEach(key => habitDaysStore.delete(key));
+
+      removedIds.forEach(id => {
+        habitsStore.delete(id);
+        habitDaysStore.delete(IDBKeyRange.bound([id], [id, []]));
+      });
+      this.putTombstones(transaction, tombstones);
+
+      // Distinguishes "no habits left" from "never saved"
+      transaction.objectStore(DB_STORES.META).put({ key: 'habits_saved', value: true });
+    }, WRITE_KINDS.SAVE);
+  },
+
+  /**
+   * Save the status of one habit on one day
+   * @param {Object} habit - Habit object (must already be saved)
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @param {string} status - 'done' or 'fail'
+   * @returns {Promise<boolean>}
+   */
+  setHabitDay(habit, date, status) {
+    if (!habit.history) habit.history = {};
+    if (!habit.historyModified) habit.historyModified = {};
+    habit.history[date] = status;
+    habit.historyModified[date] = logicalClock.now();
+
+    const saved = this.savedHabits[habit.id];
+    if (!saved) {
+      return this.saveHabits(this.cache.habits || [habit]);
+    }
+    saved.days[date] = status;
+
+    const record = this.toHabitDayRecord(habit, date);
+    return this.persist(LEGACY_DATA_KEYS.HABITS, [DB_STORES.HABIT_DAYS], transaction => {
+      transaction.objectStore(DB_STORES.HABIT_DAYS).put(record);
+    }, WRITE_KINDS.RECORD);
+  },
+
+  /**
+   * Clear the status of one habit on one day
+   * @param {Object} habit - Habit object (must already be saved)
+   * @param {string} date - Date key (YYYY-MM-DD)
+   * @returns {Promise<boolean>}
+   */
+  deleteHabitDay(habit, date) {
+    if (habit.history) {
+      delete habit.history[date];
+    }
+    if (habit.historyModified) {
+      delete habit.historyModified[date];
+    }
+    if (this.savedHabits[habit.id]) {
+      delete this.savedHabits[habit.id].days[date];
+    }
+
+    const tombstones = this.addTombstones('habits', [`${habit.id}/${date}`]);
+    const legacyKeys = [LEGACY_DATA_KEYS.HABITS, LEGACY_DATA_KEYS.TOMBSTONES];
+    return this.persist(legacyKeys, [DB_STORES.HABIT_DAYS, DB_STORES.TOMBSTONES], transaction => {
+      transaction.objectStore(DB_STORES.HABIT_DAYS).delete([habit.id, date]);
+      this.putTombstones(transaction, tombstones);
+    }, WRITE_KINDS.RECORD);
+  },
+
+  /**
+   * Get what a habit's name, color and position are compared by to tell whether a save changed them
+   * @param {Object} habit - Habit object
+   * @param {number} order - Position in the habits array
+   * @returns {string}
+   */
+  getHabitAttributes(habit, order) {
+    return JSON.stringify([habit.name, habit.color, order]);
+  },
+
+  /**
+   * Remember every cached habit as persisted, to compare the next save with
+   */
+  rememberHabits() {
+    this.savedHabits = {};
+    (this.cache.habits || []).forEach((habit, index) => {
+      this.savedHabits[habit.id] = {
+        attributes: this.getHabitAttributes(habit, index),
+        days: Object.assign({}, habit.history)
+      };
+    });
+  },
+
+  /**
+   * Stamp the habits and habit days a save changes. New habits keep the stamps they
+   * came with, e.g. from an import.
+   * @param {Array} habits - Habits in display order
+   * @returns {Object} - { changedDays: [[habit, date]], clearedDays: [[habitId, date]] } of already saved habits
+   */
+  stampHabits(habits) {
+    const changedDays = [];
+    const clearedDays = [];
+
+    habits.forEach((habit, index) => {
+      const saved = this.savedHabits[habit.id];
+
+      // A habit brought back after it was deleted, e.g. by undo, must outlast its tombstone
+      const tombstone = this.cache.tombstones[habit.id];
+      const deletedAt = tombstone ? tombstone.modified : '';
+
+      if (!habit.modified || habit.modified <= deletedAt || (saved && saved.attributes !== this.getHabitAttributes(habit, index))) {
+        habit.modified = logicalClock.now();
+      }
+
+      Object.entries(habit.history).forEach(([date, status]) => {
+        const changed = saved && saved.days[date] !== status;
+        if (changed || !habit.historyModified[date] || habit.historyModified[date] <= deletedAt) {
+          habit.historyModified[date] = logicalClock.now();
+        }
+        if (changed) changedDays.push([habit, date]);
+      });
+
+      if (!saved) return;
+      Object.keys(saved.days).forEach(date => {
+        if (!(date in habit.history)) {
+          delete habit.historyModified[date];
+          clearedDays.push([habit.id, date]);
+        }
+      });
+    });
+
+    return { changedDays, clearedDays };
+  },
+
+  /**
+   * Replace all habits and their history, dropping archived habit days
+   * @param {Array} habits - Habits with history
+   * @returns {Promise<boolean>}
+   */
+  replaceHabits(habits) {
+    const removedIds = Object.keys(this.savedHabits);
+
+    // Habits and days the new habits no longer have, including archived ones
+    const newHabits = {};
+    habits.filter(habit => habit.id).forEach(habit => {
+      newHabits[habit.id] = habit.history || {};
+    });
+    const deletedIds = [];
+    (this.cache.habits || []).forEach(habit => {
+      if (!newHabits[habit.id]) {
+        deletedIds.push(habit.id);
+        return;
+      }
+      Object.keys(this.getHabitHistory(habit)).forEach(date => {
+        if (!(date in newHabits[habit.id])) deletedIds.push(`${habit.id}/${date}`);
+      });
+    });
+    const tombstones = this.addTombstones('habits', deletedIds);
+    this.savedHabits = {};
+
+    if (this.backend !== 'indexeddb') {
+      this.dropArchive('habits');
+    }
+
+    const storeNames = [DB_STORES.HABITS, DB_STORES.HABIT_DAYS, DB_STORES.ARCHIVE, DB_STORES.TOMBSTONES];
+    return this.persist([LEGACY_DATA_KEYS.HABITS, LEGACY_DATA_KEYS.TOMBSTONES], storeNames, transaction => {
+      this.dropArchive('habits', transaction);
+      this.putTombstones(transaction, tombstones);
+
+      const habitDaysStore = transaction.objectStore(DB_STORES.HABIT_DAYS);
+      transaction.objectStore(DB_STORES.HABITS).clear();
+      removedIds.forEach(id => {
+        habitDaysStore.delete(IDBKeyRange.bound([id], [id, []]));
+      });
+    }, WRITE_KINDS.REPLACE).then(() => this.saveHabits(habits));
+  },
+
+  /**
+   * Merge archived and live entries into a new history object
+   * @param {Object} archivedHistory - Archived entries keyed by date
+   * @param {Object} liveHistory - Live entries keyed by date
+   * @returns {Object}
+   */
+  mergeArchivedEntries(archivedHistory, liveHistory) {
+    const merged = {};
+    Object.entries(archivedHistory || {}).forEach(([date, entries]) => {
+      merged[date] = entries.slice();
+    });
+    Object.entries(liveHistory).forEach(([date, entries]) => {
+      merged[date] = (merged[date] || []).concat(entries);
+    });
+    return merged;
+  },
+
+  /**
+   * Get the localStorage key holding a module's live history
+   * @param {string} module - Archive module
+   * @returns {string}
+   */
+  getLegacyKeyForModule(module) {
+    if (module === 'workouts') return LEGACY_DATA_KEYS.WORKOUT_HISTORY;
+    if (module === 'habits') return LEGACY_DATA_KEYS.HABITS;
+    return `${STORAGE_KEYS.HISTORY_PREFIX}${module}`;
+  },
+
+  /**
+   * Get the module whose data a legacy localStorage key holds
+   * @param {string} key - localStorage key
+   * @returns {string}
+   */
+  getModuleForLegacyKey(key) {
+    if (key === LEGACY_DATA_KEYS.HABITS) return 'habits';
+    if (key.startsWith(STORAGE_KEYS.HISTORY_PREFIX)) return key.slice(STORAGE_KEYS.HISTORY_PREFIX.length);
+    return 'workouts';
+  },
+
+  /**
+   * Get the sorted dates held in a module's archived days
+   * @param {string} module - Archive module
+   * @param {Object} days - Archived days for the module
+   * @returns {string[]}
+   */
+  getArchivedDates(module, days) {
+    if (module !== 'habits') {
+      return Object.keys(days || {}).sort();
+    }
+
+    const dates = new Set();
+    Object.values(days || {}).forEach(habit => {
+      Object.keys(habit.history).forEach(date => dates.add(date));
+    });
+    return [...dates].sort();
+  },
+
+  /**
+   * Get a summary of every archived module
+   * @returns {Array} - { module, dayCount, from, to, updatedAt } per module
+   */
+  getArchiveSummaries() {
+    return ARCHIVE_MODULES
+      .filter(module => this.archiveInfo[module])
+      .map(module => ({ module, ...this.archiveInfo[module] }));
+  },
+
+  /**
+   * Get the archived days of a module
+   * @param {string} module - Archive module
+   * @returns {Object|null} - Entries keyed by date, or habits keyed by id for 'habits'
+   */
+  getArchivedDays(module) {
+    return this.archived[module] || null;
+  },
+
+  /**
+   * Compress text with gzip where CompressionStream is supported
+   * @param {string} text - Text to compress
+   * @returns {Promise<Object>} - { encoding, data }
+   */
+  compressText(text) {
+    if (typeof CompressionStream === 'undefined') {
+      return Promise.resolve({ encoding: 'json', data: text });
+    }
+
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    return new Response(stream).arrayBuffer().then(buffer => {
+      // localStorage can only hold strings
+      if (this.backend !== 'indexeddb') {
+        return { encoding: 'gzip-base64', data: this.bufferToBase64(buffer) };
+      }
+      return { encoding: 'gzip', data: buffer };
+    });
+  },
+
+  /**
+   * Decompress an archive record's data
+   * @param {Object} record - Archive record
+   * @returns {Promise<string>}
+   */
+  decompressText(record) {
+    if (record.encoding === 'json') {
+      return Promise.resolve(record.data);
+    }
+
+    if (typeof DecompressionStream === 'undefined') {
+      return Promise.reject(new Error('This browser cannot read compressed archives'));
+    }
+
+    const buffer = record.encoding === 'gzip-base64' ? this.base64ToBuffer(record.data) : record.data;
+    const stream = new Blob([buffer]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return new Response(stream).text();
+  },
+
+  /**
+   * Encode binary data as base64
+   * @param {ArrayBuffer} buffer
+   * @returns {string}
+   */
+  bufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    // Convert in chunks to stay under the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  },
+
+  /**
+   * Decode base64 to binary data
+   * @param {string} base64
+   * @returns {ArrayBuffer}
+   */
+  base64ToBuffer(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes.buffer;
+  },
+
+  /**
+   * Build a compressed archive record for a module
+   * @param {string} module - Archive module
+   * @param {Object} days - All archived days for the module
+   * @returns {Promise<Object>}
+   */
+  encodeArchive(module, days) {
+    const dates = this.getArchivedDates(module, days);
+
+    return this.compressText(JSON.stringify(days)).then(({ encoding, data }) => ({
+      id: module,
+      encoding,
+      data,
+      dayCount: dates.length,
+      from: dates[0],
+      to: dates[dates.length - 1],
+      updatedAt: appClock.now().toISOString()
+    }));
+  },
+
+  /**
+   * Read and decompress all archive records
+   * @returns {Promise}
+   */
+  loadArchives() {
+    this.archived = {};
+    this.archiveInfo = {};
+
+    const readRecords = this.backend === 'indexeddb'
+      ? this.readAllRecords([DB_STORES.ARCHIVE]).then(records => records[DB_STORES.ARCHIVE])
+      : Promise.resolve(ARCHIVE_MODULES
+        .map(module => this.readLegacyKey(`${ARCHIVE_KEY_PREFIX}${module}`, null))
+        .filter(Boolean));
+
+    return readRecords
+      .then(records => Promise.all(records.map(record => {
+        return this.decompressText(record).then(text => {
+          this.archived[record.id] = JSON.parse(text);
+          this.archiveInfo[record.id] = {
+            dayCount: record.dayCount,
+            from: record.from,
+            to: record.to,
+            updatedAt: record.updatedAt
+          };
+        });
+      })))
+      .catch(error => {
+        console.error('Error loading archived history:', error);
+      });
+  },
+
+  /**
+   * Collect live days older than a date, grouped by archive module
+   * @param {string} cutoff - Date key (YYYY-MM-DD); earlier days are collected
+   * @returns {Object} - Days per module, only for modules with something to move
+   */
+  collectDaysBefore(cutoff) {
+    const moved = {};
+
+    const collect = (history) => {
+      const days = {};
+      Object.keys(history || {}).forEach(date => {
+        if (date < cutoff) days[date] = history[date];
+      });
+      return days;
+    };
+
+    INTAKE_TYPES.forEach(type => {
+      const days = collect(this.cache.intake[type]);
+      if (Object.keys(days).length > 0) moved[type] = days;
+    });
+
+    const workoutDays = collect(this.cache.workoutHistory);
+    if (Object.keys(workoutDays).length > 0) moved.workouts = workoutDays;
+
+    (this.cache.habits || []).forEach(habit => {
+      const history = collect(habit.history);
+      if (Object.keys(history).length > 0) {
+        const historyModified = {};
+        Object.keys(history).forEach(date => {
+          if (habit.historyModified && habit.historyModified[date]) historyModified[date] = habit.historyModified[date];
+        });
+
+        if (!moved.habits) moved.habits = {};
+        moved.habits[habit.id] = { name: habit.name, color: habit.color, history, historyModified };
+      }
+    });
+
+    return moved;
+  },
+
+  /**
+   * Combine a module's existing archived days with newly moved days
+   * @param {string} module - Archive module
+   * @param {Object} existing - Days already archived
+   * @param {Object} days - Days being moved
+   * @returns {Object} - New archived days object
+   */
+  mergeArchiveDays(module, existing, days) {
+    const merged = JSON.parse(JSON.stringify(existing || {}));
+
+    if (module === 'habits') {
+      Object.entries(days).forEach(([habitId, habit]) => {
+        if (!merged[habitId]) merged[habitId] = { history: {} };
+        merged[habitId].name = habit.name;
+        merged[habitId].color = habit.color;
+        Object.assign(merged[habitId].history, habit.history);
+        merged[habitId].historyModified = Object.assign({}, merged[habitId].historyModified, habit.historyModified);
+      });
+    } else {
+      Object.entries(days).forEach(([date, entries]) => {
+        merged[date] = (merged[date] || []).concat(entries);
+      });
+    }
+
+    return merged;
+  },
+
+  /**
+   * Remove moved days from the live cache
+   * @param {Object} moved - Days per module
+   */
+  removeDaysFromCache(moved) {
+    Object.entries(moved).forEach(([module, days]) => {
+      if (module === 'habits') {
+        (this.cache.habits || []).forEach(habit => {
+          if (!days[habit.id]) return;
+          Object.keys(days[habit.id].history).forEach(date => {
+            delete habit.history[date];
+            if (habit.historyModified) delete habit.historyModified[date];
+
+            // Archived, not cleared - the next save must not delete them
+            if (this.savedHabits[habit.id]) delete this.savedHabits[habit.id].days[date];
+          });
+        });
+        return;
+      }
+
+      const history = module === 'workouts' ? this.cache.workoutHistory : this.getIntakeHistory(module);
+      Object.keys(days).forEach(date => delete history[date]);
+    });
+  },
+
+  /**
+   * Put archived days back into the live cache. Days logged live since then win.
+   * @param {Object} moved - Days per module
+   */
+  addDaysToCache(moved) {
+    const byTimestamp = (a, b) => String(a.timestamp).localeCompare(String(b.timestamp));
+
+    Object.entries(moved).forEach(([module, days]) => {
+      if (module === 'habits') {
+        if (!this.cache.habits) this.cache.habits = [];
+
+        Object.entries(days).forEach(([habitId, archivedHabit]) => {
+          let habit = this.cache.habits.find(h => h.id === habitId);
+
+          // The habit was deleted after its days were archived - bring it back
+          if (!habit) {
+            habit = {
+              id: habitId,
+              name: archivedHabit.name,
+              color: archivedHabit.color,
+              modified: logicalClock.now(),
+              history: {},
+              historyModified: {}
+            };
+            this.cache.habits.push(habit);
+          }
+          if (!habit.historyModified) habit.historyModified = {};
+
+          const historyModified = archivedHabit.historyModified || {};
+          Object.entries(archivedHabit.history).forEach(([date, status]) => {
+            if (date in habit.history) return;
+
+            habit.history[date] = status;
+            if (historyModified[date]) habit.historyModified[date] = historyModified[date];
+          });
+        });
+        return;
+      }
+
+      const history = module === 'workouts' ? this.cache.workoutHistory : this.getIntakeHistory(module);
+      Object.entries(days).forEach(([date, entries]) => {
+        history[date] = (history[date] || []).concat(entries).sort(byTimestamp);
+      });
+    });
+  },
+
+  /**
+   * Forget a module's archived days, e.g. when its history is replaced
+   * @param {string} module - Archive module
+   * @param {IDBTransaction} transaction - Open transaction including the archive store (IndexedDB only)
+   */
+  dropArchive(module, transaction) {
+    delete this.archived[module];
+    delete this.archiveInfo[module];
+
+    if (transaction) {
+      transaction.objectStore(DB_STORES.ARCHIVE).delete(module);
+    } else {
+      profileStorage.removeItem(`${ARCHIVE_KEY_PREFIX}${module}`);
+    }
+  },
+
+  /**
+   * Move days older than daysToKeep from live history into the compressed archive.
+   * Days are only removed from live history once the archive has been saved.
+   * @param {number} daysToKeep - Number of recent days to keep live
+   * @returns {Promise<boolean>} - Whether anything was archived
+   */
+  archiveOldDays(daysToKeep) {
+    if (this.archiving) {
+      return this.archiving;
+    }
+    if (!this.backend) {
+      return Promise.resolve(false);
+    }
+
+    const cutoffDate = appClock.now();
+    cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
+    const moved = this.collectDaysBefore(utils.formatDate(cutoffDate));
+    const modules = Object.keys(moved);
+
+    if (modules.length === 0) {
+      return Promise.resolve(false);
+    }
+
+    const merged = {};
+    modules.forEach(module => {
+      merged[module] = this.mergeArchiveDays(module, this.archived[module], moved[module]);
+    });
+
+    this.archiving = Promise.all(modules.map(module => this.encodeArchive(module, merged[module])))
+      .then(records => {
+        const commit = this.backend === 'indexeddb'
+          ? this.commitArchiveToDatabase(records, moved)
+          : this.commitArchiveToLocalStorage(records, moved);
+
+        return commit.then(archived => {
+          if (!archived) return false;
+
+          let dayCount = 0;
+          modules.forEach(module => {
+            dayCount += this.getArchivedDates(module, moved[module]).length;
+          });
+          records.forEach(record => {
+            this.archived[record.id] = merged[record.id];
+            this.archiveInfo[record.id] = {
+              dayCount: record.dayCount,
+              from: record.from,
+              to: record.to,
+              updatedAt: record.updatedAt
+            };
+          });
+
+          eventBus.emit(APP_EVENTS.DATA_SAVED, { modules });
+          utils.showToast(`Moved ${dayCount} days of older history to the archive to free up space. You can view or restore them in Options.`, 'info', 6000);
+          return true;
+        });
+      })
+      .catch(error => {
+        console.error('Error archiving history:', error);
+        return false;
+      })
+      .then(archived => {
+        this.archiving = null;
+        return archived;
+      });
+
+    return this.archiving;
+  },
+
+  /**
+   * Save archive records and delete the moved records in one transaction
+   * @param {Array} records - Archive records
+   * @param {Object} moved - Days per module
+   * @returns {Promise<boolean>}
+   */
+  commitArchiveToDatabase(records, moved) {
+    const storeNames = [DB_STORES.ARCHIVE, DB_STORES.INTAKE, DB_STORES.WORKOUTS, DB_STORES.HABIT_DAYS];
+
+    return this.runTransaction(storeNames, 'readwrite', transaction => {
+      const archiveStore = transaction.objectStore(DB_STORES.ARCHIVE);
+      records.forEach(record => archiveStore.put(record));
+
+      Object.entries(moved).forEach(([module, days]) => {
+        if (module === 'habits') {
+          const habitDaysStore = transaction.objectStore(DB_STORES.HABIT_DAYS);
+          Object.entries(days).forEach(([habitId, habit]) => {
+            Object.keys(habit.history).forEach(date => habitDaysStore.delete([habitId, date]));
+          });
+          return;
+        }
+
+        const store = transaction.objectStore(module === 'workouts' ? DB_STORES.WORKOUTS : DB_STORES.INTAKE);
+        Object.values(days).forEach(entries => {
+          entries.forEach(entry => {
+            if (entry.id) store.delete(entry.id);
+          });
+        });
+      });
+    }).then(() => {
+      this.removeDaysFromCache(moved);
+      return true;
+    });
+  },
+
+  /**
+   * Shrink the live localStorage keys, then save the archive records.
+   * Everything is put back if the archive can't be saved.
+   * @param {Array} records - Archive records
+   * @param {Object} moved - Days per module
+   * @returns {Promise<boolean>}
+   */
+  commitArchiveToLocalStorage(records, moved) {
+    const archiveKeys = records.map(record => `${ARCHIVE_KEY_PREFIX}${record.id}`);
+    const previousArchives = archiveKeys.map(key => profileStorage.getItem(key));
+
+    // Rewriting every key also saves any change that failed while storage was full
+    this.removeDaysFromCache(moved);
+    this.getLegacyKeys().forEach(key => this.writeLegacyKey(key));
+
+    try {
+      records.forEach((record, index) => {
+        profileStorage.setItem(archiveKeys[index], JSON.stringify(record));
+      });
+      this.saveLocalRevisions(Object.keys(moved));
+      return Promise.resolve(true);
+    } catch (error) {
+      console.error('Error saving archive:', error);
+
+      archiveKeys.forEach((key, index) => {
+        if (previousArchives[index] === null) {
+          profileStorage.removeItem(key);
+        } else {
+          profileStorage.setItem(key, previousArchives[index]);
+        }
+      });
+
+      this.addDaysToCache(moved);
+      this.getLegacyKeys().forEach(key => this.writeLegacyKey(key));
+      return Promise.resolve(false);
+    }
+  },
+
+  /**
+   * Move a module's archived days back into live history
+   * @param {string} module - Archive module
+   * @returns {Promise<boolean>} - Whether the days were restored
+   */
+  restoreArchive(module) {
+    const days = this.archived[module];
+    if (!days) {
+      return Promise.resolve(false);
+    }
+
+    const moved = { [module]: days };
+    this.addDaysToCache(moved);
+
+    if (this.backend !== 'indexeddb') {
+      if (!this.writeLegacyKey(this.getLegacyKeyForModule(module))) {
+        this.loadCacheFromLocalStorage();
+        return Promise.resolve(false);
+      }
+      if (module === 'habits') this.rememberHabits();
+      this.dropArchive(module);
+      this.saveLocalRevisions([module]);
+      eventBus.emit(APP_EVENTS.DATA_SAVED, { modules: [module] });
+      return Promise.resolve(true);
+    }
+
+    const storeNames = [DB_STORES.ARCHIVE, DB_STORES.INTAKE, DB_STORES.WORKOUTS, DB_STORES.HABITS, DB_STORES.HABIT_DAYS, DB_STORES.META];
+
+    return this.runTransaction(storeNames, 'readwrite', transaction => {
+      if (module === 'habits') {
+        const habitsStore = transaction.objectStore(DB_STORES.HABITS);
+        const habitDaysStore = transaction.objectStore(DB_STORES.HABIT_DAYS);
+
+        this.cache.habits.forEach((habit, index) => {
+          if (!days[habit.id]) return;
+
+          if (!this.savedHabits[habit.id]) {
+            habitsStore.put(this.toHabitRecord(habit, index));
+          }
+          Object.keys(days[habit.id].history).forEach(date => {
+            habitDaysStore.put(this.toHabitDayRecord(habit, date));
+          });
+        });
+        transaction.objectStore(DB_STORES.META).put({ key: 'habits_saved', value: true });
+      } else if (module === 'workouts') {
+        const store = transaction.objectStore(DB_STORES.WORKOUTS);
+        Object.entries(days).forEach(([date, entries]) => {
+          entries.forEach(entry => store.put(this.toWorkoutRecord(date, entry)));
+        });
+      } else {
+        const store = transaction.objectStore(DB_STORES.INTAKE);
+        Object.entries(days).forEach(([date, entries]) => {
+          entries.forEach(entry => store.put(this.toIntakeRecord(module, date, entry)));
+        });
+      }
+
+      this.dropArchive(module, transaction);
+    })
+      .then(() => {
+        if (module === 'habits') this.rememberHabits();
+        eventBus.emit(APP_EVENTS.DATA_SAVED, { modules: [module] });
+        return true;
+      })
+      .catch(error => {
+        console.error('Error restoring archive:', error);
+        return this.loadCache().then(() => this.loadArchives()).then(() => false);
+      });
+  }
+};
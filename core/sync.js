@@ -0,0 +1,286 @@
+/**
+ * Health Tracker App - Tab Sync
+ * This file contains the live synchronization between tabs and windows showing the app
+ */
+
+// BroadcastChannel that tabs announce saved changes on
+const SYNC_CHANNEL_NAME = 'daily-tracker-sync';
+
+// localStorage key that carries the same messages where BroadcastChannel is missing
+const SYNC_MESSAGE_KEY = 'sync_message';
+
+/**
+ * Keeps every open tab of the app showing the same data.
+ *
+ * When the data store saves a change, the other tabs on the same profile are
+ * told which modules changed; they reload the data store and refresh their
+ * trackers. Settings kept in localStorage (goals, totals, theme, reminders,
+ * the undo journal) arrive through `storage` events instead.
+ *
+ * A save based on an outdated copy is refused by the data store (see
+ * dataStore.persist), rather than one tab silently overwriting the other.
+ * The latest data is then loaded and the refused change, still in this tab's
+ * copy, is merged into it record by record (see datasetMerge).
+ */
+const tabSync = {
+  tabId: null,
+  channel: null,
+
+  // Modules changed elsewhere that still have to be loaded
+  pendingModules: new Set(),
+
+  // Reload in progress, shared by messages arriving meanwhile
+  reloading: null,
+
+  // Refused saves being put back, one after the other so none overwrites another
+  resolving: Promise.resolve(),
+
+  /**
+   * Start listening for changes from other tabs and announcing this tab's saves
+   */
+  init() {
+    this.tabId = dataStore.createId();
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.channel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+      this.channel.addEventListener('message', event => this.receive(event.data));
+    }
+
+    window.addEventListener('storage', event => this.handleStorageEvent(event));
+
+    // Catch up on anything missed while the tab was hidden or frozen
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        this.checkForChanges();
+      }
+    });
+
+    eventBus.on(APP_EVENTS.DATA_SAVED, ({ modules }) => this.broadcast(modules));
+    eventBus.on(APP_EVENTS.DATA_CONFLICT, ({ module }) => this.resolveConflict(module));
+  },
+
+  /**
+   * Tell the other tabs which modules were saved
+   * @param {string[]} modules - Changed modules
+   */
+  broadcast(modules) {
+    const message = { tabId: this.tabId, profileId: profileManager.activeId, modules };
+
+    if (this.channel) {
+      this.channel.postMessage(message);
+      return;
+    }
+
+    // Writing the key is enough to fire a storage event in the other tabs
+    try {
+      localStorage.setItem(SYNC_MESSAGE_KEY, JSON.stringify(message));
+      localStorage.removeItem(SYNC_MESSAGE_KEY);
+    } catch (error) {
+      console.error('Error sending sync message:', error);
+    }
+  },
+
+  /**
+   * Handle a message from another tab
+   * @param {Object} message - { tabId, profileId, modules }
+   */
+  receive(message) {
+    if (!message || message.tabId === this.tabId || message.profileId !== profileManager.activeId) return;
+
+    this.reload(message.modules || ARCHIVE_MODULES);
+  },
+
+  /**
+   * Load the latest data and refresh the trackers. Calls made while a reload
+   * is running are handled by one more reload once it finishes.
+   * @param {string[]} modules - Changed modules
+   * @returns {Promise}
+   */
+  reload(modules) {
+    modules.forEach(module => this.pendingModules.add(module));
+
+    if (!this.reloading) {
+      this.reloading = this.runPendingReload().then(() => {
+        this.reloading = null;
+      });
+    }
+    return this.reloading;
+  },
+
+  /**
+   * Reload until no changed modules are left
+   * @returns {Promise}
+   */
+  runPendingReload() {
+    const modules = [...this.pendingModules];
+    this.pendingModules.clear();
+
+    // Closed while switching profiles - the new trackers load everything anyway
+    if (!dataStore.backend) {
+      return Promise.resolve();
+    }
+
+    return dataStore.reload()
+      .then(() => {
+        this.refreshTrackers();
+        eventBus.emit(APP_EVENTS.DATA_SYNCED, { modules });
+      })
+      .catch(error => {
+        console.error('Error loading changes from another tab:', error);
+      })
+      .then(() => {
+        if (this.pendingModules.size > 0) {
+          return this.runPendingReload();
+        }
+      });
+  },
+
+  /**
+   * Refresh every tracker from the reloaded data store. All of them are refreshed,
+   * because a reload replaces every cached object, not only the changed modules'.
+   */
+  refreshTrackers() {
+    getTrackers().forEach(tracker => {
+      try {
+        tracker.reloadData();
+      } catch (error) {
+        console.error(`Error refreshing ${tracker.constructor.name}:`, error);
+      }
+    });
+  },
+
+  /**
+   * Load modules that were changed by a tab whose message never arrived
+   * @returns {Promise}
+   */
+  checkForChanges() {
+    return dataStore.getStaleModules()
+      .then(modules => {
+        if (modules.length > 0) {
+          return this.reload(modules);
+        }
+      })
+      .catch(error => {
+        console.error('Error checking for changes from other tabs:', error);
+      });
+  },
+
+  /**
+   * Load the latest data after a save was refused and merge the refused change into it.
+   * If that cannot be saved, the user can keep this window's data as a backup file.
+   * @param {string} module - Module whose save was refused
+   * @returns {Promise<boolean>} - Whether the change was saved
+   */
+  resolveConflict(module) {
+    // This tab's copy still holds the refused change
+    const refused = dataStore.getFullDataset([module]);
+    const snapshot = backupManager.takeSnapshot();
+
+    this.resolving = this.resolving
+      .then(() => this.reload([module]))
+      .then(() => dataStore.mergeDataset(refused))
+      .then(saved => {
+        if (!saved) {
+          throw new Error('Storage may be full.');
+        }
+
+        this.refreshTrackers();
+        getTrackers().filter(tracker => tracker instanceof Tracker).forEach(tracker => tracker.recountTotal());
+        eventBus.emit(APP_EVENTS.DATA_SYNCED, { modules: [module] });
+        utils.showToast(`Your change to ${module} was combined with the changes made in another window.`, 'info', 5000);
+        return true;
+      })
+      .catch(error => {
+        console.error(`Error saving the refused change to ${module}:`, error);
+        this.reload([module]);
+        this.offerRefusedData(module, snapshot);
+        return false;
+      });
+    return this.resolving;
+  },
+
+  /**
+   * Offer this window's data, with a change that could not be saved, as a backup file
+   * @param {string} module - Module whose change was not saved
+   * @param {Object} snapshot - Data from backupManager.takeSnapshot() taken before the latest data was loaded
+   */
+  offerRefusedData(module, snapshot) {
+    if (!confirm(`Your change to ${module} could not be combined with the changes made in another window. Download this window's data as a backup so it is not lost?`)) {
+      utils.showToast(`Your change to ${module} was not saved. The latest data is shown now.`, 'warning', 6000);
+      return;
+    }
+
+    backupFormat.create(snapshot, SCHEMA_VERSION, appClock.now())
+      .then(backup => {
+        const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+        const fileName = `health-tracker-unsaved${profileManager.getFileLabel()}-${appClock.now().toISOString().slice(0,10)}.json`;
+        shareOrDownloadFile(blob, fileName, 'application/json', 'Health Tracker Unsaved Changes');
+      })
+      .catch(error => {
+        console.error('Error creating backup of unsaved changes:', error);
+        utils.showToast(`Error creating backup: ${error.message}`, 'error');
+      });
+  },
+
+  /**
+   * Handle a localStorage change made by another tab
+   * @param {StorageEvent} event - Storage event
+   */
+  handleStorageEvent(event) {
+    if (event.storageArea !== localStorage) return;
+
+    // Everything was cleared
+    if (event.key === null) {
+      this.reload(ARCHIVE_MODULES);
+      return;
+    }
+
+    if (event.key === SYNC_MESSAGE_KEY) {
+      if (!event.newValue) return;
+      try {
+        this.receive(JSON.parse(event.newValue));
+      } catch (error) {
+        console.error('Error reading sync message:', error);
+      }
+      return;
+    }
+
+    if (event.key === PROFILE_STORAGE_KEYS.LIST) {
+      profileManager.reloadList();
+      return;
+    }
+
+    // Only the keys of the profile open in this tab matter
+    const prefix = profileManager.getKeyPrefix();
+    const isActiveProfileKey = prefix ? event.key.startsWith(prefix) : !event.key.startsWith(PROFILE_KEY_PREFIX);
+    if (isActiveProfileKey) {
+      this.applySettingChange(event.key.slice(prefix.length));
+    }
+  },
+
+  /**
+   * Apply another tab's change to one of the active profile's settings.
+   * Data store keys of the fallback backend are covered by the sync messages.
+   * @param {string} key - App key
+   */
+  applySettingChange(key) {
+    const intakePrefix = [STORAGE_KEYS.GOAL_PREFIX, STORAGE_KEYS.INTAKE_PREFIX].find(prefix => key.startsWith(prefix));
+
+    if (intakePrefix) {
+      const type = key.slice(intakePrefix.length);
+      const tracker = window[`${type}Tracker`];
+      if (tracker) {
+        tracker.reloadData();
+        eventBus.emit(APP_EVENTS.DATA_SYNCED, { modules: [type] });
+      }
+    } else if (key === STORAGE_KEYS.DAY_START_HOUR) {
+      dayStart.refreshTrackers();
+    } else if (key === STORAGE_KEYS.THEME) {
+      applySavedTheme();
+    } else if (key === STORAGE_KEYS.ACTION_JOURNAL) {
+      actionJournal.load();
+    } else if (Object.values(NOTIFICATION_STORAGE_KEYS).includes(key)) {
+      reloadNotificationSettings();
+    }
+  }
+};
\ No newline at end of file
@@ -7,20 +7,7 @@
  * Initialize theme (light/dark)
  */
 function initializeTheme() {
-  let savedTheme = localStorage.getItem(STORAGE_KEYS.THEME);
-
-  // If no theme saved, default to dark
-  if (!savedTheme) {
-    savedTheme = 'dark-theme';
-    localStorage.setItem(STORAGE_KEYS.THEME, savedTheme);
-  }
-
-  document.body.classList.add(savedTheme);
-
-  // Update theme-color meta tag based on theme
-  const isDarkTheme = savedTheme === 'dark-theme';
-  const themeColor = isDarkTheme ? '#121212' : '#F8F9FA';
-  utils.changeThemeColor(themeColor);
+  applySavedTheme();
 
   // Set up theme toggle button
   const themeToggleBtn = document.getElementById('toggle-theme');
@@ -32,7 +19,7 @@ function initializeTheme() {
 
       document.body.classList.remove('dark-theme', 'light-theme');
       document.body.classList.add(newTheme);
-      localStorage.setItem(STORAGE_KEYS.THEME, newTheme);
+      profileStorage.setItem(STORAGE_KEYS.THEME, newTheme);
 
       const newColor = newTheme === 'dark-theme' ? '#121212' : '#F8F9FA';
       utils.changeThemeColor(newColor);
@@ -40,6 +27,27 @@ function initializeTheme() {
   }
 }
 
+/**
+ * Apply the active profile's theme
+ */
+function applySavedTheme() {
+  let savedTheme = profileStorage.getItem(STORAGE_KEYS.THEME);
+
+  // If no theme saved, default to dark
+  if (!savedTheme) {
+    savedTheme = 'dark-theme';
+    profileStorage.setItem(STORAGE_KEYS.THEME, savedTheme);
+  }
+
+  document.body.classList.remove('dark-theme', 'light-theme');
+  document.body.classList.add(savedTheme);
+
+  // Update theme-color meta tag based on theme
+  const isDarkTheme = savedTheme === 'dark-theme';
+  const themeColor = isDarkTheme ? '#121212' : '#F8F9FA';
+  utils.changeThemeColor(themeColor);
+}
+
 /**
  * Initialize tab navigation
  */
@@ -114,7 +122,12 @@ function initializePanels() {
     'workout-settings-toggle': 'workout-settings-section',
     'workout-history-toggle': 'workout-history-popup',
     'more-options-toggle': 'more-options-panel',
-    'notifications-settings-toggle': 'notifications-panel'  // Add the new notifications toggle
+    'notifications-settings-toggle': 'notifications-panel',  // Add the new notifications toggle
+    'archive-toggle': 'archive-panel',
+    'day-start-toggle': 'day-start-panel',
+    'server-sync-toggle': 'server-sync-panel',
+    'clock-toggle': 'clock-panel',
+    'profile-toggle': 'profiles-panel'
   };
   
   // Set up panel toggles
@@ -182,7 +195,7 @@ function initializeGlobalNotificationButtons() {
         return;
       }
       
-      localStorage.setItem(STORAGE_KEYS.REMINDER, minutes);
+      profileStorage.setItem(STORAGE_KEYS.REMINDER, minutes);
       startGlobalReminder(minutes);
       
       utils.showToast(`Reminder set for every ${minutes} minutes.`, 'success');
@@ -193,7 +206,7 @@ function initializeGlobalNotificationButtons() {
   }
 
   // Initialize reminder if it exists in localStorage
-  const savedReminderInterval = localStorage.getItem(STORAGE_KEYS.REMINDER);
+  const savedReminderInterval = profileStorage.getItem(STORAGE_KEYS.REMINDER);
   if (savedReminderInterval) {
     startGlobalReminder(parseInt(savedReminderInterval));
   }
@@ -206,12 +219,15 @@ function initializeGlobalNotificationButtons() {
 function initializeTrackerActions(tracker) {
   const type = tracker.type;
   
+  // Switching profiles replaces the tracker, so look it up on every action
+  const getTracker = () => window[`${type}Tracker`];
+  
   // Set up quick add buttons
   document.querySelectorAll(`[data-action="${type}-add"]`).forEach(btn => {
     btn.addEventListener('click', () => {
       const amount = parseInt(btn.dataset.amount);
       if (!isNaN(amount) && amount > 0) {
-        tracker.addIntake(amount);
+        getTracker().addIntake(amount);
       }
     });
   });
@@ -220,7 +236,7 @@ function initializeTrackerActions(tracker) {
  const addManualBtn = document.getElementById(`${type}-add-manual`);
  if (addManualBtn) {
    addManualBtn.addEventListener('click', () => {
-     tracker.addManualIntake();
+     getTracker().addManualIntake();
    });
  }
  
@@ -229,7 +245,7 @@ function initializeTrackerActions(tracker) {
  if (manualInput) {
    manualInput.addEventListener('keypress', (event) => {
      if (event.key === 'Enter') {
-       tracker.addManualIntake();
+       getTracker().addManualIntake();
      }
    });
  }
@@ -238,7 +254,7 @@ function initializeTrackerActions(tracker) {
  const setGoalBtn = document.getElementById(`${type}-set-goal`);
  if (setGoalBtn) {
    setGoalBtn.addEventListener('click', () => {
-     tracker.setGoal();
+     getTracker().setGoal();
    });
  }
  
@@ -247,7 +263,7 @@ function initializeTrackerActions(tracker) {
  if (resetDailyBtn) {
    resetDailyBtn.addEventListener('click', () => {
      if (confirm(`Are you sure you want to reset today's ${type} intake data?`)) {
-       tracker.resetDailyIntake();
+       getTracker().resetDailyIntake();
        utils.showToast(`Today's ${type} intake has been reset.`, 'warning');
      }
    });
@@ -258,7 +274,7 @@ function initializeTrackerActions(tracker) {
  if (resetDataBtn) {
    resetDataBtn.addEventListener('click', () => {
      if (confirm(`⚠️ WARNING: This will delete ALL ${type} tracking data. This action cannot be undone. Are you sure?`)) {
-       tracker.resetAllData();
+       getTracker().resetAllData();
      }
    });
  }
@@ -272,11 +288,14 @@ function initializeTrackerActions(tracker) {
 * @param {WorkoutTracker} tracker - WorkoutTracker instance
 */
 function initializeWorkoutTrackerActions(tracker) {
+ // Switching profiles replaces the tracker, so look it up on every action
+ const getTracker = () => window.workoutTracker;
+ 
  // Reset tabs only button
  const resetTabsBtn = document.getElementById('workout-reset-tabs');
  if (resetTabsBtn) {
    resetTabsBtn.addEventListener('click', () => {
-     tracker.resetWorkoutTabs();
+     getTracker().resetWorkoutTabs();
      utils.showToast('Workout tabs have been reset.', 'warning');
      
      // Close the settings panel
@@ -289,7 +308,7 @@ function initializeWorkoutTrackerActions(tracker) {
  if (resetDailyBtn) {
    resetDailyBtn.addEventListener('click', () => {
      if (confirm('Are you sure you want to reset today\'s workout data? This will clear both the tabs and today\'s history.')) {
-       tracker.resetDailyWorkouts();
+       getTracker().resetDailyWorkouts();
        utils.showToast('Today\'s workout data has been reset.', 'warning');
      }
    });
@@ -300,7 +319,7 @@ function initializeWorkoutTrackerActions(tracker) {
  if (resetDataBtn) {
    resetDataBtn.addEventListener('click', () => {
      if (confirm('⚠️ WARNING: This will delete ALL workout tracking data. This action cannot be undone. Are you sure?')) {
-       tracker.resetAllData();
+       getTracker().resetAllData();
      }
    });
  }
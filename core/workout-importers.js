@@ -0,0 +1,277 @@
+/**
+ * Health Tracker App - Workout Importers
+ * This file contains the importer for gym logs exported by Strong, Hevy and similar apps, and the table that maps their exercises onto workout types
+ */
+
+// Header names (see appImporters.normalizeHeader) a workout log can use for each column
+const WORKOUT_LOG_COLUMNS = {
+  // Strong: Date, Hevy: start_time
+  date: ['date', 'starttime', 'workoutdate'],
+  // Strong: Exercise Name, Hevy: exercise_title
+  exercise: ['exercisename', 'exercisetitle', 'exercise'],
+  // Strong: Workout Name, Hevy: title - sets of one workout share the date and this name
+  workout: ['workoutname', 'title'],
+  reps: ['reps'],
+  weight: ['weight', 'weightkg', 'weightlbs']
+};
+
+// First guess of the workout type an exercise or cardio sport trains - the first pattern that matches wins,
+// so the more specific ones ("leg curl", "close grip bench") come before the general ones ("curl", "bench")
+const EXERCISE_TYPE_PATTERNS = [
+  [/leg raise|crunch|plank|sit.?up|russian twist|ab wheel|hollow|\babs?\b|\bcore\b/, 'Abs'],
+  [/leg curl|leg extension|leg press|squat|lunge|calf|hip thrust|glute|hamstring|romanian|\brdl\b|step.?up|\blegs?\b|running|cycling|biking|hiking|walking|stair/, 'Legs'],
+  [/upright row|face pull|lateral raise|front raise|rear delt|overhead press|military|arnold|shoulder|shrug|\bohp\b/, 'Shoulders'],
+  [/tricep|skull|push.?down|\bdips?\b|close.?grip|kickback|overhead extension/, 'Triceps'],
+  [/curl|bicep/, 'Biceps'],
+  [/row|pull.?up|chin.?up|pull.?down|\blats?\b|deadlift|back extension|hyperextension|\bback\b/, 'Back'],
+  [/bench|chest|fly|flye|push.?up|\bpecs?\b/, 'Chest']
+];
+
+// Month names as Hevy writes them ("5 Jan 2024, 18:32")
+const WORKOUT_LOG_MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * The mapping from exercise names to workout types, kept per profile and
+ * edited in the exercise mapping modal on every import. An exercise mapped to
+ * null (Skip) is not imported - cardio, stretching and the like.
+ */
+const exerciseMapping = {
+  // Resolves the modal that is open
+  pending: null,
+
+  /**
+   * Get the saved mapping
+   * @returns {Object} - Workout type (or null) keyed by lowercase exercise name
+   */
+  load() {
+    try {
+      return JSON.parse(profileStorage.getItem(STORAGE_KEYS.EXERCISE_MAPPING)) || {};
+    } catch (error) {
+      console.warn('Ignoring a broken exercise mapping:', error);
+      return {};
+    }
+  },
+
+  /**
+   * Keep the mapping for the next import
+   * @param {Object} mapping - Workout type (or null) keyed by lowercase exercise name
+   */
+  save(mapping) {
+    storageManager.safeSetItem(STORAGE_KEYS.EXERCISE_MAPPING, JSON.stringify(Object.assign(this.load(), mapping)));
+  },
+
+  /**
+   * Guess the workout type of an exercise from its name
+   * @param {string} exercise
+   * @returns {string|null} - null if nothing matches
+   */
+  guess(exercise) {
+    const name = exercise.toLowerCase();
+    const match = EXERCISE_TYPE_PATTERNS.find(([pattern]) => pattern.test(name));
+    return match ? match[1] : null;
+  },
+
+  /**
+   * Let the user check the workout type of each exercise in a log
+   * @param {Array} exercises - { name, sets } for each exercise, most sets first
+   * @param {string} [unit] - What the counts are, for an export that counts whole workouts
+   * @returns {Promise<Object|null>} - Workout type (or null) keyed by lowercase exercise name, null if cancelled
+   */
+  edit(exercises, unit = 'set') {
+    const modal = document.getElementById('exercise-mapping-modal');
+    const list = document.getElementById('exercise-mapping-list');
+    if (!modal || !list) return Promise.resolve(null);
+
+    const saved = this.load();
+    list.innerHTML = '';
+
+    exercises.forEach(({ name, sets }) => {
+      const key = name.toLowerCase();
+      const type = key in saved ? saved[key] : this.guess(name);
+
+      const entry = document.createElement('div');
+      entry.className = 'day-entry';
+
+      const label = document.createElement('p');
+      const labelText = document.createElement('b');
+      labelText.textContent = name;
+      label.appendChild(labelText);
+      label.appendChild(document.createTextNode(` (${sets} ${unit}${sets === 1 ? '' : 's'})`));
+      entry.appendChild(label);
+
+      const select = document.createElement('select');
+      select.className = 'modal-input exercise-type';
+      select.dataset.exercise = key;
+      workoutRules.types.concat('').forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = value || 'Skip';
+        select.appendChild(option);
+      });
+      select.value = type || '';
+      entry.appendChild(select);
+
+      list.appendChild(entry);
+    });
+
+    modal.style.display = 'flex';
+
+    return new Promise(resolve => {
+      this.pending = resolve;
+    });
+  },
+
+  /**
+   * Close the modal, keeping the chosen types if confirmed
+   * @param {boolean} confirmed
+   */
+  close(confirmed) {
+    const modal = document.getElementById('exercise-mapping-modal');
+    if (modal) modal.style.display = 'none';
+
+    let mapping = null;
+    if (confirmed) {
+      mapping = {};
+      document.querySelectorAll('#exercise-mapping-list .exercise-type').forEach(select => {
+        mapping[select.dataset.exercise] = select.value || null;
+      });
+      this.save(mapping);
+    }
+
+    const resolve = this.pending;
+    this.pending = null;
+    if (resolve) resolve(mapping);
+  },
+
+  /**
+   * Connect the modal's buttons
+   */
+  init() {
+    const cancelButton = document.getElementById('exercise-mapping-cancel');
+    if (cancelButton) cancelButton.addEventListener('click', () => this.close(false));
+
+    const confirmButton = document.getElementById('exercise-mapping-confirm');
+    if (confirmButton) confirmButton.addEventListener('click', () => this.close(true));
+  }
+};
+
+/**
+ * Workout logs - one row per set with the workout's date and the exercise, as
+ * Strong and Hevy export them. Each workout becomes one entry for every workout
+ * type its exercises map to, logged at the workout's start; weights and reps
+ * are checked but the app has nowhere to keep them.
+ */
+appImporters.register({
+  id: 'workout-log',
+  label: 'workout log',
+
+  getColumns(headers) {
+    const columns = {};
+    Object.entries(WORKOUT_LOG_COLUMNS).forEach(([column, names]) => {
+      columns[column] = headers.findIndex(header => names.includes(header));
+    });
+    return columns;
+  },
+
+  matches(sources) {
+    if (sources.length !== 1) return false;
+    return appImporters.getHeaders(sources[0]).then(headers => {
+      const columns = this.getColumns(headers);
+      return columns.date !== -1 && columns.exercise !== -1;
+    });
+  },
+
+  /**
+   * Read a workout's start time - "2024-01-05 18:32:10" (Strong), "5 Jan 2024, 18:32" (Hevy) or ISO 8601
+   * @param {string} value
+   * @returns {Date|null}
+   */
+  parseTime(value) {
+    const text = String(value || '').trim();
+
+    // Local date and time
+    let match = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/.exec(text);
+    if (match) {
+      const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+      if (!calendar.isDateKey(`${year}-${month}-${day}`)) return null;
+      return new Date(year, month - 1, day, hours, minutes, seconds);
+    }
+
+    match = /^(\d{1,2}) ([a-z]{3})[a-z]* (\d{4}),? (\d{1,2}):(\d{2})$/i.exec(text);
+    if (match) {
+      const [, day, monthName, year, hours, minutes] = match;
+      const month = WORKOUT_LOG_MONTHS.indexOf(monthName.toLowerCase());
+      const date = new Date(year, month, day, hours, minutes);
+      return month !== -1 && date.getDate() === Number(day) ? date : null;
+    }
+
+    // A time with a zone
+    if (/^\d{4}-\d{2}-\d{2}T.+(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+      const date = new Date(text);
+      return isNaN(date.getTime()) ? null : date;
+    }
+
+    return null;
+  },
+
+  read(sources) {
+    const source = sources[0];
+
+    return source.csv().then(csv => {
+      const columns = this.getColumns(csv.headers.map(header => appImporters.normalizeHeader(header)));
+      const field = (fields, column) => (columns[column] === -1 ? '' : fields[columns[column]].trim());
+      const isNumber = value => value === '' || !isNaN(Number(value.replace(',', '.')));
+
+      const rejected = csv.rejected.map(row => Object.assign({ file: source.name }, row));
+      const reject = (line, reason) => rejected.push({ file: source.name, line, reason });
+
+      // Sets grouped by workout, and how many sets each exercise has
+      const workouts = new Map();
+      const exercises = new Map();
+
+      csv.rows.forEach(({ line, fields }) => {
+        const time = this.parseTime(field(fields, 'date'));
+        const exercise = field(fields, 'exercise');
+
+        if (!time) return reject(line, `Invalid date "${field(fields, 'date')}"`);
+        if (!exercise) return reject(line, 'Missing exercise');
+        if (!isNumber(field(fields, 'reps'))) return reject(line, `Invalid reps "${field(fields, 'reps')}"`);
+        if (!isNumber(field(fields, 'weight'))) return reject(line, `Invalid weight "${field(fields, 'weight')}"`);
+
+        const workoutKey = `${time.getTime()}|${field(fields, 'workout')}`;
+        if (!workouts.has(workoutKey)) {
+          workouts.set(workoutKey, { time, exercises: new Set() });
+        }
+        workouts.get(workoutKey).exercises.add(exercise.toLowerCase());
+
+        const known = exercises.get(exercise.toLowerCase());
+        exercises.set(exercise.toLowerCase(), { name: known ? known.name : exercise, sets: known ? known.sets + 1 : 1 });
+      });
+
+      if (exercises.size === 0) {
+        throw new Error('The file does not contain any workouts.');
+      }
+
+      const exerciseList = [...exercises.values()].sort((a, b) => b.sets - a.sets);
+      return exerciseMapping.edit(exerciseList).then(mapping => {
+        if (!mapping) return null;
+
+        const history = {};
+        workouts.forEach(({ time, exercises: workoutExercises }) => {
+          const types = new Set([...workoutExercises].map(exercise => mapping[exercise]).filter(Boolean));
+          const date = trackingService.getDayKey(time);
+
+          types.forEach(type => {
+            if (!history[date]) history[date] = [];
+            history[date].push({ type, count: 1, timestamp: time.toISOString() });
+          });
+        });
+
+        return appImporters.toImportData({
+          workoutHistory: history,
+          report: { rows: csv.rows.length + csv.rejected.length, rejected }
+        });
+      });
+    });
+  }
+});
\ No newline at end of file
@@ -13,7 +13,6 @@ class HabitsTracker {
   constructor() {
     try {
       // Define storage keys
-      this.habitsKey = 'habits_data';
       this.lastResetKey = `${STORAGE_KEYS.LAST_RESET_PREFIX}habits`;
       
       // Initialize variables
@@ -26,7 +25,7 @@ class HabitsTracker {
       this.dragSrcElement = null;
       this.dragSrcIndex = null;
       this.isEditing = false;
-      this.currentCalendarMonth = new Date();
+      this.currentCalendarMonth = utils.getLogicalDay();
       this.isCalendarEditing = false;
       this.months = [];
       this.currentDateOffset = 0;
@@ -37,11 +36,17 @@ class HabitsTracker {
       this.touchOrigin = null;
       this.touchMoveHandler = null;
       
+      // Removes this tracker's listeners when it is replaced
+      this.listeners = new AbortController();
+      
       console.log('HabitsTracker: Starting initialization...');
       
       // Load habits data
       this.loadHabits();
       
+      // Let the action journal undo and redo habit changes
+      this.registerJournalHandlers();
+      
       // Initialize UI elements with error handling
       try {
         this.initElements();
@@ -59,8 +64,8 @@ class HabitsTracker {
       this.updateDateSelector();
       this.renderHabits();
       
-      // Initialize midnight reset
-      this.setupMidnightReset();
+      // Start today if the last day this tracker saw is over
+      dayRollover.rollOver(this);
       
       // Enhanced touch events (with error handling)
       try {
@@ -121,7 +126,7 @@ class HabitsTracker {
       
       newAddBtn.addEventListener('click', () => {
         this.showModal(false); // false = add mode
-      });
+      }, { signal: this.listeners.signal });
     }
     
     if (editBtn && modal) {
@@ -130,7 +135,7 @@ class HabitsTracker {
       
       newEditBtn.addEventListener('click', () => {
         this.showModal(true); // true = edit mode
-      });
+      }, { signal: this.listeners.signal });
     }
   }
 
@@ -200,16 +205,18 @@ class HabitsTracker {
    * Initialize event listeners - FIXED VERSION
    */
   initEventListeners() {
+    const { signal } = this.listeners;
+    
     // Button event listeners - using new modal system
-    document.getElementById('habits-add-button').addEventListener('click', () => this.showModal(false));
-    document.getElementById('habits-rearrange-button').addEventListener('click', () => this.toggleRearrange());
-    document.getElementById('habits-cancel-button').addEventListener('click', () => this.closeModal());
-    document.getElementById('habits-confirm-button').addEventListener('click', () => this.handleModalConfirm());
-    document.getElementById('habits-back-button').addEventListener('click', () => this.showMainView());
+    document.getElementById('habits-add-button').addEventListener('click', () => this.showModal(false), { signal });
+    document.getElementById('habits-rearrange-button').addEventListener('click', () => this.toggleRearrange(), { signal });
+    document.getElementById('habits-cancel-button').addEventListener('click', () => this.closeModal(), { signal });
+    document.getElementById('habits-confirm-button').addEventListener('click', () => this.handleModalConfirm(), { signal });
+    document.getElementById('habits-back-button').addEventListener('click', () => this.showMainView(), { signal });
     
     // Color selection
     document.querySelectorAll('.habits-color-option').forEach(option => {
-      option.addEventListener('click', () => this.selectColor(option.dataset.color));
+      option.addEventListener('click', () => this.selectColor(option.dataset.color), { signal });
     });
     
     // Enter key on input
@@ -218,7 +225,7 @@ class HabitsTracker {
         e.preventDefault();
         this.handleModalConfirm();
       }
-    });
+    }, { signal });
     
     // Close modal when clicking backdrop
     const modal = document.getElementById('add-habit-modal');
@@ -227,19 +234,36 @@ class HabitsTracker {
         if (e.target === modal) {
           this.closeModal();
         }
-      });
+      }, { signal });
     }
     
     // Add time period selector event listener
     const timePeriodSelector = document.getElementById('graph-time-period');
     if (timePeriodSelector) {
+      // A replaced tracker may have left another period selected
+      timePeriodSelector.value = this.selectedTimePeriod;
+      
       timePeriodSelector.addEventListener('change', (e) => {
         this.selectedTimePeriod = e.target.value;
         // Re-render the chart with the new time period if a habit is selected
         if (this.currentHabitIndex >= 0) {
           this.renderChart(this.habits[this.currentHabitIndex]);
         }
-      });
+      }, { signal });
+    }
+  }
+  
+  /**
+   * Stop a long press and remove listeners so the tracker can be replaced, e.g. when switching profiles
+   */
+  destroy() {
+    this.endLongPress();
+    this.listeners.abort();
+    
+    // The replacement starts on the habit list
+    if (this.mainView && this.detailView) {
+      this.mainView.style.display = 'block';
+      this.detailView.style.display = 'none';
     }
   }
   
@@ -247,6 +271,8 @@ class HabitsTracker {
    * Enhanced touch event handling for better mobile experience
    */
   enhanceTouchEvents() {
+    const { signal } = this.listeners;
+    
     // Create a passive touchstart listener for scrolling
     document.addEventListener('touchstart', (e) => {
       // Only prevent default on our habit day elements
@@ -254,19 +280,19 @@ class HabitsTracker {
         // Prevent text selection during longpress
         e.preventDefault();
       }
-    }, { passive: false });
+    }, { passive: false, signal });
     
     // Block context menu on habit days
     document.addEventListener('contextmenu', (e) => {
       if (e.target.closest('.habit-day')) {
         e.preventDefault();
       }
-    });
+    }, { signal });
     
     // Clear any ongoing longpress when page is scrolled
     document.addEventListener('scroll', () => {
       this.endLongPress();
-    }, { passive: true });
+    }, { passive: true, signal });
     
     // Handle orientation changes
     window.addEventListener('orientationchange', () => {
@@ -275,7 +301,7 @@ class HabitsTracker {
         this.updateDateSelector();
         this.renderHabits();
       }, 300);
-    });
+    }, { signal });
   }
   
   /**
@@ -368,7 +394,7 @@ updateDateSelector() {
   datesContainer.className = 'dates-container';
   
   // Calculate dates based on offset
-  const today = new Date();
+  const today = utils.getLogicalDay();
   
   for (let i = this.DAYS_TO_SHOW - 1; i >= 0; i--) {
     const date = new Date(today);
@@ -378,7 +404,7 @@ updateDateSelector() {
     dateElement.className = 'date-item';
     
     const days = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
-    dateElement.innerHTML = `
+    dateElement.innerHTML = utils.html`
       <div class="day-name">${days[date.getDay()]}</div>
       <div class="day-number">${date.getDate()}</div>
     `;
@@ -422,15 +448,12 @@ alignDateItemsWithHabitDays() {
 }
 
   /**
-   * Load habits from localStorage
+   * Load habits from the data store
    */
   loadHabits() {
-    const storedHabits = localStorage.getItem(this.habitsKey);
+    const storedHabits = dataStore.getHabits();
     if (storedHabits) {
-      this.habits = JSON.parse(storedHabits);
-      this.habits.forEach(habit => {
-        if (!habit.history) habit.history = {};
-      });
+      this.habits = storedHabits;
     } else {
       // Create default habits list with empty history
       this.habits = [
@@ -440,84 +463,209 @@ alignDateItemsWithHabitDays() {
   }
   
   /**
-   * Save habits to localStorage with storage quota handling
+   * Save habits to the data store
+   * @returns {Promise<boolean>} - Whether the habits were saved
    */
   saveHabits() {
-    // Check if we're low on storage space
-    if (storageManager && storageManager.isNearQuota && storageManager.isNearQuota()) {
-      // Try to clean up old data
-      const cleaned = storageManager.cleanupOldData();
-      
-      if (!cleaned) {
-        utils.showToast('Storage space is running low. Old habit history may be archived.', 'warning');
+    // IndexedDB archives old history by itself if storage fills up
+    if (dataStore.backend === 'indexeddb') {
+      return dataStore.saveHabits(this.habits);
+    }
+    
+    // localStorage fallback - move old history to the archive if we're low on storage space
+    const lowOnSpace = storageManager && storageManager.isNearQuota && storageManager.isNearQuota();
+    const cleanup = lowOnSpace ? storageManager.cleanupOldData() : Promise.resolve(false);
+    
+    return cleanup
+      .then(() => dataStore.saveHabits(this.habits))
+      .then(saved => {
+        // Refused because another tab changed the habits - not a space problem
+        if (saved || dataStore.isStale('habits')) return saved;
         
-        // Keep only last 30 days of history for each habit
-        this.habits.forEach(habit => {
-          if (habit.history) {
-            const dates = Object.keys(habit.history).sort();
-            if (dates.length > 30) {
-              const datesToRemove = dates.slice(0, dates.length - 30);
-              datesToRemove.forEach(date => {
-                delete habit.history[date];
-              });
-            }
-          }
+        // Still full - archive everything before the current month and try again
+        const daysThisMonth = appClock.now().getDate() - 1;
+        return storageManager.cleanupOldData(daysThisMonth)
+          .then(() => dataStore.saveHabits(this.habits));
+      })
+      .then(saved => {
+        if (!saved && !dataStore.isStale('habits')) {
+          utils.showToast('Unable to save habits data. Please export your data.', 'error');
+        }
+        return saved;
+      });
+  }
+  
+  /**
+   * Save a single day's status for a habit and record it for undo
+   * @param {Object} habit - Habit that was toggled
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {string} [previousStatus] - Status before the toggle (undefined if the day was unset)
+   * @returns {Promise<boolean>} - Whether the change was saved
+   */
+  saveHabitDay(habit, dateKey, previousStatus) {
+    return this.writeHabitDay(habit, dateKey).then(saved => {
+      // Habits get their id when first saved, so record afterwards
+      if (saved) {
+        const statusText = habit.history[dateKey] === 'done' ? 'done' : 'not done';
+        actionJournal.record('habits.setDay', `Mark "${habit.name}" ${statusText} on ${dateKey}`, {
+          habitId: habit.id,
+          date: dateKey,
+          previous: previousStatus,
+          next: habit.history[dateKey]
         });
+        this.emitHabitToggled(habit, dateKey, previousStatus);
       }
+      return saved;
+    });
+  }
+  
+  /**
+   * Set a habit's status for a day from outside the grid (a deep link), recorded for undo like a tap
+   * @param {Object} habit - Habit to change
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {string} status - HABIT_STATUS value
+   * @returns {Promise<boolean>} - Whether the change was saved
+   */
+  setHabitDay(habit, dateKey, status) {
+    if (!habit.history) habit.history = {};
+    const previousStatus = habit.history[dateKey];
+    habit.history[dateKey] = status;
+    
+    return this.saveHabitDay(habit, dateKey, previousStatus).then(saved => {
+      this.refreshAfterJournalChange(habit);
+      return saved;
+    });
+  }
+  
+  /**
+   * Write a single day's status for a habit
+   * @param {Object} habit - Habit object
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @returns {Promise<boolean>} - Whether the change was saved
+   */
+  writeHabitDay(habit, dateKey) {
+    // The default habit and the localStorage fallback need a full save
+    if (dataStore.backend !== 'indexeddb' || dataStore.getHabits() !== this.habits) {
+      return this.saveHabits();
     }
     
-    try {
-      localStorage.setItem(this.habitsKey, JSON.stringify(this.habits));
-    } catch (error) {
-      // Handle storage errors
-      if (error.name === 'QuotaExceededError' || 
-          error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || 
-          error.code === 22) {
-        utils.showToast('Not enough storage space. Some habit history may be lost.', 'error');
-        
-        // Aggressive cleanup - remove all history except current month
-        const currentMonth = new Date().getMonth();
-        const currentYear = new Date().getFullYear();
-        
-        this.habits.forEach(habit => {
-          if (habit.history) {
-            Object.keys(habit.history).forEach(dateKey => {
-              const date = new Date(dateKey);
-              if (date.getMonth() !== currentMonth || date.getFullYear() !== currentYear) {
-                delete habit.history[dateKey];
-              }
-            });
-          }
-        });
-        
-        // Try again
-        try {
-          localStorage.setItem(this.habitsKey, JSON.stringify(this.habits));
-        } catch (error2) {
-          // Last resort - only keep today's data
-          const today = utils.formatDate(new Date());
-          
-          this.habits.forEach(habit => {
-            const todayStatus = habit.history && habit.history[today];
-            habit.history = {};
-            if (todayStatus) {
-              habit.history[today] = todayStatus;
-            }
-          });
-          
-          try {
-            localStorage.setItem(this.habitsKey, JSON.stringify(this.habits));
-            utils.showToast('Storage space critically low. Only today\'s data kept.', 'error');
-          } catch (error3) {
-            utils.showToast('Unable to save habits data. Please export your data.', 'error');
-          }
-        }
+    const status = habit.history[dateKey];
+    return status ? dataStore.setHabitDay(habit, dateKey, status) : dataStore.deleteHabitDay(habit, dateKey);
+  }
+  
+  /**
+   * Publish a habit day change on the event bus
+   * @param {Object} habit - Changed habit
+   * @param {string} dateKey - Date key (YYYY-MM-DD)
+   * @param {string} [previousStatus] - Status before the change
+   */
+  emitHabitToggled(habit, dateKey, previousStatus) {
+    eventBus.emit(APP_EVENTS.HABIT_TOGGLED, {
+      habitId: habit.id,
+      name: habit.name,
+      date: dateKey,
+      status: habit.history[dateKey],
+      previous: previousStatus
+    });
+  }
+  
+  /**
+   * Register undo/redo handlers for habit changes
+   */
+  registerJournalHandlers() {
+    const findHabit = (habitId) => {
+      const habit = this.habits.find(item => item.id === habitId);
+      if (!habit) {
+        throw new Error('That habit no longer exists.');
+      }
+      return habit;
+    };
+    
+    const setDay = (habitId, dateKey, status) => {
+      const habit = findHabit(habitId);
+      if (!habit.history) habit.history = {};
+      const previousStatus = habit.history[dateKey];
+      
+      if (status) {
+        habit.history[dateKey] = status;
       } else {
-        utils.showToast(`Error saving habits: ${error.message}`, 'error');
+        delete habit.history[dateKey];
+      }
+      
+      return this.writeHabitDay(habit, dateKey).then(saved => {
+        this.refreshAfterJournalChange(habit);
+        this.emitHabitToggled(habit, dateKey, previousStatus);
+        return saved;
+      });
+    };
+    
+    actionJournal.register('habits.setDay', {
+      undo: ({ habitId, date, previous }) => setDay(habitId, date, previous),
+      redo: ({ habitId, date, next }) => setDay(habitId, date, next)
+    });
+    
+    actionJournal.register('habits.delete', {
+      undo: ({ habit, index }) => {
+        this.habits.splice(Math.min(index, this.habits.length), 0, JSON.parse(JSON.stringify(habit)));
+        return this.saveHabits().then(saved => {
+          this.showMainView();
+          eventBus.emit(APP_EVENTS.HABITS_CHANGED, { reason: 'restored', name: habit.name });
+          return saved;
+        });
+      },
+      redo: ({ habit }) => {
+        this.habits.splice(this.habits.indexOf(findHabit(habit.id)), 1);
+        return this.saveHabits().then(saved => {
+          this.showMainView();
+          eventBus.emit(APP_EVENTS.HABITS_CHANGED, { reason: 'deleted', name: habit.name });
+          return saved;
+        });
       }
+    });
+  }
+  
+  /**
+   * Re-render whichever view shows a habit that was changed through undo/redo
+   * @param {Object} habit - Changed habit
+   */
+  refreshAfterJournalChange(habit) {
+    const showingDetail = this.detailView && this.detailView.style.display === 'block';
+    
+    if (showingDetail && this.habits[this.currentHabitIndex] === habit) {
+      this.renderChart(habit);
+      this.renderCalendar(habit);
+      this.renderStreaks(habit);
+    } else if (!showingDetail) {
+      this.renderHabits();
     }
   }
   
+  /**
+   * Load habits again after another tab changed them, keeping the open habit in view
+   */
+  reloadData() {
+    const shownHabit = this.habits[this.currentHabitIndex];
+    this.loadHabits();
+    
+    const showingDetail = this.detailView && this.detailView.style.display === 'block';
+    if (!showingDetail) {
+      this.renderHabits();
+      return;
+    }
+    
+    const index = shownHabit ? this.habits.findIndex(habit => habit.id === shownHabit.id) : -1;
+    if (index === -1) {
+      this.showMainView();
+      return;
+    }
+    
+    const habit = this.habits[index];
+    this.currentHabitIndex = index;
+    this.habitDetailTitle.textContent = habit.name;
+    this.applyColorThemeToDetailView(habit.color);
+    this.refreshAfterJournalChange(habit);
+  }
+  
   /**
    * Enhanced long press handling with better touch support
    */
@@ -577,8 +725,8 @@ alignDateItemsWithHabitDays() {
       if (!habit.history) habit.history = {};
       
       // Toggle status
-      const currentStatus = habit.history[dateKey] || 'fail';
-      const newStatus = currentStatus === 'fail' ? 'done' : 'fail';
+      const previousStatus = habit.history[dateKey];
+      const newStatus = habitRules.getNextStatus(previousStatus);
       habit.history[dateKey] = newStatus;
       
       // Update the cell appearance directly instead of re-rendering
@@ -593,7 +741,7 @@ alignDateItemsWithHabitDays() {
       }
       
       // Save changes
-      this.saveHabits();
+      this.saveHabitDay(habit, dateKey, previousStatus);
       
       // Add haptic feedback if available
       if (window.navigator && window.navigator.vibrate) {
@@ -657,8 +805,8 @@ alignDateItemsWithHabitDays() {
     // For standard clicks, implement different behavior - just toggle
     if (!habit.history) habit.history = {};
     
-    const currentStatus = habit.history[dateKey] || 'fail';
-    const newStatus = currentStatus === 'fail' ? 'done' : 'fail';
+    const previousStatus = habit.history[dateKey];
+    const newStatus = habitRules.getNextStatus(previousStatus);
     habit.history[dateKey] = newStatus;
     
     // Update the UI directly
@@ -673,7 +821,7 @@ alignDateItemsWithHabitDays() {
     }
     
     // Save changes
-    this.saveHabits();
+    this.saveHabitDay(habit, dateKey, previousStatus);
   }
   
   /**
@@ -720,8 +868,8 @@ alignDateItemsWithHabitDays() {
       }
       
       // Build habit grid
-      let habitGrid = '';
-      const today = new Date();
+      const habitGrid = [];
+      const today = utils.getLogicalDay();
       
       for (let i = this.DAYS_TO_SHOW - 1; i >= 0; i--) {
         const date = new Date(today);
@@ -731,14 +879,14 @@ alignDateItemsWithHabitDays() {
         const status = habit.history[dateKey] || 'fail';
         
         let className = 'fail';
-        let symbol = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+        let symbol = utils.html`<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>`;
         
         if (status === 'done') {
-          symbol = '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>';
+          symbol = utils.html`<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"></polyline></svg>`;
           className = `done ${habit.color}`;
         }
         
-        habitGrid += `
+        habitGrid.push(utils.html`
           <div class="habit-day ${className}" 
                data-date="${dateKey}"
                data-habit="${index}"
@@ -747,10 +895,10 @@ alignDateItemsWithHabitDays() {
                aria-label="${status === 'done' ? 'Completed' : 'Not completed'} on ${date.toLocaleDateString()}">
             ${symbol}
           </div>
-        `;
+        `);
       }
       
-      habitElement.innerHTML = `
+      habitElement.innerHTML = utils.html`
         <div class="habit-name-section">
           <div class="drag-handle">⋮⋮⋮</div>
           <div class="circle"></div>
@@ -863,6 +1011,8 @@ alignDateItemsWithHabitDays() {
     this.saveHabits();
     this.renderHabits();
     this.closeModal();
+    
+    eventBus.emit(APP_EVENTS.HABITS_CHANGED, { reason: 'added', name: habitName });
   }
   
   /**
@@ -882,6 +1032,8 @@ alignDateItemsWithHabitDays() {
     this.saveHabits();
     this.closeModal();
     this.showHabitDetail(this.currentHabitIndex);
+    
+    eventBus.emit(APP_EVENTS.HABITS_CHANGED, { reason: 'edited', name: habitName });
   }
   
   /**
@@ -969,6 +1121,8 @@ alignDateItemsWithHabitDays() {
       
       this.saveHabits();
       this.renderHabits();
+      
+      eventBus.emit(APP_EVENTS.HABITS_CHANGED, { reason: 'reordered', name: draggedHabit.name });
     }
     
     return false;
@@ -995,7 +1149,7 @@ alignDateItemsWithHabitDays() {
   showHabitDetail(index) {
     this.currentHabitIndex = index;
     const habit = this.habits[index];
-    this.currentCalendarMonth = new Date();
+    this.currentCalendarMonth = utils.getLogicalDay();
     this.isCalendarEditing = false;
     
     // Update UI visibility
@@ -1094,166 +1248,17 @@ alignDateItemsWithHabitDays() {
     }
   }
   
-  /**
-   * Calculate consistency score for a habit
-   * @param {Object} history - Habit history
-   * @param {Date} endDate - End date for calculation (usually current date)
-   * @param {number} days - Number of days to look back
-   * @returns {number} - Consistency score (0-100)
-   */
-  calculateConsistencyScore(history, endDate, days = 30) {
-    // Initialize score
-    let score = 0;
-    const today = new Date(endDate);
-    
-    // Define weight factors
-    const recentWeight = 1.5;  // Recent days matter more
-    const streakBonus = 5;     // Bonus points for consecutive days
-    const maxScore = 100;      // Maximum possible score
-    const basePoints = 70;     // Base points for a completed day
-    const decayRate = 0.9;     // How quickly score decays on missed days
-    
-    // Keep track of streak
-    let currentStreak = 0;
-    let maxStreakInPeriod = 0;
-    
-    // Calculate score for each day in the period
-    for (let i = 0; i < days; i++) {
-      const date = new Date(today);
-      date.setDate(today.getDate() - i);
-      const dateKey = this.getDateKey(date);
-      
-      // Weight factor decreases as we go further back in time
-      const dayWeight = (days - i) / days * (i < 7 ? recentWeight : 1);
-      
-      // Check if activity was done on this day
-      const isDone = history[dateKey] === 'done';
-      
-      if (isDone) {
-        // Add points for completed day
-        score += basePoints * dayWeight;
-        
-        // Update streak
-        currentStreak++;
-        maxStreakInPeriod = Math.max(maxStreakInPeriod, currentStreak);
-        
-        // Add streak bonus
-        if (currentStreak > 1) {
-          score += Math.min(streakBonus * currentStreak, 30) * dayWeight;
-        }
-      } else {
-        // Reset streak
-        currentStreak = 0;
-        
-        // Decay score for missed days
-        score *= decayRate;
-      }
-    }
-    
-    // Normalize score to 0-100 range
-    let normalizedScore = Math.min(Math.round(score / days), maxScore);
-    
-    // Add bonus for max streak achieved in period
-    if (maxStreakInPeriod > 3) {
-      normalizedScore += Math.min(streakBonus * maxStreakInPeriod / 2, 15);
-    }
-    
-    // Ensure final score is within 0-100 range
-    return Math.min(Math.max(Math.round(normalizedScore), 0), maxScore);
-  }
-  
   /**
    * Get consistency data points by time period
    * @param {Object} habit - Habit object
    * @returns {Array} - Array of data points with dates and consistency scores
    */
   getConsistencyDataByTimePeriod(habit) {
-    const today = new Date();
-    let dataPoints = [];
+    const history = dataStore.getHabitHistory(habit);
+    const period = SCORE_PERIODS[this.selectedTimePeriod] || SCORE_PERIODS.weekly;
     
-    switch (this.selectedTimePeriod) {
-      case 'weekly':
-        // Last 7 days
-        for (let i = 6; i >= 0; i--) {
-          const date = new Date(today);
-          date.setDate(today.getDate() - i);
-          
-          // Calculate consistency score for a 7-day window ending on this date
-          const score = this.calculateConsistencyScore(habit.history, date, 7);
-          
-          dataPoints.push({
-            date: date,
-            value: score
-          });
-        }
-        break;
-        
-      case 'monthly':
-        // Last 30 days grouped by week
-        for (let i = 0; i < 5; i++) {
-          const date = new Date(today);
-          // Go back to start at the right week
-          date.setDate(today.getDate() - (4 - i) * 7);
-          
-          // Calculate consistency score for a 7-day window ending on this date
-          const score = this.calculateConsistencyScore(habit.history, date, 7);
-          
-          dataPoints.push({
-            date: date,
-            value: score
-          });
-        }
-        break;
-        
-      case 'quarterly':
-        // Last 3 months by week
-        for (let i = 0; i < 12; i++) {
-          const date = new Date(today);
-          date.setDate(today.getDate() - (11 - i) * 7);
-          
-          // Calculate consistency score for a 14-day window ending on this date
-          const score = this.calculateConsistencyScore(habit.history, date, 14);
-          
-          dataPoints.push({
-            date: date,
-            value: score
-          });
-        }
-        break;
-        
-      case 'yearly':
-        // Last 12 months
-        for (let i = 0; i < 12; i++) {
-          const date = new Date(today);
-          date.setMonth(today.getMonth() - (11 - i));
-          
-          // Calculate consistency score for a 30-day window ending on this date
-          const score = this.calculateConsistencyScore(habit.history, date, 30);
-          
-          dataPoints.push({
-            date: date,
-            value: score
-          });
-        }
-        break;
-        
-      default:
-        // Default to weekly view
-        for (let i = 6; i >= 0; i--) {
-          const date = new Date(today);
-          date.setDate(today.getDate() - i);
-          
-          // Calculate consistency score for a 7-day window ending on this date
-          const score = this.calculateConsistencyScore(habit.history, date, 7);
-          
-          dataPoints.push({
-            date: date,
-            value: score
-          });
-        }
-    }
-    
-    return dataPoints;
+    return scoring.getScoreSeries(utils.getLogicalDay(), period,
+      (date, days) => habitRules.getConsistencyScore(history, date, days));
   }
   
   /**
@@ -1447,31 +1452,7 @@ alignDateItemsWithHabitDays() {
    * @returns {string} - Hex color code
    */
   getColorHex(color) {
-    const colorMap = {
-      'red': '#FF0000',
-      'coral': '#FF5042',
-      'pink': '#FF4A8D',
-      'lightpink': '#FFC8F0',
-      'purple': '#B96CDA',
-      'navy': '#334C77',
-      'skyblue': '#58B5F0',
-      'royalblue': '#5B6EF7',
-      'blue': '#2196F3',
-      'teal': '#40BBD4',
-      'lightblue': '#77D1F3',
-      'lightgreen': '#5DD959',
-      'green': '#4CAF50',
-      'darkgreen': '#159D82',
-      'seagreen': '#4AD6B8',
-      'yellow': '#FFDE0A',
-      'orange': '#FF9F29',
-      'tangerine': '#FF7B29',
-      'darkorange': '#E25C28',
-      'gray': '#A5A5A5',
-      'default': '#673AB7' // Use habits-primary as default
-    };
-    
-    return colorMap[color] || colorMap.default;
+    return HABIT_COLORS[color] || HABIT_COLORS.default;
   }
   
   /**
@@ -1513,8 +1494,19 @@ alignDateItemsWithHabitDays() {
     };
     
     const confirmDelete = function() {
+      const habit = window.habitsTracker.habits[indexToDelete];
+      
+      // Give never-saved habits an id so redo can find the habit again
+      if (!habit.id) habit.id = dataStore.createId();
+      const deletedHabit = JSON.parse(JSON.stringify(habit));
+      
       window.habitsTracker.habits.splice(indexToDelete, 1);
-      window.habitsTracker.saveHabits();
+      window.habitsTracker.saveHabits().then(saved => {
+        if (saved) {
+          actionJournal.record('habits.delete', `Delete habit "${deletedHabit.name}"`, { habit: deletedHabit, index: indexToDelete });
+          eventBus.emit(APP_EVENTS.HABITS_CHANGED, { reason: 'deleted', name: deletedHabit.name });
+        }
+      });
       document.body.removeChild(confirmationModal);
       window.habitsTracker.showMainView();
     };
@@ -1542,7 +1534,7 @@ renderCalendar(habit) {
   
   this.calendarScrollContent.innerHTML = '';
   
-  const today = new Date();
+  const today = utils.getLogicalDay();
   this.months = [];
   
   // Generate months from current month backwards
@@ -1603,6 +1595,8 @@ createMonthCalendar(habit, monthDate) {
   const monthContainer = document.createElement('div');
   monthContainer.className = 'habits-month-calendar';
   
+  // Include archived days so older months still show their history
+  const history = dataStore.getHabitHistory(habit);
   const currentMonth = monthDate.getMonth();
   const currentYear = monthDate.getFullYear();
   
@@ -1645,7 +1639,7 @@ createMonthCalendar(habit, monthDate) {
   for (let day = 1; day <= lastDay.getDate(); day++) {
     const date = new Date(currentYear, currentMonth, day);
     const dateKey = this.getDateKey(date);
-    const status = habit.history[dateKey];
+    const status = history[dateKey];
     
     const cell = document.createElement('div');
     cell.className = 'habits-calendar-cell';
@@ -1656,8 +1650,7 @@ createMonthCalendar(habit, monthDate) {
     }
     
     // Check if this date is in the future
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Reset time to midnight for accurate comparison
+    const today = utils.getLogicalDay();
     const isFutureDate = date > today;
 
     // Highlight today
@@ -1816,8 +1809,7 @@ toggleCalendarEdit() {
     if (!dateKey) return;
     
     const cellDate = new Date(dateKey);
-    const today = new Date();
-    today.setHours(0, 0, 0, 0); // Reset time for accurate comparison
+    const today = utils.getLogicalDay();
     const isFutureDate = cellDate > today;
     
     if (this.isCalendarEditing && !isFutureDate) {
@@ -1828,8 +1820,9 @@ toggleCalendarEdit() {
       
       // Add direct click handler to toggle status
       cell.addEventListener('click', (e) => {
-        const currentStatus = habit.history[dateKey] || 'fail';
-        habit.history[dateKey] = currentStatus === 'fail' ? 'done' : 'fail';
+        // Archived days can be edited too - the live status overrides the archived one
+        const previousStatus = habit.history[dateKey];
+        habit.history[dateKey] = habitRules.getNextStatus(dataStore.getHabitHistory(habit)[dateKey]);
         
         // Update the cell appearance directly instead of re-rendering
         if (habit.history[dateKey] === 'done') {
@@ -1838,7 +1831,7 @@ toggleCalendarEdit() {
           cell.classList.remove('active', habit.color);
         }
         
-        this.saveHabits();
+        this.saveHabitDay(habit, dateKey, previousStatus);
         
         // Update chart and streaks without re-rendering calendar
         this.renderChart(habit);
@@ -1867,7 +1860,7 @@ renderStreaks(habit) {
   this.habitStreaks.innerHTML = '';
   
   // Calculate streaks
-  const streaks = this.calculateStreaks(habit.history);
+  const streaks = habitRules.getStreaks(dataStore.getHabitHistory(habit));
   
   // Show top 3 streaks
   const topStreaks = streaks.slice(0, 3);
@@ -1909,73 +1902,17 @@ renderStreaks(habit) {
 }
 
 /**
- * Calculate streaks from habit history
- * @param {Object} history - Habit history
- * @returns {Array} - Array of streak objects
- */
-calculateStreaks(history) {
-  const sortedDates = Object.entries(history)
-    .filter(([date, status]) => status === 'done')
-    .map(([date]) => date)
-    .sort();
-  
-  const streaks = [];
-  let currentStreak = null;
-  
-  sortedDates.forEach(date => {
-    const currentDate = new Date(date);
-    
-    if (!currentStreak) {
-      currentStreak = { start: date, end: date, length: 1 };
-    } else {
-      const lastDate = new Date(currentStreak.end);
-      const nextDay = new Date(lastDate);
-      nextDay.setDate(lastDate.getDate() + 1);
-      
-      if (currentDate.getTime() === nextDay.getTime()) {
-        currentStreak.end = date;
-        currentStreak.length++;
-      } else {
-        streaks.push(currentStreak);
-        currentStreak = { start: date, end: date, length: 1 };
-      }
-    }
-  });
-  
-  if (currentStreak) {
-    streaks.push(currentStreak);
-  }
-  
-  return streaks.sort((a, b) => b.length - a.length);
-}
-
-/**
- * Check if daily habits need to be reset
+ * Start a new day (called by dayRollover) - nothing to reset, "today" moves in the views
  */
-checkAndResetDailyHabits() {
-  const currentDate = utils.formatDate(new Date());
-  const lastResetDate = localStorage.getItem(this.lastResetKey);
-  
-  if (lastResetDate !== currentDate) {
-    // Nothing to reset, just update the last reset date
-    localStorage.setItem(this.lastResetKey, currentDate);
-  }
+startDay() {
+  this.refreshDay();
 }
 
 /**
- * Setup automatic reset at midnight
+ * Show the current day again, e.g. after a new day started or the day start changed
  */
-setupMidnightReset() {
-  // Calculate time until next midnight
-  const now = new Date();
-  const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-  const midnight = new Date(tomorrow.setHours(0, 0, 0, 0));
-  const msUntilMidnight = midnight - now;
-  
-  // Set timeout for midnight reset
-  setTimeout(() => {
-    this.checkAndResetDailyHabits();
-    this.setupMidnightReset(); // Set up next day's reset
-  }, msUntilMidnight);
+refreshDay() {
+  this.updateDateSelector();
+  this.reloadData();
 }
 }
\ No newline at end of file
@@ -0,0 +1,58 @@
+/**
+ * Health Tracker App - Clock Tests
+ * Opens the app with a simulated date link, with and without Developer Mode
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage, loadPage } = require('./helpers/browser.js');
+
+const SIMULATED_DATE = '2035-06-01T12:00';
+
+/**
+ * Open the app from a link asking for a simulated date
+ * @param {Object} localStorage - Storage from createStorage
+ * @returns {Object} - Page from loadPage
+ */
+function openLink(localStorage) {
+  const page = loadPage({
+    localStorage,
+    location: { href: `https://tracker.test/?simulate-date=${SIMULATED_DATE}`, search: `?simulate-date=${SIMULATED_DATE}`, hash: '', reload() {} }
+  });
+  page.run('profileManager.init()');
+  page.run('appClock.init()');
+  return page;
+}
+
+test('a link cannot simulate a date unless Developer Mode is on', () => {
+  const page = openLink(createStorage());
+
+  assert.equal(page.run('appClock.isSimulating()'), false);
+  assert.ok(Math.abs(page.run('appClock.timestamp()') - Date.now()) < 60 * 1000);
+});
+
+test('a link simulates a date with Developer Mode on', () => {
+  const localStorage = createStorage();
+  localStorage.setItem('developer_mode', 'true');
+  const page = openLink(localStorage);
+
+  assert.equal(page.run('appClock.isSimulating()'), true);
+  assert.equal(page.run('appClock.now().getFullYear()'), 2035);
+
+  page.run('appClock.setDeveloperMode(false)');
+  assert.equal(page.run('appClock.isSimulating()'), false);
+});
+
+test('simulated time never moves the logical clock ahead', () => {
+  const localStorage = createStorage();
+  localStorage.setItem('developer_mode', 'true');
+  const simulating = openLink(localStorage);
+
+  const stamp = simulating.run('logicalClock.now()');
+  assert.ok(simulating.run(`logicalClock.parse('${stamp}')`).time <= Date.now());
+
+  // Another device seeing the stamp, e.g. on a synced record, keeps its clock where it is
+  const other = openLink(createStorage());
+  other.run(`logicalClock.observe('${stamp}')`);
+  assert.equal(other.run('profileStorage.getItem(STORAGE_KEYS.LOGICAL_CLOCK)'), null);
+});
\ No newline at end of file
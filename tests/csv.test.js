@@ -0,0 +1,82 @@
+/**
+ * Health Tracker App - CSV Tests
+ * Runs the CSV reader headless in Node
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvParser } = require('../core/csv.js');
+
+test('reads a plain comma-separated file', () => {
+  const csv = csvParser.parse('data_type,key,value\nwater,goal,2000\r\nwater,intake,750\n');
+
+  assert.equal(csv.delimiter, ',');
+  assert.deepEqual(csv.headers, ['data_type', 'key', 'value']);
+  assert.deepEqual(csv.rows, [
+    { line: 2, fields: ['water', 'goal', '2000'] },
+    { line: 3, fields: ['water', 'intake', '750'] }
+  ]);
+  assert.deepEqual(csv.rejected, []);
+});
+
+test('drops a byte order mark', () => {
+  const csv = csvParser.parse('\uFEFFdata_type,key\nwater,goal');
+  assert.deepEqual(csv.headers, ['data_type', 'key']);
+});
+
+test('picks semicolons when the header row has more of them', () => {
+  const csv = csvParser.parse('data_type;key;value\nhabit;0;"a,b"');
+
+  assert.equal(csv.delimiter, ';');
+  assert.deepEqual(csv.rows[0].fields, ['habit', '0', 'a,b']);
+});
+
+test('follows a sep= line and keeps line numbers of the file', () => {
+  const csv = csvParser.parse('sep=;\r\ndata_type,key;value\nwater,x;2000');
+
+  assert.equal(csv.delimiter, ';');
+  assert.deepEqual(csv.headers, ['data_type,key', 'value']);
+  assert.equal(csv.rows[0].line, 3);
+});
+
+test('ignores a sep= line naming an unknown delimiter', () => {
+  const csv = csvParser.parse('sep=|\ndata_type,key\nwater,goal');
+  assert.deepEqual(csv.headers, ['sep=|']);
+  assert.equal(csv.rejected.length, 2);
+});
+
+test('reads quoted fields with line breaks, delimiters and quotes', () => {
+  const csv = csvParser.parse('name,color\n"Read\r\nthen ""sleep"", early",blue\nWalk,green');
+
+  assert.deepEqual(csv.rows, [
+    { line: 2, fields: ['Read\r\nthen "sleep", early', 'blue'] },
+    { line: 4, fields: ['Walk', 'green'] }
+  ]);
+});
+
+test('skips blank lines between records', () => {
+  const csv = csvParser.parse('a,b\n\n1,2\n\n');
+  assert.deepEqual(csv.rows, [{ line: 3, fields: ['1', '2'] }]);
+});
+
+test('reports an unterminated quote instead of guessing', () => {
+  const csv = csvParser.parse('a,b\n1,2\n3,"never closed\n4,5');
+
+  assert.deepEqual(csv.rows, [{ line: 2, fields: ['1', '2'] }]);
+  assert.deepEqual(csv.rejected, [{ line: 3, reason: 'Quoted field 2 is never closed' }]);
+});
+
+test('reports stray quotes and rows with the wrong number of fields', () => {
+  const csv = csvParser.parse('a,b\n"1"x,2\n1"2,3\n1,2,3');
+
+  assert.deepEqual(csv.rejected, [
+    { line: 2, reason: 'Unexpected "x" after a closing quote in field 1' },
+    { line: 3, reason: 'Quote inside an unquoted field (field 1)' },
+    { line: 4, reason: 'Expected 2 fields, found 3' }
+  ]);
+});
+
+test('throws when the header row cannot be read', () => {
+  assert.throws(() => csvParser.parse('"a,b\n1,2'), /header row on line 1/);
+  assert.throws(() => csvParser.parse('\n\n'), /Invalid CSV file format/);
+});
\ No newline at end of file
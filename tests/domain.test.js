@@ -0,0 +1,287 @@
+/**
+ * Health Tracker App - Domain Tests
+ * Runs the tracking rules, the CSV export and the JSON backup format headless in Node
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  HABIT_STATUS,
+  calendar,
+  scoring,
+  intakeRules,
+  workoutRules,
+  habitRules,
+  csvExport,
+  backupFormat,
+  createTrackingService
+} = require('../core/domain.js');
+const { csvParser } = require('../core/csv.js');
+
+const KEYS = {
+  DAY_START_HOUR: 'day_start_hour',
+  GOAL_PREFIX: 'goal_',
+  INTAKE_PREFIX: 'intake_',
+  THEME: 'theme',
+  REMINDER: 'reminder'
+};
+
+/**
+ * Create a tracking service over in-memory storage at a fixed time
+ * @param {Object} [items] - Stored settings
+ * @param {Date} [now]
+ * @returns {Object} - { service, items }
+ */
+function createService(items = {}, now = new Date(2024, 0, 5, 12)) {
+  const storage = {
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); },
+    removeItem: key => { delete items[key]; }
+  };
+  return { service: createTrackingService({ storage, now: () => now, keys: KEYS }), items };
+}
+
+test('getDayKey puts moments before the day start on the previous day', () => {
+  const { service } = createService({ day_start_hour: '4' });
+
+  assert.equal(service.getDayKey(new Date(2024, 0, 5, 3, 59)), '2024-01-04');
+  assert.equal(service.getDayKey(new Date(2024, 0, 5, 4, 0)), '2024-01-05');
+  assert.equal(service.getDayKey(new Date(2024, 0, 1, 2, 0)), '2023-12-31');
+  assert.equal(service.getDayKey(new Date(2024, 2, 1, 1, 0)), '2024-02-29');
+});
+
+test('getDayKey uses midnight without a valid day start', () => {
+  assert.equal(createService().service.getDayKey(new Date(2024, 0, 5, 0, 30)), '2024-01-05');
+  assert.equal(createService({ day_start_hour: '13' }).service.getDayKey(new Date(2024, 0, 5, 0, 30)), '2024-01-05');
+  assert.equal(createService({ day_start_hour: 'late' }).service.getDayKey(new Date(2024, 0, 5, 0, 30)), '2024-01-05');
+});
+
+test('getDayKey defaults to the service clock', () => {
+  const { service } = createService({ day_start_hour: '6' }, new Date(2024, 0, 5, 5));
+  assert.equal(service.getDayKey(), '2024-01-04');
+  assert.deepEqual(service.createIntakeEntry(250).date, '2024-01-04');
+});
+
+test('getNextDateKey crosses months and years', () => {
+  assert.equal(calendar.getNextDateKey('2024-02-28'), '2024-02-29');
+  assert.equal(calendar.getNextDateKey('2024-12-31'), '2025-01-01');
+});
+
+test('isDateKey rejects days that do not exist', () => {
+  assert.equal(calendar.isDateKey('2024-02-29'), true);
+  assert.equal(calendar.isDateKey('2023-02-29'), false);
+  assert.equal(calendar.isDateKey('2024-1-5'), false);
+});
+
+test('findStreaks returns runs of consecutive days, longest first', () => {
+  const streaks = scoring.findStreaks(['2024-01-03', '2024-01-01', '2024-01-02', '2024-01-02', '2024-01-10', '2024-02-28', '2024-03-01']);
+
+  assert.deepEqual(streaks[0], { start: '2024-01-01', end: '2024-01-03', length: 3 });
+  assert.equal(streaks.length, 4);
+  assert.deepEqual(scoring.findStreaks(['2024-01-01', '2024-01-05', '2024-01-06'], 2), [{ start: '2024-01-05', end: '2024-01-06', length: 2 }]);
+});
+
+test('habit streaks only count days that were done', () => {
+  const history = {
+    '2024-01-01': HABIT_STATUS.DONE,
+    '2024-01-02': HABIT_STATUS.FAIL,
+    '2024-01-03': HABIT_STATUS.DONE,
+    '2024-01-04': HABIT_STATUS.DONE
+  };
+
+  assert.deepEqual(habitRules.getStreaks(history)[0], { start: '2024-01-03', end: '2024-01-04', length: 2 });
+});
+
+test('consistency scores stay within 0-100 and reward consecutive days', () => {
+  const endDate = new Date(2024, 0, 31);
+  const allDone = {};
+  for (let day = 1; day <= 31; day++) {
+    allDone[`2024-01-${String(day).padStart(2, '0')}`] = HABIT_STATUS.DONE;
+  }
+
+  const allDoneScore = habitRules.getConsistencyScore(allDone, endDate, 30);
+  assert.equal(habitRules.getConsistencyScore({}, endDate, 30), 0);
+  assert.ok(allDoneScore > 0 && allDoneScore <= 100);
+
+  const recent = { '2024-01-30': HABIT_STATUS.DONE, '2024-01-31': HABIT_STATUS.DONE };
+  assert.ok(allDoneScore > habitRules.getConsistencyScore(recent, endDate, 30));
+
+  const consecutive = { '2024-01-29': HABIT_STATUS.DONE, '2024-01-30': HABIT_STATUS.DONE, '2024-01-31': HABIT_STATUS.DONE };
+  const apart = { '2024-01-27': HABIT_STATUS.DONE, '2024-01-29': HABIT_STATUS.DONE, '2024-01-31': HABIT_STATUS.DONE };
+  assert.ok(habitRules.getConsistencyScore(consecutive, endDate, 7) > habitRules.getConsistencyScore(apart, endDate, 7));
+});
+
+test('workout days with several types score higher', () => {
+  const endDate = new Date(2024, 0, 7);
+  const single = {};
+  const mixed = {};
+  for (let day = 1; day <= 7; day++) {
+    single[`2024-01-0${day}`] = [{ type: 'Chest' }, { type: 'Chest' }];
+    mixed[`2024-01-0${day}`] = [{ type: 'Chest' }, { type: 'Back' }];
+  }
+
+  assert.ok(workoutRules.getConsistencyScore(mixed, endDate, 7) > workoutRules.getConsistencyScore(single, endDate, 7));
+  assert.equal(workoutRules.getConsistencyScore(mixed, endDate, 7, 'Legs'), 0);
+  assert.equal(workoutRules.getStreaks({ '2024-01-06': [{ type: 'Back' }], '2024-01-07': [{ type: 'Chest' }] }, 'Chest').length, 0);
+});
+
+test('the rotation starts over once every type is done', () => {
+  const types = ['Chest', 'Back'];
+  let rotation = workoutRules.createRotation(types);
+
+  let result = workoutRules.complete(rotation, 'Back', types);
+  assert.equal(result.cycleComplete, false);
+  assert.equal(result.count, 1);
+  assert.deepEqual(workoutRules.getTabOrder(result.state), ['Chest', 'Back']);
+  assert.equal(rotation.state.Back.completed, false);
+
+  rotation = { state: result.state, counts: result.counts };
+  result = workoutRules.complete(rotation, 'Chest', types);
+  assert.equal(result.cycleComplete, true);
+  assert.deepEqual(result.state, workoutRules.createRotation(types).state);
+  assert.deepEqual(result.counts, { Chest: 0, Back: 0 });
+});
+
+test('intake goals count what is left and how far along the day is', () => {
+  assert.equal(intakeRules.getTotal([{ amount: 250 }, { amount: 500 }]), 750);
+  assert.equal(intakeRules.getTotal(undefined), 0);
+  assert.equal(intakeRules.getRemaining(2000, 750), 1250);
+  assert.equal(intakeRules.getRemaining(2000, 2500), 0);
+  assert.equal(intakeRules.getRemaining(0, 750), 0);
+  assert.equal(intakeRules.getGoalPercent(2000, 500), 25);
+  assert.equal(intakeRules.getGoalPercent(2000, 3000), 150);
+  assert.equal(intakeRules.getGoalPercent(0, 500), 0);
+});
+
+test('parseAmount only accepts positive whole numbers', () => {
+  assert.equal(intakeRules.parseAmount('250'), 250);
+  assert.equal(intakeRules.parseAmount(300), 300);
+  assert.equal(intakeRules.parseAmount('0'), null);
+  assert.equal(intakeRules.parseAmount('-5'), null);
+  assert.equal(intakeRules.parseAmount('abc'), null);
+});
+
+test('goals are saved per type and removed when set to 0', () => {
+  const { service, items } = createService();
+
+  service.setGoal('water', 2500);
+  assert.equal(service.getGoal('water'), 2500);
+  assert.equal(service.getGoal('protein'), 0);
+
+  service.setGoal('water', 0);
+  assert.equal(service.getGoal('water'), 0);
+  assert.equal('goal_water' in items, false);
+});
+
+test('toCSV writes a row per setting, entry, habit and habit day', () => {
+  const data = {
+    exportDate: '2024-01-05T12:00:00.000Z',
+    goals: { water: '2000', protein: null },
+    totals: { water: '750', protein: '0' },
+    intake: { water: { '2024-01-05': [{ amount: 250, timestamp: '2024-01-05T08:00:00.000Z' }] }, protein: {} },
+    workoutState: { Chest: { completed: true, order: 0 } },
+    workoutCounts: { Chest: 1 },
+    workoutHistory: { '2024-01-05': [{ type: 'Chest', count: 1, timestamp: '2024-01-05T09:00:00.000Z' }] },
+    habits: [{ name: 'Read, then "sleep"', color: 'blue', history: { '2024-01-04': 'done' } }],
+    settings: { theme: 'dark', reminder: null }
+  };
+
+  const lines = csvExport.toCSV(data).split('\n');
+
+  assert.equal(lines[0], csvExport.headers.join(','));
+  assert.ok(lines.includes('water,goal,2000,,,,,,,,,,,,,'));
+  assert.ok(lines.includes('protein,goal,,,,,,,,,,,,,,'));
+  assert.ok(lines.includes('water_history,2024-01-05_0,,2024-01-05,250,2024-01-05T08:00:00.000Z,,,,,,,,,,'));
+  assert.ok(lines.includes('workout_state,Chest,,,,,Chest,,,,true,0,,,,'));
+  assert.ok(lines.includes('habit,0,,,,,,,"Read, then ""sleep""",blue,,,,,,'));
+  assert.ok(lines.includes('habit_history,0_2024-01-04,done,2024-01-04,,,,,,,,,,,,'));
+  assert.ok(lines.includes('settings,theme,dark,,,,,,,,,,,,,'));
+});
+
+test('cleanName drops markup and keeps plain text', () => {
+  assert.equal(habitRules.cleanName('  Read <b>daily</b> '), 'Read daily');
+  assert.equal(habitRules.cleanName('<img src=x onerror=alert(1)>Walk'), 'Walk');
+  assert.equal(habitRules.cleanName('<script>alert(1)</script>'), 'alert(1)');
+  assert.equal(habitRules.cleanName('Sleep < 11pm'), 'Sleep < 11pm');
+  assert.equal(habitRules.cleanName(null), '');
+  assert.equal(habitRules.getColor('nope'), 'default');
+});
+
+test('csvExport output reads back to the same values', () => {
+  const data = {
+    exportDate: '2024-01-05T12:00:00.000Z',
+    goals: { water: '2000', protein: null },
+    totals: { water: '750', protein: '0' },
+    intake: {
+      water: { '2024-01-05': [{ amount: 250, timestamp: '2024-01-05T08:00:00.000Z' }, { amount: 500, timestamp: '2024-01-05T11:00:00.000Z' }] },
+      protein: {}
+    },
+    workoutState: { Chest: { completed: true, order: 0 } },
+    workoutCounts: { Chest: 1 },
+    workoutHistory: { '2024-01-05': [{ type: 'Chest', count: 1, timestamp: '2024-01-05T09:00:00.000Z', sport: 'Running', duration: 1800 }] },
+    habits: [{ name: 'Read, then "sleep";\nno phone', color: 'blue', history: { '2024-01-04': 'done' } }],
+    settings: { theme: 'dark', reminder: null }
+  };
+
+  const csv = csvParser.parse(csvExport.toCSV(data));
+  const rows = csv.rows.map(({ fields }) => Object.fromEntries(csv.headers.map((header, index) => [header, fields[index]])));
+  const find = (dataType, key) => rows.find(row => row.data_type === dataType && row.key === key);
+
+  assert.deepEqual(csv.headers, csvExport.headers);
+  assert.deepEqual(csv.rejected, []);
+  assert.equal(find('water', 'goal').value, '2000');
+  assert.equal(find('protein', 'goal').value, '');
+  assert.equal(find('water_history', '2024-01-05_1').amount, '500');
+  assert.equal(find('workout_state', 'Chest').completed, 'true');
+  assert.equal(find('workout_history', '2024-01-05_0').type, 'Chest');
+  assert.equal(find('workout_history', '2024-01-05_0').sport, 'Running');
+  assert.equal(find('workout_history', '2024-01-05_0').duration, '1800');
+  assert.equal(find('workout_history', '2024-01-05_0').distance, '');
+  assert.equal(find('habit', '0').name, data.habits[0].name);
+  assert.equal(find('habit_history', '0_2024-01-04').value, 'done');
+  assert.equal(find('settings', 'theme').value, 'dark');
+});
+
+test('escape quotes fields with delimiters, quotes or line breaks', () => {
+  assert.equal(csvExport.escape('plain'), 'plain');
+  assert.equal(csvExport.escape('a,b'), '"a,b"');
+  assert.equal(csvExport.escape('a;b'), '"a;b"');
+  assert.equal(csvExport.escape('say "hi"'), '"say ""hi"""');
+  assert.equal(csvExport.escape('two\nlines'), '"two\nlines"');
+  assert.equal(csvExport.escape(null), '');
+  assert.equal(csvExport.escape(0), '0');
+});
+
+test('a backup file reads back to the data it was made from', async () => {
+  const data = { settings: { theme: 'dark' }, dataset: { habits: [] }, archived: {} };
+  const backup = await backupFormat.create(data, 3, new Date('2024-01-05T12:00:00Z'));
+
+  assert.equal(backup.schemaVersion, 3);
+  assert.equal(backup.createdAt, '2024-01-05T12:00:00.000Z');
+  assert.match(backup.checksum, /^sha256:[0-9a-f]{64}$/);
+
+  const parsed = await backupFormat.parse(JSON.stringify(backup), 3);
+  assert.deepEqual(parsed.data, data);
+});
+
+test('parsing a backup rejects other files, newer versions and modified data', async () => {
+  const backup = await backupFormat.create({ settings: { theme: 'dark' } }, 3, new Date());
+
+  await assert.rejects(backupFormat.parse('not json', 3), /not a valid backup/);
+  await assert.rejects(backupFormat.parse('{"format":"other","data":{}}', 3), /not a Health Tracker backup/);
+  await assert.rejects(backupFormat.parse(JSON.stringify(backup), 2), /newer version/);
+  await assert.rejects(backupFormat.parse(JSON.stringify(Object.assign({}, backup, { version: 2 })), 3), /newer version/);
+
+  const modified = JSON.parse(JSON.stringify(backup));
+  modified.data.settings.theme = 'light';
+  await assert.rejects(backupFormat.parse(JSON.stringify(modified), 3), /checksum mismatch/);
+});
+
+test('habits from a backup are cleaned like imported ones', () => {
+  const data = { settings: {}, dataset: { habits: [{ id: 'a', name: '<b></b>', color: 'neon' }, { id: 'b', name: 'Walk', color: 'blue' }] } };
+  const cleaned = backupFormat.cleanHabits(data);
+
+  assert.deepEqual(cleaned.dataset.habits.map(habit => [habit.id, habit.name, habit.color]), [['a', 'Unnamed habit', 'default'], ['b', 'Walk', 'blue']]);
+  assert.equal(data.dataset.habits[0].name, '<b></b>');
+  assert.equal(backupFormat.cleanHabits({ settings: {} }).dataset, undefined);
+});
\ No newline at end of file
@@ -0,0 +1,79 @@
+/**
+ * Health Tracker App - Browser Script Loader for Tests
+ * Runs the app's plain scripts in one shared context, as the page's script tags do
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * Create a Storage-like object kept in memory
+ * @returns {Object} - getItem, setItem, removeItem, clear, key and length
+ */
+function createStorage() {
+  const items = new Map();
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => { items.set(key, String(value)); },
+    removeItem: key => { items.delete(key); },
+    clear: () => { items.clear(); },
+    key: index => Array.from(items.keys())[index] || null,
+    get length() { return items.size; }
+  };
+}
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Load the core scripts index.html loads into a fresh page without IndexedDB, so data is kept in localStorage
+ * @param {Object} [globals] - Extra globals, e.g. a fetch stub
+ * @returns {Object} - run(expression) evaluates code in the page, read(expression) copies a value out as JSON
+ */
+function loadPage(globals = {}) {
+  const page = Object.assign({
+    // Progress messages are left out, failures still show
+    console: Object.assign(Object.create(console), { log() {}, info() {}, warn() {} }),
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    AbortController,
+    URL,
+    URLSearchParams,
+    localStorage: createStorage(),
+    sessionStorage: createStorage(),
+    navigator: { userAgent: 'node', onLine: true },
+    location: { href: 'https://tracker.test/', search: '', hash: '', reload() {} },
+    document: {
+      addEventListener() {},
+      removeEventListener() {},
+      getElementById: () => null,
+      querySelector: () => null,
+      querySelectorAll: () => []
+    },
+    addEventListener() {},
+    removeEventListener() {}
+  }, globals);
+  page.window = page;
+  vm.createContext(page);
+
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  Array.from(html.matchAll(/<script src="\.\/(core\/[\w-]+\.js)"><\/script>/g), match => match[1]).forEach(file => {
+    const fileName = path.join(ROOT, file);
+    vm.runInContext(fs.readFileSync(fileName, 'utf8'), page, { filename: fileName });
+  });
+
+  const run = expression => vm.runInContext(expression, page);
+  // Values made in the page have its own prototypes, which strict comparisons tell apart
+  const read = expression => JSON.parse(run(`JSON.stringify(${expression})`));
+
+  // Toasts need the page's markup
+  run('utils.showToast = () => {}');
+  return { run, read };
+}
+
+module.exports = { createStorage, loadPage };
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * Health Tracker App - Import Tests
+ * Imports CSV files into a page kept in localStorage
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/browser.js');
+
+/**
+ * Open a page with water, protein, workout and habit data already on the device
+ * @returns {Promise<Object>} - Page from loadPage
+ */
+async function openPage() {
+  const page = loadPage();
+  page.run('profileManager.init()');
+  await page.run('openDataStore()');
+
+  await page.run(`Promise.all([
+    dataStore.replaceIntakeHistory('water', { '2024-01-04': [{ amount: 500, timestamp: '2024-01-04T08:00:00.000Z' }] }),
+    dataStore.replaceIntakeHistory('protein', { '2024-01-04': [{ amount: 30, timestamp: '2024-01-04T09:00:00.000Z' }] }),
+    dataStore.saveWorkoutState({ Chest: { completed: true, order: 0 }, Back: { completed: false, order: 1 } }, { Chest: 3, Back: 2 }),
+    dataStore.replaceWorkoutHistory({ '2024-01-04': [{ type: 'Chest', count: 1, timestamp: '2024-01-04T18:00:00.000Z' }] }),
+    dataStore.replaceHabits([{ name: 'Read', color: 'default', history: { '2024-01-04': 'done' } }])
+  ])`);
+  page.run(`storageManager.safeSetItem(STORAGE_KEYS.THEME, 'dark')`);
+  page.run(`storageManager.safeSetItem(STORAGE_KEYS.GOAL_PREFIX + 'protein', '120')`);
+  return page;
+}
+
+/**
+ * Import a CSV file with the modes the preview offers, as confirming it without changes does
+ * @param {Object} page - Page from loadPage
+ * @param {string} csv - File contents
+ * @returns {Promise<boolean>} - Whether the import succeeded
+ */
+function importCSV(page, csv) {
+  page.run(`importedData = parseCSVData(${JSON.stringify(csv)})`);
+  page.run(`modes = {}; importPreview.buildPreview(importedData).forEach(item => { modes[item.module] = 'overwrite'; })`);
+  return page.run('performDataImport(importedData, modes)');
+}
+
+/**
+ * Copy the data of every module out of the page
+ * @param {Object} page - Page from loadPage
+ * @returns {Object}
+ */
+function readModules(page) {
+  return {
+    water: page.read(`dataStore.getIntakeHistory('water')`),
+    protein: page.read(`dataStore.getIntakeHistory('protein')`),
+    proteinGoal: page.run(`profileStorage.getItem(STORAGE_KEYS.GOAL_PREFIX + 'protein')`),
+    workoutState: page.read('dataStore.getWorkoutState()'),
+    workoutCounts: page.read('dataStore.getWorkoutCounts()'),
+    workoutHistory: page.read('dataStore.getWorkoutHistory()'),
+    habits: page.read('dataStore.getHabits().map(habit => ({ name: habit.name, history: dataStore.getHabitHistory(habit) }))'),
+    theme: page.run('profileStorage.getItem(STORAGE_KEYS.THEME)')
+  };
+}
+
+test('importing a file with one module leaves the other modules alone', async () => {
+  const page = await openPage();
+  const before = readModules(page);
+
+  const imported = await importCSV(page, [
+    'data_type,key,value,date,amount,timestamp',
+    'water_history,,,2024-01-05,300,2024-01-05T10:00:00.000Z'
+  ].join('\n'));
+  assert.equal(imported, true);
+
+  const after = readModules(page);
+  assert.deepEqual(Object.keys(after.water), ['2024-01-05']);
+  assert.equal(after.water['2024-01-05'][0].amount, 300);
+  assert.deepEqual({ ...after, water: null }, { ...before, water: null });
+});
+
+test('only the modules the preview lists are imported', async () => {
+  const page = await openPage();
+  const before = readModules(page);
+
+  page.run(`importedData = parseCSVData(${JSON.stringify([
+    'data_type,key,value,date,amount,timestamp',
+    'water_history,,,2024-01-05,300,2024-01-05T10:00:00.000Z',
+    'protein_history,,,2024-01-05,25,2024-01-05T11:00:00.000Z'
+  ].join('\n'))})`);
+  assert.equal(await page.run(`performDataImport(importedData, { protein: 'overwrite' })`), true);
+
+  const after = readModules(page);
+  assert.deepEqual(after.water, before.water);
+  assert.deepEqual(Object.keys(after.protein), ['2024-01-05']);
+});
\ No newline at end of file
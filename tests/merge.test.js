@@ -0,0 +1,128 @@
+/**
+ * Health Tracker App - Merge Tests
+ * Runs the dataset merge headless in Node
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { datasetMerge } = require('../core/merge.js');
+
+/**
+ * Build a stamp as logicalClock.now() issues them
+ * @param {number} time - Milliseconds
+ * @param {string} deviceId - Device issuing the stamp
+ * @returns {string}
+ */
+function stamp(time, deviceId) {
+  return `${time.toString(36).padStart(9, '0')}-0000-${deviceId}`;
+}
+
+/**
+ * Build a dataset in the dataStore cache shape
+ * @param {Object} parts - Fields to set
+ * @returns {Object}
+ */
+function dataset(parts) {
+  return Object.assign({
+    intake: {},
+    workoutHistory: {},
+    workoutState: null,
+    workoutCounts: null,
+    workoutStateModified: null,
+    habits: null,
+    tombstones: {}
+  }, parts);
+}
+
+/**
+ * Build a workout tab state with some types completed
+ * @param {Array<string>} completed - Completed workout types
+ * @returns {Object}
+ */
+function workoutState(completed) {
+  const state = {};
+  ['Chest', 'Back', 'Legs'].forEach((type, order) => {
+    state[type] = { completed: completed.includes(type), order };
+  });
+  return state;
+}
+
+const same = (a, b) => assert.equal(datasetMerge.toCanonicalJson(a), datasetMerge.toCanonicalJson(b));
+
+// Devices whose workouts and tab states disagree in every way the merge looks at
+const DATASETS = [
+  dataset({
+    workoutHistory: { '2024-01-05': [{ id: 'w1', type: 'Chest', count: 1, timestamp: '2024-01-05T10:00:00.000Z', modified: stamp(900, 'a') }] }
+  }),
+  dataset({
+    workoutState: workoutState(['Chest']),
+    workoutCounts: { Chest: 1, Back: 0, Legs: 0 },
+    workoutStateModified: stamp(300, 'b'),
+    workoutHistory: { '2024-01-04': [{ id: 'w2', type: 'Chest', count: 1, timestamp: '2024-01-04T10:00:00.000Z', modified: stamp(300, 'b') }] }
+  }),
+  dataset({
+    workoutState: workoutState(['Chest', 'Back']),
+    workoutCounts: { Chest: 1, Back: 1, Legs: 0 },
+    workoutStateModified: stamp(500, 'c'),
+    tombstones: { w2: { module: 'workouts', modified: stamp(600, 'c') } }
+  }),
+  dataset({
+    workoutState: workoutState(['Legs']),
+    workoutCounts: { Chest: 0, Back: 0, Legs: 1 },
+    workoutStateModified: stamp(500, 'd')
+  }),
+  dataset({
+    workoutState: workoutState([]),
+    workoutCounts: { Chest: 2, Back: 2, Legs: 2 }
+  })
+];
+
+test('merging is commutative', () => {
+  DATASETS.forEach(a => DATASETS.forEach(b => {
+    same(datasetMerge.merge(a, b), datasetMerge.merge(b, a));
+  }));
+});
+
+test('merging is associative, also for the workout tab state', () => {
+  DATASETS.forEach(a => DATASETS.forEach(b => DATASETS.forEach(c => {
+    same(datasetMerge.merge(a, datasetMerge.merge(b, c)), datasetMerge.merge(datasetMerge.merge(a, b), c));
+  })));
+});
+
+test('merging a result again changes nothing', () => {
+  DATASETS.forEach(a => DATASETS.forEach(b => {
+    const merged = datasetMerge.merge(a, b);
+    same(datasetMerge.merge(merged, b), merged);
+  }));
+});
+
+test('the workout tab state saved last wins, with the device breaking a tie', () => {
+  const merged = datasetMerge.merge(DATASETS[1], DATASETS[2]);
+  assert.deepEqual(merged.workoutState, DATASETS[2].workoutState);
+  assert.equal(merged.workoutStateModified, stamp(500, 'c'));
+
+  assert.deepEqual(datasetMerge.merge(DATASETS[2], DATASETS[3]).workoutState, DATASETS[3].workoutState);
+});
+
+test('a dataset that never saved the workout tab state leaves the other one', () => {
+  const merged = datasetMerge.merge(DATASETS[0], DATASETS[1]);
+  assert.deepEqual(merged.workoutState, DATASETS[1].workoutState);
+  assert.deepEqual(Object.keys(merged.workoutHistory).sort(), ['2024-01-04', '2024-01-05']);
+});
+
+test('a tombstone removes versions saved before it', () => {
+  const merged = datasetMerge.merge(DATASETS[1], DATASETS[2]);
+  assert.deepEqual(merged.workoutHistory, {});
+  assert.deepEqual(merged.tombstones, DATASETS[2].tombstones);
+});
+
+test('the later version of an entry wins', () => {
+  const entry = { id: 'i1', amount: 250, timestamp: '2024-01-05T10:00:00.000Z', modified: stamp(100, 'a') };
+  const changed = Object.assign({}, entry, { amount: 500, modified: stamp(200, 'b') });
+
+  const merged = datasetMerge.merge(
+    dataset({ intake: { water: { '2024-01-05': [entry] } } }),
+    dataset({ intake: { water: { '2024-01-05': [changed] } } })
+  );
+  assert.deepEqual(merged.intake.water, { '2024-01-05': [changed] });
+});
\ No newline at end of file
@@ -0,0 +1,105 @@
+/**
+ * Health Tracker App - Server Sync Tests
+ * Sends changes to a WebDAV server kept in memory
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/browser.js');
+
+const SERVER_URL = 'https://dav.test/tracker';
+
+/**
+ * Create a WebDAV server keeping its files in memory, answering fetch() like a real one would
+ * @returns {Object} - { files, fetch }
+ */
+function createWebDavServer() {
+  const files = new Map();
+  let version = 0;
+
+  const fetch = (url, options = {}) => {
+    const headers = options.headers || {};
+    const file = files.get(url);
+    const respond = (status, body, etag) => Promise.resolve(new Response(body === undefined ? null : body, { status, headers: etag ? { ETag: etag } : {} }));
+
+    if (!options.method || options.method === 'GET') {
+      if (!file) return respond(404);
+      if (headers['If-None-Match'] === file.etag) return respond(304, undefined, file.etag);
+      return respond(200, file.body, file.etag);
+    }
+
+    if ((headers['If-Match'] && (!file || file.etag !== headers['If-Match'])) || (headers['If-None-Match'] === '*' && file)) {
+      return respond(412);
+    }
+    const etag = `"${++version}"`;
+    files.set(url, { body: options.body, etag });
+    return respond(201, undefined, etag);
+  };
+
+  return { files, fetch };
+}
+
+/**
+ * Build the water module as a device sends it
+ * @param {Array<string>} ids - Ids of the entries on the device
+ * @returns {Object} - Module data
+ */
+function waterData(ids) {
+  return {
+    intake: { water: { '2024-01-05': ids.map((id, index) => ({ id, amount: 250, timestamp: `2024-01-05T1${index}:00:00.000Z`, modified: `00000000${index}-0000-${id}` })) } },
+    workoutHistory: {},
+    workoutState: null,
+    workoutCounts: null,
+    habits: null,
+    tombstones: {}
+  };
+}
+
+/**
+ * Send the water module as a device
+ * @param {Object} page - Page from loadPage
+ * @param {string} deviceId - Device sending it
+ * @param {Object} etags - ETags the device has read, keyed by module
+ * @param {Array<string>} ids - Ids of the device's water entries
+ * @returns {Promise<Object>} - ETags of the files that hold exactly what was sent
+ */
+function pushWater(page, deviceId, etags, ids) {
+  const settings = { protocol: 'webdav', url: SERVER_URL, deviceId, cursor: JSON.stringify(etags) };
+  const changes = [{ module: 'water', changedAt: '2024-01-05T12:00:00.000Z', data: waterData(ids) }];
+  return page.run(`serverSyncClient.push(${JSON.stringify(settings)}, ${JSON.stringify(changes)})`).then(written => JSON.parse(JSON.stringify(written)));
+}
+
+/**
+ * Get the ids of the water entries in the server's file
+ * @param {Object} server - Server from createWebDavServer
+ * @returns {Array<string>}
+ */
+function readServerIds(server) {
+  const file = JSON.parse(server.files.get(`${SERVER_URL}/water.json`).body);
+  return file.data.intake.water['2024-01-05'].map(entry => entry.id).sort();
+}
+
+test('a WebDAV file another device wrote meanwhile is merged instead of overwritten', async () => {
+  const server = createWebDavServer();
+  const page = loadPage({ fetch: server.fetch });
+
+  const firstWrite = await pushWater(page, 'device-a', {}, ['a1']);
+  assert.deepEqual(firstWrite, { water: '"1"' });
+
+  // Device B never read the file, so it must not replace it
+  assert.deepEqual(await pushWater(page, 'device-b', {}, ['b1']), {});
+  assert.deepEqual(readServerIds(server), ['a1', 'b1']);
+
+  // Device A still has the ETag of its own write
+  assert.deepEqual(await pushWater(page, 'device-a', firstWrite, ['a1', 'a2']), {});
+  assert.deepEqual(readServerIds(server), ['a1', 'a2', 'b1']);
+});
+
+test('a WebDAV file unchanged since it was read is replaced and its ETag kept', async () => {
+  const server = createWebDavServer();
+  const page = loadPage({ fetch: server.fetch });
+
+  const written = await pushWater(page, 'device-a', {}, ['a1']);
+  assert.deepEqual(await pushWater(page, 'device-a', written, ['a2']), { water: '"2"' });
+  assert.deepEqual(readServerIds(server), ['a2']);
+});
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * Health Tracker App - Tab Sync Tests
+ * Opens several tabs on one localStorage and saves from outdated copies
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStorage, loadPage } = require('./helpers/browser.js');
+
+/**
+ * Open a tab of the app on a shared localStorage
+ * @param {Object} localStorage - Storage from createStorage
+ * @returns {Promise<Object>} - Page from loadPage
+ */
+async function openTab(localStorage) {
+  const tab = loadPage({ localStorage, confirm: () => false });
+  tab.run('profileManager.init()');
+  await tab.run('openDataStore()');
+  tab.run('tabSync.init()');
+  return tab;
+}
+
+/**
+ * Log a glass of water in a tab
+ * @param {Object} tab - Page from openTab
+ * @param {number} amount - Amount in ml, telling the entries apart
+ * @returns {Promise<boolean>} - Whether the save went through
+ */
+function logWater(tab, amount) {
+  return tab.run(`dataStore.addIntakeEntry('water', '2024-01-05', { amount: ${amount}, timestamp: '2024-01-05T10:00:00.000Z' })`);
+}
+
+/**
+ * Get the amounts of the water entries a tab shows
+ * @param {Object} tab - Page from openTab
+ * @returns {Array<number>}
+ */
+function readAmounts(tab) {
+  return tab.read(`(dataStore.getIntakeHistory('water')['2024-01-05'] || []).map(entry => entry.amount)`).sort((a, b) => a - b);
+}
+
+test('changes refused from two outdated tabs are merged into the latest data', async () => {
+  const localStorage = createStorage();
+  const first = await openTab(localStorage);
+  const second = await openTab(localStorage);
+  const third = await openTab(localStorage);
+
+  assert.equal(await logWater(first, 100), true);
+
+  // Neither of the other tabs has loaded the first tab's change
+  assert.equal(await logWater(second, 200), false);
+  assert.equal(await second.run('tabSync.resolving'), true);
+
+  assert.equal(await logWater(third, 300), false);
+  assert.equal(await third.run('tabSync.resolving'), true);
+
+  assert.deepEqual(readAmounts(third), [100, 200, 300]);
+  assert.deepEqual(readAmounts(await openTab(localStorage)), [100, 200, 300]);
+});
+
+test('a deletion made in another tab stays deleted when a refused change is merged', async () => {
+  const localStorage = createStorage();
+  const first = await openTab(localStorage);
+  await logWater(first, 100);
+
+  const second = await openTab(localStorage);
+  const id = first.run(`dataStore.getIntakeHistory('water')['2024-01-05'][0].id`);
+  assert.equal(await first.run(`dataStore.removeIntakeEntry('water', '2024-01-05', '${id}')`), true);
+
+  assert.equal(await logWater(second, 200), false);
+  assert.equal(await second.run('tabSync.resolving'), true);
+  assert.deepEqual(readAmounts(await openTab(localStorage)), [200]);
+});
\ No newline at end of file
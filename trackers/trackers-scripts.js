@@ -21,16 +21,10 @@ class Tracker {
     // Storage keys
     this.goalKey = `${STORAGE_KEYS.GOAL_PREFIX}${this.type}`;
     this.intakeKey = `${STORAGE_KEYS.INTAKE_PREFIX}${this.type}`;
-    this.historyKey = `${STORAGE_KEYS.HISTORY_PREFIX}${this.type}`;
     this.lastResetKey = `${STORAGE_KEYS.LAST_RESET_PREFIX}${this.type}`;
     
-    // Track timeout ID to prevent memory leaks
-    this.midnightResetTimeout = null;
-    
-    // Load data from localStorage
-    this.goal = parseInt(localStorage.getItem(this.goalKey)) || 0;
-    this.totalIntake = parseInt(localStorage.getItem(this.intakeKey)) || 0;
-    this.dailyHistory = JSON.parse(localStorage.getItem(this.historyKey)) || {};
+    // Load data
+    this.loadData();
     
     // DOM elements
     this.elements = {
@@ -46,10 +40,31 @@ class Tracker {
       currentIntakeTab: document.getElementById(`${this.type}-current-intake`)
     };
     
+    // Let the action journal undo and redo intake changes
+    this.registerJournalHandlers();
+    
     // Initialize tracker
     this.initializeTracker();
   }
   
+  /**
+   * Load the goal and today's total from the tracking service and the history from the data store
+   */
+  loadData() {
+    this.goal = trackingService.getGoal(this.type);
+    this.totalIntake = trackingService.getTodayTotal(this.type);
+    this.dailyHistory = dataStore.getIntakeHistory(this.type);
+  }
+  
+  /**
+   * Load and show the data again, e.g. after another tab changed it
+   */
+  reloadData() {
+    this.loadData();
+    this.updateDisplay();
+    this.refreshHistory();
+  }
+  
   /**
    * Initialize tracker
    */
@@ -64,11 +79,8 @@ class Tracker {
     // Update display
     this.updateDisplay();
     
-    // Check for daily reset
-    this.checkAndResetDailyIntake();
-    
-    // Set up auto-reset at midnight
-    this.setupMidnightReset();
+    // Start today if the last day this tracker saw is over
+    dayRollover.rollOver(this);
   }
   
   /**
@@ -87,15 +99,14 @@ class Tracker {
     
     // Update remaining
     if (this.elements.remaining) {
-      const remaining = this.goal > this.totalIntake ? this.goal - this.totalIntake : 0;
-      this.elements.remaining.textContent = remaining;
+      this.elements.remaining.textContent = intakeRules.getRemaining(this.goal, this.totalIntake);
     }
     
     // Update progress visualization
     this.updateProgressVisualization();
     
     // Save to localStorage
-    localStorage.setItem(this.intakeKey, this.totalIntake);
+    trackingService.setTodayTotal(this.type, this.totalIntake);
   }
 
   /**
@@ -105,8 +116,7 @@ class Tracker {
     if (!this.elements.progressCircle) return;
     
     // Calculate progress percentage
-    let progress = this.goal > 0 ? (this.totalIntake / this.goal) * 100 : 0;
-    progress = Math.min(progress, 100); // Cap at 100%
+    const progress = Math.min(intakeRules.getGoalPercent(this.goal, this.totalIntake), 100); // Cap at 100%
     
     // Calculate circle values
     const circleLength = 2 * Math.PI * 45;
@@ -120,16 +130,19 @@ class Tracker {
    * Set the daily goal
    */
   setGoal() {
-    const inputGoal = parseInt(this.elements.goalInput.value);
+    const inputGoal = intakeRules.parseAmount(this.elements.goalInput.value);
     
-    if (isNaN(inputGoal) || inputGoal <= 0) {
+    if (inputGoal === null) {
       utils.showToast('Please enter a valid goal (a positive number).', 'error');
       return;
     }
     
-    this.goal = inputGoal;
-    localStorage.setItem(this.goalKey, this.goal);
-    this.updateDisplay();
+    const previousGoal = this.goal;
+    this.applyGoal(inputGoal);
+    actionJournal.record(`${this.type}.setGoal`, `Set ${this.type} goal to ${inputGoal} ${this.unit}`, {
+      previous: previousGoal,
+      next: inputGoal
+    });
     
     utils.showToast(`${this.type.charAt(0).toUpperCase() + this.type.slice(1)} goal set to ${this.goal} ${this.unit}`, 'success');
     
@@ -144,21 +157,93 @@ class Tracker {
   addIntake(amount) {
     if (amount <= 0) return;
     
-    this.totalIntake += amount;
-    this.saveDailyHistory(amount);
+    // Start from the saved total in case another tab added to it
+    this.totalIntake = trackingService.getTodayTotal(this.type) + amount;
+    const { date, entry } = this.saveDailyHistory(amount);
     this.updateDisplay();
     this.refreshHistory();
     
+    actionJournal.record(`${this.type}.addIntake`, `Add ${amount} ${this.unit} of ${this.type}`, { date, entry });
+    this.emitIntakeEvent(APP_EVENTS.INTAKE_ADDED, date, entry);
+    
     utils.showToast(`Added ${amount} ${this.unit} of ${this.type}`, 'success');
   }
   
+  /**
+   * Set the goal without recording it
+   * @param {number} goal - New goal, 0 for none
+   */
+  applyGoal(goal) {
+    const previous = this.goal;
+    this.goal = goal;
+    trackingService.setGoal(this.type, goal);
+    this.updateDisplay();
+    this.refreshHistory();
+    
+    eventBus.emit(APP_EVENTS.GOAL_CHANGED, { type: this.type, goal, previous });
+  }
+  
+  /**
+   * Publish an intake change on the event bus
+   * @param {string} name - APP_EVENTS.INTAKE_ADDED or APP_EVENTS.INTAKE_REMOVED
+   * @param {string} date - Date of the entry (YYYY-MM-DD)
+   * @param {Object} entry - Intake entry
+   */
+  emitIntakeEvent(name, date, entry) {
+    eventBus.emit(name, {
+      type: this.type,
+      date,
+      entry: Object.assign({}, entry),
+      total: this.totalIntake,
+      goal: this.goal
+    });
+  }
+  
+  /**
+   * Register undo/redo handlers for intake changes
+   */
+  registerJournalHandlers() {
+    // Only today's entries count towards the running total
+    const adjustTotal = (date, amount) => {
+      if (date === utils.getDayKey()) {
+        this.totalIntake = Math.max(0, trackingService.getTodayTotal(this.type) + amount);
+      }
+      this.updateDisplay();
+      this.refreshHistory();
+    };
+    
+    actionJournal.register(`${this.type}.addIntake`, {
+      undo: ({ date, entry }) => dataStore.removeIntakeEntry(this.type, date, entry.id).then(saved => {
+        adjustTotal(date, -entry.amount);
+        this.emitIntakeEvent(APP_EVENTS.INTAKE_REMOVED, date, entry);
+        return saved;
+      }),
+      redo: ({ date, entry }) => dataStore.addIntakeEntry(this.type, date, Object.assign({}, entry)).then(saved => {
+        adjustTotal(date, entry.amount);
+        this.emitIntakeEvent(APP_EVENTS.INTAKE_ADDED, date, entry);
+        return saved;
+      })
+    });
+    
+    actionJournal.register(`${this.type}.setGoal`, {
+      undo: ({ previous }) => {
+        this.applyGoal(previous);
+        return true;
+      },
+      redo: ({ next }) => {
+        this.applyGoal(next);
+        return true;
+      }
+    });
+  }
+  
   /**
    * Add manually entered intake
    */
   addManualIntake() {
-    const amount = parseInt(this.elements.manualInput.value);
+    const amount = intakeRules.parseAmount(this.elements.manualInput.value);
     
-    if (!isNaN(amount) && amount > 0) {
+    if (amount !== null) {
       this.addIntake(amount);
       this.elements.manualInput.value = '';
     } else {
@@ -169,20 +254,15 @@ class Tracker {
   /**
    * Save intake to daily history
    * @param {number} amount - Amount to save
+   * @returns {Object} - { date, entry } of the saved entry
    */
   saveDailyHistory(amount) {
-    const currentDate = utils.formatDate(new Date());
+    const { date, entry } = trackingService.createIntakeEntry(amount);
     
-    if (!this.dailyHistory[currentDate]) {
-      this.dailyHistory[currentDate] = [];
-    }
+    // The data store gives the entry its id straight away
+    dataStore.addIntakeEntry(this.type, date, entry);
     
-    this.dailyHistory[currentDate].push({
-      amount,
-      timestamp: new Date().toISOString()
-    });
-    
-    localStorage.setItem(this.historyKey, JSON.stringify(this.dailyHistory));
+    return { date, entry: Object.assign({}, entry) };
   }
   
   /**
@@ -194,38 +274,28 @@ class Tracker {
   }
   
   /**
-   * Check if daily intake needs to be reset
+   * Start a new day (called by dayRollover) - today's total starts from zero
    */
-  checkAndResetDailyIntake() {
-    const currentDate = utils.formatDate(new Date());
-    const lastResetDate = localStorage.getItem(this.lastResetKey);
-    
-    if (lastResetDate !== currentDate) {
-      this.resetDailyIntake();
-      localStorage.setItem(this.lastResetKey, currentDate);
-    }
+  startDay() {
+    this.resetDailyIntake();
   }
   
   /**
-   * Setup automatic reset at midnight
+   * Show the current day again, e.g. after the day start changed
    */
-  setupMidnightReset() {
-    // Clear any existing timeout to prevent memory leaks
-    if (this.midnightResetTimeout) {
-      clearTimeout(this.midnightResetTimeout);
-    }
-    
-    // Calculate time until next midnight
-    const now = new Date();
-    const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-    const midnight = new Date(tomorrow.setHours(0, 0, 0, 0));
-    const msUntilMidnight = midnight - now;
-    
-    // Set timeout for midnight reset
-    this.midnightResetTimeout = setTimeout(() => {
-      this.checkAndResetDailyIntake();
-      this.setupMidnightReset(); // Set up next day's reset
-    }, msUntilMidnight);
+  refreshDay() {
+    this.updateDisplay();
+    this.refreshHistory();
+  }
+  
+  /**
+   * Set today's total from today's entries, e.g. after entries moved to other days
+   */
+  recountTotal() {
+    this.totalIntake = intakeRules.getTotal(this.dailyHistory[utils.getDayKey()]);
+    trackingService.setTodayTotal(this.type, this.totalIntake);
+    this.updateDisplay();
+    this.refreshHistory();
   }
   
   /**
@@ -233,7 +303,7 @@ class Tracker {
    */
   resetDailyIntake() {
     this.totalIntake = 0;
-    localStorage.setItem(this.intakeKey, this.totalIntake);
+    trackingService.setTodayTotal(this.type, this.totalIntake);
     this.updateDisplay();
     this.refreshHistory();
   }
@@ -259,14 +329,13 @@ class Tracker {
       fragment.appendChild(noData);
     } else {
       dates.forEach(date => {
-        const entries = this.dailyHistory[date];
-        const totalAmount = entries.reduce((sum, entry) => sum + entry.amount, 0);
+        const totalAmount = intakeRules.getTotal(this.dailyHistory[date]);
         
         const dayEntry = document.createElement('div');
         dayEntry.className = 'day-entry';
         
         const dateText = document.createElement('p');
-        dateText.innerHTML = `<b>${date}</b>`;
+        dateText.innerHTML = utils.html`<b>${date}</b>`;
         dayEntry.appendChild(dateText);
         
         const totalText = document.createElement('p');
@@ -274,7 +343,7 @@ class Tracker {
         dayEntry.appendChild(totalText);
         
         const goalPercent = document.createElement('p');
-        const percentage = this.goal > 0 ? Math.round((totalAmount / this.goal) * 100) : 0;
+        const percentage = Math.round(intakeRules.getGoalPercent(this.goal, totalAmount));
         goalPercent.textContent = `${percentage}% of daily goal`;
         dayEntry.appendChild(goalPercent);
         
@@ -297,7 +366,7 @@ class Tracker {
     if (!this.elements.currentIntakeTab) return;
     
     this.elements.currentIntakeTab.innerHTML = '';
-    const currentDate = utils.formatDate(new Date());
+    const currentDate = utils.getDayKey();
     const entries = this.dailyHistory[currentDate] || [];
     
     const container = document.createElement('div');
@@ -311,11 +380,9 @@ class Tracker {
       noEntries.textContent = `No ${this.type} intake recorded today.`;
       container.appendChild(noEntries);
     } else {
-      const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
-      
-      const remaining = this.goal > total ? this.goal - total : 0;
+      const remaining = intakeRules.getRemaining(this.goal, intakeRules.getTotal(entries));
       const remainingInfo = document.createElement('p');
-      remainingInfo.innerHTML = `Remaining: <b>${remaining} ${this.unit}</b>`;
+      remainingInfo.innerHTML = utils.html`Remaining: <b>${remaining} ${this.unit}</b>`;
       container.appendChild(remainingInfo);
       
       const entriesHeader = document.createElement('h4');
@@ -341,14 +408,15 @@ class Tracker {
    * Reset all data for this tracker
    */
   resetAllData() {
-    localStorage.removeItem(this.goalKey);
-    localStorage.removeItem(this.intakeKey);
-    localStorage.removeItem(this.historyKey);
-    localStorage.removeItem(this.lastResetKey);
+    profileStorage.removeItem(this.goalKey);
+    profileStorage.removeItem(this.intakeKey);
+    profileStorage.removeItem(this.lastResetKey);
     
-    utils.showToast(`All ${this.type} tracking data has been reset.`, 'warning');
-    
-    // Reload the page to reset all instances
-    setTimeout(() => location.reload(), 1500);
+    dataStore.replaceIntakeHistory(this.type, {}).then(() => {
+      utils.showToast(`All ${this.type} tracking data has been reset.`, 'warning');
+      
+      // Reload the page to reset all instances
+      setTimeout(() => location.reload(), 1500);
+    });
   }
 }
\ No newline at end of file
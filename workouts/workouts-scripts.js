@@ -12,28 +12,13 @@ class WorkoutTracker {
      */
     constructor() {
         // Define storage keys
-        this.stateKey = 'workout_state';
-        this.historyKey = 'workout_history';
-        this.countKey = 'workout_count';
         this.lastResetKey = `${STORAGE_KEYS.LAST_RESET_PREFIX}workout`;
         
-        // Define workout types - Added "Shoulders" to the list
-        this.workoutTypes = ['Chest', 'Back', 'Shoulders', 'Biceps', 'Triceps', 'Abs', 'Legs'];
+        // Workout types in their default tab order
+        this.workoutTypes = workoutRules.types;
         
-        // Load data from localStorage
-        this.workoutState = JSON.parse(localStorage.getItem(this.stateKey)) || 
-          this.workoutTypes.reduce((acc, type) => {
-            acc[type] = { completed: false, order: this.workoutTypes.indexOf(type) };
-            return acc;
-          }, {});
-        
-        this.workoutCounts = JSON.parse(localStorage.getItem(this.countKey)) || 
-          this.workoutTypes.reduce((acc, type) => {
-            acc[type] = 0;
-            return acc;
-          }, {});
-      
-        this.workoutHistory = JSON.parse(localStorage.getItem(this.historyKey)) || {};
+        // Load data from the data store
+        this.loadData();
         
         // Set DOM elements
         this.elements = {
@@ -54,19 +39,51 @@ class WorkoutTracker {
         this.selectedWorkoutView = 'all';
         this.selectedTimePeriod = 'weekly';
         
+        // Removes this tracker's listeners when it is replaced
+        this.listeners = new AbortController();
+        
+        // Let the action journal undo and redo workout toggles
+        actionJournal.register('workout.toggle', {
+            undo: ({ date, entry, previous }) => this.applyJournalChange(
+                dataStore.removeWorkoutEntry(date, entry.id), previous).then(saved => {
+                    eventBus.emit(APP_EVENTS.WORKOUT_REMOVED, { type: entry.type, date, entry: Object.assign({}, entry) });
+                    return saved;
+                }),
+            redo: ({ date, entry, next }) => this.applyJournalChange(
+                dataStore.addWorkoutEntry(date, Object.assign({}, entry)), next).then(saved => {
+                    eventBus.emit(APP_EVENTS.WORKOUT_LOGGED, { type: entry.type, date, entry: Object.assign({}, entry), count: entry.count });
+                    return saved;
+                })
+        });
+        
         // Initialize tracker
         this.initializeTracker();
     }
     
+    /**
+     * Load tab state, counts and history from the data store
+     */
+    loadData() {
+        const rotation = workoutRules.createRotation(this.workoutTypes);
+        this.workoutState = dataStore.getWorkoutState() || rotation.state;
+        this.workoutCounts = dataStore.getWorkoutCounts() || rotation.counts;
+        this.workoutHistory = dataStore.getWorkoutHistory();
+    }
+    
+    /**
+     * Load and show the data again, e.g. after another tab changed it
+     */
+    reloadData() {
+        this.loadData();
+        this.updateDisplay();
+    }
+    
     /**
      * Initialize tracker
      */
     initializeTracker() {
-        // Check for daily reset
-        this.checkAndResetDailyWorkouts();
-        
-        // Set up auto-reset at midnight
-        this.setupMidnightReset();
+        // Start today if the last day this tracker saw is over
+        dayRollover.rollOver(this);
         
         // Render workout tabs
         this.renderWorkoutTabs();
@@ -86,17 +103,8 @@ class WorkoutTracker {
         
         this.elements.tabsContainer.innerHTML = '';
         
-        // Sort workout types by completed status and then by order
-        const sortedWorkouts = Object.entries(this.workoutState)
-        .sort(([, a], [, b]) => {
-            // Completed workouts go to the bottom
-            if (a.completed !== b.completed) {
-                return a.completed ? 1 : -1;
-            }
-            // Otherwise, maintain original order
-            return a.order - b.order;
-        })
-        .map(([type]) => type);
+        // Completed workouts go to the bottom
+        const sortedWorkouts = workoutRules.getTabOrder(this.workoutState);
         
         // Create tabs for each workout type
         sortedWorkouts.forEach(type => {
@@ -134,52 +142,81 @@ class WorkoutTracker {
      * @param {string} type - Workout type
      */
     toggleWorkout(type) {
-        // Increase count
-        this.workoutCounts[type] += 1;
+        // Remember the tabs before the change so it can be undone
+        const previous = this.getStateSnapshot();
         
-        // Update completion status
-        this.workoutState[type].completed = true;
+        // Tick the type off - the tabs start over once every type is done
+        const rotation = workoutRules.complete({ state: this.workoutState, counts: this.workoutCounts }, type, this.workoutTypes);
+        this.workoutState = rotation.state;
+        this.workoutCounts = rotation.counts;
         
         // Record in history
-        this.saveWorkoutHistory(type);
+        const { date, entry } = this.saveWorkoutHistory(type, rotation.count);
         
-        // Check if all workouts are completed
-        const allCompleted = Object.values(this.workoutState).every(state => state.completed);
-        if (allCompleted) {
-            this.resetWorkoutTabs();
+        // Save state and update display
+        this.saveState();
+        this.renderWorkoutTabs();
+        this.refreshHistory();
+        
+        if (rotation.cycleComplete) {
             utils.showToast('All workouts completed! Tabs have been reset.', 'success');
         } else {
-            // Save state and update display
-            this.saveState();
-            this.renderWorkoutTabs();
-            this.refreshHistory();
-            
             utils.showToast(`${type} workout marked as complete!`, 'success');
         }
+        
+        actionJournal.record('workout.toggle', `Complete ${type} workout`, {
+            date,
+            entry,
+            previous,
+            next: this.getStateSnapshot()
+        });
+        
+        eventBus.emit(APP_EVENTS.WORKOUT_LOGGED, { type, date, entry: Object.assign({}, entry), count: entry.count });
+    }
+    
+    /**
+     * Copy the current tab state and counts
+     * @returns {Object} - { state, counts }
+     */
+    getStateSnapshot() {
+        return JSON.parse(JSON.stringify({ state: this.workoutState, counts: this.workoutCounts }));
+    }
+    
+    /**
+     * Finish an undo/redo: put back the tab state and counts once the history change is saved
+     * @param {Promise<boolean>} historyChange - Pending history write
+     * @param {Object} snapshot - Result of getStateSnapshot
+     * @returns {Promise<boolean>} - Whether everything was saved
+     */
+    applyJournalChange(historyChange, snapshot) {
+        return historyChange.then(historySaved => {
+            const restored = JSON.parse(JSON.stringify(snapshot));
+            this.workoutState = restored.state;
+            this.workoutCounts = restored.counts;
+            
+            return this.saveState().then(stateSaved => {
+                this.renderWorkoutTabs();
+                this.refreshHistory();
+                return historySaved && stateSaved;
+            });
+        });
     }
     
     /**
-     * Save the current state to localStorage
+     * Save the current state to the data store
+     * @returns {Promise<boolean>}
      */
     saveState() {
-        localStorage.setItem(this.stateKey, JSON.stringify(this.workoutState));
-        localStorage.setItem(this.countKey, JSON.stringify(this.workoutCounts));
+        return dataStore.saveWorkoutState(this.workoutState, this.workoutCounts);
     }
     
     /**
      * Reset workout tabs (but keep history)
      */
     resetWorkoutTabs() {
-        // Reset workout state
-        this.workoutTypes.forEach(type => {
-            this.workoutState[type].completed = false;
-            this.workoutState[type].order = this.workoutTypes.indexOf(type);
-        });
-        
-        // Reset workout counts
-        this.workoutTypes.forEach(type => {
-            this.workoutCounts[type] = 0;
-        });
+        const rotation = workoutRules.createRotation(this.workoutTypes);
+        this.workoutState = rotation.state;
+        this.workoutCounts = rotation.counts;
         
         // Save and update display
         this.saveState();
@@ -190,21 +227,16 @@ class WorkoutTracker {
     /**
      * Save workout to daily history
      * @param {string} type - Workout type
+     * @param {number} count - Times the type was done this cycle
+     * @returns {Object} - { date, entry } of the saved entry
      */
-    saveWorkoutHistory(type) {
-        const currentDate = utils.formatDate(new Date());
+    saveWorkoutHistory(type, count) {
+        const { date, entry } = trackingService.createWorkoutEntry(type, count);
         
-        if (!this.workoutHistory[currentDate]) {
-            this.workoutHistory[currentDate] = [];
-        }
+        // The data store gives the entry its id straight away
+        dataStore.addWorkoutEntry(date, entry);
         
-        this.workoutHistory[currentDate].push({
-            type,
-            count: this.workoutCounts[type],
-            timestamp: new Date().toISOString()
-        });
-        
-        localStorage.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+        return { date, entry: Object.assign({}, entry) };
     }
     
     /**
@@ -242,7 +274,7 @@ class WorkoutTracker {
                 dayEntry.className = 'day-entry';
                 
                 const dateText = document.createElement('p');
-                dateText.innerHTML = `<b>${date}</b>`;
+                dateText.innerHTML = utils.html`<b>${date}</b>`;
                 dayEntry.appendChild(dateText);
                 
                 // Group workouts by type
@@ -270,6 +302,8 @@ class WorkoutTracker {
                     workoutList.appendChild(workoutItem);
                 });
                 
+                this.appendActivities(workoutList, entries);
+                
                 dayEntry.appendChild(workoutList);
                 fragment.appendChild(dayEntry);
             });
@@ -283,6 +317,22 @@ class WorkoutTracker {
         }
     }
     
+    /**
+     * List the activities recorded on a watch or bike computer among a day's entries, with their details
+     * @param {Element} list - List to add the items to
+     * @param {Array} entries - Workout entries of the day
+     */
+    appendActivities(list, entries) {
+        entries.forEach(entry => {
+            const description = workoutRules.describeActivity(entry);
+            if (!description) return;
+            
+            const activityItem = document.createElement('li');
+            activityItem.textContent = `${description} (${entry.type})`;
+            list.appendChild(activityItem);
+        });
+    }
+    
     /**
      * Show current day's workouts
      */
@@ -290,7 +340,7 @@ class WorkoutTracker {
         if (!this.elements.currentWorkoutsTab) return;
         
         this.elements.currentWorkoutsTab.innerHTML = '';
-        const currentDate = utils.formatDate(new Date());
+        const currentDate = utils.getDayKey();
         const entries = this.workoutHistory[currentDate] || [];
         
         const container = document.createElement('div');
@@ -319,10 +369,12 @@ class WorkoutTracker {
                 const entryItem = document.createElement('li');
                 const lastEntry = typeEntries[typeEntries.length - 1];
                 const time = new Date(lastEntry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-                entryItem.innerHTML = `<b>${type}</b>: ${typeEntries.length} ${typeEntries.length === 1 ? 'time' : 'times'} (last at ${time})`;
+                entryItem.innerHTML = utils.html`<b>${type}</b>: ${typeEntries.length} ${typeEntries.length === 1 ? 'time' : 'times'} (last at ${time})`;
                 entriesList.appendChild(entryItem);
             });
             
+            this.appendActivities(entriesList, entries);
+            
             container.appendChild(entriesList);
         }
         
@@ -330,20 +382,19 @@ class WorkoutTracker {
     }
     
     /**
-     * Check if daily workouts need to be reset
+     * Start a new day (called by dayRollover) - workouts are not reset, only today's count is shown again
      */
-    checkAndResetDailyWorkouts() {
-    const currentDate = utils.formatDate(new Date());
-    const lastResetDate = localStorage.getItem(this.lastResetKey);
-    
-    // Only record the date check, but don't reset unless all workouts are completed
-    if (lastResetDate !== currentDate) {
-        // Just update the last reset date without resetting workouts
-        localStorage.setItem(this.lastResetKey, currentDate);
-        
+    startDay() {
         this.preserveTodaysWorkoutData();
+        this.refreshDay();
+    }
+    
+    /**
+     * Show the current day again, e.g. after a new day started or the day start changed
+     */
+    refreshDay() {
+        this.updateDisplay();
     }
-     }
     
     /**
      * Helper function to preserve workout data across days
@@ -351,30 +402,19 @@ class WorkoutTracker {
     preserveTodaysWorkoutData() {
         // Instead of removing today's history, we'll keep what we have
         // and just update the internal tracking date
-        const currentDate = utils.formatDate(new Date());
+        const currentDate = utils.getDayKey();
         
-        // Make sure current date's data structure exists
+        // Make sure current date's data structure exists (empty days are not stored)
         if (!this.workoutHistory[currentDate]) {
             this.workoutHistory[currentDate] = [];
-            localStorage.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
         }
     }
 
     /**
-     * Setup automatic reset at midnight
+     * Remove listeners so the tracker can be replaced, e.g. when switching profiles
      */
-    setupMidnightReset() {
-        // Calculate time until next midnight
-        const now = new Date();
-        const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
-        const midnight = new Date(tomorrow.setHours(0, 0, 0, 0));
-        const msUntilMidnight = midnight - now;
-        
-        // Set timeout for midnight reset
-        setTimeout(() => {
-            this.checkAndResetDailyWorkouts();
-            this.setupMidnightReset(); // Set up next day's reset
-        }, msUntilMidnight);
+    destroy() {
+        this.listeners.abort();
     }
     
     /**
@@ -385,10 +425,9 @@ class WorkoutTracker {
         this.resetWorkoutTabs();
         
         // Remove today's history
-        const currentDate = utils.formatDate(new Date());
+        const currentDate = utils.getDayKey();
         if (this.workoutHistory[currentDate]) {
-            delete this.workoutHistory[currentDate];
-            localStorage.setItem(this.historyKey, JSON.stringify(this.workoutHistory));
+            dataStore.deleteWorkoutDay(currentDate);
         }
     }
     
@@ -396,15 +435,14 @@ class WorkoutTracker {
      * Reset all data for this tracker
      */
     resetAllData() {
-        localStorage.removeItem(this.stateKey);
-        localStorage.removeItem(this.countKey);
-        localStorage.removeItem(this.historyKey);
-        localStorage.removeItem(this.lastResetKey);
-        
-        utils.showToast('All workout tracking data has been reset.', 'warning');
+        profileStorage.removeItem(this.lastResetKey);
         
-        // Reload the page to reset all instances
-        setTimeout(() => location.reload(), 1500);
+        dataStore.clearWorkoutData().then(() => {
+            utils.showToast('All workout tracking data has been reset.', 'warning');
+            
+            // Reload the page to reset all instances
+            setTimeout(() => location.reload(), 1500);
+        });
     }
     
     /**
@@ -438,15 +476,18 @@ class WorkoutTracker {
             this.elements.viewTypeSelect.addEventListener('change', (e) => {
                 this.selectedWorkoutView = e.target.value;
                 this.renderWorkoutAnalytics();
-            });
+            }, { signal: this.listeners.signal });
         }
         
         // Add event listener for time period dropdown
         if (this.elements.timePeriodSelect) {
+            // A replaced tracker may have left another period selected
+            this.elements.timePeriodSelect.value = this.selectedTimePeriod;
+            
             this.elements.timePeriodSelect.addEventListener('change', (e) => {
                 this.selectedTimePeriod = e.target.value;
                 this.renderWorkoutAnalytics();
-            });
+            }, { signal: this.listeners.signal });
         }
         
         // Initialize view
@@ -462,83 +503,12 @@ class WorkoutTracker {
     }
 
     /**
-     * Calculate consistency score for workouts
-     * @param {Object} history - Workout history with dates as keys
-     * @param {Date} endDate - End date for calculation
-     * @param {number} days - Number of days to look back
-     * @param {string|null} specificType - Specific workout type to calculate score for
-     * @returns {number} - Consistency score (0-100)
+     * Get the selected workout type, or null for all workouts
+     * @returns {string|null}
      */
-    calculateConsistencyScore(history, endDate, days = 30, specificType = null) {
-        // Initialize score
-        let score = 0;
-        const today = new Date(endDate);
-        
-        // Define weight factors
-        const recentWeight = 1.5;  // Recent days matter more
-        const streakBonus = 5;     // Bonus points for consecutive days
-        const maxScore = 100;      // Maximum possible score
-        const basePoints = 70;     // Base points for a completed day
-        const decayRate = 0.9;     // How quickly score decays on missed days
-        
-        // Keep track of streak
-        let currentStreak = 0;
-        let maxStreakInPeriod = 0;
-        
-        // Calculate score for each day in the period
-        for (let i = 0; i < days; i++) {
-            const date = new Date(today);
-            date.setDate(today.getDate() - i);
-            const dateKey = utils.formatDate(date);
-            
-            // Weight factor decreases as we go further back in time
-            const dayWeight = (days - i) / days * (i < 7 ? recentWeight : 1);
-            
-            // Check if any workout was done on this day
-            const entries = history[dateKey] || [];
-            
-            // If filtering by type, check if that specific workout was done
-            const isDone = specificType 
-                ? entries.some(entry => entry.type === specificType)
-                : entries.length > 0;
-            
-            if (isDone) {
-                // Add points for completed day
-                score += basePoints * dayWeight;
-                
-                // For workouts, give extra points for multiple workout types in a day
-                if (!specificType && entries.length > 1) {
-                    const uniqueTypes = new Set(entries.map(entry => entry.type)).size;
-                    score += Math.min(uniqueTypes * 5, 30) * dayWeight;
-                }
-                
-                // Update streak
-                currentStreak++;
-                maxStreakInPeriod = Math.max(maxStreakInPeriod, currentStreak);
-                
-                // Add streak bonus
-                if (currentStreak > 1) {
-                    score += Math.min(streakBonus * currentStreak, 30) * dayWeight;
-                }
-            } else {
-                // Reset streak
-                currentStreak = 0;
-                
-                // Decay score for missed days
-                score *= decayRate;
-            }
-        }
-        
-        // Normalize score to 0-100 range
-        let normalizedScore = Math.min(Math.round(score / days), maxScore);
-        
-        // Add bonus for max streak achieved in period
-        if (maxStreakInPeriod > 3) {
-            normalizedScore += Math.min(streakBonus * maxStreakInPeriod / 2, 15);
-        }
-        
-        // Ensure final score is within 0-100 range
-        return Math.min(Math.max(Math.round(normalizedScore), 0), maxScore);
+    getSelectedType() {
+        if (this.selectedWorkoutView === 'all' || this.selectedWorkoutView === 'comparison') return null;
+        return this.selectedWorkoutView.charAt(0).toUpperCase() + this.selectedWorkoutView.slice(1);
     }
     
     /**
@@ -546,228 +516,21 @@ class WorkoutTracker {
      * @returns {Array|Object} - Data points or object of data points by type
      */
     getConsistencyDataByTimePeriod() {
-        const today = new Date();
-        let dataPoints = [];
-        
-        // Handle different views (all, comparison, specific workout)
-        if (this.selectedWorkoutView === 'all') {
-            // Overall workout consistency
-            switch (this.selectedTimePeriod) {
-                case 'weekly':
-                    // Last 7 days
-                    for (let i = 6; i >= 0; i--) {
-                        const date = new Date(today);
-                        date.setDate(today.getDate() - i);
-                        
-                        // Calculate score for overall workouts
-                        const score = this.calculateConsistencyScore(this.workoutHistory, date, 7);
-                        
-                        dataPoints.push({
-                            date: date,
-                            value: score
-                        });
-                    }
-                    break;
-                    
-                case 'monthly':
-                    // Last 30 days grouped by week
-                    for (let i = 0; i < 5; i++) {
-                        const date = new Date(today);
-                        date.setDate(today.getDate() - (4 - i) * 7);
-                        
-                        const score = this.calculateConsistencyScore(this.workoutHistory, date, 7);
-                        
-                        dataPoints.push({
-                            date: date,
-                            value: score
-                        });
-                    }
-                    break;
-                    
-                case 'quarterly':
-                    // Last 3 months by week
-                    for (let i = 0; i < 12; i++) {
-                        const date = new Date(today);
-                        date.setDate(today.getDate() - (11 - i) * 7);
-                        
-                        const score = this.calculateConsistencyScore(this.workoutHistory, date, 14);
-                        
-                        dataPoints.push({
-                            date: date,
-                            value: score
-                        });
-                    }
-                    break;
-                    
-                case 'yearly':
-                    // Last 12 months
-                    for (let i = 0; i < 12; i++) {
-                        const date = new Date(today);
-                        date.setMonth(today.getMonth() - (11 - i));
-                        
-                        const score = this.calculateConsistencyScore(this.workoutHistory, date, 30);
-                        
-                        dataPoints.push({
-                            date: date,
-                            value: score
-                        });
-                    }
-                    break;
-            }
-        } else if (this.selectedWorkoutView === 'comparison') {
-            // Comparison view - scores for each workout type
-            dataPoints = {};
-            
+        const today = utils.getLogicalDay();
+        const workoutHistory = dataStore.getWorkoutHistory(true);
+        const getSeries = (periods, type) => scoring.getScoreSeries(today, periods[this.selectedTimePeriod] || periods.weekly,
+            (date, days) => workoutRules.getConsistencyScore(workoutHistory, date, days, type));
+        
+        // Comparison view - scores for each workout type
+        if (this.selectedWorkoutView === 'comparison') {
+            const dataPoints = {};
             this.workoutTypes.forEach(type => {
-                dataPoints[type] = [];
-                
-                switch (this.selectedTimePeriod) {
-                    case 'weekly':
-                        // Last 7 days
-                        for (let i = 6; i >= 0; i--) {
-                            const date = new Date(today);
-                            date.setDate(today.getDate() - i);
-                            
-                            const score = this.calculateConsistencyScore(
-                                this.workoutHistory, date, 7, type
-                            );
-                            
-                            dataPoints[type].push({
-                                date: date,
-                                value: score
-                            });
-                        }
-                        break;
-                        
-                    case 'monthly':
-                        // Last 4 weeks
-                        for (let i = 0; i < 4; i++) {
-                            const date = new Date(today);
-                            date.setDate(today.getDate() - (3 - i) * 7);
-                            
-                            const score = this.calculateConsistencyScore(
-                                this.workoutHistory, date, 7, type
-                            );
-                            
-                            dataPoints[type].push({
-                                date: date,
-                                value: score
-                            });
-                        }
-                        break;
-                        
-                    case 'quarterly':
-                        // Last 3 months (12 weeks)
-                        for (let i = 0; i < 6; i++) {
-                            const date = new Date(today);
-                            date.setDate(today.getDate() - (5 - i) * 14);
-                            
-                            const score = this.calculateConsistencyScore(
-                                this.workoutHistory, date, 14, type
-                            );
-                            
-                            dataPoints[type].push({
-                                date: date,
-                                value: score
-                            });
-                        }
-                        break;
-                        
-                    case 'yearly':
-                        // Last 12 months
-                        for (let i = 0; i < 6; i++) {
-                            const date = new Date(today);
-                            date.setMonth(today.getMonth() - (5 - i) * 2);
-                            
-                            const score = this.calculateConsistencyScore(
-                                this.workoutHistory, date, 30, type
-                            );
-                            
-                            dataPoints[type].push({
-                                date: date,
-                                value: score
-                            });
-                        }
-                        break;
-                }
+                dataPoints[type] = getSeries(COMPARISON_SCORE_PERIODS, type);
             });
-        } else {
-            // Individual workout type view
-            const selectedType = this.selectedWorkoutView.charAt(0).toUpperCase() + 
-                               this.selectedWorkoutView.slice(1);
-            
-            switch (this.selectedTimePeriod) {
-                case 'weekly':
-                    // Last 7 days
-                    for (let i = 6; i >= 0; i--) {
-                        const date = new Date(today);
-                        date.setDate(today.getDate() - i);
-                        
-                        const score = this.calculateConsistencyScore(
-                            this.workoutHistory, date, 7, selectedType
-                        );
-                        
-                        dataPoints.push({
-                            date: date,
-                            value: score
-                        });
-                    }
-                    break;
-                    
-                case 'monthly':
-                    // Last 30 days grouped by week
-                    for (let i = 0; i < 5; i++) {
-                        const date = new Date(today);
-                        date.setDate(today.getDate() - (4 - i) * 7);
-                        
-                        const score = this.calculateConsistencyScore(
-                            this.workoutHistory, date, 7, selectedType
-                        );
-                        
-                        dataPoints.push({
-                            date: date,
-                            value: score
-                        });
-                    }
-                    break;
-                    
-                case 'quarterly':
-                    // Last 3 months by week
-                    for (let i = 0; i < 12; i++) {
-                        const date = new Date(today);
-                        date.setDate(today.getDate() - (11 - i) * 7);
-                        
-                        const score = this.calculateConsistencyScore(
-                            this.workoutHistory, date, 14, selectedType
-                        );
-                        
-                        dataPoints.push({
-                            date: date,
-                            value: score
-                        });
-                    }
-                    break;
-                    
-                case 'yearly':
-                    // Last 12 months
-                    for (let i = 0; i < 12; i++) {
-                        const date = new Date(today);
-                        date.setMonth(today.getMonth() - (11 - i));
-                        
-                        const score = this.calculateConsistencyScore(
-                            this.workoutHistory, date, 30, selectedType
-                        );
-                        
-                        dataPoints.push({
-                            date: date,
-                            value: score
-                        });
-                    }
-                    break;
-            }
+            return dataPoints;
         }
         
-        return dataPoints;
+        return getSeries(SCORE_PERIODS, this.getSelectedType());
     }
 
     /**
@@ -1011,7 +774,7 @@ class WorkoutTracker {
         this.elements.chartLabels.innerHTML = '';
         
         // Get dates based on time period
-        const today = new Date();
+        const today = utils.getLogicalDay();
         let labelDates = [];
         
         switch (this.selectedTimePeriod) {
@@ -1190,188 +953,25 @@ class WorkoutTracker {
     }
     
     /**
-     * Calculate workout streaks based on consistency
-     * @returns {Array} Array of streak objects
+     * Calculate workout streaks for the selected view
+     * @returns {Array} Array of streak objects, longest first
      */
     calculateWorkoutStreaks() {
-        // Get all workout dates in ascending order
-        const sortedDates = Object.keys(this.workoutHistory).sort();
-        const streaks = [];
+        // Include archived days
+        const workoutHistory = dataStore.getWorkoutHistory(true);
         
-        if (this.selectedWorkoutView === 'all') {
-            // Calculate streaks for any workout
-            let currentStreak = null;
-            
-            sortedDates.forEach(date => {
-                const entries = this.workoutHistory[date];
-                if (!entries || entries.length === 0) {
-                    // No workouts on this day, end streak
-                    if (currentStreak && currentStreak.length > 1) {
-                        streaks.push(currentStreak);
-                    }
-                    currentStreak = null;
-                    return;
-                }
-                
-                if (!currentStreak) {
-                    // Start new streak
-                    currentStreak = { start: date, end: date, length: 1 };
-                } else {
-                    // Check if this date is consecutive
-                    const lastDate = new Date(currentStreak.end);
-                    const nextDay = new Date(lastDate);
-                    nextDay.setDate(lastDate.getDate() + 1);
-                    const currentDate = new Date(date);
-                    
-                    if (currentDate.getTime() === nextDay.getTime()) {
-                        // Consecutive day, extend streak
-                        currentStreak.end = date;
-                        currentStreak.length++;
-                    } else {
-                        // Non-consecutive, save streak and start new one
-                        streaks.push(currentStreak);
-                        currentStreak = { start: date, end: date, length: 1 };
-                    }
-                }
-            });
-            
-            // Add final streak if exists
-            if (currentStreak && currentStreak.length > 1) {
-                streaks.push(currentStreak);
-            }
-            
-        } else if (this.selectedWorkoutView === 'comparison') {
+        if (this.selectedWorkoutView === 'comparison') {
             // Show top streak for each workout type
+            const streaks = [];
             this.workoutTypes.forEach(type => {
-                const typeStreak = this.calculateWorkoutTypeStreak(type);
-                if (typeStreak && typeStreak.length > 1) {
-                    streaks.push({
-                        ...typeStreak,
-                        type: type
-                    });
+                const [typeStreak] = workoutRules.getStreaks(workoutHistory, type);
+                if (typeStreak) {
+                    streaks.push({ ...typeStreak, type });
                 }
             });
-            
-        } else {
-            // Individual workout type
-            const selectedType = this.selectedWorkoutView.charAt(0).toUpperCase() + 
-                                 this.selectedWorkoutView.slice(1);
-            const typeStreaks = this.calculateAllWorkoutTypeStreaks(selectedType);
-            streaks.push(...typeStreaks);
-        }
-        
-        return streaks.sort((a, b) => b.length - a.length);
-    }
-    
-    /**
-     * Calculate streaks for specific workout type
-     * @param {string} type - Workout type
-     * @returns {Object|null} Best streak object or null
-     */
-    calculateWorkoutTypeStreak(type) {
-        const sortedDates = Object.keys(this.workoutHistory).sort();
-        let bestStreak = null;
-        let currentStreak = null;
-        
-        sortedDates.forEach(date => {
-            const entries = this.workoutHistory[date] || [];
-            const hasWorkout = entries.some(entry => entry.type === type);
-            
-            if (!hasWorkout) {
-                // No workout of this type, end streak
-                if (currentStreak && currentStreak.length > 1) {
-                    if (!bestStreak || currentStreak.length > bestStreak.length) {
-                        bestStreak = currentStreak;
-                    }
-                }
-                currentStreak = null;
-                return;
-            }
-            
-            if (!currentStreak) {
-                // Start new streak
-                currentStreak = { start: date, end: date, length: 1 };
-            } else {
-                // Check if consecutive
-                const lastDate = new Date(currentStreak.end);
-                const nextDay = new Date(lastDate);
-                nextDay.setDate(lastDate.getDate() + 1);
-                const currentDate = new Date(date);
-                
-                if (currentDate.getTime() === nextDay.getTime()) {
-                    // Consecutive, extend streak
-                    currentStreak.end = date;
-                    currentStreak.length++;
-                } else {
-                    // Non-consecutive, save if best
-                    if (!bestStreak || currentStreak.length > bestStreak.length) {
-                        bestStreak = currentStreak;
-                    }
-                    currentStreak = { start: date, end: date, length: 1 };
-                }
-            }
-        });
-        
-        // Check final streak
-        if (currentStreak && currentStreak.length > 1) {
-            if (!bestStreak || currentStreak.length > bestStreak.length) {
-                bestStreak = currentStreak;
-            }
-        }
-        
-        return bestStreak;
-    }
-    
-    /**
-     * Calculate all streaks for a specific workout type
-     * @param {string} type - Workout type
-     * @returns {Array} Array of streak objects
-     */
-    calculateAllWorkoutTypeStreaks(type) {
-        const sortedDates = Object.keys(this.workoutHistory).sort();
-        const streaks = [];
-        let currentStreak = null;
-        
-        sortedDates.forEach(date => {
-            const entries = this.workoutHistory[date] || [];
-            const hasWorkout = entries.some(entry => entry.type === type);
-            
-            if (!hasWorkout) {
-                // No workout of this type, end streak
-                if (currentStreak && currentStreak.length > 1) {
-                    streaks.push(currentStreak);
-                }
-                currentStreak = null;
-                return;
-            }
-            
-            if (!currentStreak) {
-                // Start new streak
-                currentStreak = { start: date, end: date, length: 1 };
-            } else {
-                // Check if consecutive
-                const lastDate = new Date(currentStreak.end);
-                const nextDay = new Date(lastDate);
-                nextDay.setDate(lastDate.getDate() + 1);
-                const currentDate = new Date(date);
-                
-                if (currentDate.getTime() === nextDay.getTime()) {
-                    // Consecutive, extend streak
-                    currentStreak.end = date;
-                    currentStreak.length++;
-                } else {
-                    // Non-consecutive, save and start new
-                    streaks.push(currentStreak);
-                    currentStreak = { start: date, end: date, length: 1 };
-                }
-            }
-        });
-        
-        // Add final streak if exists
-        if (currentStreak && currentStreak.length > 1) {
-            streaks.push(currentStreak);
+            return streaks.sort((a, b) => b.length - a.length);
         }
         
-        return streaks;
+        return workoutRules.getStreaks(workoutHistory, this.getSelectedType());
     }
 }
\ No newline at end of file